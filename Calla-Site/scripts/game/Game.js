@@ -16,6 +16,7 @@ import {
     unproject
 } from "../lib/calla";
 import { Emote } from "./Emote";
+import { Screen } from "./Screen";
 import { User } from "./User";
 
 
@@ -28,6 +29,12 @@ const CAMERA_LERP = 0.01,
     emojiNeededEvt = new Event("emojiNeeded"),
     toggleAudioEvt = new Event("toggleAudio"),
     toggleVideoEvt = new Event("toggleVideo"),
+    pushToTalkEvt = Object.assign(new Event("pushToTalk"), {
+        pressed: false
+    }),
+    whisperEvt = Object.assign(new Event("whisper"), {
+        id: null
+    }),
     moveEvent = Object.assign(new Event("userMoved"), {
         x: 0,
         y: 0
@@ -42,6 +49,15 @@ const CAMERA_LERP = 0.01,
 /** @type {Map<Game, EventedGamepad>} */
 const gamepads = new Map();
 
+/**
+ * Whether a key was typed into a form field, rather than pressed for the game.
+ * @param {KeyboardEvent} evt
+ */
+function isTyping(evt) {
+    return evt.target instanceof HTMLInputElement
+        || evt.target instanceof HTMLTextAreaElement;
+}
+
 export class Game extends EventBase {
 
     constructor(zoomMin, zoomMax) {
@@ -66,6 +82,12 @@ export class Game extends EventBase {
         /** @type {Map.<string, User>} */
         this.users = new Map();
 
+        /**
+         * The whispers the local user is in, from the user whispering to the user listening.
+         * @type {Map<string, string>}
+         **/
+        this.whispers = new Map();
+
         this.lastMove = Number.MAX_VALUE;
         this.lastWalk = Number.MAX_VALUE;
         this.gridOffsetX = 0;
@@ -86,6 +108,12 @@ export class Game extends EventBase {
         /** @type {Emote[]} */
         this.emotes = [];
 
+        /**
+         * The screens people are sharing, keyed by the ID of the user sharing each one.
+         * @type {Map.<string, Screen>}
+         **/
+        this.screens = new Map();
+
         this.inputBinding = {
             keyButtonUp: "ArrowUp",
             keyButtonDown: "ArrowDown",
@@ -93,6 +121,8 @@ export class Game extends EventBase {
             keyButtonRight: "ArrowRight",
             keyButtonEmote: "e",
             keyButtonToggleAudio: "a",
+            keyButtonPushToTalk: "t",
+            keyButtonWhisper: "w",
             keyButtonZoomOut: "[",
             keyButtonZoomIn: "]",
 
@@ -101,6 +131,7 @@ export class Game extends EventBase {
 
             gpButtonEmote: 0,
             gpButtonToggleAudio: 1,
+            gpButtonPushToTalk: 2,
             gpButtonZoomIn: 6,
             gpButtonZoomOut: 7,
             gpButtonUp: 12,
@@ -109,6 +140,8 @@ export class Game extends EventBase {
             gpButtonRight: 15
         };
 
+        this.pushToTalkPressed = false;
+        this.whisperKeyHeld = false;
         this.lastGamepadIndex = -1;
         this.gamepadIndex = -1;
         this.transitionSpeed = 0.125;
@@ -118,15 +151,28 @@ export class Game extends EventBase {
         // ============= KEYBOARD =================
 
         addEventListener("keydown", (evt) => {
+            if (isTyping(evt)) {
+                return;
+            }
+
             this.keys[evt.key] = evt;
             if (this.keyboardEnabled
                 && !evt.ctrlKey
                 && !evt.altKey
                 && !evt.shiftKey
                 && !evt.metaKey
-                && evt.key === this.inputBinding.keyButtonToggleAudio
                 && !!this.me) {
-                this.toggleMyAudio();
+                if (evt.key === this.inputBinding.keyButtonToggleAudio) {
+                    this.toggleMyAudio();
+                }
+                else if (evt.key === this.inputBinding.keyButtonPushToTalk
+                    && !evt.repeat) {
+                    this.pushToTalk(true);
+                }
+                else if (evt.key === this.inputBinding.keyButtonWhisper
+                    && !evt.repeat) {
+                    this.whisperToNearest(true);
+                }
             }
         });
 
@@ -134,6 +180,20 @@ export class Game extends EventBase {
             if (this.keys[evt.key]) {
                 delete this.keys[evt.key];
             }
+
+            if (evt.key === this.inputBinding.keyButtonPushToTalk) {
+                this.pushToTalk(false);
+            }
+            else if (evt.key === this.inputBinding.keyButtonWhisper) {
+                this.whisperToNearest(false);
+            }
+        });
+
+        // the key-up never arrives if the window loses focus while the key is held down.
+        addEventListener("blur", () => {
+            this.keys = {};
+            this.pushToTalk(false);
+            this.whisperToNearest(false);
         });
 
         // ============= KEYBOARD =================
@@ -182,6 +242,18 @@ export class Game extends EventBase {
         });
     }
 
+    setSignalStrength(id, signalStrength) {
+        if (this.users.has(id)) {
+            this.users.get(id).signalStrength = signalStrength;
+        }
+    }
+
+    setPresence(id, status, text) {
+        if (this.users.has(id)) {
+            this.users.get(id).setPresence(status, text);
+        }
+    }
+
     emote(id, emoji) {
         if (this.users.has(id)) {
             const user = this.users.get(id);
@@ -314,10 +386,116 @@ export class Game extends EventBase {
         this.dispatchEvent(toggleAudioEvt);
     }
 
+    /**
+     * @param {boolean} pressed - whether the push-to-talk button is held down.
+     */
+    pushToTalk(pressed) {
+        if (pressed !== this.pushToTalkPressed) {
+            this.pushToTalkPressed = pressed;
+            pushToTalkEvt.pressed = pressed;
+            this.dispatchEvent(pushToTalkEvt);
+        }
+    }
+
+    /**
+     * Whispers to the closest other user for as long as the whisper key is held down.
+     * @param {boolean} pressed - whether the whisper key is held down.
+     */
+    whisperToNearest(pressed) {
+        if (pressed
+            && !this.whisperKeyHeld) {
+            const id = this.getNearestUserID();
+            if (id !== null) {
+                this.whisperKeyHeld = true;
+                this.whisperTo(id);
+            }
+        }
+        else if (!pressed
+            && this.whisperKeyHeld) {
+            this.whisperKeyHeld = false;
+            this.whisperTo(null);
+        }
+    }
+
+    /**
+     * @param {string} id - the user to whisper to, or null to stop whispering.
+     */
+    whisperTo(id) {
+        whisperEvt.id = id;
+        this.dispatchEvent(whisperEvt);
+    }
+
+    /**
+     * Finds the other user closest to the local user.
+     * @returns {string} - the user's ID, or null if the local user is alone.
+     **/
+    getNearestUserID() {
+        let nearestID = null,
+            nearestDistance = Number.MAX_VALUE;
+        if (this.me) {
+            for (let [id, user] of this.users) {
+                if (user !== this.me) {
+                    const dx = user.gridX - this.me.gridX,
+                        dy = user.gridY - this.me.gridY,
+                        distance = dx * dx + dy * dy;
+                    if (distance < nearestDistance) {
+                        nearestID = id;
+                        nearestDistance = distance;
+                    }
+                }
+            }
+        }
+
+        return nearestID;
+    }
+
+    /**
+     * Marks both ends of a whisper, if the local user is one of them.
+     * Whispers between other users aren't shown.
+     * @param {string} id - the user who is whispering.
+     * @param {string} toUserID - who they are whispering to, or null if they stopped.
+     */
+    setWhisper(id, toUserID) {
+        if (toUserID !== null
+            && this.me
+            && (id === this.me.id
+                || toUserID === this.me.id)) {
+            this.whispers.set(id, toUserID);
+        }
+        else {
+            this.whispers.delete(id);
+        }
+
+        this.refreshWhispers();
+    }
+
+    /**
+     * @private
+     **/
+    refreshWhispers() {
+        for (let user of this.users.values()) {
+            user.whispering = false;
+        }
+
+        for (let [fromID, toID] of this.whispers) {
+            for (let id of [fromID, toID]) {
+                if (this.users.has(id)) {
+                    this.users.get(id).whispering = true;
+                }
+            }
+        }
+    }
+
     toggleMyVideo() {
         this.dispatchEvent(toggleVideoEvt);
     }
 
+    setMicLive(id, live) {
+        this.withUser("show live microphone", id, (user) => {
+            user.micLive = live;
+        });
+    }
+
     muteUserAudio(id, muted) {
         this.withUser("mute audio", id, (user) => {
             user.audioMuted = muted;
@@ -372,6 +550,107 @@ export class Game extends EventBase {
         if (this.users.has(id)) {
             this.users.delete(id);
         }
+
+        for (let [fromID, toID] of Array.from(this.whispers)) {
+            if (fromID === id
+                || toID === id) {
+                this.whispers.delete(fromID);
+            }
+        }
+        this.refreshWhispers();
+
+        this.removeScreenShare(id);
+    }
+
+    /**
+     * Moves a user to a new ID, such as after the local user reconnects to the conference.
+     * @param {string} fromID
+     * @param {string} toID
+     */
+    changeUserID(fromID, toID) {
+        if (this.users.has(fromID)
+            && !this.users.has(toID)) {
+            const user = this.users.get(fromID);
+            this.users.delete(fromID);
+            user.id = toID;
+            this.users.set(toID, user);
+        }
+
+        for (let [from, to] of Array.from(this.whispers)) {
+            if (from === fromID
+                || to === fromID) {
+                this.whispers.delete(from);
+                this.whispers.set(
+                    from === fromID ? toID : from,
+                    to === fromID ? toID : to);
+            }
+        }
+
+        if (this.screens.has(fromID)
+            && !this.screens.has(toID)) {
+            const screen = this.screens.get(fromID);
+            this.screens.delete(fromID);
+            this.screens.set(toID, screen);
+        }
+    }
+
+    /**
+     * Shows a screen that a user is sharing.
+     * @param {string} id - the user sharing the screen.
+     * @param {MediaStream} stream
+     * @param {{x: number, y: number, z: number}} anchor - the map spot to show it at, or null to show it over the user.
+     */
+    addScreenShare(id, stream, anchor) {
+        this.removeScreenShare(id);
+        this.screens.set(id, new Screen(stream, anchor));
+    }
+
+    /**
+     * @param {string} id - the user sharing the screen.
+     * @param {{x: number, y: number, z: number}} anchor - the map spot to show it at, or null to show it over the user.
+     */
+    moveScreenShare(id, anchor) {
+        if (this.screens.has(id)) {
+            this.screens.get(id).anchor = anchor;
+        }
+    }
+
+    /**
+     * @param {string} id - the user sharing the screen.
+     */
+    removeScreenShare(id) {
+        if (this.screens.has(id)) {
+            this.screens.get(id).dispose();
+            this.screens.delete(id);
+        }
+    }
+
+    /**
+     * Where a new shared screen should go: the first spot the map has for
+     * screens that nobody else's screen is using, or null to show it over the user.
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getFreeScreenAnchor() {
+        if (this.map) {
+            for (let spot of this.map.screenSpots) {
+                let taken = false;
+                for (let screen of this.screens.values()) {
+                    taken = taken
+                        || screen.anchor !== null
+                        && this.map.getScreenSpotAt(screen.anchor.x, screen.anchor.z) === spot;
+                }
+
+                if (!taken) {
+                    return {
+                        x: spot.x,
+                        y: 0,
+                        z: spot.y
+                    };
+                }
+            }
+        }
+
+        return null;
     }
 
     setAvatarVideo(id, stream) {
@@ -450,6 +729,12 @@ export class Game extends EventBase {
         this.currentRoomName = null;
         this.map = null;
         this.users.clear();
+        this.whispers.clear();
+        this.whisperKeyHeld = false;
+        for (let screen of this.screens.values()) {
+            screen.dispose();
+        }
+        this.screens.clear();
         this.me = null;
         hide(this);
         this.dispatchEvent(gameEndedEvt);
@@ -504,6 +789,11 @@ export class Game extends EventBase {
                         this.toggleMyAudio();
                     }
 
+                    const talkButton = pad.buttons[this.inputBinding.gpButtonPushToTalk];
+                    if (talkButton.pressed !== pad.lastButtons[this.inputBinding.gpButtonPushToTalk].pressed) {
+                        this.pushToTalk(talkButton.pressed);
+                    }
+
                     if (pad.buttons[this.inputBinding.gpButtonUp].pressed) {
                         --dy;
                     }
@@ -593,6 +883,10 @@ export class Game extends EventBase {
 
             this.map.draw(this.gFront);
 
+            for (let [id, screen] of this.screens) {
+                screen.draw(this.gFront, this.map, this.users.get(id));
+            }
+
             for (let user of this.users.values()) {
                 user.drawShadow(this.gFront, this.map);
             }
@@ -0,0 +1,93 @@
+import { getTransform } from "../graphics2d/getTransform";
+import { autoPlay, muted, playsInline, srcObject, volume } from "../html/attrs";
+import { isIOS } from "../html/flags";
+import { Video } from "../html/tags";
+import { once } from "../lib/calla";
+
+// screens that don't have a spot on the map are this many tiles wide.
+const SCREEN_WIDTH = 8,
+    BORDER_WIDTH = 2;
+
+/**
+ * A screen that someone is sharing, drawn on the map either over the
+ * user who is sharing it or at a spot of its own.
+ **/
+export class Screen {
+    /**
+     * Creates a new screen.
+     * @param {MediaStream} stream
+     * @param {{x: number, y: number, z: number}} anchor - the map spot the screen is centered on, or null to keep it over the user who is sharing it.
+     */
+    constructor(stream, anchor) {
+        this.video = Video(
+            autoPlay,
+            playsInline,
+            muted,
+            volume(0),
+            srcObject(stream));
+
+        this.anchor = anchor;
+
+        if (!isIOS) {
+            this.video.play();
+            once(this.video, "canplay")
+                .then(() => this.video.play());
+        }
+
+        Object.seal(this);
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} g
+     * @param {import("../graphics2d/TileMap").TileMap} map
+     * @param {import("./User").User} user - the user who is sharing the screen.
+     */
+    draw(g, map, user) {
+        const videoWidth = this.video.videoWidth,
+            videoHeight = this.video.videoHeight;
+        if (videoWidth === 0
+            || videoHeight === 0
+            || !this.anchor && !user) {
+            return;
+        }
+
+        // the game's map is laid out on the conference's x/z plane.
+        const spot = this.anchor && map.getScreenSpotAt(this.anchor.x, this.anchor.z);
+        let width = (spot ? spot.width : SCREEN_WIDTH) * map.tileWidth,
+            height = width * videoHeight / videoWidth;
+
+        if (spot && height > spot.height * map.tileHeight) {
+            height = spot.height * map.tileHeight;
+            width = height * videoWidth / videoHeight;
+        }
+
+        let x = 0,
+            y = 0;
+        if (spot) {
+            x = (spot.x + spot.width / 2) * map.tileWidth - width / 2;
+            y = (spot.y + spot.height / 2) * map.tileHeight - height / 2;
+        }
+        else if (this.anchor) {
+            x = (this.anchor.x + 0.5) * map.tileWidth - width / 2;
+            y = (this.anchor.z + 0.5) * map.tileHeight - height / 2;
+        }
+        else {
+            x = (user.x + 0.5) * map.tileWidth - width / 2;
+            y = (user.y - 1) * map.tileHeight - height;
+        }
+
+        const border = BORDER_WIDTH / getTransform(g).a;
+        g.save();
+        {
+            g.fillStyle = "black";
+            g.fillRect(x - border, y - border, width + 2 * border, height + 2 * border);
+            g.drawImage(this.video, x, y, width, height);
+        }
+        g.restore();
+    }
+
+    dispose() {
+        this.video.pause();
+        this.video.srcObject = null;
+    }
+}
\ No newline at end of file
@@ -7,11 +7,14 @@ const DEFAULT_INPUT_BINDING = Object.freeze({
     keyButtonRight: "ArrowRight",
     keyButtonEmote: "e",
     keyButtonToggleAudio: "a",
+    keyButtonPushToTalk: "t",
+    keyButtonWhisper: "w",
     keyButtonZoomOut: "[",
     keyButtonZoomIn: "]",
 
     gpButtonEmote: 0,
     gpButtonToggleAudio: 1,
+    gpButtonPushToTalk: 2,
     gpButtonZoomIn: 6,
     gpButtonZoomOut: 7,
     gpButtonUp: 12,
@@ -52,6 +55,11 @@ class SettingsPrivate {
 
         this.inputBinding = DEFAULT_INPUT_BINDING;
 
+        this.muteWhenAway = false;
+
+        this.transmitMode = "openMic";
+        this.voiceThreshold = 0.05;
+
         const selfStr = localStorage.getItem(KEY);
         if (selfStr) {
             Object.assign(
@@ -289,4 +297,40 @@ export class Settings {
             self.commit();
         }
     }
+
+    get muteWhenAway() {
+        return selfs.get(this).muteWhenAway;
+    }
+
+    set muteWhenAway(value) {
+        if (value !== this.muteWhenAway) {
+            const self = selfs.get(this);
+            self.muteWhenAway = value;
+            self.commit();
+        }
+    }
+
+    get transmitMode() {
+        return selfs.get(this).transmitMode;
+    }
+
+    set transmitMode(value) {
+        if (value !== this.transmitMode) {
+            const self = selfs.get(this);
+            self.transmitMode = value;
+            self.commit();
+        }
+    }
+
+    get voiceThreshold() {
+        return selfs.get(this).voiceThreshold;
+    }
+
+    set voiceThreshold(value) {
+        if (value !== this.voiceThreshold) {
+            const self = selfs.get(this);
+            self.voiceThreshold = value;
+            self.commit();
+        }
+    }
 }
\ No newline at end of file
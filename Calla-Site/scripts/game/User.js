@@ -1,7 +1,7 @@
-import { bust, mutedSpeaker, speakerMediumVolume } from "../emoji/emojis";
+import { bust, microphone, mutedSpeaker, shushingFace, speakerMediumVolume } from "../emoji/emojis";
 import { getTransform } from "../graphics2d/getTransform";
 import { TextImage } from "../graphics2d/TextImage";
-import { EventBase, isString, project } from "../lib/calla";
+import { EventBase, isString, PresenceStatus, project } from "../lib/calla";
 import { AvatarMode } from "./avatars/AvatarMode";
 import { EmojiAvatar } from "./avatars/EmojiAvatar";
 import { PhotoAvatar } from "./avatars/PhotoAvatar";
@@ -10,14 +10,30 @@ import { VideoAvatar } from "./avatars/VideoAvatar";
 const POSITION_REQUEST_DEBOUNCE_TIME = 1,
     STACKED_USER_OFFSET_X = 5,
     STACKED_USER_OFFSET_Y = 5,
+    // indexed by the number of signal-strength bars.
+    SIGNAL_COLORS = ["#f33", "#f93", "#fd3", "#3d3"],
+    PRESENCE_COLORS = Object.freeze({
+        available: "#3d3",
+        away: "#fd3",
+        busy: "#f33",
+        presenting: "#39f"
+    }),
     eventNames = ["userMoved", "userPositionNeeded"],
+    LIVE_MIC_COLOR = "#f33",
+    WHISPER_COLOR = "#c6f",
     muteAudioIcon = new TextImage(),
-    speakerActivityIcon = new TextImage();
+    speakerActivityIcon = new TextImage(),
+    liveMicIcon = new TextImage(),
+    whisperIcon = new TextImage();
 
 muteAudioIcon.fontFamily = "Noto Color Emoji";
 muteAudioIcon.value = mutedSpeaker.value;
 speakerActivityIcon.fontFamily = "Noto Color Emoji";
 speakerActivityIcon.value = speakerMediumVolume.value;
+liveMicIcon.fontFamily = "Noto Color Emoji";
+liveMicIcon.value = microphone.value;
+whisperIcon.fontFamily = "Noto Color Emoji";
+whisperIcon.value = shushingFace.value;
 
 export class User extends EventBase {
     /**
@@ -41,8 +57,39 @@ export class User extends EventBase {
 
         this.audioMuted = false;
         this.videoMuted = true;
+
+        /**
+         * Whether the room can hear the user's microphone. Only known for the local user.
+         * @type {boolean}
+         **/
+        this.micLive = false;
+
+        /**
+         * Whether the user is in a whisper with the local user, on either end of it.
+         * @type {boolean}
+         **/
+        this.whispering = false;
+
         this.isMe = isMe;
         this.isActive = false;
+
+        /**
+         * The number of signal-strength bars to show next to the name, 0 to 3, or null to show none.
+         * @type {number}
+         **/
+        this.signalStrength = null;
+
+        /**
+         * What the user is up to.
+         * @type {PresenceStatus}
+         **/
+        this.presenceStatus = PresenceStatus.available;
+
+        this.statusText = new TextImage();
+        this.statusText.color = "white";
+        this.statusText.fontStyle = "italic";
+        this.statusText.fontSize = 96;
+
         this.stackUserCount = 1;
         this.stackIndex = 0;
         this.stackAvatarHeight = 0;
@@ -155,8 +202,10 @@ export class User extends EventBase {
      */
     set avatarEmoji(emoji) {
         if (emoji
-            && emoji.value
-            && emoji.desc) {
+            && isString(emoji.value)
+            && emoji.value.length > 0
+            && isString(emoji.desc)
+            && emoji.desc.length > 0) {
             this._avatarEmoji = new EmojiAvatar(emoji);
         }
         else {
@@ -233,6 +282,16 @@ export class User extends EventBase {
         this.userNameText.value = this.displayName;
     }
 
+    /**
+     * Sets what the user is up to.
+     * @param {PresenceStatus} status
+     * @param {string} text - a custom status, or null for none.
+     */
+    setPresence(status, text) {
+        this.presenceStatus = status;
+        this.statusText.value = text;
+    }
+
     moveTo(x, y) {
         if (this.isMe) {
             this.moveEvent.x = x;
@@ -300,6 +359,14 @@ export class User extends EventBase {
                     speakerActivityIcon.scale = scale;
                     speakerActivityIcon.draw(g, this.stackAvatarWidth - speakerActivityIcon.width, 0);
                 }
+
+                if (this.micLive) {
+                    this.drawLiveMic(g);
+                }
+
+                if (this.whispering) {
+                    this.drawWhisper(g);
+                }
             }
             g.restore();
         }
@@ -345,11 +412,104 @@ export class User extends EventBase {
                 const textScale = fontSize / this.userNameText.fontSize;
                 g.scale(textScale, textScale);
                 this.userNameText.draw(g, 0, -this.userNameText.height);
+                if (this.statusText.value) {
+                    this.statusText.draw(g, 0, -this.userNameText.height - this.statusText.height);
+                }
+
+                g.shadowColor = "transparent";
+                let x = this.userNameText.width;
+
+                // everyone is available most of the time, so only the other statuses get a badge on the map.
+                if (this.presenceStatus !== PresenceStatus.available) {
+                    this.drawPresenceBadge(g, x, -this.userNameText.height, this.userNameText.height);
+                    x += this.userNameText.height;
+                }
+
+                if (this.signalStrength !== null) {
+                    this.drawSignalStrength(g, x, -this.userNameText.height, this.userNameText.height);
+                }
             }
             g.restore();
         }
     }
 
+    /**
+     * Outlines the avatar and puts a microphone in its corner, so the user can
+     * tell at a glance that the room can hear them.
+     * @param {CanvasRenderingContext2D} g - a context that has been moved to the avatar's corner.
+     */
+    drawLiveMic(g) {
+        const scale = getTransform(g).a,
+            height = this.stackAvatarHeight / 2;
+
+        g.strokeStyle = LIVE_MIC_COLOR;
+        g.lineWidth = 2 / scale;
+        g.strokeRect(0, 0, this.stackAvatarWidth, this.stackAvatarHeight);
+
+        liveMicIcon.fontSize = height;
+        liveMicIcon.scale = scale;
+        liveMicIcon.draw(g, 0, this.stackAvatarHeight - liveMicIcon.height);
+    }
+
+    /**
+     * Outlines the avatar with a dashed line and puts a shushing face in its
+     * corner, so both ends of a whisper can see who they are whispering with.
+     * @param {CanvasRenderingContext2D} g - a context that has been moved to the avatar's corner.
+     */
+    drawWhisper(g) {
+        const scale = getTransform(g).a,
+            height = this.stackAvatarHeight / 2,
+            inset = 2 / scale;
+
+        g.strokeStyle = WHISPER_COLOR;
+        g.lineWidth = 2 / scale;
+        g.setLineDash([4 / scale, 4 / scale]);
+        g.strokeRect(inset, inset, this.stackAvatarWidth - 2 * inset, this.stackAvatarHeight - 2 * inset);
+        g.setLineDash([]);
+
+        whisperIcon.fontSize = height;
+        whisperIcon.scale = scale;
+        whisperIcon.draw(g, 0, 0);
+    }
+
+    /**
+     * Draws a dot in the color of the user's presence status, centered in a square of the given size.
+     * @param {CanvasRenderingContext2D} g
+     * @param {number} x
+     * @param {number} y
+     * @param {number} size
+     */
+    drawPresenceBadge(g, x, y, size) {
+        g.fillStyle = PRESENCE_COLORS[this.presenceStatus];
+        g.beginPath();
+        g.arc(x + size / 2, y + size / 2, size / 4, 0, 2 * Math.PI);
+        g.fill();
+    }
+
+    /**
+     * Draws signal-strength bars, bottom-aligned in a box of the given height.
+     * @param {CanvasRenderingContext2D} g
+     * @param {number} x
+     * @param {number} y
+     * @param {number} height
+     */
+    drawSignalStrength(g, x, y, height) {
+        const barWidth = height / 5,
+            color = SIGNAL_COLORS[this.signalStrength];
+
+        for (let i = 0; i < 3; ++i) {
+            const barHeight = height * (i + 1) / 3;
+            g.fillStyle = i < this.signalStrength
+                ? color
+                : "rgba(255, 255, 255, 0.3)";
+            g.fillRect(
+                x + barWidth * (2 * i + 1),
+                y + height - barHeight,
+                barWidth,
+                barHeight);
+        }
+    }
+
     drawHearingTile(g, map, dx, dy, p) {
         g.save();
         {
@@ -1,4 +1,6 @@
 import {
+    balanceScale,
+    desktopComputer,
     door,
     downRightArrow,
     gear,
@@ -10,12 +12,13 @@ import {
     speakerHighVolume,
     speakingHead,
     squareFourCourners,
+    stopSign,
     upwardsButton,
     videoCamera,
     whiteFlower
 } from "../../emoji/emojis";
 import { alt, className, id, max, min, role, src, step, title, value } from "../../html/attrs";
-import { cssHeight, margin, textAlign } from "../../html/css";
+import { cssHeight, display, margin, textAlign } from "../../html/css";
 import { onClick, onInput } from "../../html/evts";
 import { updateLabel } from "../../html/ops";
 import { Button, Div, Img, InputRange, Run } from "../../html/tags";
@@ -27,8 +30,10 @@ const toggleOptionsEvt = new Event("toggleOptions"),
     toggleFullscreenEvt = new Event("toggleFullscreen"),
     toggleInstructionsEvt = new Event("toggleInstructions"),
     toggleUserDirectoryEvt = new Event("toggleUserDirectory"),
+    toggleModerationEvt = new Event("toggleModeration"),
     toggleAudioEvt = new Event("toggleAudio"),
     toggleVideoEvt = new Event("toggleVideo"),
+    toggleScreenShareEvt = new Event("toggleScreenShare"),
     changeDevicesEvt = new Event("changeDevices"),
     emoteEvt = new Event("emote"),
     selectEmojiEvt = new Event("selectEmoji"),
@@ -81,6 +86,13 @@ export class ButtonLayer extends EventBase {
                 Run(speakingHead.value),
                 Run("Users")),
 
+            this.moderationButton = Button(
+                id("moderationButton"),
+                title("Moderate the room"),
+                onClick(_(toggleModerationEvt)),
+                display("none"),
+                Run(balanceScale.value),
+                Run("Moderate")),
 
             this.fullscreenButton = Button(
                 id("fullscreenButton"),
@@ -98,6 +110,10 @@ export class ButtonLayer extends EventBase {
                 Run(door.value),
                 Run("Leave")),
 
+            this.statusBanner = Div(
+                id("statusBanner"),
+                display("none")),
+
             Div(
                 id("toggleAudioControl"),
                 className("comboButton"),
@@ -113,6 +129,12 @@ export class ButtonLayer extends EventBase {
                     onClick(_(toggleVideoEvt)),
                     this.toggleVideoLabel = Run(noMobilePhone.value),
                     Run("Video")),
+                this.toggleScreenShareButton = Button(
+                    id("toggleScreenShareButton"),
+                    title("Start/stop sharing your screen"),
+                    onClick(_(toggleScreenShareEvt)),
+                    this.toggleScreenShareLabel = Run(desktopComputer.value),
+                    Run("Screen")),
                 this.changeDevicesButton = Button(
                     id("changeDevicesButton"),
                     title("Change devices"),
@@ -164,6 +186,7 @@ export class ButtonLayer extends EventBase {
 
         this._audioEnabled = true;
         this._videoEnabled = false;
+        this._screenShareEnabled = false;
 
         Object.seal(this);
     }
@@ -194,6 +217,30 @@ export class ButtonLayer extends EventBase {
         this.element.style.display = "";
     }
 
+    /**
+     * A message to show across the top of the screen, such as the state of the connection.
+     * Set to null to hide the banner.
+     * @type {string}
+     **/
+    get statusMessage() {
+        return this.statusBanner.style.display === "none"
+            ? null
+            : this.statusBanner.textContent;
+    }
+
+    set statusMessage(msg) {
+        this.statusBanner.textContent = msg || "";
+        this.statusBanner.style.display = msg ? "" : "none";
+    }
+
+    get moderationEnabled() {
+        return this.moderationButton.style.display !== "none";
+    }
+
+    set moderationEnabled(v) {
+        this.moderationButton.style.display = v ? "" : "none";
+    }
+
     get enabled() {
         return !this.instructionsButton.disabled;
     }
@@ -230,6 +277,19 @@ export class ButtonLayer extends EventBase {
             noMobilePhone.value);
     }
 
+    get screenShareEnabled() {
+        return this._screenShareEnabled;
+    }
+
+    set screenShareEnabled(value) {
+        this._screenShareEnabled = value;
+        updateLabel(
+            this.toggleScreenShareLabel,
+            value,
+            stopSign.value,
+            desktopComputer.value);
+    }
+
     setEmojiButton(key, emoji) {
         this.emoteButton.innerHTML = emoji.value;
     }
@@ -13,6 +13,8 @@ export class InputBinding extends EventBase {
             ["keyButtonRight", "ArrowRight"],
             ["keyButtonEmote", "e"],
             ["keyButtonToggleAudio", "a"],
+            ["keyButtonPushToTalk", "t"],
+            ["keyButtonWhisper", "w"],
             ["keyButtonZoomOut", "["],
             ["keyButtonZoomIn", "]"],
 
@@ -21,6 +23,7 @@ export class InputBinding extends EventBase {
 
             ["gpButtonEmote", 0],
             ["gpButtonToggleAudio", 1],
+            ["gpButtonPushToTalk", 2],
             ["gpButtonZoomIn", 6],
             ["gpButtonZoomOut", 7],
             ["gpButtonUp", 12],
@@ -0,0 +1,160 @@
+import { locked, unlocked } from "../../emoji/emojis";
+import { className, id, title } from "../../html/attrs";
+import { onClick } from "../../html/evts";
+import { gridPos, row } from "../../html/grid";
+import { Button, Div } from "../../html/tags";
+import { User } from "../User";
+import { FormDialog } from "./FormDialog";
+
+const toggleLockEvt = new Event("toggleLock");
+
+const kickEvt = Object.assign(
+    new Event("kick"),
+    {
+        id: null
+    });
+
+const forceMuteEvt = Object.assign(
+    new Event("forceMute"),
+    {
+        id: null,
+        kind: null
+    });
+
+const summonEvt = Object.assign(
+    new Event("summon"),
+    {
+        id: null
+    });
+
+// the audit log only keeps this many entries.
+const MAX_LOG_LINES = 100;
+
+export class ModerationForm extends FormDialog {
+
+    constructor() {
+        super("moderation");
+
+        this.usersList = Div(id("moderationUsers"));
+        this.log = Div(id("moderationLog"));
+
+        /** @type {Map.<string, Element[]>} */
+        this.rows = new Map();
+
+        this.lockButton = Button(
+            id("moderationLock"),
+            onClick(() => this.dispatchEvent(toggleLockEvt)));
+
+        this._isModerator = false;
+        this._locked = false;
+
+        Object.seal(this);
+
+        this.isModerator = false;
+        this.locked = false;
+    }
+
+    get isModerator() {
+        return this._isModerator;
+    }
+
+    /**
+     * Only moderators get the buttons. Everyone can still read the audit log.
+     **/
+    set isModerator(v) {
+        this._isModerator = v;
+        for (let button of this.element.querySelectorAll("button:not(.closeButton)")) {
+            button.disabled = !v;
+        }
+    }
+
+    get locked() {
+        return this._locked;
+    }
+
+    set locked(v) {
+        this._locked = v;
+        this.lockButton.textContent = v
+            ? `${locked.value} Unlock room`
+            : `${unlocked.value} Lock room`;
+        this.lockButton.title = v
+            ? "Let people join again"
+            : "Stop anyone else from joining";
+    }
+
+    /**
+     * @param {User} user
+     */
+    set(user) {
+        this.delete(user.id);
+        const r = this.rows.size + 1;
+
+        const _ = (evt, kind) => onClick(() => {
+            evt.id = user.id;
+            if (kind) {
+                evt.kind = kind;
+            }
+            this.dispatchEvent(evt);
+        });
+
+        const elems = [
+            Div(gridPos(1, r), user.displayName),
+            Button(gridPos(2, r), title("Mute their microphone"), _(forceMuteEvt, "audio"), "Mute"),
+            Button(gridPos(3, r), title("Turn off their camera"), _(forceMuteEvt, "video"), "Stop video"),
+            Button(gridPos(4, r), title("Move them next to you"), _(summonEvt), "Summon"),
+            Button(gridPos(5, r), title("Remove them from the room"), _(kickEvt), "Kick")];
+
+        for (let elem of elems) {
+            elem.disabled = !this.isModerator;
+        }
+
+        this.rows.set(user.id, elems);
+        this.usersList.append(...elems);
+    }
+
+    delete(userID) {
+        if (this.rows.has(userID)) {
+            const elems = this.rows.get(userID);
+            this.rows.delete(userID);
+            for (let elem of elems) {
+                this.usersList.removeChild(elem);
+            }
+
+            let rowCount = 1;
+            for (let elems of this.rows.values()) {
+                const r = row(rowCount++);
+                for (let elem of elems) {
+                    r.apply(elem);
+                }
+            }
+        }
+    }
+
+    clear() {
+        for (let id of this.rows.keys()) {
+            this.delete(id);
+        }
+    }
+
+    /**
+     * Adds a line to the audit log.
+     * @param {string} text
+     * @param {boolean} [rejected=false] - whether the action was refused.
+     */
+    addLogEntry(text, rejected = false) {
+        const time = new Date().toLocaleTimeString([], {
+            hour: "numeric",
+            minute: "2-digit"
+        });
+
+        this.log.append(Div(
+            className(rejected ? "moderationRejected" : "moderationAction"),
+            `${time} ${text}`));
+
+        while (this.log.childElementCount > MAX_LOG_LINES) {
+            this.log.removeChild(this.log.firstChild);
+        }
+
+        this.log.lastChild.scrollIntoView();
+    }
+}
\ No newline at end of file
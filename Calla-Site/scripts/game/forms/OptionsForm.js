@@ -1,4 +1,4 @@
-import { disabled, height, htmlFor, id, max, min, placeHolder, step, value, width } from "../../html/attrs";
+import { disabled, height, htmlFor, id, max, maxLength, min, placeHolder, step, value, width } from "../../html/attrs";
 import { cssWidth } from "../../html/css";
 import { onClick, onInput, onKeyUp } from "../../html/evts";
 import { gridColsDef } from "../../html/grid";
@@ -6,9 +6,9 @@ import { LabeledInput } from "../../html/LabeledInputTag";
 import { isOpen, setLocked } from "../../html/ops";
 import { OptionPanel } from "../../html/OptionPanelTag";
 import { SelectBox } from "../../html/SelectBoxTag";
-import { Button, Canvas, Div, InputURL, Label, P } from "../../html/tags";
+import { Button, Canvas, Div, InputText, InputURL, Label, P } from "../../html/tags";
 import { EventedGamepad } from "../../input/EventedGamepad";
-import { isGoodNumber, isString } from "../../lib/calla";
+import { isGoodNumber, isString, PresenceStatus, TransmitMode } from "../../lib/calla";
 import { User } from "../User";
 import { FormDialog } from "./FormDialog";
 import { InputBinding } from "./InputBinding";
@@ -25,6 +25,10 @@ const keyWidthStyle = cssWidth("7em"),
     audioPropsChangedEvt = new Event("audioPropertiesChanged"),
     toggleDrawHearingEvt = new Event("toggleDrawHearing"),
     toggleVideoEvt = new Event("toggleVideo"),
+    presenceChangedEvt = new Event("presenceChanged"),
+    toggleMuteWhenAwayEvt = new Event("toggleMuteWhenAway"),
+    transmitModeChangedEvt = new Event("transmitModeChanged"),
+    voiceThresholdChangedEvt = new Event("voiceThresholdChanged"),
     gamepadButtonUpEvt = Object.assign(new Event("gamepadbuttonup"), {
         button: 0
     }),
@@ -35,6 +39,13 @@ const keyWidthStyle = cssWidth("7em"),
 const disabler = disabled(true),
     enabler = disabled(false);
 
+/** @type {Object<string, string>} */
+const transmitModeLabels = Object.freeze({
+    openMic: "Open mic",
+    pushToTalk: "Push to talk",
+    voiceActivated: "Voice activated"
+});
+
 /** @type {WeakMap<OptionsForm, OptionsFormPrivate>} */
 const selfs = new WeakMap();
 
@@ -157,6 +168,68 @@ export class OptionsForm extends FormDialog {
                     width(256),
                     height(256))),
 
+            OptionPanel("status", "Status",
+                Div(
+                    Label(
+                        htmlFor("presenceStatus"),
+                        "Status: "),
+                    this.presenceSelect = SelectBox(
+                        "presenceStatus",
+                        "Available",
+                        s => s,
+                        s => s[0].toLocaleUpperCase() + s.substring(1),
+                        onInput(_(presenceChangedEvt)))),
+                Div(
+                    Label(
+                        htmlFor("presenceText"),
+                        "Message: "),
+                    this.presenceTextInput = InputText(
+                        id("presenceText"),
+                        maxLength(100),
+                        placeHolder("Back at 2")),
+                    Button(
+                        "Set",
+                        onClick(_(presenceChangedEvt))),
+                    Button(
+                        "Clear",
+                        onClick(() => {
+                            this.presenceText = null;
+                            this.dispatchEvent(presenceChangedEvt);
+                        }))),
+                P(
+                    this.muteWhenAwayCheck = LabeledInput(
+                        "muteWhenAway",
+                        "checkbox",
+                        "Mute microphone when away: ",
+                        onInput(() => {
+                            this.muteWhenAway = !this.muteWhenAway;
+                            this.dispatchEvent(toggleMuteWhenAwayEvt);
+                        })))),
+
+            OptionPanel("microphone", "Microphone",
+                Div(
+                    Label(
+                        htmlFor("transmitMode"),
+                        "Send audio: "),
+                    this.transmitModeSelect = SelectBox(
+                        "transmitMode",
+                        "Open mic",
+                        m => m,
+                        m => transmitModeLabels[m],
+                        onInput(() => {
+                            this.refreshVoiceThreshold();
+                            this.dispatchEvent(transmitModeChangedEvt);
+                        }))),
+                this.voiceThresholdInput = LabeledInput(
+                    "voiceThreshold",
+                    "range",
+                    "Voice activation threshold: ",
+                    min(0),
+                    max(0.25),
+                    step(0.005),
+                    onInput(_(voiceThresholdChangedEvt))),
+                P("Hold the push-to-talk key or gamepad button to talk. Set them on the Keyboard and Gamepad tabs.")),
+
             OptionPanel("interface", "Interface",
                 this.fontSizeInput = LabeledInput(
                     "fontSize",
@@ -211,7 +284,9 @@ export class OptionsForm extends FormDialog {
                 this.keyButtonLeft = makeKeyboardBinder("keyButtonLeft", "Left: "),
                 this.keyButtonRight = makeKeyboardBinder("keyButtonRight", "Right: "),
                 this.keyButtonEmote = makeKeyboardBinder("keyButtonEmote", "Emote: "),
-                this.keyButtonToggleAudio = makeKeyboardBinder("keyButtonToggleAudio", "Toggle audio: ")),
+                this.keyButtonToggleAudio = makeKeyboardBinder("keyButtonToggleAudio", "Toggle audio: "),
+                this.keyButtonPushToTalk = makeKeyboardBinder("keyButtonPushToTalk", "Push to talk: "),
+                this.keyButtonWhisper = makeKeyboardBinder("keyButtonWhisper", "Whisper to nearest: ")),
 
             OptionPanel("gamepad", "Gamepad",
                 Div(
@@ -231,7 +306,8 @@ export class OptionsForm extends FormDialog {
                 this.gpButtonLeft = makeGamepadButtonBinder("gpButtonLeft", "Left button: "),
                 this.gpButtonRight = makeGamepadButtonBinder("gpButtonRight", "Right button: "),
                 this.gpButtonEmote = makeGamepadButtonBinder("gpButtonEmote", "Emote button: "),
-                this.gpButtonToggleAudio = makeGamepadButtonBinder("gpButtonToggleAudio", "Toggle audio button: "))
+                this.gpButtonToggleAudio = makeGamepadButtonBinder("gpButtonToggleAudio", "Toggle audio button: "),
+                this.gpButtonPushToTalk = makeGamepadButtonBinder("gpButtonPushToTalk", "Push to talk button: "))
         ];
 
         const cols = [];
@@ -269,6 +345,11 @@ export class OptionsForm extends FormDialog {
         this.gamepads = [];
 
         this._drawHearing = false;
+        this._muteWhenAway = false;
+
+        this.presenceSelect.values = Object.values(PresenceStatus);
+        this.transmitModeSelect.values = Object.values(TransmitMode);
+        this.refreshVoiceThreshold();
 
         /** @type {User} */
         this.user = null;
@@ -367,6 +448,7 @@ export class OptionsForm extends FormDialog {
         setLocked(this.gpButtonRight, disable);
         setLocked(this.gpButtonEmote, disable);
         setLocked(this.gpButtonToggleAudio, disable);
+        setLocked(this.gpButtonPushToTalk, disable);
     }
 
     get currentGamepadIndex() {
@@ -399,6 +481,85 @@ export class OptionsForm extends FormDialog {
         this.drawHearingCheck.checked = value;
     }
 
+    /**
+     * @type {PresenceStatus}
+     **/
+    get presenceStatus() {
+        return this.presenceSelect.selectedValue || PresenceStatus.available;
+    }
+
+    set presenceStatus(value) {
+        this.presenceSelect.selectedValue = value;
+    }
+
+    /**
+     * The custom status text, or null if there isn't any.
+     * @type {string}
+     **/
+    get presenceText() {
+        const text = this.presenceTextInput.value.trim();
+        if (text.length === 0) {
+            return null;
+        }
+        else {
+            return text;
+        }
+    }
+
+    set presenceText(value) {
+        this.presenceTextInput.value = value || "";
+    }
+
+    /**
+     * @type {TransmitMode}
+     **/
+    get transmitMode() {
+        return this.transmitModeSelect.selectedValue || TransmitMode.openMic;
+    }
+
+    set transmitMode(value) {
+        this.transmitModeSelect.selectedValue = value;
+        this.refreshVoiceThreshold();
+    }
+
+    /**
+     * How loud the microphone has to be to open in voice-activated mode, from 0 to 1.
+     * @type {number}
+     **/
+    get voiceThreshold() {
+        const value = parseFloat(this.voiceThresholdInput.value);
+        if (isGoodNumber(value)) {
+            return value;
+        }
+        else {
+            return 0.05;
+        }
+    }
+
+    set voiceThreshold(value) {
+        if (isGoodNumber(value)
+            && value >= 0) {
+            this.voiceThresholdInput.value = value;
+        }
+    }
+
+    /**
+     * The threshold only means anything in voice-activated mode.
+     * @private
+     **/
+    refreshVoiceThreshold() {
+        setLocked(this.voiceThresholdInput, this.transmitMode !== TransmitMode.voiceActivated);
+    }
+
+    get muteWhenAway() {
+        return this._muteWhenAway;
+    }
+
+    set muteWhenAway(value) {
+        this._muteWhenAway = value;
+        this.muteWhenAwayCheck.checked = value;
+    }
+
     get audioDistanceMin() {
         const value = parseFloat(this.audioMinInput.value);
         if (isGoodNumber(value)) {
@@ -1,9 +1,10 @@
-import { disabled, height, id, width } from "../../html/attrs";
+import { shushingFace } from "../../emoji/emojis";
+import { className, disabled, height, id, title, width } from "../../html/attrs";
 import { backgroundColor, zIndex } from "../../html/css";
 import { onBlur, onClick, onFocus, onKeyPress, onMouseOut, onMouseOver } from "../../html/evts";
 import { gridPos, row } from "../../html/grid";
 import { hide, isOpen } from "../../html/ops";
-import { Button, Canvas, Div, InputText } from "../../html/tags";
+import { Button, Canvas, clear, Div, InputCheckbox, InputText, Span } from "../../html/tags";
 import { User } from "../User";
 import { FormDialog } from "./FormDialog";
 
@@ -16,10 +17,56 @@ const warpToEvt = Object.assign(
         id: null
     });
 
+const whisperEvt = Object.assign(
+    new Event("whisper"),
+    {
+        id: null
+    });
+
 const chatFocusChanged = new Event("chatFocusChanged");
 
+const chatSendEvt = Object.assign(
+    new Event("chatSend"),
+    {
+        text: null,
+        isLocal: false
+    });
+
 const ROW_TIMEOUT = 3000;
 
+// messages from the same user closer together than this share a header.
+const MESSAGE_GROUP_TIME = 5 * 60 * 1000;
+
+const CHAT_AVATAR_SIZE = 16;
+
+/**
+ * A dot in the color of a user's presence status.
+ * @param {User} user
+ * @returns {HTMLSpanElement}
+ */
+function presenceBadge(user) {
+    const status = user.presenceStatus,
+        text = user.statusText.value;
+
+    return Span(
+        className(`presenceBadge ${status}`),
+        title(text
+            ? `${status}: ${text}`
+            : status));
+}
+
+/**
+ * @typedef {object} ChatLine
+ * @property {string} id - the ID of the sender.
+ * @property {string} displayName
+ * @property {string} text
+ * @property {number} time
+ * @property {string} toUserID
+ * @property {boolean} isLocal
+ * @property {number} recipientCount
+ * @property {HTMLCanvasElement} avatar
+ **/
+
 export class UserDirectoryForm extends FormDialog {
 
     constructor() {
@@ -42,24 +89,20 @@ export class UserDirectoryForm extends FormDialog {
         /** @type {Map<string, CanvasRenderingContext2D>} */
         this.avatarGs = new Map();
 
-        let lastUser = null;
-
-        //this.chat.on("ReceiveMessage", (room, user, message) => {
-        //    if (user !== lastUser) {
-        //        lastUser = user;
-        //        user = "";
-        //    }
-
-        //    this.messages.append(Div(user), Div(message));
-        //    this.messages.lastChild.scrollIntoView();
-        //});
+        /**
+         * The chat messages shown so far, oldest first.
+         * @type {ChatLine[]}
+         **/
+        this.chatLines = [];
 
         const sendMessage = async () => {
             if (this.entry.value.length > 0) {
                 this.send.disabled
                     = this.entry.disabled
                     = true;
-                //await this.chat.invoke("SendMessage", this.roomName, this.userName, this.entry.value);
+                chatSendEvt.text = this.entry.value;
+                chatSendEvt.isLocal = this.localCheck.checked;
+                this.dispatchEvent(chatSendEvt);
                 this.entry.value = "";
                 this.entry.disabled
                     = this.send.disabled
@@ -83,6 +126,10 @@ export class UserDirectoryForm extends FormDialog {
                 }
             }));
 
+        this.localCheck = InputCheckbox(
+            id("chatLocal"),
+            disabled);
+
         this.send = Button(
             id("chatSend"),
             disabled,
@@ -99,9 +146,10 @@ export class UserDirectoryForm extends FormDialog {
     async startAsync(roomName, userName) {
         this.roomName = roomName;
         this.userName = userName;
-        //await this.chat.start();
-        //await this.chat.invoke("Join", this.roomName);
+        this.chatLines.length = 0;
+        clear(this.messages);
         this.entry.disabled
+            = this.localCheck.disabled
             = this.send.disabled
             = false;
     }
@@ -150,7 +198,12 @@ export class UserDirectoryForm extends FormDialog {
 
         const elems = [
             Div(gridPos(1, row), zIndex(0), avatar),
-            Div(gridPos(2, row), zIndex(0), user.displayName),
+            Div(gridPos(2, row), zIndex(0),
+                presenceBadge(user),
+                user.displayName,
+                user.statusText.value
+                    ? Span(className("presenceText"), user.statusText.value)
+                    : null),
             Div(
                 gridPos(1, row, 2, 1), zIndex(1),
                 unhoveredColor,
@@ -166,6 +219,22 @@ export class UserDirectoryForm extends FormDialog {
                     this.dispatchEvent(warpToEvt);
                 }))];
 
+        if (!user.isMe) {
+            elems.push(Button(
+                gridPos(2, row), zIndex(2),
+                className(user.whispering
+                    ? "whisperButton whispering"
+                    : "whisperButton"),
+                title(user.whispering
+                    ? "Stop whispering"
+                    : `Whisper to ${user.displayName}`),
+                shushingFace.value,
+                onClick(() => {
+                    whisperEvt.id = user.id;
+                    this.dispatchEvent(whisperEvt);
+                })));
+        }
+
         this.rows.set(user.id, elems);
         this.usersList.append(...elems);
     }
@@ -194,6 +263,108 @@ export class UserDirectoryForm extends FormDialog {
         }
     }
 
+    /**
+     * Shows a chat message, in order of when it was sent.
+     * @param {import("../../lib/calla").ChatMessage} message
+     * @param {User} user - the sender, or null if they have left or the message is from another user's history.
+     */
+    addMessage(message, user) {
+        const avatar = Canvas(
+            width(CHAT_AVATAR_SIZE),
+            height(CHAT_AVATAR_SIZE));
+
+        if (user && user.avatar) {
+            user.avatar.draw(avatar.getContext("2d"), CHAT_AVATAR_SIZE, CHAT_AVATAR_SIZE);
+        }
+
+        /** @type {ChatLine} */
+        const line = {
+            id: message.id,
+            displayName: user
+                ? user.displayName
+                : message.displayName,
+            text: message.text,
+            time: message.time,
+            toUserID: message.toUserID,
+            isLocal: message.isLocal,
+            recipientCount: message.recipientCount,
+            avatar
+        };
+
+        let index = this.chatLines.length;
+        while (index > 0
+            && this.chatLines[index - 1].time > line.time) {
+            --index;
+        }
+
+        this.chatLines.splice(index, 0, line);
+
+        if (index === this.chatLines.length - 1) {
+            this.messages.append(...this.renderChatLine(index));
+        }
+        else {
+            clear(this.messages);
+            for (let i = 0; i < this.chatLines.length; ++i) {
+                this.messages.append(...this.renderChatLine(i));
+            }
+        }
+
+        this.messages.lastChild.scrollIntoView();
+    }
+
+    /**
+     * Creates the header and text cells of a chat message.
+     * @private
+     * @param {number} index
+     * @returns {HTMLDivElement[]}
+     */
+    renderChatLine(index) {
+        const line = this.chatLines[index],
+            prev = index > 0
+                ? this.chatLines[index - 1]
+                : null,
+            time = new Date(line.time),
+            timeStamp = time.toLocaleTimeString([], {
+                hour: "numeric",
+                minute: "2-digit"
+            }),
+            isContinued = prev !== null
+                && prev.id === line.id
+                && prev.displayName === line.displayName
+                && prev.toUserID === line.toUserID
+                && prev.isLocal === line.isLocal
+                && line.time - prev.time < MESSAGE_GROUP_TIME;
+
+        const header = isContinued
+            ? Div(className("chatHeader"))
+            : Div(
+                className("chatHeader"),
+                title(time.toLocaleString()),
+                line.avatar,
+                Span(line.displayName || line.id),
+                Span(className("chatTime"), timeStamp));
+
+        let body = null;
+        if (line.toUserID !== null) {
+            body = Div(className("chatPrivate"), title("Private message"), line.text);
+        }
+        else if (line.isLocal) {
+            body = Div(className("chatLocal"), title("Nearby message"), line.text);
+            if (line.recipientCount !== null) {
+                body.append(Span(
+                    className("chatRecipients"),
+                    line.recipientCount === 0
+                        ? "(nobody nearby)"
+                        : `(heard by ${line.recipientCount})`));
+            }
+        }
+        else {
+            body = Div(line.text);
+        }
+
+        return [header, body];
+    }
+
     warn(...rest) {
         const elem = Div(
             gridPos(1, this.rows.size + 1, 2, 1),
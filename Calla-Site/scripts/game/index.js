@@ -3,13 +3,14 @@ import { allPeople as people } from "../emoji/emojis";
 import { loadFont, makeFont } from "../graphics2d/fonts";
 import { disabled } from "../html/attrs";
 import { hide, isOpen, show } from "../html/ops";
-import { addEventListeners, CallaClient } from "../lib/calla";
+import { addEventListeners, CallaClient, JitsiLoadError } from "../lib/calla";
 import { RequestAnimationFrameTimer } from "../timers/RequestAnimationFrameTimer";
 import { ButtonLayer } from "./forms/ButtonLayer";
 import { DevicesDialog } from "./forms/DevicesDialog";
 import { EmojiForm } from "./forms/EmojiForm";
 import { FormDialog } from "./forms/FormDialog";
 import { LoginForm } from "./forms/LoginForm";
+import { ModerationForm } from "./forms/ModerationForm";
 import { OptionsForm } from "./forms/OptionsForm";
 import { UserDirectoryForm } from "./forms/UserDirectoryForm";
 import { Game } from "./Game";
@@ -21,6 +22,7 @@ const CAMERA_ZOOM_MIN = 0.5,
     game = new Game(CAMERA_ZOOM_MIN, CAMERA_ZOOM_MAX),
     login = new LoginForm(),
     directory = new UserDirectoryForm(),
+    moderation = new ModerationForm(),
     controls = new ButtonLayer(game.element, CAMERA_ZOOM_MIN, CAMERA_ZOOM_MAX),
     devices = new DevicesDialog(),
     options = new OptionsForm(),
@@ -39,6 +41,7 @@ Object.assign(window, {
     game,
     login,
     directory,
+    moderation,
     controls,
     devices,
     options,
@@ -90,6 +93,7 @@ function showView(view) {
     if (!waitingForEmoji) {
         hide(login);
         hide(directory);
+        hide(moderation);
         hide(options);
         hide(devices);
         hide(emoji);
@@ -129,6 +133,9 @@ function setAudioProperties() {
         settings.audioDistanceMax = game.audioDistanceMax = options.audioDistanceMax,
         settings.audioRolloff = options.audioRolloff,
         settings.transitionSpeed);
+
+    // nearby chat reaches as far as voices do.
+    client.chat.localRadius = settings.audioDistanceMax;
 }
 
 function refreshGamepads() {
@@ -137,7 +144,32 @@ function refreshGamepads() {
 }
 
 function refreshUser(userID) {
-    game.withUser("list user in directory", userID, (user) => directory.set(user));
+    game.withUser("list user in directory", userID, (user) => {
+        directory.set(user);
+        if (userID !== client.localUserID) {
+            moderation.set(user);
+        }
+    });
+}
+
+function refreshRole() {
+    moderation.isModerator
+        = controls.moderationEnabled
+        = client.isModerator;
+}
+
+function userName(id) {
+    const user = game.users.get(id);
+    return user && user.displayName || id;
+}
+
+async function moderate(action, callback) {
+    try {
+        await callback();
+    }
+    catch (exp) {
+        moderation.addLogEntry(`Could not ${action}: ${exp.message}`, true);
+    }
 }
 
 addEventListeners(window, {
@@ -153,6 +185,7 @@ addEventListeners(controls, {
     toggleOptions: _showView(options),
     toggleInstructions: _showView(instructions),
     toggleUserDirectory: _showView(directory),
+    toggleModeration: _showView(moderation),
     changeDevices: _showView(devices),
 
     tweet: () => {
@@ -163,6 +196,7 @@ addEventListeners(controls, {
 
     leave: async () => {
         directory.clear();
+        moderation.clear();
         await client.leaveAsync();
     },
 
@@ -180,6 +214,21 @@ addEventListeners(controls, {
         await client.toggleVideoMutedAsync();
     },
 
+    toggleScreenShare: async () => {
+        try {
+            if (client.isScreenSharing) {
+                await client.stopScreenShareAsync();
+            }
+            else {
+                await client.startScreenShareAsync(game.getFreeScreenAnchor());
+            }
+        }
+        catch (exp) {
+            // the user closing the screen picker ends up here, too.
+            console.warn("Could not change the screen share", exp);
+        }
+    },
+
     zoomChanged: () => {
         settings.zoom = game.zoom = controls.zoom;
     }
@@ -206,7 +255,18 @@ addEventListeners(login, {
         window.history.replaceState({}, title, path);
 
         await directory.startAsync(roomName, login.userName);
-        await client.join(roomName, login.userName);
+        try {
+            await client.join(roomName, login.userName);
+        }
+        catch (exp) {
+            if (exp instanceof JitsiLoadError) {
+                login.connecting = false;
+                alert(`Could not connect to the conference server. ${exp.message}`);
+            }
+            else {
+                throw exp;
+            }
+        }
     }
 });
 
@@ -257,6 +317,32 @@ addEventListeners(options, {
 
     toggleVideo: async () => {
         await client.toggleVideoMutedAsync();
+    },
+
+    presenceChanged: async () => {
+        try {
+            await client.setPresenceAsync(options.presenceStatus, options.presenceText);
+        }
+        catch (exp) {
+            alert(exp.message);
+        }
+    },
+
+    toggleMuteWhenAway: () => {
+        settings.muteWhenAway
+            = client.muteWhenAway
+            = options.muteWhenAway;
+    },
+
+    transmitModeChanged: () => {
+        settings.transmitMode = options.transmitMode;
+        client.setTransmitMode(settings.transmitMode);
+    },
+
+    voiceThresholdChanged: () => {
+        settings.voiceThreshold
+            = client.voice.threshold
+            = options.voiceThreshold;
     }
 });
 
@@ -297,6 +383,24 @@ addEventListeners(game, {
         settings.preferredAudioInputID = client.preferredAudioInputID;
     },
 
+    pushToTalk: (evt) => {
+        client.setPushToTalk(evt.pressed);
+    },
+
+    whisper: (evt) => {
+        try {
+            if (evt.id === null) {
+                client.stopWhisper();
+            }
+            else {
+                client.startWhisper(evt.id);
+            }
+        }
+        catch (exp) {
+            directory.warn(exp.message);
+        }
+    },
+
     toggleVideo: async () => {
         await client.toggleVideoMutedAsync();
         settings.preferredVideoInputID = client.preferredVideoInputID;
@@ -317,10 +421,13 @@ addEventListeners(game, {
             = settings.avatarEmoji
             || people.random();
 
+        game.setPresence(client.localUserID, client.presenceStatus, client.presenceText);
         refreshUser(client.localUserID);
     },
 
     userMoved: (evt) => {
+        // gamepads don't raise events on the page, so moving is what keeps their users from going idle.
+        client.idle.markActive();
         client.setLocalPosition(evt.x, 0, evt.y);
     },
 
@@ -340,9 +447,53 @@ addEventListeners(directory, {
     },
     chatFocusChanged: () => {
         game.keyboardEnabled = !directory.chatFocused;
+    },
+    chatSend: (evt) => {
+        try {
+            if (evt.isLocal) {
+                client.sendLocalChatMessage(evt.text);
+            }
+            else {
+                client.sendChatMessage(evt.text);
+            }
+        }
+        catch (exp) {
+            directory.warn(exp.message);
+        }
+    },
+    whisper: (evt) => {
+        try {
+            if (client.whisperToUserID === evt.id) {
+                client.stopWhisper();
+            }
+            else {
+                client.startWhisper(evt.id);
+            }
+        }
+        catch (exp) {
+            directory.warn(exp.message);
+        }
     }
 });
 
+addEventListeners(moderation, {
+    kick: (evt) => moderate("kick", () => client.kick(evt.id)),
+
+    forceMute: (evt) => moderate("mute", () => client.forceMute(evt.id, evt.kind)),
+
+    // the Game's Y axis is the client's Z axis.
+    summon: (evt) => moderate("move", () => client.moveUser(evt.id, game.me.gridX, 0, game.me.gridY)),
+
+    toggleLock: () => moderate("change the lock", async () => {
+        if (client.roomLocked) {
+            await client.unlockRoomAsync();
+        }
+        else {
+            await client.lockRoomAsync();
+        }
+    })
+});
+
 addEventListeners(client, {
 
     videoConferenceJoined: async (evt) => {
@@ -377,9 +528,66 @@ addEventListeners(client, {
     },
 
     videoConferenceLeft: () => {
+        controls.moderationEnabled = false;
+        controls.screenShareEnabled = false;
+        moderation.locked = false;
         game.end();
     },
 
+    participantRoleChanged: refreshRole,
+
+    roomLockChanged: (evt) => {
+        moderation.locked = evt.locked;
+    },
+
+    moderatorAction: (evt) => {
+        const target = evt.targetID
+            ? userName(evt.targetID)
+            : null;
+        const descriptions = {
+            kick: `kicked ${target}`,
+            mute: `muted ${target}'s ${evt.kind === "video" ? "camera" : "microphone"}`,
+            lock: "locked the room",
+            unlock: "unlocked the room",
+            move: `moved ${target}`
+        };
+        moderation.addLogEntry(`${userName(evt.id)} ${descriptions[evt.action]}`);
+
+        if (evt.action === "move"
+            && evt.targetID === client.localUserID) {
+            game.warpMeTo(evt.x, evt.z);
+        }
+    },
+
+    moderatorActionRejected: (evt) => {
+        moderation.addLogEntry(`Ignored "${evt.action}" from ${userName(evt.id)}: ${evt.reason}`, true);
+    },
+
+    kicked: (evt) => {
+        directory.clear();
+        moderation.clear();
+        login.connected = false;
+        alert(`You were removed from the room by ${userName(evt.id)}${evt.reason ? `: ${evt.reason}` : "."}`);
+    },
+
+    reconnecting: (evt) => {
+        controls.statusMessage = `Connection lost. Reconnecting (attempt ${evt.attempt})...`;
+    },
+
+    reconnected: (evt) => {
+        controls.statusMessage = null;
+        if (evt.previousID !== evt.id) {
+            game.changeUserID(evt.previousID, evt.id);
+            directory.delete(evt.previousID);
+            moderation.delete(evt.previousID);
+        }
+        refreshUser(evt.id);
+    },
+
+    reconnectFailed: () => {
+        controls.statusMessage = null;
+    },
+
     participantJoined: (evt) => {
         client.audio.playClip("join", 0.5);
         game.addUser(evt.id, evt.displayName, evt.pose);
@@ -389,6 +597,7 @@ addEventListeners(client, {
         client.audio.playClip("leave", 0.5);
         game.removeUser(evt.id);
         directory.delete(evt.id);
+        moderation.delete(evt.id);
     },
 
     audioChanged: (evt) => {
@@ -437,7 +646,7 @@ addEventListeners(client, {
     },
 
     userInitRequest: (evt) => {
-        client.userInitResponse(evt.id, game.me.serialize());
+        Object.assign(evt.response, game.me.serialize());
     },
 
     userInitResponse: (evt) => {
@@ -449,6 +658,11 @@ addEventListeners(client, {
         game.emote(evt.id, evt);
     },
 
+    chatMessage: (evt) => {
+        // history is attributed to whoever handed it off, so only its claimed sender's name is shown.
+        directory.addMessage(evt, !evt.isHistory && game.users.get(evt.id) || null);
+    },
+
     setAvatarEmoji: (evt) => {
         game.setAvatarEmoji(evt.id, evt);
         refreshUser(evt.id);
@@ -456,6 +670,53 @@ addEventListeners(client, {
 
     audioActivity: (evt) => {
         game.updateAudioActivity(evt.id, evt.isActive);
+    },
+
+    screenShareAdded: (evt) => {
+        game.addScreenShare(evt.id, evt.stream, evt.anchor);
+        if (evt.id === client.localUserID) {
+            controls.screenShareEnabled = true;
+        }
+    },
+
+    screenShareMoved: (evt) => {
+        game.moveScreenShare(evt.id, evt.anchor);
+    },
+
+    screenShareRemoved: (evt) => {
+        game.removeScreenShare(evt.id);
+        if (evt.id === client.localUserID) {
+            controls.screenShareEnabled = false;
+        }
+    },
+
+    presenceChanged: (evt) => {
+        game.setPresence(evt.id, evt.status, evt.text);
+        refreshUser(evt.id);
+        if (evt.id === client.localUserID) {
+            options.presenceStatus = evt.status;
+            options.presenceText = evt.text;
+        }
+    },
+
+    micLiveChanged: (evt) => {
+        game.setMicLive(evt.id, evt.live);
+    },
+
+    whisperChanged: (evt) => {
+        const ids = [evt.id, game.whispers.get(evt.id), evt.toUserID];
+        game.setWhisper(evt.id, evt.toUserID);
+        for (let id of new Set(ids)) {
+            if (id) {
+                refreshUser(id);
+            }
+        }
+    },
+
+    connectionStats: (evt) => {
+        for (let stats of evt.stats) {
+            game.setSignalStrength(stats.id, stats.signalStrength);
+        }
     }
 });
 
@@ -476,6 +737,10 @@ options.fontSize = game.fontSize = settings.fontSize;
 options.gamepads = navigator.getGamepads();
 options.gamepadIndex = game.gamepadIndex = settings.gamepadIndex;
 options.inputBinding = game.inputBinding = settings.inputBinding;
+options.muteWhenAway = client.muteWhenAway = settings.muteWhenAway;
+options.transmitMode = settings.transmitMode;
+client.setTransmitMode(settings.transmitMode);
+options.voiceThreshold = client.voice.threshold = settings.voiceThreshold;
 
 controls.zoom = game.zoom = settings.zoom;
 game.cameraZ = game.targetCameraZ;
@@ -28,6 +28,12 @@ class TileMapPrivate {
         /** @type {OffscreenCanvas[]} */
         this.layerImages = [];
 
+        /**
+         * The spots, in tiles, that the map's author set aside for shared screens.
+         * @type {{x: number, y: number, width: number, height: number}[]}
+         **/
+        this.screenSpots = [];
+
         Object.seal(this);
     }
 }
@@ -54,7 +60,8 @@ export class TileMap {
             tileHeight = 1 * map.getAttribute("tileheight"),
             tileset = map.querySelector("tileset"),
             tilesetSource = tileset.getAttribute("source"),
-            layers = map.querySelectorAll("layer > data");
+            layers = map.querySelectorAll("layer > data"),
+            objects = map.querySelectorAll("objectgroup > object");
 
         self.layers = layers.length;
         self.width = width;
@@ -89,6 +96,22 @@ export class TileMap {
             self.tiles.push(rows);
         }
 
+        // Tiled calls an object's type its "class" in newer versions.
+        self.screenSpots = [];
+        for (let obj of objects) {
+            const type = obj.getAttribute("type")
+                || obj.getAttribute("class")
+                || obj.getAttribute("name");
+            if (type === "screen") {
+                self.screenSpots.push({
+                    x: 1 * obj.getAttribute("x") / tileWidth + self.offsetX,
+                    y: 1 * obj.getAttribute("y") / tileHeight + self.offsetY,
+                    width: Math.max(1, 1 * obj.getAttribute("width") / tileWidth),
+                    height: Math.max(1, 1 * obj.getAttribute("height") / tileHeight)
+                });
+            }
+        }
+
         self.tileset = new TileSet(new URL(tilesetSource, self.url));
         await self.tileset.load();
         self.tileWidth = self.tileset.tileWidth;
@@ -139,6 +162,30 @@ export class TileMap {
         return selfs.get(this).tileHeight;
     }
 
+    /**
+     * The spots, in tiles, that the map's author set aside for shared screens.
+     * @type {{x: number, y: number, width: number, height: number}[]}
+     **/
+    get screenSpots() {
+        return selfs.get(this).screenSpots;
+    }
+
+    /**
+     * Finds the screen spot that covers a tile.
+     * @param {number} x
+     * @param {number} y
+     */
+    getScreenSpotAt(x, y) {
+        for (let spot of this.screenSpots) {
+            if (spot.x <= x && x < spot.x + spot.width
+                && spot.y <= y && y < spot.y + spot.height) {
+                return spot;
+            }
+        }
+
+        return null;
+    }
+
     isInBounds(x, y) {
         return 0 <= x && x < this.width
             && 0 <= y && y < this.height;
@@ -0,0 +1,135 @@
+import { AudioManager } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+const LOCAL_ID = "local",
+    REMOTE_ID = "remote";
+
+/**
+ * Stands in for a spatializer, recording what culling does to it.
+ **/
+class MockSpatializer {
+    constructor() {
+        this.attached = true;
+        this.level = 1;
+        this.updates = 0;
+    }
+
+    update() {
+        ++this.updates;
+    }
+
+    fadeTo(level) {
+        this.level = level;
+    }
+
+    detach() {
+        this.attached = false;
+    }
+
+    attach() {
+        this.attached = true;
+    }
+
+    dispose() {
+    }
+}
+
+/**
+ * Stands in for an activity analyser, counting its updates.
+ **/
+class MockAnalyser {
+    constructor() {
+        this.attached = true;
+        this.updates = 0;
+    }
+
+    update() {
+        ++this.updates;
+    }
+
+    detach() {
+        this.attached = false;
+    }
+
+    attach() {
+        this.attached = true;
+    }
+}
+
+export class AudioCulling_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        this.audio = new AudioManager();
+        this.audio.cullFadeTime = 0;
+        this.audio.createLocalUser(LOCAL_ID);
+
+        this.spatializer = new MockSpatializer();
+        this.audio.createUser(REMOTE_ID).spatializer = this.spatializer;
+
+        this.analyser = new MockAnalyser();
+        this.audio.analysers.set(REMOTE_ID, this.analyser);
+    }
+
+    /**
+     * @param {number} x
+     */
+    moveRemoteTo(x) {
+        this.audio.setUserPosition(REMOTE_ID, x, 0, 0, 0);
+        this.audio.update();
+    }
+
+    test_000_nearbyUsersAreProcessed() {
+        this.moveRemoteTo(5);
+        this.isTrue(this.spatializer.attached, "Attached");
+        this.isEqualTo(this.spatializer.updates, 1, "Spatializer updated");
+        this.isEqualTo(this.analyser.updates, 1, "Analyser updated");
+        this.isEqualTo(this.audio.getCullingStats().audible, 1, "Audible");
+    }
+
+    test_010_farUsersFadeOutThenDetach() {
+        this.moveRemoteTo(20);
+        this.isEqualTo(this.spatializer.level, 0, "Faded out");
+        this.isTrue(this.spatializer.attached, "Still attached while fading");
+        this.isEqualTo(this.audio.getCullingStats().fading, 1, "Fading");
+
+        this.audio.update();
+        this.isFalse(this.spatializer.attached, "Spatializer detached");
+        this.isFalse(this.analyser.attached, "Analyser detached");
+
+        const updates = this.spatializer.updates;
+        this.audio.update();
+        this.isEqualTo(this.spatializer.updates, updates, "No more spatializer updates");
+
+        const stats = this.audio.getCullingStats();
+        this.isEqualTo(stats.culled, 1, "Culled");
+        this.isEqualTo(stats.audible, 0, "Nobody audible");
+        this.isEqualTo(stats.detaches, 1, "Detaches");
+        this.isTrue(stats.skippedSpatializerUpdates > 0, "Skipped spatializer updates");
+        this.isTrue(stats.skippedAnalyserUpdates > 0, "Skipped analyser updates");
+    }
+
+    test_020_hysteresis() {
+        this.moveRemoteTo(20);
+        this.audio.update();
+        this.isFalse(this.spatializer.attached, "Detached");
+
+        this.moveRemoteTo(this.audio.maxDistance + this.audio.cullHysteresis / 2);
+        this.isFalse(this.spatializer.attached, "Still detached just past the edge");
+
+        this.moveRemoteTo(this.audio.maxDistance - 1);
+        this.isTrue(this.spatializer.attached, "Reattached");
+        this.isTrue(this.analyser.attached, "Analyser reattached");
+        this.isEqualTo(this.spatializer.level, 1, "Faded in");
+        this.isEqualTo(this.audio.getCullingStats().reattaches, 1, "Reattaches");
+    }
+
+    test_030_disabled() {
+        this.audio.cullingEnabled = false;
+        this.moveRemoteTo(20);
+        this.audio.update();
+        this.isTrue(this.spatializer.attached, "Never detached");
+        this.isEqualTo(this.spatializer.level, 1, "Never faded");
+    }
+}
@@ -0,0 +1,55 @@
+import { ClockSync, once } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+export class ClockSync_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        // two clocks that deliver messages to each other after a short delay.
+        const link = (getOther, fromUserID) => (toUserID, command, value) =>
+            setTimeout(() => {
+                const other = getOther();
+                if (command === "clockPing") {
+                    other.receivePing(fromUserID, value.t0);
+                }
+                else {
+                    other.receivePong(fromUserID, value.t0, value.t1, value.t2);
+                }
+            }, 10);
+
+        this.a = new ClockSync(link(() => this.b, "a"));
+        this.b = new ClockSync(link(() => this.a, "b"));
+    }
+
+    teardown() {
+        this.a.stop();
+        this.b.stop();
+    }
+
+    test_000_referenceIsLowestID() {
+        this.a.setUsers("a", ["b"]);
+        this.b.setUsers("b", ["a"]);
+        this.isEqualTo(this.a.referenceID, "a", "A's reference");
+        this.isEqualTo(this.b.referenceID, "a", "B's reference");
+        this.isEqualTo(this.a.error, 0, "Reference has no error");
+    }
+
+    async test_010_estimatesReferenceTime() {
+        this.a.setUsers("a", ["b"]);
+        const changedTask = once(this.b, "sharedTimeChanged", 1000);
+        this.b.setUsers("b", ["a"]);
+        await changedTask;
+
+        const diff = Math.abs(this.b.time - this.a.time);
+        this.isLessThanEqual(diff, this.b.error + 0.001, "Within error bound");
+        this.isGreaterThan(this.b.error, 0, "Positive error bound");
+    }
+
+    test_020_stopForgetsEstimate() {
+        this.a.setUsers("a", ["b"]);
+        this.a.stop();
+        this.isNull(this.a.time, "Time");
+        this.isNull(this.a.referenceID, "Reference");
+    }
+}
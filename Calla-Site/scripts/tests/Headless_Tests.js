@@ -0,0 +1,65 @@
+import { CallaClient, LoopbackHub, LoopbackTransport, MockAudioContext, once } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+const TEST_ROOM_NAME = "headlessroom";
+
+export class Headless_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        this.hub = new LoopbackHub();
+        this.client1 = new CallaClient(new LoopbackTransport(this.hub), null, null, { headless: true });
+        this.client2 = new CallaClient(new LoopbackTransport(this.hub), null, null, { headless: true });
+    }
+
+    async joinBoth() {
+        const join1Task = once(this.client1, "videoConferenceJoined", 5000);
+        await this.client1.join(TEST_ROOM_NAME, "HeadlessUser1");
+        await join1Task;
+
+        const participantTask = once(this.client1, "participantJoined", 5000);
+        await this.client2.join(TEST_ROOM_NAME, "HeadlessUser2");
+        await participantTask;
+    }
+
+    test_000_mockAudio() {
+        this.isTrue(this.client1.headless, "Headless");
+        this.isTrue(this.client1.audio.audioContext instanceof MockAudioContext, "Audio context");
+        this.isTrue(this.client1.audio.ready, "Audio ready");
+    }
+
+    test_010_ignoresStreams() {
+        const user = this.client1.audio.createUser("remote");
+        this.client1.audio.setUserStream("remote", new MediaStream());
+        this.isNull(user.spatializer, "Spatializer");
+        this.isFalse(this.client1.audio.analysers.has("remote"), "Analyser");
+    }
+
+    async test_020_noClips() {
+        let error = null;
+        try {
+            await this.client1.audio.createClip("clip", false, false, false, null, "clip.mp3");
+        }
+        catch (exp) {
+            error = exp;
+        }
+        this.isNotNull(error, "Error");
+    }
+
+    async test_030_noDevices() {
+        const devices = await this.client1.getAvailableDevicesAsync();
+        this.isEmpty(devices.audioInput, "Audio inputs");
+        this.isEmpty(devices.audioOutput, "Audio outputs");
+        this.isEmpty(devices.videoInput, "Video inputs");
+    }
+
+    async test_040_chat() {
+        await this.joinBoth();
+        const chatTask = once(this.client2, "chatMessage", 5000);
+        this.client1.sendChatMessage("Beep boop");
+        const evt = await chatTask;
+        this.isEqualTo(evt.id, this.client1.localUserID, "Sender ID");
+        this.isEqualTo(evt.text, "Beep boop", "Text");
+    }
+}
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { ClockOffset, InterpolatedPose } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+export class InterpolatedPose_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        this.pose = new InterpolatedPose();
+        this.pose.playoutDelay = 0.1;
+        this.pose.maxExtrapolation = 0.1;
+        for (let i = 0; i <= 5; ++i) {
+            this.pose.addSample(i, 0, 0, 0, 0, -1, 0, 1, 0, i * 0.1);
+        }
+    }
+
+    test_000_playsBackAfterDelay() {
+        this.pose.update(0.35);
+        this.isEqualTo(this.pose.current.p.x.toFixed(3), "2.500", "Halfway between samples");
+    }
+
+    test_010_extrapolatesLateSamples() {
+        this.pose.update(0.65);
+        this.isGreaterThan(this.pose.current.p.x, 5, "Keeps moving past the last sample");
+    }
+
+    test_020_settlesOnLastSample() {
+        this.pose.update(1);
+        this.isEqualTo(this.pose.current.p.x, 5, "Comes back to the last sample");
+    }
+
+    test_030_ignoresStaleSamples() {
+        this.pose.update(0.45);
+        this.pose.addSample(100, 0, 0, 0, 0, -1, 0, 1, 0, 0.05);
+        this.pose.update(0.45);
+        this.isEqualTo(this.pose.current.p.x.toFixed(3), "3.500", "Stale sample");
+    }
+
+    test_035_sameTimestamps() {
+        this.pose.addSample(50, 0, 0, 0, 0, -1, 0, 1, 0, 0.5);
+        this.pose.update(1);
+        this.isTrue(Number.isFinite(this.pose.current.p.x), "Repeated timestamp");
+        this.isEqualTo(this.pose.current.p.x, 50, "Newer pose wins");
+
+        const pose = new InterpolatedPose();
+        pose.playoutDelay = 0;
+        pose.addSample(1, 0, 0, 0, 0, -1, 0, 1, 0, 0);
+        pose.update(0.05);
+        this.isTrue(Number.isFinite(pose.current.p.x), "No playout delay");
+        this.isEqualTo(pose.current.p.x, 1, "Holds the only pose");
+    }
+
+    test_040_clockOffsetUsesFastestMessage() {
+        const clock = new ClockOffset();
+        clock.addSample(1000, 5050);
+        clock.addSample(1100, 5130);
+        clock.addSample(1200, 5260);
+        this.isEqualTo(clock.offset, 4030, "Offset");
+        this.isEqualTo(clock.toLocal(1300), 5330, "Local time");
+    }
+}
@@ -0,0 +1,70 @@
+import { JitsiLoadError, loadJitsiMeetJS } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+const TEST_HOST = "jitsi.example.com";
+
+/**
+ * Enough of JitsiMeetJS to pass for the real thing.
+ **/
+const fakeJitsiMeetJS = {
+    init() { },
+    setLogLevel() { },
+    JitsiConnection: function () { }
+};
+
+export class JitsiLoader_Tests extends TestCase {
+
+    async test_000_preloaded() {
+        const lib = await loadJitsiMeetJS(TEST_HOST, {
+            jitsiMeetJS: fakeJitsiMeetJS
+        });
+        this.isEqualTo(lib, fakeJitsiMeetJS, "Same object");
+    }
+
+    async test_010_factory() {
+        const lib = await loadJitsiMeetJS(TEST_HOST, {
+            factory: async () => ({ default: fakeJitsiMeetJS })
+        });
+        this.isEqualTo(lib, fakeJitsiMeetJS, "Default export");
+    }
+
+    /**
+     * Loads the library, expecting it to fail.
+     * @param {import("../lib/calla").JitsiLoaderOptions} options
+     * @returns {Promise<JitsiLoadError>}
+     */
+    async getErrorAsync(options) {
+        try {
+            await loadJitsiMeetJS(TEST_HOST, options);
+            return null;
+        }
+        catch (exp) {
+            this.isTrue(exp instanceof JitsiLoadError, "Error type");
+            return exp;
+        }
+    }
+
+    async test_020_notJitsi() {
+        const error = await this.getErrorAsync({
+            jitsiMeetJS: {}
+        });
+        this.isEqualTo(error && error.code, "notFound", "Error code");
+    }
+
+    async test_030_timeout() {
+        const error = await this.getErrorAsync({
+            factory: () => new Promise(() => { }),
+            timeout: 10
+        });
+        this.isEqualTo(error && error.code, "timeout", "Error code");
+    }
+
+    async test_040_loadFailed() {
+        const cause = new Error("offline"),
+            error = await this.getErrorAsync({
+                factory: () => Promise.reject(cause)
+            });
+        this.isEqualTo(error && error.code, "loadFailed", "Error code");
+        this.isEqualTo(error && error.cause, cause, "Cause");
+    }
+}
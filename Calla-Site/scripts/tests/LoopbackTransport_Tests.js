@@ -0,0 +1,852 @@
+import { bust } from "../emoji/emojis";
+import { AudioRoute, CallaBot, CallaClient, LoopbackHub, LoopbackTrack, LoopbackTransport, once, PoseTimeline, PresenceStatus, RpcError, TransmitMode, wait } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+const TEST_ROOM_NAME = "loopbackroom";
+
+/**
+ * Refuses to send a shared screen, the way older versions of lib-jitsi-meet
+ * refuse a second video track.
+ **/
+class OneVideoTrackTransport extends LoopbackTransport {
+    async createScreenTrackAsync() {
+        const track = new LoopbackTrack(this.localUserID, "video", null, null);
+        track.videoType = "desktop";
+        return track;
+    }
+
+    addTrack(track) {
+        if (track.videoType === "desktop") {
+            return Promise.reject(new Error("Only one video track can be sent."));
+        }
+
+        return super.addTrack(track);
+    }
+}
+
+export class LoopbackTransport_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        this.hub = new LoopbackHub();
+        this.client1 = new CallaClient(new LoopbackTransport(this.hub));
+        this.client2 = new CallaClient(new LoopbackTransport(this.hub));
+    }
+
+    async joinBoth() {
+        const join1Task = once(this.client1, "videoConferenceJoined", 5000);
+        await this.client1.join(TEST_ROOM_NAME, "LoopbackUser1");
+        await join1Task;
+
+        const join2Task = once(this.client2, "videoConferenceJoined", 5000),
+            participant1Task = once(this.client1, "participantJoined", 5000),
+            participant2Task = once(this.client2, "participantJoined", 5000);
+        await this.client2.join(TEST_ROOM_NAME, "LoopbackUser2");
+        await join2Task;
+
+        const evt1 = await participant1Task,
+            evt2 = await participant2Task;
+        this.isEqualTo(evt1.id, this.client2.localUserID, "User 2 seen by user 1");
+        this.isEqualTo(evt2.id, this.client1.localUserID, "User 1 seen by user 2");
+    }
+
+    /**
+     * Waits for a user's presence to change to a status.
+     * @param {CallaClient} client - the client that hears about the change.
+     * @param {string} id - the user whose presence changes.
+     * @param {string} status
+     */
+    async presenceOf(client, id, status) {
+        let evt = null;
+        do {
+            evt = await once(client, "presenceChanged", 5000);
+        } while (evt.id !== id
+            || evt.status !== status);
+        return evt;
+    }
+
+    /**
+     * Waits for a client to hear that a user is whispering to someone, or has stopped.
+     * @param {CallaClient} client - the client that hears about the change.
+     * @param {string} id - the user who is whispering.
+     * @param {string} toUserID - the user being whispered to, or null for stopping.
+     */
+    async whisperOf(client, id, toUserID) {
+        let evt = null;
+        do {
+            evt = await once(client, "whisperChanged", 5000);
+        } while (evt.id !== id
+            || evt.toUserID !== toUserID);
+        return evt;
+    }
+
+    /**
+     * Waits for a client's microphone to open or close.
+     * @param {CallaClient} client
+     * @param {boolean} live
+     */
+    async micLiveOf(client, live) {
+        while (client.isMicLive !== live) {
+            await once(client, "micLiveChanged", 5000);
+        }
+    }
+
+    async test_000_joinLoopback() {
+        await this.joinBoth();
+        this.isEqualTo(this.client1.userIDs().length, 1, "User 1 peer count");
+        this.isEqualTo(this.client2.userIDs().length, 1, "User 2 peer count");
+        this.isEqualTo(this.client1.users()[0][1], "LoopbackUser2", "User 2 display name");
+    }
+
+    async test_010_sendEmoji() {
+        await this.joinBoth();
+        const emoteTask = once(this.client2, "emote", 5000);
+        this.client1.emote(bust);
+        const evt = await emoteTask;
+        this.isEqualTo(evt.id, this.client1.localUserID, "Sender ID");
+        this.isEqualTo(evt.value, bust.value, "Emoji value");
+        this.isEqualTo(evt.desc, bust.desc, "Emoji desc");
+    }
+
+    async test_020_participantLeft() {
+        await this.joinBoth();
+        const leftTask = once(this.client1, "participantLeft", 5000),
+            id = this.client2.localUserID;
+        await this.client2.leaveAsync();
+        const evt = await leftTask;
+        this.isEqualTo(evt.id, id, "UserID");
+        this.isFalse(this.client1.userExists(id), "Remote User");
+    }
+
+    async test_025_leaveWhileJoining() {
+        await this.client1.join(TEST_ROOM_NAME, "LoopbackUser1");
+        this.isFalse(this.client1.joined, "Still joining");
+        await this.client1.leaveAsync();
+        this.isFalse(this.client1.transport.isConnected, "Connection taken down");
+
+        await this.client2.join(TEST_ROOM_NAME, "LoopbackUser2");
+        await once(this.client2, "videoConferenceJoined", 5000);
+        await wait(100);
+        this.isEqualTo(this.client2.userIDs().length, 0, "Nobody left behind");
+    }
+
+    async test_030_reconnect() {
+        await this.joinBoth();
+        this.client1.reconnectDelayMin = 10;
+        this.client1.setLocalPose(3, 0, 4, 0, 0, -1, 0, 1, 0);
+
+        const oldID = this.client1.localUserID,
+            reconnectedTask = once(this.client1, "reconnected", 5000),
+            leftTask = once(this.client2, "participantLeft", 5000),
+            joinedTask = once(this.client2, "participantJoined", 5000);
+        this.client1.transport.interrupt();
+
+        const evt = await reconnectedTask;
+        this.isEqualTo(evt.previousID, oldID, "Previous ID");
+        this.isEqualTo(evt.id, this.client1.localUserID, "New ID");
+        this.isTrue(this.client1.joined, "Still joined");
+
+        const { p } = this.client1.audio.getUser(evt.id).pose.end;
+        this.isEqualTo(p.x, 3, "Restored X");
+        this.isEqualTo(p.z, 4, "Restored Z");
+
+        this.isEqualTo((await leftTask).id, oldID, "Old user left");
+        this.isEqualTo((await joinedTask).id, evt.id, "New user joined");
+    }
+
+    async test_035_leaveWhileReconnecting() {
+        await this.joinBoth();
+        this.client1.reconnectDelayMin = 200;
+
+        let rejoins = 0;
+        this.client1.addEventListener("reconnected", () => ++rejoins);
+        this.client1.addEventListener("reconnectFailed", () => ++rejoins);
+
+        const reconnectingTask = once(this.client1, "reconnecting", 5000),
+            leftTask = once(this.client2, "participantLeft", 5000);
+        this.client1.transport.interrupt();
+        await reconnectingTask;
+        await this.client1.leaveAsync();
+        await leftTask;
+
+        await wait(600);
+        this.isFalse(this.client1.reconnecting, "Stopped reconnecting");
+        this.isFalse(this.client1.joined, "Left");
+        this.isNull(this.client1.localUserID, "No user");
+        this.isEqualTo(rejoins, 0, "Didn't rejoin");
+        this.isEqualTo(this.client2.userIDs().length, 0, "Nobody else in the room");
+    }
+
+    async test_040_customCommand() {
+        await this.joinBoth();
+        for (let client of [this.client1, this.client2]) {
+            client.registerCommand("dice", "roll", (value) => value !== null
+                && Number.isInteger(value.sides));
+        }
+
+        const rollTask = once(this.client2, "dice:roll", 5000);
+        this.client1.sendCommandTo(this.client2.localUserID, "dice", "roll", { sides: 6 });
+        const evt = await rollTask;
+        this.isEqualTo(evt.id, this.client1.localUserID, "Sender ID");
+        this.isEqualTo(evt.namespace, "dice", "Namespace");
+        this.isEqualTo(evt.value.sides, 6, "Payload");
+    }
+
+    async test_050_invalidCustomCommand() {
+        await this.joinBoth();
+        for (let client of [this.client1, this.client2]) {
+            client.registerCommand("dice", "roll", (value) => value !== null
+                && Number.isInteger(value.sides));
+        }
+
+        let received = 0;
+        this.client2.addEventListener("dice:roll", () => ++received);
+        this.client1.broadcastCommand("dice", "roll", { sides: "many" });
+        this.client1.broadcastCommand("dice", "roll", { sides: 20 });
+        await once(this.client2, "dice:roll", 5000);
+        this.isEqualTo(received, 1, "Only the valid command arrives");
+    }
+
+    async test_060_request() {
+        await this.joinBoth();
+        this.client2.handle("add", ([a, b], fromUserID) => {
+            this.isEqualTo(fromUserID, this.client1.localUserID, "Caller ID");
+            return a + b;
+        });
+
+        const sum = await this.client1.request(this.client2.localUserID, "add", [2, 3]);
+        this.isEqualTo(sum, 5, "Result");
+    }
+
+    async test_065_requestRetryRunsHandlerOnce() {
+        // loses the first answer to the count request, so the request has to be sent again.
+        let answers = 0;
+        class LossyTransport extends LoopbackTransport {
+            sendMessage(toUserID, data) {
+                if (data.command !== "rpcResponse"
+                    || typeof data.value.result !== "number"
+                    || answers++ > 0) {
+                    super.sendMessage(toUserID, data);
+                }
+            }
+        }
+
+        await this.joinBoth();
+        const client3 = new CallaClient(new LossyTransport(this.hub), null, null, { headless: true });
+        const joinedTask = once(this.client1, "participantJoined", 5000);
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+        await joinedTask;
+
+        let calls = 0;
+        client3.handle("count", () => ++calls);
+        const count = await this.client1.request(client3.localUserID, "count", null, {
+            timeout: 500,
+            retries: 2
+        });
+
+        this.isEqualTo(answers, 2, "Answered twice");
+        this.isEqualTo(calls, 1, "Handler ran once");
+        this.isEqualTo(count, 1, "Result of the first run");
+        await client3.leaveAsync();
+    }
+
+    async test_070_requestError() {
+        await this.joinBoth();
+        this.client2.handle("fail", () => {
+            throw new Error("Nope");
+        });
+
+        let error = null;
+        try {
+            await this.client1.request(this.client2.localUserID, "fail");
+        }
+        catch (exp) {
+            error = exp;
+        }
+
+        this.isTrue(error instanceof RpcError, "Error type");
+        this.isEqualTo(error.code, "remote", "Error code");
+        this.isEqualTo(error.message, "Nope", "Error message");
+    }
+
+    async test_080_requestPeerLeft() {
+        await this.joinBoth();
+        this.client2.handle("never", () => new Promise(() => { }));
+
+        const requestTask = this.client1.request(this.client2.localUserID, "never", null, { timeout: 5000 });
+        await this.client2.leaveAsync();
+
+        let error = null;
+        try {
+            await requestTask;
+        }
+        catch (exp) {
+            error = exp;
+        }
+
+        this.isEqualTo(error && error.code, "peerLeft", "Error code");
+    }
+
+    async test_090_userInit() {
+        this.client2.addEventListener("userInitRequest", (evt) =>
+            Object.assign(evt.response, { avatarMode: "emoji", avatarID: bust }));
+
+        const initTask = once(this.client1, "userInitResponse", 5000);
+        await this.joinBoth();
+        const evt = await initTask;
+        this.isEqualTo(evt.id, this.client2.localUserID, "Responder ID");
+        this.isEqualTo(evt.avatarMode, "emoji", "Application state");
+        this.isEqualTo(evt.px, 0, "Pose");
+    }
+
+    async test_100_stateSnapshot() {
+        for (let client of [this.client1, this.client2]) {
+            client.registerStateSlice("score", () => 7, Number.isInteger);
+        }
+
+        this.client1.avatarEmoji = bust;
+        const emojiTask = once(this.client2, "setAvatarEmoji", 5000),
+            stateTask = once(this.client2, "userStateChanged", 5000);
+        await this.joinBoth();
+
+        const evt = await emojiTask;
+        this.isEqualTo(evt.id, this.client1.localUserID, "Sender ID");
+        this.isEqualTo(evt.value, bust.value, "Emoji value");
+
+        await stateTask;
+        this.isEqualTo(this.client2.getUserState(this.client1.localUserID, "score"), 7, "Custom slice");
+    }
+
+    async test_105_stateSnapshotTimesOut() {
+        let score = 7;
+        for (let client of [this.client1, this.client2]) {
+            client.registerStateSlice("score", () => score, Number.isInteger);
+        }
+
+        this.client1.handle("userState", null);
+        this.client1.handle("userState", () => new Promise(() => { }));
+        await this.joinBoth();
+
+        // the update is held back until the snapshot request gives up.
+        const stateTask = once(this.client2, "userStateChanged", 15000);
+        score = 8;
+        this.client1.updateStateSlice("score");
+        const evt = await stateTask;
+        this.isEqualTo(evt.name, "score", "Slice name");
+        this.isEqualTo(this.client2.getUserState(this.client1.localUserID, "score"), 8, "Update applied");
+    }
+
+    async test_110_sharedStoreSnapshot() {
+        this.client1.store.set("door", "open");
+        this.client1.store.add("playlist", "song");
+
+        const changedTask = once(this.client2.store, "changed", 5000);
+        await this.joinBoth();
+        await changedTask;
+        this.isEqualTo(this.client2.store.get("door"), "open", "Register");
+        this.isTrue(this.client2.store.has("playlist", "song"), "Set");
+    }
+
+    async test_120_chatHistoryHandoff() {
+        const client3 = new CallaClient(new LoopbackTransport(this.hub));
+
+        await this.joinBoth();
+        const receivedTask = once(this.client2, "chatMessage", 5000);
+        this.client1.sendChatMessage("Hello");
+        await receivedTask;
+
+        const historyTask = once(client3, "chatMessage", 5000);
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+        const evt = await historyTask;
+        this.isEqualTo(evt.text, "Hello", "Text");
+        this.isEqualTo(evt.displayName, "LoopbackUser1", "Sender name");
+        this.isTrue(evt.isHistory, "From history");
+        await client3.leaveAsync();
+    }
+
+    async test_130_localChat() {
+        const client3 = new CallaClient(new LoopbackTransport(this.hub));
+        await this.joinBoth();
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+        await once(client3, "videoConferenceJoined", 5000);
+
+        this.client2.setLocalPosition(2, 0, 0);
+        client3.setLocalPosition(20, 0, 0);
+        await wait(500);
+
+        let farReceived = false;
+        client3.addEventListener("chatMessage", (evt) => farReceived = farReceived || evt.isLocal);
+
+        const nearTask = once(this.client2, "chatMessage", 5000),
+            { recipientCount } = this.client1.sendLocalChatMessage("Hi, neighbor", 5);
+        const evt = await nearTask;
+        this.isEqualTo(recipientCount, 1, "Recipient count");
+        this.isTrue(evt.isLocal, "Marked local");
+
+        await wait(100);
+        this.isFalse(farReceived, "Far user gets nothing");
+        await client3.leaveAsync();
+    }
+
+    async test_140_moderatorRole() {
+        await this.joinBoth();
+        await wait(100);
+        this.isTrue(this.client1.isModerator, "First user is moderator");
+        this.isFalse(this.client2.isModerator, "Second user is not");
+        this.isEqualTo(this.client2.getRole(this.client1.localUserID), "moderator", "Remote role");
+        this.throws(() => this.client2.kick(this.client1.localUserID), "Non-moderator kick");
+    }
+
+    async test_150_kick() {
+        await this.joinBoth();
+        const kickedTask = once(this.client2, "kicked", 5000),
+            auditTask = once(this.client1, "moderatorAction", 5000),
+            leftTask = once(this.client1, "participantLeft", 5000);
+        this.client1.kick(this.client2.localUserID);
+
+        const audit = await auditTask;
+        this.isEqualTo(audit.action, "kick", "Audited action");
+
+        const evt = await kickedTask;
+        this.isEqualTo(evt.id, this.client1.localUserID, "Kicked by");
+        await leftTask;
+        this.isFalse(this.client2.joined, "Kicked user is out");
+    }
+
+    async test_160_lockRoom() {
+        const client3 = new CallaClient(new LoopbackTransport(this.hub));
+        await this.joinBoth();
+
+        const lockTask = once(this.client2, "roomLockChanged", 5000);
+        await this.client1.lockRoomAsync();
+        const evt = await lockTask;
+        this.isTrue(evt.locked, "Locked");
+
+        const leftTask = once(client3, "videoConferenceLeft", 5000);
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+        await leftTask;
+        this.isFalse(client3.joined, "Locked out");
+
+        const unlockTask = once(this.client1, "roomLockChanged", 5000);
+        await this.client1.unlockRoomAsync();
+        await unlockTask;
+        this.isFalse(this.client1.roomLocked, "Unlocked");
+    }
+
+    async test_170_moveAndMute() {
+        await this.joinBoth();
+        const moveTask = once(this.client2, "moderatorAction", 5000);
+        this.client1.moveUser(this.client2.localUserID, 4, 0, 5);
+        const evt = await moveTask;
+        this.isEqualTo(evt.action, "move", "Action");
+        this.isEqualTo(evt.targetID, this.client2.localUserID, "Target");
+
+        const { p } = this.client2.audio.getUser(this.client2.localUserID).pose.end;
+        this.isEqualTo(p.x, 4, "Moved X");
+        this.isEqualTo(p.z, 5, "Moved Z");
+
+        const rejectedTask = once(this.client1, "moderatorActionRejected", 5000);
+        this.client2.broadcastMessage("moderate", { action: "kick", targetID: this.client1.localUserID });
+        const rejected = await rejectedTask;
+        this.isEqualTo(rejected.id, this.client2.localUserID, "Rejected sender");
+    }
+
+    async test_180_authRejected() {
+        this.hub.verifyToken = (token) => token === "good";
+
+        const failedTask = once(this.client1, "authFailed", 5000);
+        await this.client1.join(TEST_ROOM_NAME, "LoopbackUser1", { auth: { token: "bad" } });
+        const evt = await failedTask;
+        this.isEqualTo(evt.reason, "tokenRejected", "Reason");
+        this.isFalse(this.client1.joined, "Not joined");
+
+        const guestTask = once(this.client2, "authFailed", 5000);
+        await this.client2.join(TEST_ROOM_NAME, "LoopbackUser2");
+        const guestEvt = await guestTask;
+        this.isEqualTo(guestEvt.reason, "authenticationRequired", "Guest reason");
+    }
+
+    async test_190_authRefreshAndGuests() {
+        this.hub.verifyToken = (token) => token === "fresh";
+        this.hub.allowGuests = true;
+
+        let calls = 0;
+        const joinTask = once(this.client1, "videoConferenceJoined", 5000);
+        await this.client1.join(TEST_ROOM_NAME, "LoopbackUser1", {
+            auth: {
+                token: async () => ++calls === 1 ? "stale" : "fresh"
+            }
+        });
+        await joinTask;
+        this.isEqualTo(calls, 2, "Provider called again after rejection");
+
+        const guestTask = once(this.client2, "videoConferenceJoined", 5000);
+        await this.client2.join(TEST_ROOM_NAME, "LoopbackUser2", { auth: { guestDomain: "guest.loopback" } });
+        await guestTask;
+        this.isTrue(this.client2.joined, "Guest joined");
+    }
+
+    async test_200_connectionStats() {
+        await this.joinBoth();
+        this.client1.stats.interval = 100;
+        this.client1.stats.stop();
+        this.client1.stats.start();
+
+        const evt = await once(this.client1, "connectionStats", 5000),
+            ids = evt.stats.map((stats) => stats.id);
+        this.isTrue(ids.indexOf(this.client1.localUserID) > -1, "Local stats");
+        this.isTrue(ids.indexOf(this.client2.localUserID) > -1, "Remote stats");
+        this.isEqualTo(evt.stats[0].signalStrength, 3, "Signal strength");
+        this.isEqualTo(this.client1.getConnectionStats().length, 2, "Snapshot");
+    }
+
+    async test_210_screenShare() {
+        await this.joinBoth();
+
+        const movedTask = once(this.client2, "screenShareMoved", 5000);
+        this.client1.moveScreenShare({ x: 2, y: 0, z: 3 });
+        await movedTask;
+
+        // getDisplayMedia needs the user to pick a screen, so share a stand-in track instead.
+        const track = new LoopbackTrack(this.client1.localUserID, "video", new MediaStream(), null);
+        track.videoType = "desktop";
+
+        const addedTask = once(this.client2, "screenShareAdded", 5000);
+        this.client1.transport.addTrack(track);
+        const added = await addedTask;
+        this.isEqualTo(added.id, this.client1.localUserID, "Sharer");
+        this.isEqualTo(added.anchor.x, 2, "Anchor X");
+        this.isEqualTo(added.anchor.z, 3, "Anchor Z");
+        this.isTrue(this.client1.isScreenSharing, "Sharing");
+        this.isTrue(this.client1.isVideoMuted, "Camera still off");
+
+        const removedTask = once(this.client2, "screenShareRemoved", 5000);
+        await this.client1.stopScreenShareAsync();
+        const removed = await removedTask;
+        this.isEqualTo(removed.id, this.client1.localUserID, "Stopped sharer");
+        this.isFalse(this.client1.isScreenSharing, "Stopped");
+        this.isNull(this.client1.screenAnchor, "Anchor reset");
+    }
+
+    async test_215_screenShareRejected() {
+        const client3 = new CallaClient(new OneVideoTrackTransport(this.hub)),
+            joinTask = once(client3, "videoConferenceJoined", 5000);
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+        await joinTask;
+
+        const start = performance.now();
+        let error = null;
+        try {
+            await client3.startScreenShareAsync({ x: 1, y: 0, z: 1 });
+        }
+        catch (exp) {
+            error = exp;
+        }
+
+        this.isNotNull(error, "Error");
+        this.isLessThan(performance.now() - start, 1000, "Didn't wait for the share");
+        this.isFalse(client3.isScreenSharing, "Not sharing");
+        this.isNull(client3.screenAnchor, "Anchor reset");
+        await client3.leaveAsync();
+    }
+
+    async test_220_videoReceivePolicy() {
+        await this.joinBoth();
+        const id2 = this.client2.localUserID;
+
+        this.client1.setLocalPosition(0, 0, 0);
+        this.client1.audio.setUserPosition(id2, 1, 0, 0);
+        this.client1.update();
+        let constraints = this.client1.transport.receiverConstraints;
+        this.isEqualTo(constraints.constraints[id2].maxHeight, this.client1.videoPolicy.highHeight, "Near");
+
+        this.client1.setVideoReceiveThresholds(undefined, 0.5);
+        this.client1.update();
+        constraints = this.client1.transport.receiverConstraints;
+        this.isEqualTo(constraints.lastN, 0, "Too far");
+        this.isEqualTo(constraints.selectedEndpoints.length, 0, "Nobody selected");
+    }
+
+    async test_230_botPath() {
+        const bot = new CallaBot(this.client1);
+        await this.joinBoth();
+
+        bot.followPath(new PoseTimeline([
+            { time: 0, x: 0, y: 0, z: 0 },
+            { time: 2, x: 4, y: 0, z: 0 }
+        ]));
+
+        const movedTask = once(this.client2, "userPoseChanged", 5000);
+        bot.update(bot.startTime + 1);
+
+        const { p, f } = this.client1.audio.getUser(this.client1.localUserID).pose.end;
+        this.isEqualTo(p.x, 2, "Halfway X");
+        this.isEqualTo(f.x, 1, "Facing the way it walks");
+
+        const evt = await movedTask;
+        this.isEqualTo(evt.id, this.client1.localUserID, "Seen by the other user");
+        bot.dispose();
+    }
+
+    async test_240_botCommands() {
+        const bot = new CallaBot(this.client1);
+        await this.joinBoth();
+        for (let command of ["pause", "goTo"]) {
+            this.client2.registerCommand("bot", command);
+        }
+
+        bot.followPath(new PoseTimeline([
+            { time: 0, x: 0, y: 0, z: 0 },
+            { time: 2, x: 4, y: 0, z: 0 }
+        ]));
+
+        const pauseTask = once(this.client1, "bot:pause", 5000);
+        this.client2.sendCommandTo(this.client1.localUserID, "bot", "pause");
+        await pauseTask;
+        this.isTrue(bot.isPaused, "Paused");
+
+        const goToTask = once(this.client1, "bot:goTo", 5000);
+        this.client2.sendCommandTo(this.client1.localUserID, "bot", "goTo", { x: 5, y: 0, z: 6 });
+        await goToTask;
+        bot.update();
+
+        const { p } = this.client1.audio.getUser(this.client1.localUserID).pose.end;
+        this.isFalse(bot.isPaused, "Walking again");
+        this.isEqualTo(p.x, 5, "Went to X");
+        this.isEqualTo(p.z, 6, "Went to Z");
+        bot.dispose();
+    }
+
+    async test_250_botTone() {
+        const bot = new CallaBot(this.client1);
+        await this.joinBoth();
+
+        const audioTask = once(this.client2, "audioAdded", 5000);
+        await bot.playToneAsync(440);
+        const evt = await audioTask;
+        this.isEqualTo(evt.id, this.client1.localUserID, "Bot audio arrived");
+        this.isNotNull(this.client1.audioInputStream, "Sending a stream");
+        bot.dispose();
+    }
+
+    async test_260_presence() {
+        await this.client1.setPresenceAsync(PresenceStatus.busy, "In a meeting");
+        const snapshotTask = once(this.client2, "presenceChanged", 5000);
+        await this.joinBoth();
+        const id = this.client1.localUserID;
+        let evt = await snapshotTask;
+        this.isEqualTo(evt.id, id, "Sender ID");
+        this.isEqualTo(evt.text, "In a meeting", "Text from snapshot");
+        this.isEqualTo(this.client2.getPresence(id).status, PresenceStatus.busy, "Status from snapshot");
+
+        const updateTask = this.presenceOf(this.client2, id, PresenceStatus.presenting);
+        await this.client1.setPresenceAsync(PresenceStatus.presenting);
+        evt = await updateTask;
+        this.isNull(evt.text, "Text cleared");
+        this.isEqualTo(this.client2.getPresence(this.client2.localUserID).status, PresenceStatus.available, "Local default");
+
+        let error = null;
+        try {
+            await this.client1.setPresenceAsync("asleep");
+        }
+        catch (exp) {
+            error = exp;
+        }
+
+        this.isNotNull(error, "Unknown status");
+    }
+
+    async test_270_idleAway() {
+        await this.joinBoth();
+        const id = this.client1.localUserID;
+        this.isTrue(this.client1.idle.isRunning, "Watching for idleness");
+
+        const awayTask = this.presenceOf(this.client2, id, PresenceStatus.away);
+        this.client1.idle.timeout = 0;
+        await awayTask;
+        this.isTrue(this.client1.idleAway, "Away from idleness");
+
+        const backTask = this.presenceOf(this.client2, id, PresenceStatus.available);
+        this.client1.idle.timeout = 60000;
+        this.client1.idle.markActive();
+        await backTask;
+        this.isFalse(this.client1.idleAway, "Back");
+
+        await this.client1.setPresenceAsync(PresenceStatus.busy);
+        this.client1.idle.timeout = 0;
+        await wait(1500);
+        this.isEqualTo(this.client1.presenceStatus, PresenceStatus.busy, "Busy stays busy");
+    }
+
+    async test_280_muteWhenAway() {
+        const client3 = new CallaClient(new LoopbackTransport(this.hub), null, null, { headless: true });
+        client3.muteWhenAway = true;
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+
+        const audioTask = once(client3, "audioAdded", 5000);
+        client3.transport.addTrack(new LoopbackTrack(client3.localUserID, "audio", null, null));
+        await audioTask;
+        this.isFalse(client3.isAudioMuted, "Talking");
+
+        await client3.setPresenceAsync(PresenceStatus.away);
+        this.isTrue(client3.isAudioMuted, "Muted while away");
+
+        await client3.setPresenceAsync(PresenceStatus.available);
+        this.isFalse(client3.isAudioMuted, "Unmuted when back");
+        await client3.leaveAsync();
+    }
+
+    async test_285_forceMuteWhileAway() {
+        await this.joinBoth();
+        const client3 = new CallaClient(new LoopbackTransport(this.hub), null, null, { headless: true });
+        client3.muteWhenAway = true;
+        const joinedTask = once(this.client1, "participantJoined", 5000);
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+        await joinedTask;
+
+        const audioTask = once(client3, "audioAdded", 5000);
+        client3.transport.addTrack(new LoopbackTrack(client3.localUserID, "audio", null, null));
+        await audioTask;
+
+        await client3.setPresenceAsync(PresenceStatus.away);
+        this.isTrue(client3.isAudioMuted, "Muted while away");
+
+        const muteTask = once(client3, "moderatorAction", 5000);
+        this.client1.forceMute(client3.localUserID);
+        await muteTask;
+
+        await client3.setPresenceAsync(PresenceStatus.available);
+        this.isTrue(client3.isAudioMuted, "Stays muted for the moderator");
+        await client3.leaveAsync();
+    }
+
+    async test_290_transmitModes() {
+        const client3 = new CallaClient(new LoopbackTransport(this.hub), null, null, { headless: true });
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+
+        const liveTask = once(client3, "micLiveChanged", 5000);
+        client3.transport.addTrack(new LoopbackTrack(client3.localUserID, "audio", null, null));
+        const evt = await liveTask;
+        this.isEqualTo(evt.id, client3.localUserID, "Local user");
+        this.isTrue(evt.live, "Open mic");
+
+        client3.setTransmitMode(TransmitMode.pushToTalk);
+        this.isFalse(client3.isMicLive, "Waiting to talk");
+        client3.setPushToTalk(true);
+        this.isTrue(client3.isMicLive, "Talking");
+        client3.setPushToTalk(false);
+        this.isFalse(client3.isMicLive, "Let go");
+
+        // headless clients can't measure the microphone, so it stays open.
+        client3.setTransmitMode(TransmitMode.voiceActivated);
+        this.isTrue(client3.isMicLive, "Voice activated");
+
+        await client3.setAudioMutedAsync(true);
+        this.isFalse(client3.isMicLive, "Muted");
+
+        this.throws(() => client3.setTransmitMode("shout"), "Unknown mode");
+        await client3.leaveAsync();
+    }
+
+    async test_295_voiceActivatedAfterPushToTalk() {
+        await this.joinBoth();
+        const stream = this.client1.audio.audioContext.createMediaStreamDestination().stream,
+            audioTask = once(this.client1, "audioAdded", 5000);
+        this.client1.transport.addTrack(new LoopbackTrack(this.client1.localUserID, "audio", stream, null));
+        await audioTask;
+
+        this.client1.setTransmitMode(TransmitMode.pushToTalk);
+        this.isFalse(stream.getAudioTracks()[0].enabled, "Closed until the key is pressed");
+
+        this.client1.setTransmitMode(TransmitMode.voiceActivated);
+        this.isTrue(this.client1.voice.isListening, "Listening");
+        this.isTrue(this.client1.voice.track.enabled, "Hears the microphone");
+    }
+
+    async test_300_whisper() {
+        await this.joinBoth();
+        const client3 = new CallaClient(new LoopbackTransport(this.hub), null, null, { headless: true });
+        const joinedTask = once(this.client1, "participantJoined", 5000);
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+        await joinedTask;
+
+        const audioTask = once(client3, "audioAdded", 5000);
+        client3.transport.addTrack(new LoopbackTrack(client3.localUserID, "audio", null, null));
+        await audioTask;
+        client3.setTransmitMode(TransmitMode.pushToTalk);
+
+        const id1 = this.client1.localUserID,
+            id2 = this.client2.localUserID,
+            id3 = client3.localUserID,
+            listenerTask = this.whisperOf(this.client2, id3, id2),
+            bystanderTask = this.whisperOf(this.client1, id3, id2);
+        client3.startWhisper(id2);
+        this.isTrue(client3.isWhispering, "Whispering");
+        await this.micLiveOf(client3, true);
+        await listenerTask;
+        await bystanderTask;
+        this.isEqualTo(this.client2.getWhisperTarget(id3), id2, "Target");
+        this.isEqualTo(this.client2.audio.getUserRoute(id3), AudioRoute.direct, "Listener hears it directly");
+        this.isEqualTo(this.client1.audio.getUserRoute(id3), AudioRoute.silenced, "Bystander hears nothing");
+
+        const stopTask = this.whisperOf(this.client1, id3, null);
+        client3.stopWhisper();
+        this.isFalse(client3.isMicLive, "Back to push-to-talk");
+        await stopTask;
+        this.isEqualTo(this.client1.audio.getUserRoute(id3), AudioRoute.spatialized, "Bystander hears the room again");
+
+        this.throws(() => client3.startWhisper(id3), "Whispering to yourself");
+        this.throws(() => client3.startWhisper("nobody"), "Whispering to nobody");
+
+        client3.startWhisper(id1);
+        const leftTask = this.whisperOf(client3, id3, null);
+        await this.client1.leaveAsync();
+        await leftTask;
+        this.isFalse(client3.isWhispering, "Stopped when the listener left");
+        await client3.leaveAsync();
+    }
+
+    async test_310_whisperWaitsForNewcomers() {
+        await this.joinBoth();
+        const client3 = new CallaClient(new LoopbackTransport(this.hub), null, null, { headless: true });
+        const joinedTask = once(this.client1, "participantJoined", 5000);
+        await client3.join(TEST_ROOM_NAME, "LoopbackUser3");
+        await joinedTask;
+
+        const audioTask = once(client3, "audioAdded", 5000);
+        client3.transport.addTrack(new LoopbackTrack(client3.localUserID, "audio", null, null));
+        await audioTask;
+
+        const id2 = this.client2.localUserID,
+            id3 = client3.localUserID;
+        client3.startWhisper(id2);
+        await this.micLiveOf(client3, true);
+
+        const client4 = new CallaClient(new LoopbackTransport(this.hub), null, null, { headless: true }),
+            closedTask = once(client3, "micLiveChanged", 5000),
+            newcomerTask = this.whisperOf(client4, id3, id2);
+        await client4.join(TEST_ROOM_NAME, "LoopbackUser4");
+        const evt = await closedTask;
+        this.isFalse(evt.live, "Quiet until the newcomer knows about the whisper");
+        await this.micLiveOf(client3, true);
+        await newcomerTask;
+        this.isEqualTo(client4.audio.getUserRoute(id3), AudioRoute.silenced, "Newcomer hears nothing");
+
+        // client1 pretends to be a build from before state updates.
+        client3.stopWhisper();
+        const heardTask = once(client3, "emote", 5000);
+        this.client1.txGameData(id3, {
+            hax: this.client1.appFingerPrint,
+            v: 5,
+            command: "emote",
+            value: { value: "x" }
+        });
+        await heardTask;
+        this.throws(() => client3.startWhisper(id2), "Someone would hear it");
+        this.isFalse(client3.isWhispering, "Not whispering");
+
+        await client4.leaveAsync();
+        await client3.leaveAsync();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { PoseReplicator, wait } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+export class PoseReplicator_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        /** @type {object[]} */
+        this.sent = [];
+
+        this.replicator = new PoseReplicator((value) => this.sent.push(value));
+        this.replicator.tickRate = 20;
+    }
+
+    async test_000_coalescesUpdates() {
+        for (let i = 0; i < 10; ++i) {
+            this.replicator.setPose(i, 0, 0, 0, 0, -1, 0, 1, 0);
+        }
+
+        await wait(100);
+        this.isEqualTo(this.sent.length, 1, "Update count");
+        this.isEqualTo(this.sent[0].px, 900, "Final position");
+    }
+
+    async test_010_sendsOnlyChanges() {
+        this.replicator.setPose(1, 0, 1, 0, 0, -1, 0, 1, 0);
+        await wait(100);
+        this.replicator.setPose(2, 0, 1, 0, 0, -1, 0, 1, 0);
+        await wait(100);
+
+        this.isEqualTo(this.sent.length, 2, "Update count");
+        // every update also carries the time it was sent.
+        this.isEqualTo(Object.keys(this.sent[0]).length, 10, "Keyframe size");
+        this.isEqualTo(Object.keys(this.sent[1]).length, 2, "Delta size");
+        this.isEqualTo(this.sent[1].px, 200, "Delta value");
+    }
+
+    async test_020_reassemblesRemotePoses() {
+        this.isNull(this.replicator.receive("remote", { px: 100 }), "Delta before keyframe");
+
+        this.replicator.receive("remote", { px: 100, py: 0, pz: 250, fx: 0, fy: 0, fz: -1000, ux: 0, uy: 1000, uz: 0 });
+        const pose = this.replicator.receive("remote", { px: 300 });
+        this.isEqualTo(pose[0], 3, "Updated X");
+        this.isEqualTo(pose[2], 2.5, "Kept Z");
+        this.isEqualTo(pose[5], -1, "Kept forward");
+    }
+
+    async test_030_sendsTimestamps() {
+        const start = Math.round(performance.now());
+        this.replicator.setPose(1, 0, 1, 0, 0, -1, 0, 1, 0);
+        await wait(100);
+        this.replicator.setPose(2, 0, 1, 0, 0, -1, 0, 1, 0);
+        await wait(100);
+
+        this.isEqualTo(this.sent.length, 2, "Update count");
+        this.isTrue(this.sent[0].t >= start, "Keyframe time");
+        this.isTrue(this.sent[1].t > this.sent[0].t, "Delta time");
+        this.isTrue(this.sent[1].t <= performance.now(), "Not from the future");
+    }
+}
\ No newline at end of file
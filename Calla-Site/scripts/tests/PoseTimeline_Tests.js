@@ -0,0 +1,54 @@
+import { PoseTimeline } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+export class PoseTimeline_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        this.timeline = new PoseTimeline([
+            { time: 0, x: 0, y: 0, z: 0 },
+            { time: 2, x: 4, y: 0, z: 0 },
+            { time: 3, x: 4, y: 0, z: 0 },
+            { time: 5, x: 4, y: 0, z: 4, fx: -1, fy: 0, fz: 0 }
+        ]);
+    }
+
+    test_000_interpolates() {
+        const pose = this.timeline.getPose(1);
+        this.isEqualTo(pose.x, 2, "X");
+        this.isEqualTo(pose.z, 0, "Z");
+        this.isEqualTo(pose.fx, 1, "Facing X");
+        this.isEqualTo(pose.fz, 0, "Facing Z");
+    }
+
+    test_010_waitingKeepsFacing() {
+        const pose = this.timeline.getPose(2.5);
+        this.isEqualTo(pose.x, 4, "X");
+        this.isEqualTo(pose.fx, 1, "Still facing the way it came");
+    }
+
+    test_020_clampsToEnds() {
+        const before = this.timeline.getPose(-1),
+            after = this.timeline.getPose(10);
+        this.isEqualTo(before.x, 0, "Start X");
+        this.isEqualTo(after.z, 4, "End Z");
+        this.isEqualTo(after.fx, -1, "Keyframe facing");
+    }
+
+    test_030_loops() {
+        this.timeline.loop = true;
+        const pose = this.timeline.getPose(6);
+        this.isEqualTo(pose.x, 2, "Back around X");
+        this.isEqualTo(this.timeline.duration, 5, "Duration");
+    }
+
+    test_040_validates() {
+        this.throws(() => new PoseTimeline([]), "No keyframes");
+        this.throws(() => new PoseTimeline([{ time: 0, x: 0, y: 0 }]), "Missing Z");
+        this.throws(() => new PoseTimeline([
+            { time: 1, x: 0, y: 0, z: 0 },
+            { time: 0, x: 0, y: 0, z: 0 }
+        ]), "Out of order");
+    }
+}
\ No newline at end of file
@@ -0,0 +1,236 @@
+import { CallaClient, commandSchemas, commandVersions, LoopbackHub, LoopbackTransport, minProtocolVersion, once, protocolVersion, readCommand, until } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+/**
+ * Stamps everything it sends with protocol version 1, and sends no RPC
+ * messages, the way builds from before userInit went through RPC behave.
+ **/
+class LegacyPeerTransport extends LoopbackTransport {
+    sendMessage(toUserID, data) {
+        if (data.command !== "rpcRequest"
+            && data.command !== "rpcResponse") {
+            super.sendMessage(toUserID, Object.assign({}, data, { pv: 1 }));
+        }
+    }
+}
+
+export class Protocol_Tests extends TestCase {
+
+    test_000_acceptsValidCommand() {
+        const value = readCommand(protocolVersion, "userMoved", { x: 1, y: 2, z: 3 });
+        this.isEqualTo(value.x, 1, "X");
+        this.isEqualTo(value.y, 2, "Y");
+        this.isEqualTo(value.z, 3, "Z");
+    }
+
+    test_010_dropsUndeclaredFields() {
+        const value = readCommand(protocolVersion, "emote", { value: "x", desc: "y", onclick: "alert(1)" });
+        this.isEqualTo(value.value, "x", "Emoji value");
+        this.isUndefined(value.onclick, "Extra field");
+    }
+
+    test_015_passesApplicationFields() {
+        const value = readCommand(protocolVersion, "userInitResponse", { id: "a", px: 1, avatarMode: "emoji", score: 3 });
+        this.isEqualTo(value.px, 1, "Pose field");
+        this.isEqualTo(value.avatarMode, "emoji", "Application field");
+        this.isEqualTo(value.score, 3, "Other application field");
+        this.throws(() => readCommand(protocolVersion, "userInitResponse", { px: "1", avatarMode: "emoji" }), "Bad pose field");
+    }
+
+    test_020_rejectsBadNumbers() {
+        this.throws(() => readCommand(protocolVersion, "userMoved", { x: "1", y: 2, z: 3 }), "String position");
+        this.throws(() => readCommand(protocolVersion, "userMoved", { x: NaN, y: 2, z: 3 }), "NaN position");
+        this.throws(() => readCommand(protocolVersion, "userPosed", { px: 1, py: 2, pz: 3 }), "Missing orientation");
+    }
+
+    test_030_rejectsUnknownCommands() {
+        this.throws(() => readCommand(protocolVersion, "videoConferenceJoined", {}), "Local-only event");
+        this.throws(() => readCommand(protocolVersion, "toString", {}), "Object prototype");
+    }
+
+    test_040_versions() {
+        this.doesNotThrow(() => readCommand(protocolVersion - 1, "avatarChanged", { url: null }), "Previous version");
+        this.throws(() => readCommand(protocolVersion + 1, "avatarChanged", { url: null }), "Newer version");
+        this.throws(() => readCommand(0, "avatarChanged", { url: null }), "Too old");
+    }
+
+    test_045_commandVersions() {
+        for (let command of Object.keys(commandSchemas)) {
+            this.isGreaterThanEqual(commandVersions[command], minProtocolVersion, command + " version");
+            this.isLessThanEqual(commandVersions[command], protocolVersion, command + " version");
+        }
+
+        this.doesNotThrow(() => readCommand(minProtocolVersion, "userMoved", { x: 1, y: 2, z: 3 }), "Old command");
+        this.throws(() => readCommand(minProtocolVersion, "userPoseChanged", { px: 1 }), "Newer command");
+    }
+
+    async test_050_protocolErrorEvent() {
+        const hub = new LoopbackHub(),
+            client1 = new CallaClient(new LoopbackTransport(hub)),
+            client2 = new CallaClient(new LoopbackTransport(hub)),
+            joined1Task = once(client1, "participantJoined", 5000),
+            joined2Task = once(client2, "participantJoined", 5000);
+
+        await client1.join("protocolroom", "ProtocolUser1");
+        await once(client1, "videoConferenceJoined", 5000);
+        await client2.join("protocolroom", "ProtocolUser2");
+
+        // the loopback transport drops messages to users the sender hasn't met yet.
+        await joined1Task;
+        await joined2Task;
+
+        const errorTask = once(client2, "protocolError", 5000);
+        client1.txGameData(client2.localUserID, {
+            hax: client1.appFingerPrint,
+            v: protocolVersion,
+            command: "userMoved",
+            value: { x: "here", y: 0, z: 0 }
+        });
+
+        const evt = await errorTask;
+        this.isEqualTo(evt.id, client1.localUserID, "Sender ID");
+        this.isEqualTo(evt.command, "userMoved", "Command");
+    }
+
+    async test_060_olderPeers() {
+        const hub = new LoopbackHub(),
+            client1 = new CallaClient(new LoopbackTransport(hub)),
+            client2 = new CallaClient(new LoopbackTransport(hub)),
+            joined1Task = once(client1, "participantJoined", 5000),
+            joined2Task = once(client2, "participantJoined", 5000);
+
+        await client1.join("olderpeerroom", "OlderPeerUser1");
+        await once(client1, "videoConferenceJoined", 5000);
+        await client2.join("olderpeerroom", "OlderPeerUser2");
+        await joined1Task;
+        await joined2Task;
+
+        // client1 pretends to be a build from before commands carried their own versions.
+        const heardTask = once(client2, "emote", 5000);
+        client1.txGameData(client2.localUserID, {
+            hax: client1.appFingerPrint,
+            v: minProtocolVersion,
+            command: "emote",
+            value: { value: "x" }
+        });
+        await heardTask;
+        this.isTrue(client2.canRead(client1.localUserID, "emote"), "Can read old command");
+        this.isFalse(client2.canRead(client1.localUserID, "userPoseChanged"), "Can't read new command");
+
+        const received = [];
+        client1.transport.addEventListener("messageReceived", (evt) => {
+            received.push(evt.data);
+        });
+
+        const emoteTask = once(client1, "emote", 5000);
+        client2.broadcastMessage("userPoseChanged", { px: 1 });
+        client2.sendMessageTo(client1.localUserID, "emote", { value: "y" });
+        await emoteTask;
+
+        const commands = received.map((data) => data.command);
+        this.isEqualTo(commands.indexOf("userPoseChanged"), -1, "New command held back");
+        const emote = received[commands.indexOf("emote")];
+        this.isEqualTo(emote.v, minProtocolVersion, "Old command stamped with its own version");
+        this.isEqualTo(emote.pv, protocolVersion, "Sender's version");
+    }
+
+    async test_070_legacyPeers() {
+        const hub = new LoopbackHub(),
+            client1 = new CallaClient(new LoopbackTransport(hub)),
+            client2 = new CallaClient(new LoopbackTransport(hub)),
+            client3 = new CallaClient(new LoopbackTransport(hub));
+
+        await client1.join("legacypeerroom", "LegacyPeerUser1");
+        await once(client1, "videoConferenceJoined", 5000);
+
+        let joinedTask = once(client1, "participantJoined", 5000);
+        await client2.join("legacypeerroom", "LegacyPeerUser2");
+        await joinedTask;
+
+        joinedTask = once(client1, "participantJoined", 5000);
+        await client3.join("legacypeerroom", "LegacyPeerUser3");
+        await joinedTask;
+
+        // client2 pretends to be a build from before the protocol was versioned,
+        // and client3 a build from before poses were replicated.
+        let heardTask = once(client1, "emote", 5000);
+        client2.txGameData(client1.localUserID, {
+            hax: client2.appFingerPrint,
+            command: "emote",
+            value: { value: "x" }
+        });
+        await heardTask;
+
+        heardTask = once(client1, "emote", 5000);
+        client3.txGameData(client1.localUserID, {
+            hax: client3.appFingerPrint,
+            v: 2,
+            command: "emote",
+            value: { value: "y" }
+        });
+        await heardTask;
+
+        this.isEqualTo(client1.peerVersions.get(client2.localUserID), 1, "Unversioned peer");
+        this.isEqualTo(client1.peerVersions.get(client3.localUserID), 2, "Version 2 peer");
+
+        const isPose = (evt) => evt.data.command === "userPosed"
+            || evt.data.command === "userPoseChanged",
+            posed2Task = until(client2.transport, "messageReceived", () => { }, isPose, 5000, 5000),
+            posed3Task = until(client3.transport, "messageReceived", () => { }, isPose, 5000, 5000);
+        client1.setLocalPose(1, 2, 3, 0, 0, -1, 0, 1, 0);
+
+        for (let evt of [await posed2Task, await posed3Task]) {
+            this.isEqualTo(evt.data.command, "userPosed", "Legacy pose command");
+            this.doesNotThrow(() => readCommand(evt.data.v, "userPosed", evt.data.value), "Legacy pose payload");
+            this.isEqualTo(evt.data.value.px, 1, "X");
+            this.isEqualTo(evt.data.value.fz, -1, "Forward Z");
+        }
+    }
+
+    async test_080_legacyUserInit() {
+        const hub = new LoopbackHub(),
+            client1 = new CallaClient(new LoopbackTransport(hub)),
+            client2 = new CallaClient(new LegacyPeerTransport(hub));
+
+        await client2.join("legacyinitroom", "LegacyInitUser2");
+        await once(client2, "videoConferenceJoined", 5000);
+        client2.setLocalPose(4, 0, 5, 0, 0, -1, 0, 1, 0);
+
+        const joinedTask = once(client2, "participantJoined", 5000),
+            initTask = once(client1, "userInitResponse", 5000);
+        await client1.join("legacyinitroom", "LegacyInitUser1");
+        await joinedTask;
+
+        // client2 asks for client1's state the way a build from before RPC does.
+        client2.sendMessageTo(client1.localUserID, "userInitRequest");
+
+        const evt = await initTask;
+        this.isEqualTo(evt.id, client2.localUserID, "User");
+        this.isEqualTo(client1.peerVersions.get(client2.localUserID), 1, "Legacy peer");
+        this.isEqualTo(evt.px, 4, "X");
+        this.isEqualTo(evt.pz, 5, "Z");
+        this.isEqualTo(client1.audio.getUser(client2.localUserID).pose.end.p.x, 4, "Pose applied");
+    }
+
+    async test_090_directChatToLegacyPeer() {
+        const hub = new LoopbackHub(),
+            client1 = new CallaClient(new LoopbackTransport(hub)),
+            client2 = new CallaClient(new LegacyPeerTransport(hub));
+
+        await client2.join("legacychatroom", "LegacyChatUser2");
+        await once(client2, "videoConferenceJoined", 5000);
+
+        const joinedTask = once(client2, "participantJoined", 5000);
+        await client1.join("legacychatroom", "LegacyChatUser1");
+        await joinedTask;
+
+        const heardTask = once(client1, "emote", 5000);
+        client2.sendMessageTo(client1.localUserID, "emote", { value: "x" });
+        await heardTask;
+
+        let shown = 0;
+        client1.addEventListener("chatMessage", () => ++shown);
+        this.throws(() => client1.sendChatMessage("Psst", client2.localUserID), "Can't read chat");
+        this.isEqualTo(shown, 0, "Not shown as sent");
+    }
+}
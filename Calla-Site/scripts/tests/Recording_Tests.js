@@ -0,0 +1,147 @@
+import { bust } from "../emoji/emojis";
+import { CallaClient, LoopbackHub, LoopbackTransport, once, ReplayTransport, SessionPlayer } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+const TEST_ROOM_NAME = "recordingroom";
+
+export class Recording_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        this.hub = new LoopbackHub();
+        this.client1 = new CallaClient(new LoopbackTransport(this.hub));
+        this.client2 = new CallaClient(new LoopbackTransport(this.hub));
+        this.replay = new CallaClient(new ReplayTransport(), null, null, { headless: true });
+    }
+
+    async joinBoth() {
+        const join1Task = once(this.client1, "videoConferenceJoined", 5000);
+        await this.client1.join(TEST_ROOM_NAME, "RecordedUser1");
+        await join1Task;
+
+        const participantTask = once(this.client2, "participantJoined", 5000);
+        await this.client2.join(TEST_ROOM_NAME, "RecordedUser2");
+        await participantTask;
+    }
+
+    /**
+     * Records client 2 seeing client 1 move and emote, and moving itself.
+     **/
+    async recordSession() {
+        this.client2.startRecording();
+        await this.joinBoth();
+
+        const poseTask = once(this.client2, "userPoseChanged", 5000);
+        this.client1.setLocalPose(3, 0, 4, 0, 0, -1, 0, 1, 0);
+        await poseTask;
+
+        const emoteTask = once(this.client2, "emote", 5000);
+        this.client1.emote(bust);
+        await emoteTask;
+
+        this.client2.setLocalPosition(1, 0, 2);
+
+        // the log has to survive being saved.
+        return JSON.parse(JSON.stringify(this.client2.stopRecording()));
+    }
+
+    async test_000_record() {
+        const log = await this.recordSession();
+        this.isFalse(this.client2.isRecording, "Stopped");
+        this.isGreaterThan(log.entries.length, 0, "Entries");
+
+        const types = log.entries.map((entry) => entry[1]);
+        for (let type of ["conferenceJoined", "participantJoined", "messageReceived", "localPose"]) {
+            this.isTrue(types.indexOf(type) >= 0, `Recorded ${type}`);
+        }
+    }
+
+    async test_010_recordMidSession() {
+        await this.joinBoth();
+        this.client2.startRecording();
+        const log = this.client2.stopRecording();
+        this.isEqualTo(log.entries[0][1], "conferenceJoined", "Starts in the room");
+        this.isEqualTo(log.entries[0][2].id, this.client2.localUserID, "Local user");
+        this.isEqualTo(log.entries[1][1], "participantJoined", "Then who was there");
+        this.isEqualTo(log.entries[1][2].id, this.client1.localUserID, "Remote user");
+    }
+
+    async test_020_replay() {
+        const log = await this.recordSession(),
+            player = new SessionPlayer(this.replay, log);
+
+        let emotes = 0;
+        this.replay.addEventListener("emote", (evt) => {
+            this.isEqualTo(evt.id, this.client1.localUserID, "Emote sender");
+            ++emotes;
+        });
+
+        const initTask = once(this.replay, "userInitResponse", 5000);
+        player.seek(player.duration);
+        this.isTrue(player.isEnded, "Ended");
+        this.isEqualTo(this.replay.localUserID, this.client2.localUserID, "Replayed local user");
+        this.isTrue(this.replay.userExists(this.client1.localUserID), "Replayed remote user");
+        this.isEqualTo(emotes, 1, "Replayed emote");
+
+        const { p } = this.replay.audio.getUser(this.replay.localUserID).pose.end;
+        this.isEqualTo(p.x, 1, "Replayed local X");
+        this.isEqualTo(p.z, 2, "Replayed local Z");
+
+        // the recorded answers go to the replaying client's own requests.
+        const init = await initTask;
+        this.isEqualTo(init.id, this.client1.localUserID, "Replayed user init");
+    }
+
+    async test_030_seekAndStep() {
+        const log = await this.recordSession(),
+            player = new SessionPlayer(this.replay, log);
+
+        player.seek(player.duration);
+        player.seek(0);
+        this.isFalse(this.replay.userExists(this.client1.localUserID), "Room emptied");
+
+        while (!this.replay.userExists(this.client1.localUserID)) {
+            this.isTrue(player.step(), "Steps left");
+        }
+
+        this.isLessThanEqual(player.time, player.duration, "Partway");
+        player.seek(player.duration);
+        this.isFalse(player.step(), "Nothing left");
+    }
+
+    async test_035_replayRestoredConnection() {
+        this.client2.startRecording();
+        await this.joinBoth();
+
+        // long enough that only the service restoring the connection ends the wait.
+        this.client2.reconnectDelayMin = 2000;
+        const reconnectingTask = once(this.client2, "reconnecting", 5000),
+            reconnectedTask = once(this.client2, "reconnected", 5000);
+        this.client2.transport.interrupt();
+        await reconnectingTask;
+        this.client2.transport.restore();
+        await reconnectedTask;
+
+        const log = JSON.parse(JSON.stringify(this.client2.stopRecording())),
+            types = log.entries.map((entry) => entry[1]);
+        this.isTrue(types.indexOf("connectionRestored") >= 0, "Recorded connectionRestored");
+
+        let failed = false;
+        this.replay.addEventListener("reconnectFailed", () => failed = true);
+        const replayedTask = once(this.replay, "reconnected", 5000),
+            player = new SessionPlayer(this.replay, log);
+        player.seek(player.duration);
+
+        const evt = await replayedTask;
+        this.isEqualTo(evt.id, evt.previousID, "Same user");
+        this.isTrue(this.replay.joined, "Still joined");
+        this.isEqualTo(this.replay.localUserID, this.client2.localUserID, "Replayed local user");
+        this.isFalse(failed, "Didn't give up");
+    }
+
+    test_040_needsReplayTransport() {
+        this.throws(() => new SessionPlayer(this.client1, { version: 1, duration: 0, entries: [] }), "Live client");
+        this.throws(() => new SessionPlayer(this.replay, { entries: [] }), "No version");
+    }
+}
\ No newline at end of file
@@ -0,0 +1,114 @@
+import { SharedStore } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+export class SharedStore_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        /** @type {object[]} */
+        this.sentA = [];
+
+        /** @type {object[]} */
+        this.sentB = [];
+
+        this.storeA = new SharedStore((command, op) => this.sentA.push(op));
+        this.storeB = new SharedStore((command, op) => this.sentB.push(op));
+    }
+
+    /**
+     * Delivers every operation that has been sent so far, in the order given.
+     **/
+    exchange() {
+        const fromA = this.sentA.splice(0),
+            fromB = this.sentB.splice(0);
+        for (let op of fromA) {
+            this.storeB.receive(op);
+        }
+        for (let op of fromB) {
+            this.storeA.receive(op);
+        }
+    }
+
+    test_000_setAndGet() {
+        this.storeA.set("door", "open");
+        this.exchange();
+        this.isEqualTo(this.storeB.get("door"), "open", "Replicated value");
+    }
+
+    test_010_concurrentSetsConverge() {
+        this.storeA.set("door", "open");
+        this.storeB.set("door", "locked");
+        this.exchange();
+        this.isEqualTo(this.storeA.get("door"), this.storeB.get("door"), "Same winner");
+    }
+
+    test_020_delete() {
+        this.storeA.set("door", "open");
+        this.exchange();
+        this.storeB.delete("door");
+        this.exchange();
+        this.isUndefined(this.storeA.get("door"), "Deleted");
+        this.isEqualTo(this.storeA.keys().length, 0, "No keys");
+    }
+
+    test_030_concurrentAddWins() {
+        this.storeA.add("playlist", "song");
+        this.exchange();
+        this.storeA.remove("playlist", "song");
+        this.storeB.add("playlist", "song");
+        this.exchange();
+        this.isTrue(this.storeA.has("playlist", "song"), "Kept by A");
+        this.isTrue(this.storeB.has("playlist", "song"), "Kept by B");
+    }
+
+    test_040_removeBeforeAddArrives() {
+        this.storeA.add("playlist", "song");
+        const addOp = this.sentA.splice(0)[0];
+        this.storeA.remove("playlist", "song");
+        this.exchange();
+        this.storeB.receive(addOp);
+        this.isFalse(this.storeB.has("playlist", "song"), "Stays removed");
+    }
+
+    test_050_snapshotMerge() {
+        this.storeA.set("door", "open");
+        this.storeA.add("playlist", "song");
+        this.sentA.length = 0;
+
+        let changes = 0;
+        this.storeB.addEventListener("changed", () => ++changes);
+        this.storeB.merge(this.storeA.snapshot());
+        this.storeB.merge(this.storeA.snapshot());
+        this.isEqualTo(changes, 2, "Change events");
+        this.isEqualTo(this.storeB.get("door"), "open", "Register");
+        this.isEqualTo(this.storeB.values("playlist")[0], "song", "Set");
+    }
+
+    test_060_mixingKindsThrows() {
+        this.storeA.set("door", "open");
+        this.throws(() => this.storeA.add("door", "handle"), "Set on a register");
+    }
+
+    test_070_addAfterReset() {
+        this.storeA.add("playlist", "song");
+        this.storeA.remove("playlist", "song");
+        this.exchange();
+
+        // storeA leaves the room and comes back to find storeB still there.
+        this.storeA.reset();
+        this.storeA.merge(this.storeB.snapshot());
+        this.storeA.add("playlist", "song");
+        this.exchange();
+        this.isTrue(this.storeA.has("playlist", "song"), "Added again by A");
+        this.isTrue(this.storeB.has("playlist", "song"), "Added again for B");
+    }
+
+    test_080_removedTagsAdvanceClock() {
+        this.storeA.add("playlist", "song");
+        this.storeA.remove("playlist", "song");
+        const storeC = new SharedStore(() => { });
+        storeC.merge(this.storeA.snapshot());
+        this.isGreaterThanEqual(storeC.clock, this.storeA.clock, "Clock");
+    }
+}
@@ -0,0 +1,62 @@
+import { StateReplicator } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+const REMOTE_ID = "remote";
+
+export class StateReplicator_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        /** @type {object[]} */
+        this.sent = [];
+
+        this.score = 0;
+
+        this.replicator = new StateReplicator((command, value) => this.sent.push(value));
+        this.replicator.register("score", () => this.score, Number.isInteger);
+    }
+
+    test_000_numbersUpdates() {
+        this.score = 5;
+        this.replicator.update("score");
+        this.replicator.update("score");
+        this.isEqualTo(this.sent.length, 2, "Update count");
+        this.isEqualTo(this.sent[0].value, 5, "Value");
+        this.isEqualTo(this.sent[1].seq, 2, "Sequence number");
+        this.isEqualTo(this.replicator.snapshot().seq, 2, "Snapshot sequence number");
+    }
+
+    test_010_buffersUntilSnapshot() {
+        this.replicator.beginSync(REMOTE_ID);
+        const early = this.replicator.receiveUpdate(REMOTE_ID, 4, "score", 40);
+        this.isEqualTo(early.length, 0, "Held back");
+
+        const changes = this.replicator.receiveSnapshot(REMOTE_ID, {
+            seq: 3,
+            slices: { score: 30 }
+        });
+        this.isEqualTo(changes.length, 2, "Snapshot, then update");
+        this.isEqualTo(this.replicator.get(REMOTE_ID, "score"), 40, "Latest value");
+    }
+
+    test_020_dropsUpdatesIncludedInSnapshot() {
+        this.replicator.beginSync(REMOTE_ID);
+        this.replicator.receiveUpdate(REMOTE_ID, 2, "score", 20);
+        const changes = this.replicator.receiveSnapshot(REMOTE_ID, {
+            seq: 3,
+            slices: { score: 30 }
+        });
+        this.isEqualTo(changes.length, 1, "Snapshot only");
+        this.isEqualTo(this.replicator.get(REMOTE_ID, "score"), 30, "Snapshot value");
+    }
+
+    test_030_rejectsInvalidAndUnknownSlices() {
+        const changes = this.replicator.receiveSnapshot(REMOTE_ID, {
+            seq: 0,
+            slices: { score: "lots", other: 1 }
+        });
+        this.isEqualTo(changes.length, 0, "Nothing applied");
+        this.isUndefined(this.replicator.get(REMOTE_ID, "score"), "No value");
+    }
+}
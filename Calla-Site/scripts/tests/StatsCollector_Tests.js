@@ -0,0 +1,101 @@
+import { getSignalStrength, RTCStatsReader, StatsCollector } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+const LOCAL_ID = "local",
+    REMOTE_ID = "remote";
+
+/**
+ * Makes something that reads like an RTCStatsReport.
+ * @param {object[]} entries
+ */
+function makeReport(...entries) {
+    return new Map(entries.map((entry) => [entry.id, entry]));
+}
+
+export class StatsCollector_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        /** @type {import("../lib/calla").StatsSample[]} */
+        this.samples = [];
+
+        this.collector = new StatsCollector(async () => this.samples);
+    }
+
+    test_000_signalStrength() {
+        const stats = { quality: null, rtt: null, packetLoss: null };
+        this.isNull(getSignalStrength(stats), "Unknown");
+        this.isEqualTo(getSignalStrength(Object.assign({}, stats, { rtt: 50, packetLoss: 0 })), 3, "Good");
+        this.isEqualTo(getSignalStrength(Object.assign({}, stats, { rtt: 400, packetLoss: 0 })), 2, "Slow");
+        this.isEqualTo(getSignalStrength(Object.assign({}, stats, { rtt: 50, packetLoss: 20 })), 1, "Lossy");
+        this.isEqualTo(getSignalStrength(Object.assign({}, stats, { quality: 5, rtt: 50 })), 0, "Quality wins");
+    }
+
+    test_010_mergeKeepsMissingFields() {
+        this.collector.merge({ id: REMOTE_ID, rtt: 100, packetLoss: 1 });
+        this.collector.merge({ id: REMOTE_ID, bitrateDown: 500, rtt: NaN });
+        const stats = this.collector.get(REMOTE_ID);
+        this.isEqualTo(stats.rtt, 100, "RTT kept");
+        this.isEqualTo(stats.bitrateDown, 500, "Bitrate added");
+        this.isNull(stats.audioLevel, "Never measured");
+        this.isEqualTo(stats.signalStrength, 3, "Signal strength");
+    }
+
+    async test_020_updateFiresEvent() {
+        let fired = null;
+        this.collector.addEventListener("connectionStats", (evt) => fired = evt.stats);
+        this.samples.push({ id: LOCAL_ID, rtt: 20 });
+        const stats = await this.collector.updateAsync();
+        this.isEqualTo(stats.length, 1, "User count");
+        this.isEqualTo(fired, stats, "Event stats");
+
+        this.collector.removeUser(LOCAL_ID);
+        this.isNull(this.collector.get(LOCAL_ID), "Removed");
+    }
+
+    async test_025_stopWhileSampling() {
+        let fired = false;
+        const collector = new StatsCollector(async () => {
+            collector.stop();
+            return [{ id: REMOTE_ID, rtt: 20 }];
+        });
+        collector.addEventListener("connectionStats", () => fired = true);
+
+        const stats = await collector.updateAsync();
+        this.isEqualTo(stats.length, 0, "No stats");
+        this.isNull(collector.get(REMOTE_ID), "Stale user dropped");
+        this.isFalse(fired, "No event after stopping");
+    }
+
+    test_030_readRTCStats() {
+        const reader = new RTCStatsReader(),
+            owners = new Map([[1234, REMOTE_ID]]);
+
+        reader.read(makeReport(
+            { id: "in", type: "inbound-rtp", kind: "audio", ssrc: 1234, bytesReceived: 0, packetsLost: 0, packetsReceived: 0, timestamp: 0 },
+            { id: "other", type: "inbound-rtp", kind: "audio", ssrc: 5678, bytesReceived: 0, packetsLost: 0, packetsReceived: 0, timestamp: 0 },
+            { id: "out", type: "outbound-rtp", kind: "audio", ssrc: 42, bytesSent: 0, timestamp: 0 }),
+            owners, LOCAL_ID);
+
+        const samples = reader.read(makeReport(
+            { id: "pair", type: "candidate-pair", state: "succeeded", nominated: true, currentRoundTripTime: 0.05 },
+            { id: "in", type: "inbound-rtp", kind: "audio", ssrc: 1234, bytesReceived: 12500, packetsLost: 5, packetsReceived: 95, timestamp: 1000, audioLevel: 0.25 },
+            { id: "other", type: "inbound-rtp", kind: "audio", ssrc: 5678, bytesReceived: 12500, packetsLost: 0, packetsReceived: 100, timestamp: 1000 },
+            { id: "remoteOut", type: "remote-outbound-rtp", kind: "audio", ssrc: 1234, roundTripTime: 0.12 },
+            { id: "out", type: "outbound-rtp", kind: "audio", ssrc: 42, bytesSent: 25000, timestamp: 1000 },
+            { id: "remoteIn", type: "remote-inbound-rtp", kind: "audio", ssrc: 42, fractionLost: 0.02 }),
+            owners, LOCAL_ID);
+
+        const local = samples.find((s) => s.id === LOCAL_ID),
+            remote = samples.find((s) => s.id === REMOTE_ID);
+        this.isEqualTo(samples.length, 2, "Unknown streams skipped");
+        this.isEqualTo(local.rtt, 50, "RTT in milliseconds");
+        this.isEqualTo(local.bitrateUp, 200, "Upload kbps");
+        this.isEqualTo(local.packetLoss, 2, "Loss of what we send");
+        this.isEqualTo(remote.rtt, 120, "RTT to the sender");
+        this.isEqualTo(remote.bitrateDown, 100, "Download kbps");
+        this.isEqualTo(remote.packetLoss, 5, "Packet loss percent");
+        this.isEqualTo(remote.audioLevel, 0.25, "Audio level");
+    }
+}
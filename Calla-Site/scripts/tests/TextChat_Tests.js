@@ -0,0 +1,96 @@
+import { TextChat } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+const LOCAL_ID = "local";
+const REMOTE_ID = "remote";
+
+export class TextChat_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        /** @type {object[]} */
+        this.sent = [];
+
+        /** @type {Event[]} */
+        this.shown = [];
+
+        this.time = 1000;
+
+        this.chat = new TextChat(
+            (toUserID, command, value) => this.sent.push(Object.assign({ toUserID }, value)),
+            (command, value) => this.sent.push(value),
+            () => this.time);
+        this.chat.addEventListener("chatMessage", (evt) => this.shown.push(evt));
+    }
+
+    test_000_sendShowsLocally() {
+        const messageID = this.chat.sendMessage(LOCAL_ID, "Me", "Hello");
+        this.isEqualTo(this.sent.length, 1, "Sent");
+        this.isEqualTo(this.sent[0].mid, messageID, "Message ID");
+        this.isEqualTo(this.shown.length, 1, "Shown");
+        this.isEqualTo(this.shown[0].id, LOCAL_ID, "Sender");
+        this.isNull(this.shown[0].toUserID, "Room-wide");
+    }
+
+    test_010_directMessage() {
+        this.chat.sendMessage(LOCAL_ID, "Me", "Psst", REMOTE_ID);
+        this.isEqualTo(this.sent[0].toUserID, REMOTE_ID, "Recipient");
+        this.isTrue(this.sent[0].direct, "Marked direct");
+        this.isEqualTo(this.chat.history.length, 0, "Direct messages aren't handed off");
+    }
+
+    test_020_dropsDuplicates() {
+        const value = { mid: "abc", name: "Them", text: "Hi", time: 5 };
+        this.chat.receive(REMOTE_ID, value, null);
+        this.chat.receive(REMOTE_ID, value, null);
+        this.chat.mergeHistory(REMOTE_ID, [value]);
+        this.isEqualTo(this.shown.length, 1, "Shown once");
+    }
+
+    test_030_historyInTimeOrder() {
+        this.chat.mergeHistory(REMOTE_ID, [
+            { mid: "b", text: "Second", time: 20 },
+            { mid: "a", text: "First", time: 10 }
+        ]);
+        this.isEqualTo(this.shown[0].text, "First", "Oldest first");
+        this.isTrue(this.shown[0].isHistory, "Marked as history");
+        this.isEqualTo(this.chat.snapshot()[1].mid, "b", "Snapshot order");
+    }
+
+    test_035_historyIsAttributedToSender() {
+        this.chat.mergeHistory(REMOTE_ID, [
+            { mid: "a", from: LOCAL_ID, name: "Me", text: "Not me", time: 10 }
+        ]);
+        this.isEqualTo(this.shown[0].id, REMOTE_ID, "Attributed to whoever handed it off");
+        this.isEqualTo(this.shown[0].displayName, "Me", "Claimed name");
+    }
+
+    test_040_historySize() {
+        this.chat.historySize = 2;
+        for (let i = 0; i < 3; ++i) {
+            ++this.time;
+            this.chat.sendMessage(LOCAL_ID, "Me", `Message ${i}`);
+        }
+
+        this.isEqualTo(this.chat.history.length, 2, "Trimmed");
+        this.isEqualTo(this.chat.history[0].text, "Message 1", "Oldest dropped");
+    }
+
+    test_050_rejectsBadText() {
+        this.throws(() => this.chat.sendMessage(LOCAL_ID, "Me", ""), "Empty");
+        this.chat.maxLength = 4;
+        this.throws(() => this.chat.sendMessage(LOCAL_ID, "Me", "Too long"), "Too long");
+        this.chat.receive(REMOTE_ID, { mid: "x", text: "Too long", time: 1 }, null);
+        this.isEqualTo(this.shown.length, 0, "Nothing shown");
+    }
+
+    test_060_localMessage() {
+        this.chat.sendLocalMessage(LOCAL_ID, "Me", "Nearby", [REMOTE_ID]);
+        this.isEqualTo(this.sent.length, 1, "Sent to each recipient");
+        this.isEqualTo(this.sent[0].toUserID, REMOTE_ID, "Recipient");
+        this.isTrue(this.shown[0].isLocal, "Marked local");
+        this.isEqualTo(this.shown[0].recipientCount, 1, "Recipient count");
+        this.isEqualTo(this.chat.history.length, 0, "Local messages aren't handed off");
+    }
+}
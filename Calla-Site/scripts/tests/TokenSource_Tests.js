@@ -0,0 +1,91 @@
+import { AuthError, TokenSource } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+/**
+ * Makes an unsigned JWT that expires at the given time.
+ * @param {number} expiresAt - milliseconds since the epoch.
+ */
+function makeToken(expiresAt) {
+    const header = btoa(JSON.stringify({ alg: "none", typ: "JWT" })),
+        payload = btoa(JSON.stringify({ exp: Math.floor(expiresAt / 1000) }));
+    return `${header}.${payload}.`;
+}
+
+export class TokenSource_Tests extends TestCase {
+
+    /**
+     * @param {TokenSource} tokens
+     * @returns {Promise<string>} - the code of the AuthError the source threw, or null if it didn't.
+     */
+    async getErrorCode(tokens) {
+        try {
+            await tokens.getTokenAsync();
+            return null;
+        }
+        catch (exp) {
+            this.isTrue(exp instanceof AuthError, "Error type");
+            return exp.code;
+        }
+    }
+
+    async test_000_staticToken() {
+        const token = makeToken(Date.now() + 3600000),
+            tokens = new TokenSource(token);
+        this.isFalse(tokens.canRefresh, "Can't refresh");
+        this.isEqualTo(await tokens.getTokenAsync(), token, "Token");
+        this.isFalse(tokens.isExpired(), "Not expired");
+    }
+
+    async test_010_expiredStaticToken() {
+        const tokens = new TokenSource(makeToken(Date.now() - 1000));
+        this.isTrue(tokens.isExpired(), "Expired");
+        this.isEqualTo(await this.getErrorCode(tokens), "tokenExpired", "Error code");
+    }
+
+    async test_020_opaqueToken() {
+        const tokens = new TokenSource("not-a-jwt");
+        this.isNull(tokens.expiresAt, "No expiry");
+        this.isEqualTo(await tokens.getTokenAsync(), "not-a-jwt", "Token");
+    }
+
+    async test_030_providerCachesUntilExpiry() {
+        let calls = 0;
+        const tokens = new TokenSource(async () => {
+            ++calls;
+            return makeToken(Date.now() + 3600000);
+        });
+
+        await tokens.getTokenAsync();
+        await tokens.getTokenAsync();
+        this.isEqualTo(calls, 1, "Provider calls");
+
+        tokens.invalidate();
+        await tokens.getTokenAsync();
+        this.isEqualTo(calls, 2, "Provider calls after invalidation");
+    }
+
+    async test_040_providerCalledAgainOnExpiry() {
+        let expiresAt = Date.now() + 60000;
+        const tokens = new TokenSource(() => makeToken(expiresAt));
+
+        const first = await tokens.getTokenAsync();
+        this.isEqualTo(await tokens.getTokenAsync(), first, "Still good");
+
+        // close enough to the expiry that the token shouldn't be used any more.
+        tokens.refreshMargin = 120000;
+        expiresAt += 3600000;
+        const second = await tokens.getTokenAsync();
+        this.isNotEqualTo(first, second, "Refreshed inside the margin");
+    }
+
+    async test_050_providerFailure() {
+        const tokens = new TokenSource(async () => {
+            throw new Error("Offline");
+        });
+        this.isEqualTo(await this.getErrorCode(tokens), "tokenUnavailable", "Error code");
+    }
+
+    test_060_invalidSource() {
+        this.throws(() => new TokenSource(null), "Null token");
+    }
+}
@@ -0,0 +1,67 @@
+import { VideoReceivePolicy } from "../lib/calla";
+import { TestCase } from "../testing/TestCase";
+
+export class VideoReceivePolicy_Tests extends TestCase {
+
+    constructor() {
+        super();
+
+        this.policy = new VideoReceivePolicy();
+        this.distances = new Map([
+            ["near", 1],
+            ["far", 6],
+            ["gone", 12]
+        ]);
+    }
+
+    test_000_heightsByDistance() {
+        const constraints = this.policy.getConstraints(this.distances, 10);
+        this.isEqualTo(constraints.lastN, 2, "LastN");
+        this.isEqualTo(constraints.constraints.near.maxHeight, this.policy.highHeight, "Near height");
+        this.isEqualTo(constraints.constraints.far.maxHeight, this.policy.lowHeight, "Far height");
+        this.isUndefined(constraints.constraints.gone, "Out of range");
+        this.isEqualTo(constraints.defaultConstraints.maxHeight, 0, "Default height");
+        this.isEqualTo(constraints.selectedEndpoints.join(), "near", "Selected");
+    }
+
+    test_010_thresholds() {
+        this.policy.setThresholds(8, 20, 1080, 90, 1);
+        const constraints = this.policy.getConstraints(this.distances, 10);
+        this.isEqualTo(constraints.lastN, 1, "Capped");
+        this.isEqualTo(constraints.constraints.near.maxHeight, 1080, "Near height");
+        this.isUndefined(constraints.constraints.far, "Past the cap");
+
+        this.policy.setThresholds(undefined, null, undefined, undefined, 10);
+        this.isEqualTo(this.policy.nearDistance, 8, "Kept near distance");
+        this.isEqualTo(this.policy.getConstraints(this.distances, 5).lastN, 1, "Follows hearing distance");
+    }
+
+    test_020_updateOnlyOnChange() {
+        this.isNotEqualTo(this.policy.update(0, this.distances, 10), null, "First update");
+        this.isNull(this.policy.update(this.policy.interval, this.distances, 10), "Unchanged");
+
+        this.distances.set("gone", 2);
+        this.isNull(this.policy.update(this.policy.interval + 1, this.distances, 10), "Too soon");
+
+        const constraints = this.policy.update(2 * this.policy.interval, this.distances, 10);
+        this.isEqualTo(constraints.constraints.gone.maxHeight, this.policy.highHeight, "Came closer");
+    }
+
+    test_030_screenSharers() {
+        const policy = new VideoReceivePolicy(),
+            distances = new Map([
+                ["near", 1],
+                ["far", 6],
+                ["gone", 12]
+            ]);
+        policy.setThresholds(undefined, undefined, undefined, undefined, 1);
+
+        const constraints = policy.getConstraints(distances, 10, ["gone", "absent"]);
+        this.isEqualTo(constraints.lastN, 2, "LastN");
+        this.isEqualTo(constraints.constraints.gone.maxHeight, policy.highHeight, "Sharer height");
+        this.isEqualTo(constraints.constraints.near.maxHeight, policy.highHeight, "Near height");
+        this.isUndefined(constraints.constraints.far, "Past the cap");
+        this.isUndefined(constraints.constraints.absent, "Not in the room");
+        this.isEqualTo(constraints.selectedEndpoints.join(), "gone,near", "Selected");
+    }
+}
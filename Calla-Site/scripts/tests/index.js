@@ -2,8 +2,24 @@ import { JITSI_HOST, JVB_HOST, JVB_MUC } from "../constants";
 import { CallaClient } from "../lib/calla";
 import { HtmlTestOutput as TestOutput } from "../testing/HtmlTestOutput";
 import { userNumber } from "../testing/userNumber";
+import { AudioCulling_Tests } from "./AudioCulling_Tests";
+import { ClockSync_Tests } from "./ClockSync_Tests";
+import { Headless_Tests } from "./Headless_Tests";
+import { InterpolatedPose_Tests } from "./InterpolatedPose_Tests";
 import { JitsiClient1_Tests } from "./JitsiClient1_Tests";
 import { JitsiClient2_Tests } from "./JitsiClient2_Tests";
+import { JitsiLoader_Tests } from "./JitsiLoader_Tests";
+import { LoopbackTransport_Tests } from "./LoopbackTransport_Tests";
+import { PoseReplicator_Tests } from "./PoseReplicator_Tests";
+import { PoseTimeline_Tests } from "./PoseTimeline_Tests";
+import { Protocol_Tests } from "./Protocol_Tests";
+import { Recording_Tests } from "./Recording_Tests";
+import { SharedStore_Tests } from "./SharedStore_Tests";
+import { StateReplicator_Tests } from "./StateReplicator_Tests";
+import { StatsCollector_Tests } from "./StatsCollector_Tests";
+import { TextChat_Tests } from "./TextChat_Tests";
+import { TokenSource_Tests } from "./TokenSource_Tests";
+import { VideoReceivePolicy_Tests } from "./VideoReceivePolicy_Tests";
 
 function echoEvt(evt) {
     console.log(evt.type, evt.id, evt);
@@ -21,7 +37,23 @@ const client = new CallaClient(JITSI_HOST, JVB_HOST, JVB_MUC),
         { client },
         userNumber === 1
             ? JitsiClient1_Tests
-            : JitsiClient2_Tests);
+            : JitsiClient2_Tests,
+        LoopbackTransport_Tests,
+        Protocol_Tests,
+        PoseReplicator_Tests,
+        InterpolatedPose_Tests,
+        ClockSync_Tests,
+        StateReplicator_Tests,
+        SharedStore_Tests,
+        TextChat_Tests,
+        TokenSource_Tests,
+        StatsCollector_Tests,
+        VideoReceivePolicy_Tests,
+        AudioCulling_Tests,
+        JitsiLoader_Tests,
+        Headless_Tests,
+        PoseTimeline_Tests,
+        Recording_Tests);
 
 if (!cons.element.parentNode) {
     document.body.append(cons.element);
@@ -45,7 +77,7 @@ echoEvts(
     "participantRoleChanged");
 
 client.addEventListener("userInitRequest", (evt) => {
-    client.userInitResponse(evt.id, { x: userNumber, y: userNumber });
+    Object.assign(evt.response, { x: userNumber, y: userNumber });
 });
 
 cons.run();
@@ -13,7 +13,13 @@ export default [{
         format: "es",
         sourcemap: true,
         file: "../Calla-Site/scripts/lib/calla.js"
-    }, {
+    }]
+}, {
+    input: "src/core.js",
+    plugins: [
+        nodeResolve()
+    ],
+    output: [{
         format: "cjs",
         sourcemap: true,
         file: "dist/calla.cjs.js"
@@ -1,16 +1,37 @@
-/* global JitsiMeetJS */
-
-import "../lib/jquery";
 import { arrayScan } from "./arrays/arrayScan";
 import { AudioActivityEvent } from "./audio/AudioActivityEvent";
 import { AudioManager } from "./audio/AudioManager";
+import { AudioRoute } from "./audio/AudioRoute";
 import { canChangeAudioOutput } from "./audio/canChangeAudioOutput";
+import { isTransmitMode, TransmitMode } from "./audio/TransmitMode";
+import { VoiceDetector } from "./audio/VoiceDetector";
+import { AuthError } from "./auth/AuthError";
+import { TokenSource } from "./auth/TokenSource";
+import { TextChat } from "./chat/TextChat";
+import { addEventListeners } from "./events/addEventListeners";
 import { EventBase } from "./events/EventBase";
 import { once } from "./events/once";
 import { until } from "./events/until";
 import { when } from "./events/when";
-import { isGoodNumber, isNumber } from "./typeChecks";
+import { isBrowser } from "./isBrowser";
+import { IdleDetector } from "./presence/IdleDetector";
+import { isPresenceStatus, PresenceStatus } from "./presence/PresenceStatus";
+import { commandVersions } from "./protocol/commandVersions";
+import { protocolVersion } from "./protocol/protocolVersion";
+import { readCommand } from "./protocol/readCommand";
+import { SessionRecorder } from "./recording/SessionRecorder";
+import { ClockSync } from "./replication/ClockSync";
+import { PoseReplicator } from "./replication/PoseReplicator";
+import { SharedStore } from "./replication/SharedStore";
+import { StateReplicator } from "./replication/StateReplicator";
+import { RpcChannel } from "./rpc/RpcChannel";
+import { RpcError } from "./rpc/RpcError";
+import { StatsCollector } from "./stats/StatsCollector";
+import { BaseTransport } from "./transports/BaseTransport";
+import { JitsiTransport } from "./transports/JitsiTransport";
+import { isBoolean, isFunction, isGoodNumber, isNumber, isString } from "./typeChecks";
 import { versionString } from "./version";
+import { VideoReceivePolicy } from "./video/VideoReceivePolicy";
 
 console.info("Calla", versionString);
 
@@ -32,6 +53,7 @@ const eventNames = [
     "userMoved",
     "userTurned",
     "userPosed",
+    "userPoseChanged",
     "emote",
     "userInitRequest",
     "userInitResponse",
@@ -54,56 +76,191 @@ const eventNames = [
     "audioRemoved",
     "videoRemoved",
     "audioChanged",
-    "videoChanged"
+    "videoChanged",
+    "reconnecting",
+    "reconnected",
+    "reconnectFailed",
+    "protocolError",
+    "clockPing",
+    "clockPong",
+    "sharedTimeChanged",
+    "rpcRequest",
+    "rpcResponse",
+    "userStateUpdate",
+    "userStateChanged",
+    "storeOp",
+    "chatText",
+    "chatMessage",
+    "kicked",
+    "roomLockChanged",
+    "moderate",
+    "moderatorAction",
+    "moderatorActionRejected",
+    "authFailed",
+    "connectionStats",
+    "screenShareAdded",
+    "screenShareRemoved",
+    "screenShareMoved",
+    "presenceChanged",
+    "micLiveChanged",
+    "whisperChanged"
 ];
 
 const audioActivityEvt = new AudioActivityEvent();
 
-function logger(source, evtName) {
-    if (window.location.hostname === "localhost") {
-        const handler = (...rest) => {
-            if (evtName === "conference.endpoint_message_received"
-                && rest.length >= 2
-                && (rest[1].type === "e2e-ping-request"
-                    || rest[1].type === "e2e-ping-response"
-                    || rest[1].type === "stats")) {
-                return;
-            }
-            console.log(evtName, ...rest);
-        };
+/**
+ * The operations a moderator can carry out on the room or its users.
+ * @constant
+ * @type {string[]}
+ **/
+const moderatorActions = [
+    "kick",
+    "mute",
+    "lock",
+    "unlock",
+    "move"
+];
+
+/**
+ * @typedef {object} JoinAuthOptions
+ * @property {string|import("./auth/TokenSource").tokenProvider} [token] - a JWT, or a function that gets a fresh one. Leave it out to join as a guest.
+ * @property {string} [appID] - the application the tokens are issued for.
+ * @property {string} [guestDomain] - the domain through which users without a token join, on services that have one.
+ **/
+
+/**
+ * @typedef {object} JoinOptions
+ * @property {JoinAuthOptions} [auth] - the credentials for a secured service.
+ **/
+
+/**
+ * @typedef {object} CallaClientOptions
+ * @property {boolean} [headless=false] - whether to run without a browser, e.g. for bots in Node. Audio goes through a mock audio context, so users' poses are still tracked, but nothing is played.
+ **/
+
+/**
+ * Validates the payload of a custom command.
+ * @callback commandValidator
+ * @param {any} value - the payload that was sent with the command.
+ * @returns {boolean} - true, if the payload is acceptable.
+ */
+
+/**
+ * Builds the event name under which a custom command is dispatched.
+ * @param {string} namespace
+ * @param {string} command
+ */
+function customCommandName(namespace, command) {
+    if (!isString(namespace)
+        || namespace.length === 0
+        || namespace.indexOf(":") >= 0) {
+        throw new Error(`Invalid command namespace: ${namespace}`);
+    }
 
-        source.addEventListener(evtName, handler);
+    if (!isString(command)
+        || command.length === 0) {
+        throw new Error(`Invalid command name: ${command}`);
     }
+
+    return `${namespace}:${command}`;
 }
 
-function setLoggers(source, evtObj) {
-    for (let evtName of Object.values(evtObj)) {
-        if (evtName.indexOf("audioLevelsChanged") === -1) {
-            logger(source, evtName);
-        }
+/**
+ * Checks the value of the avatarEmoji state slice.
+ * @param {any} value
+ */
+function isEmojiOrNull(value) {
+    return value === null
+        || value !== undefined
+        && isString(value.value)
+        && (value.desc === undefined
+            || value.desc === null
+            || isString(value.desc));
+}
+
+/**
+ * Checks the value of the screenAnchor state slice.
+ * @param {any} value
+ */
+function isAnchorOrNull(value) {
+    return value === null
+        || value !== undefined
+        && isGoodNumber(value.x)
+        && isGoodNumber(value.y)
+        && isGoodNumber(value.z);
+}
+
+/**
+ * The longest custom status text, in characters.
+ * @constant
+ * @type {number}
+ **/
+const PRESENCE_TEXT_MAX_LENGTH = 100;
+
+/**
+ * Checks the value of the presence state slice.
+ * @param {any} value
+ */
+function isPresence(value) {
+    return value !== null
+        && value !== undefined
+        && isPresenceStatus(value.status)
+        && (value.text === null
+            || isString(value.text)
+            && value.text.length <= PRESENCE_TEXT_MAX_LENGTH);
+}
+
+/**
+ * The kind of media a track carries: "audio", "video", or "screen" for a shared desktop.
+ * @param {import("./transports/BaseTransport").TransportTrack} track
+ */
+function trackKindOf(track) {
+    const type = track.getType();
+    if (type === "video"
+        && isFunction(track.getVideoType)
+        && track.getVideoType() === "desktop") {
+        return "screen";
     }
+
+    return type;
 }
 
-// Manages communication between Jitsi Meet and Calla
+// Manages communication between a teleconferencing service (Jitsi Meet, by default) and Calla
 export class CallaClient extends EventBase {
 
     /**
-     * @param {string} JITSI_HOST
+     * @param {string|BaseTransport} JITSI_HOST - the Jitsi Meet server through which to connect, or a transport to use in its place.
      * @param {string} JVB_HOST
      * @param {string} JVB_MUC
+     * @param {CallaClientOptions & import("./transports/JitsiTransport").JitsiTransportOptions} [options] - whether to run headless, and how to load and set up lib-jitsi-meet.
      */
-    constructor(JITSI_HOST, JVB_HOST, JVB_MUC) {
+    constructor(JITSI_HOST, JVB_HOST, JVB_MUC, options) {
         super();
 
-        this.host = JITSI_HOST;
-        this.bridgeHost = JVB_HOST;
-        this.bridgeMUC = JVB_MUC;
+        options = options || {};
+
+        /**
+         * Whether the client is running without a browser.
+         * @type {boolean}
+         **/
+        this.headless = options.headless === true;
+
+        if (JITSI_HOST instanceof BaseTransport) {
+            this.transport = JITSI_HOST;
+        }
+        else {
+            this.transport = new JitsiTransport(JITSI_HOST, JVB_HOST, JVB_MUC, options);
+        }
 
-        this._prepTask = null;
         this.joined = false;
-        this.connection = null;
-        this.conference = null;
-        this.audio = new AudioManager();
+
+        /** @type {string} */
+        this.roomName = null;
+
+        /** @type {string} */
+        this.userName = null;
+
+        this.audio = new AudioManager(this.headless);
         this.audio.addEventListener("audioActivity", (evt) => {
             audioActivityEvt.id = evt.id;
             audioActivityEvt.isActive = evt.isActive;
@@ -125,8 +282,336 @@ export class CallaClient extends EventBase {
         /** @type {String} */
         this.preferredVideoInputID = null;
 
+        /**
+         * Audio to send in place of the microphone, e.g. a bot's synthetic audio.
+         * Null to use the microphone.
+         * @type {MediaStream}
+         **/
+        this.audioInputStream = null;
+
+        /** @type {TransmitMode} */
+        this._transmitMode = TransmitMode.openMic;
+
+        /**
+         * Whether the push-to-talk button is being held down.
+         * @type {boolean}
+         **/
+        this.pushToTalkPressed = false;
+
+        /**
+         * Listens for the local user speaking, in voice-activated mode.
+         * Set `voice.threshold` to change how loud they have to be.
+         * @type {VoiceDetector}
+         **/
+        this.voice = new VoiceDetector();
+        this.voice.addEventListener("voiceActivity", () => this.updateMicGate());
+
+        /**
+         * Whether the room can hear the local user's microphone.
+         * @type {boolean}
+         **/
+        this.isMicLive = false;
+
+        /**
+         * The user the local user is whispering to, or null if they aren't whispering.
+         * @type {string}
+         **/
+        this.whisperToUserID = null;
+
+        /**
+         * The users who have fetched a snapshot of the local user's state, so they
+         * will hear about a whisper before they can hear the whisper itself.
+         * @type {Set<string>}
+         **/
+        this.stateSyncedUserIDs = new Set();
+
+        /**
+         * The number of times to try to rejoin the conference after the connection drops.
+         * @type {number}
+         **/
+        this.reconnectAttempts = 5;
+
+        /**
+         * The number of milliseconds to wait before the first reconnection attempt.
+         * The delay doubles with each subsequent attempt.
+         * @type {number}
+         **/
+        this.reconnectDelayMin = 1000;
+
+        /**
+         * The most milliseconds to wait between reconnection attempts.
+         * @type {number}
+         **/
+        this.reconnectDelayMax = 16000;
+
+        /**
+         * The number of milliseconds to wait for the conference to be rejoined on each attempt.
+         * @type {number}
+         **/
+        this.reconnectTimeout = 10000;
+
+        /**
+         * The credentials the current room was joined with, or null for an open service.
+         * @type {JoinAuthOptions}
+         **/
+        this.auth = null;
+
+        /**
+         * Where tokens for the current room come from, or null if we join as a guest.
+         * @type {TokenSource}
+         **/
+        this.tokens = null;
+
+        /**
+         * Whether a rejected token has already been swapped for a fresh one on this attempt to join.
+         * @type {boolean}
+         **/
+        this.authRetried = false;
+
+        this.reconnecting = false;
+
+        /**
+         * Goes up whenever reconnecting is called off, so the attempts in progress know to stop.
+         * @type {number}
+         **/
+        this.reconnectGeneration = 0;
+
+        /**
+         * Whether a moderator has stopped anyone else from joining.
+         * @type {boolean}
+         **/
+        this.roomLocked = false;
+
+        /**
+         * Where on the map the local user's shared screen goes, or null to keep it over the local user.
+         * @type {{x: number, y: number, z: number}}
+         **/
+        this.screenAnchor = null;
+
+        /**
+         * Decides how much video to receive from each user, based on how far away they are.
+         * @type {VideoReceivePolicy}
+         **/
+        this.videoPolicy = new VideoReceivePolicy();
+
+        /**
+         * Records the session, between calls to `startRecording()` and `stopRecording()`.
+         * @type {SessionRecorder}
+         **/
+        this.recorder = new SessionRecorder();
+
+        /** @type {PresenceStatus} */
+        this._presenceStatus = PresenceStatus.available;
+
+        /** @type {string} */
+        this._presenceText = null;
+
+        /**
+         * Whether to mute the microphone while the local user is away, and unmute it when they come back.
+         * @type {boolean}
+         **/
+        this.muteWhenAway = false;
+
+        /**
+         * Whether going away muted the microphone, so coming back should unmute it.
+         * @type {boolean}
+         **/
+        this.mutedForAway = false;
+
+        /**
+         * Whether the microphone is being muted because the local user went away,
+         * rather than by the user themselves or by a moderator.
+         * @type {boolean}
+         **/
+        this.mutingForAway = false;
+
+        /**
+         * Whether the local user is away because they went idle, rather than by choice.
+         * @type {boolean}
+         **/
+        this.idleAway = false;
+
+        /**
+         * Marks the local user away when they stop using the page, while in a room.
+         * @type {IdleDetector}
+         **/
+        this.idle = new IdleDetector();
+        this.idle.addEventListener("idle", () => {
+            if (this._presenceStatus === PresenceStatus.available) {
+                this.idleAway = true;
+                this.changePresenceAsync(PresenceStatus.away, this._presenceText);
+            }
+        });
+        this.idle.addEventListener("active", () => {
+            if (this.idleAway) {
+                this.idleAway = false;
+                this.changePresenceAsync(PresenceStatus.available, this._presenceText);
+            }
+        });
+
+        /** @type {import("../emoji/Emoji").Emoji} */
+        this._avatarEmoji = null;
+
+        /** @type {string} */
+        this._avatarURL = null;
+
+        /**
+         * Broadcasts the local user's pose to the room at a steady rate.
+         * @type {PoseReplicator}
+         **/
+        this.poseReplicator = new PoseReplicator((value) => {
+            this.broadcastMessage("userPoseChanged", value);
+            this.sendLegacyPose();
+        });
+
+        /**
+         * Keeps track of a clock that everyone in the room shares.
+         * @type {ClockSync}
+         **/
+        this.clock = new ClockSync((toUserID, command, value) =>
+            this.sendMessageTo(toUserID, command, value));
+        this.clock.addEventListener("sharedTimeChanged", (evt) => {
+            this.dispatchEvent(Object.assign(
+                new Event("sharedTimeChanged"), {
+                id: this.localUserID,
+                time: evt.time,
+                error: evt.error,
+                delta: evt.delta
+            }));
+        });
+
+        /**
+         * Sends requests to other users and answers theirs.
+         * @type {RpcChannel}
+         **/
+        this.rpc = new RpcChannel((toUserID, command, value) => {
+            // replays need to know which request each recorded response answers.
+            if (command === "rpcRequest") {
+                this.recorder.record("rpcRequestSent", {
+                    toUserID,
+                    rid: value.rid,
+                    method: value.method
+                });
+            }
+
+            this.sendMessageTo(toUserID, command, value);
+        });
+        this.rpc.handle("userInit", (args, fromUserID) =>
+            this.makeUserInitResponse(fromUserID));
+
+        /**
+         * Receives the answers of users whose builds of Calla predate
+         * userInit going through RPC.
+         * @type {EventBase}
+         **/
+        this.legacyUserInit = new EventBase();
+
+        /**
+         * Shares slices of the local user's state with the room, and
+         * catches up on everyone else's when joining.
+         * @type {StateReplicator}
+         **/
+        this.state = new StateReplicator((command, value) =>
+            this.broadcastMessage(command, value));
+
+        // Calla's own slices only go out in snapshots. Their changes
+        // keep going through the usual commands and track events.
+        this.state.register("audioMuted", () => this.isAudioMuted, isBoolean);
+        this.state.register("videoMuted", () => this.isVideoMuted, isBoolean);
+        this.state.register("avatarEmoji", () => this._avatarEmoji && {
+            value: this._avatarEmoji.value,
+            desc: this._avatarEmoji.desc
+        }, isEmojiOrNull);
+        this.state.register("avatarURL", () => this._avatarURL,
+            (value) => value === null || isString(value));
+        this.state.register("screenAnchor", () => this.screenAnchor, isAnchorOrNull);
+        this.state.register("presence", () => ({
+            status: this._presenceStatus,
+            text: this._presenceText
+        }), isPresence);
+        this.state.register("whisper", () => this.whisperToUserID,
+            (value) => value === null || isString(value));
+
+        this.rpc.handle("userState", (args, fromUserID) => {
+            // the snapshot goes out after the handler returns, so don't open a whisper before then.
+            setTimeout(() => {
+                this.stateSyncedUserIDs.add(fromUserID);
+                this.updateMicGate();
+            });
+            return this.state.snapshot();
+        });
+
+        /**
+         * State that belongs to the room rather than to any one user.
+         * Listen for its "changed" event to find out about edits.
+         * @type {SharedStore}
+         **/
+        this.store = new SharedStore((command, value) =>
+            this.broadcastMessage(command, value));
+
+        this.rpc.handle("storeSnapshot", () => this.store.snapshot());
+
+        /**
+         * Text chat with the room, or with single users.
+         * @type {TextChat}
+         **/
+        this.chat = new TextChat(
+            (toUserID, command, value) => this.sendMessageTo(toUserID, command, value),
+            (command, value) => this.broadcastMessage(command, value),
+            () => this.sharedTime === null
+                ? Date.now()
+                : Math.round(this.sharedTime * 1000));
+        this.chat.addEventListener("chatMessage", (evt) => {
+            this.dispatchEvent(Object.assign(
+                new Event("chatMessage"), {
+                id: evt.id,
+                messageID: evt.messageID,
+                displayName: evt.displayName,
+                text: evt.text,
+                time: evt.time,
+                toUserID: evt.toUserID,
+                isLocal: evt.isLocal,
+                recipientCount: evt.recipientCount,
+                isHistory: evt.isHistory
+            }));
+        });
+
+        this.rpc.handle("chatHistory", () => this.chat.snapshot());
+
+        /**
+         * Measurements of everyone's connection, taken every `stats.interval` milliseconds while in a room.
+         * @type {StatsCollector}
+         **/
+        this.stats = new StatsCollector(() => this.transport.getStatsAsync());
+        this.stats.addEventListener("connectionStats", (evt) => {
+            this.dispatchEvent(Object.assign(
+                new Event("connectionStats"), {
+                stats: evt.stats
+            }));
+        });
+
+        /**
+         * Application-defined data channel commands, keyed by "namespace:command".
+         * @type {Map<string, commandValidator>}
+         **/
+        this.customCommands = new Map();
+
+        /**
+         * The protocol version each of the other users' Calla builds speaks,
+         * as far as we've heard from them.
+         * @type {Map<string, number>}
+         **/
+        this.peerVersions = new Map();
+
         this.addEventListener("participantJoined", async (evt) => {
-            const response = await this.userInitRequestAsync(evt.id);
+            let response = null;
+            try {
+                response = await this.userInitRequestAsync(evt.id);
+            }
+            catch (exp) {
+                console.warn("Could not initialize user", evt.id, exp);
+                return;
+            }
 
             if (isNumber(response.x)
                 && isNumber(response.y)
@@ -157,25 +642,46 @@ export class CallaClient extends EventBase {
                         response.ux, response.uy, response.uz);
                 }
             }
+
+            this.dispatchEvent(new CallaClientEvent("userInitResponse", evt.id, response));
         });
 
-        this.addEventListener("userInitRequest", (evt) => {
-            const user = this.audio.getUser(this.localUserID);
-            const { p, f, u } = user.pose.end;
-            this.userInitResponse(evt.id, {
-                id: this.localUserID,
-                px: p.x,
-                py: p.y,
-                pz: p.z,
-                fx: f.x,
-                fy: f.y,
-                fz: f.z,
-                ux: u.x,
-                uy: u.y,
-                uz: u.z
+        this.addEventListener("participantJoined", (evt) => {
+            // a whisper goes quiet until the newcomer knows not to listen.
+            this.updateMicGate();
+            this.syncUserStateAsync(evt.id);
+            this.syncStoreAsync(evt.id);
+            if (this.chat.needsHistory) {
+                this.syncChatHistoryAsync(evt.id);
+            }
+        });
+
+        this.addEventListener("moderate", (evt) => {
+            this.receiveModeration(evt);
+        });
+
+        this.addEventListener("chatText", (evt) => {
+            this.chat.receive(evt.id, evt, evt.direct === true
+                ? this.localUserID
+                : null);
+        });
+
+        this.addEventListener("storeOp", (evt) => {
+            this.store.receive({
+                op: evt.op,
+                key: evt.key,
+                value: evt.value,
+                clock: evt.clock,
+                replica: evt.replica,
+                tag: evt.tag,
+                tags: evt.tags
             });
         });
 
+        this.addEventListener("userStateUpdate", (evt) => {
+            this.applyUserState(evt.id, this.state.receiveUpdate(evt.id, evt.seq, evt.name, evt.value));
+        });
+
         this.addEventListener("userMoved", (evt) => {
             this.audio.setUserPosition(evt.id, evt.x, evt.y, evt.z);
         });
@@ -188,8 +694,54 @@ export class CallaClient extends EventBase {
             this.audio.setUserPose(evt.id, evt.px, evt.py, evt.pz, evt.fx, evt.fy, evt.fz, evt.ux, evt.uy, evt.uz);
         });
 
+        this.addEventListener("userPoseChanged", (evt) => {
+            const pose = this.poseReplicator.receive(evt.id, evt);
+            if (pose !== null) {
+                const sentTime = isNumber(evt.t)
+                    ? this.poseReplicator.localTimeOf(evt.id, evt.t)
+                    : null;
+
+                if (sentTime === null) {
+                    this.audio.setUserPose(evt.id, ...pose);
+                }
+                else {
+                    const age = (performance.now() - sentTime) / 1000;
+                    this.audio.addUserPoseSample(evt.id, ...pose, this.audio.currentTime - age);
+                }
+            }
+        });
+
         this.addEventListener("participantLeft", (evt) => {
+            if (evt.id === this.whisperToUserID) {
+                this.stopWhisper();
+            }
+
             this.removeUser(evt.id);
+            this.poseReplicator.removeUser(evt.id);
+            this.rpc.removeUser(evt.id);
+            this.state.removeUser(evt.id);
+            this.stats.removeUser(evt.id);
+            this.peerVersions.delete(evt.id);
+            this.stateSyncedUserIDs.delete(evt.id);
+            this.updateMicGate();
+            this.clock.setUsers(this.localUserID, this.userIDs()
+                .filter((id) => id !== evt.id));
+        });
+
+        this.addEventListener("clockPing", (evt) => {
+            this.clock.receivePing(evt.id, evt.t0);
+        });
+
+        this.addEventListener("clockPong", (evt) => {
+            this.clock.receivePong(evt.id, evt.t0, evt.t1, evt.t2);
+        });
+
+        this.addEventListener("rpcRequest", (evt) => {
+            this.rpc.receiveRequest(evt.id, evt.rid, evt.method, evt.args);
+        });
+
+        this.addEventListener("rpcResponse", (evt) => {
+            this.rpc.receiveResponse(evt.id, evt.rid, evt.result, evt.error, evt.code);
         });
 
         const onAudioChange = (evt) => {
@@ -223,6 +775,15 @@ export class CallaClient extends EventBase {
             }
         });
 
+        this.addEventListener("localAudioMuteStatusChanged", () => {
+            // once someone else changes the microphone, coming back leaves it alone.
+            if (!this.mutingForAway) {
+                this.mutedForAway = false;
+            }
+
+            this.updateMicGate();
+        });
+
         this.addEventListener("videoMuteStatusChanged", (evt) => {
             if (evt.id === this.localUserID) {
                 const evt2 = Object.assign(new Event("localVideoMuteStatusChanged"), {
@@ -233,197 +794,200 @@ export class CallaClient extends EventBase {
             }
         });
 
-        const dispose = () => this.dispose();
-        window.addEventListener("beforeunload", dispose);
-        window.addEventListener("unload", dispose);
-        window.addEventListener("pagehide", dispose);
-
-        Object.seal(this);
-    }
-
-    get appFingerPrint() {
-        return "Calla";
-    }
-
-    userIDs() {
-        return Object.keys(this.conference.participants);
-    }
-
-    userExists(id) {
-        return !!this.conference.participants[id];
-    }
+        const onTrackMuteChanged = (track, muted) => {
+            // a shared screen is either there or it isn't.
+            if (trackKindOf(track) === "screen") {
+                return;
+            }
 
-    users() {
-        return Object.keys(this.conference.participants)
-            .map(k => [k, this.conference.participants[k].getDisplayName()]);
-    }
+            const userID = track.getParticipantId() || this.localUserID,
+                trackKind = track.getType(),
+                muteChangedEvtName = trackKind + "MuteStatusChanged",
+                evt = Object.assign(
+                    new Event(muteChangedEvtName), {
+                    id: userID,
+                    muted
+                });
 
-    update() {
-        this.audio.update();
-    }
+            this.dispatchEvent(evt);
+        };
 
-    _prepareAsync() {
-        if (!this._prepTask) {
-            console.info("Connecting to:", this.host);
-            this._prepTask = import(`https://${this.host}/libs/lib-jitsi-meet.min.js`);
-        }
-        return this._prepTask;
-    }
+        addEventListeners(this.transport, {
+            conferenceJoined: async (evt) => {
+                const previousUserID = this.localUserID;
+                this.localUserID = evt.id;
+                console.log("======== CONFERENCE_JOINED ::", this.localUserID);
 
-    /**
-     * @param {string} roomName
-     * @param {string} userName
-     */
-    async join(roomName, userName) {
-        await this.leaveAsync();
+                if (this.reconnecting
+                    && previousUserID !== null
+                    && previousUserID !== this.localUserID) {
+                    // keep the listener where it was on the map
+                    this.audio.renameUser(previousUserID, this.localUserID);
+                    this.stats.removeUser(previousUserID);
+                }
 
-        await this._prepareAsync();
+                const user = this.audio.createLocalUser(this.localUserID);
+                this.joined = true;
+                this.authRetried = false;
+                // catch up on anything said while we were away.
+                this.chat.needsHistory = true;
+                this.poseReplicator.invalidate();
+                this.clock.setUsers(this.localUserID, this.userIDs());
+                this.stats.start();
+                this.videoPolicy.reset();
+                if (!this.headless) {
+                    this.idle.start();
+                }
 
-        roomName = roomName.toLocaleLowerCase();
+                // reconnectAsync restores the rest of the state on its own
+                if (!this.reconnecting) {
+                    this.dispatchEvent(Object.assign(
+                        new Event("videoConferenceJoined"), {
+                        id: this.localUserID,
+                        roomName: this.roomName,
+                        displayName: this.userName,
+                        pose: user.pose
+                    }));
+                    await this.setPreferredDevicesAsync();
+                }
+            },
 
-        JitsiMeetJS.setLogLevel(JitsiMeetJS.logLevels.ERROR);
-        JitsiMeetJS.init();
+            conferenceLeft: () => {
+                if (!this.reconnecting) {
+                    this._onConferenceLeft();
+                }
+            },
 
-        this.connection = new JitsiMeetJS.JitsiConnection(null, null, {
-            hosts: {
-                domain: this.bridgeHost,
-                muc: this.bridgeMUC
+            connectionFailed: (evt) => {
+                if (this.joined) {
+                    this.beginReconnect();
+                }
+                else if (!this.reconnecting) {
+                    this._onFailed(evt.error);
+                }
             },
-            serviceUrl: `https://${this.host}/http-bind`,
-            enableLipSync: true
-        });
 
-        const {
-            CONNECTION_ESTABLISHED,
-            CONNECTION_FAILED,
-            CONNECTION_DISCONNECTED
-        } = JitsiMeetJS.events.connection;
+            authFailed: async (evt) => {
+                if (this.tokens !== null) {
+                    this.tokens.invalidate();
+                }
 
-        setLoggers(this.connection, JitsiMeetJS.events.connection);
+                // the next attempt asks the provider for a new token.
+                if (this.reconnecting) {
+                    return;
+                }
 
-        const onConferenceLeft = () => {
-            this.dispatchEvent(Object.assign(
-                new Event("videoConferenceLeft"), {
-                roomName
-            }));
-            this.localUserID = null;
-            this.conference = null;
-            this.joined = false;
-        };
+                let reason = evt.reason,
+                    message = "The service did not let us in.";
+
+                if (reason === "tokenRejected"
+                    && this.tokens !== null
+                    && this.tokens.canRefresh
+                    && !this.authRetried) {
+                    this.authRetried = true;
+                    try {
+                        await this._connectAsync();
+                        return;
+                    }
+                    catch (exp) {
+                        reason = exp.code || reason;
+                        message = exp.message;
+                    }
+                }
 
-        const onFailed = (evt) => {
-            console.error("Connection failed", evt);
-            this.dispose();
-            onConferenceLeft();
-            onDisconnect();
-        };
+                this._onAuthFailed(reason, message);
+            },
 
-        const onDisconnect = () => {
-            this.connection.removeEventListener(CONNECTION_ESTABLISHED, onConnect);
-            this.connection.removeEventListener(CONNECTION_FAILED, onFailed);
-            this.connection.removeEventListener(CONNECTION_DISCONNECTED, onDisconnect);
-            this.connection = null;
-        };
+            statsUpdated: (evt) => {
+                this.stats.merge(evt.stats);
+            },
 
-        const onConnect = (connectionID) => {
-            this.conference = this.connection.initJitsiConference(roomName, {
-                openBridgeChannel: true
-            });
+            connectionInterrupted: () => {
+                console.log("CONNECTION_INTERRUPTED");
+                if (this.joined) {
+                    this.beginReconnect();
+                }
+            },
 
-            const {
-                TRACK_ADDED,
-                TRACK_REMOVED,
-                CONFERENCE_JOINED,
-                CONFERENCE_LEFT,
-                USER_JOINED,
-                USER_LEFT,
-                DISPLAY_NAME_CHANGED,
-                ENDPOINT_MESSAGE_RECEIVED,
-                CONNECTION_INTERRUPTED
-            } = JitsiMeetJS.events.conference;
-
-            setLoggers(this.conference, JitsiMeetJS.events.conference);
-
-            this.conference.addEventListener(CONFERENCE_JOINED, async () => {
-                this.localUserID = this.conference.myUserId();
-                console.log("======== CONFERENCE_JOINED ::", this.localUserID);
-                const user = this.audio.createLocalUser(this.localUserID);
-                this.joined = true;
-                this.setDisplayName(userName);
+            participantJoined: (evt) => {
+                console.log("======== USER_JOINED ::", evt.id);
+                const user = this.audio.createUser(evt.id);
+                this.poseReplicator.invalidate();
+                this.state.beginSync(evt.id);
+                this.clock.setUsers(this.localUserID, this.userIDs());
                 this.dispatchEvent(Object.assign(
-                    new Event("videoConferenceJoined"), {
-                    id: this.localUserID,
-                    roomName,
-                    displayName: userName,
+                    new Event("participantJoined"), {
+                    id: evt.id,
+                    displayName: evt.displayName,
                     pose: user.pose
                 }));
-                await this.setPreferredDevicesAsync();
-            });
-
-            this.conference.addEventListener(CONFERENCE_LEFT, onConferenceLeft);
-
-            const onTrackMuteChanged = (track, muted) => {
-                const userID = track.getParticipantId() || this.localUserID,
-                    trackKind = track.getType(),
-                    muteChangedEvtName = trackKind + "MuteStatusChanged",
-                    evt = Object.assign(
-                        new Event(muteChangedEvtName), {
-                        id: userID,
-                        muted
-                    });
+            },
 
-                this.dispatchEvent(evt);
-            };
+            participantLeft: (evt) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("participantLeft"), {
+                    id: evt.id
+                }));
+            },
 
-            const onTrackChanged = (track) => {
-                onTrackMuteChanged(track, track.isMuted());
-            };
+            participantRoleChanged: (evt) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("participantRoleChanged"), {
+                    id: evt.id,
+                    role: evt.role
+                }));
+            },
 
-            this.conference.addEventListener(USER_JOINED, (id, jitsiUser) => {
-                console.log("======== USER_JOINED ::", id);
-                const user = this.audio.createUser(id);
-                const evt = Object.assign(
-                    new Event("participantJoined"), {
-                    id,
-                    displayName: jitsiUser.getDisplayName(),
-                    pose: user.pose
-                });
-                this.dispatchEvent(evt);
-            });
+            kicked: async (evt) => {
+                // being kicked isn't a dropped connection, so don't try to get back in.
+                this.joined = false;
+                this.dispatchEvent(Object.assign(
+                    new Event("kicked"), {
+                    id: evt.id,
+                    reason: evt.reason
+                }));
 
-            this.conference.addEventListener(USER_LEFT, (id) => {
-                const evt = Object.assign(
-                    new Event("participantLeft"), {
-                    id
-                });
+                try {
+                    await this.transport.leaveAsync();
+                }
+                catch (exp) {
+                    console.warn("Could not leave after being kicked", exp);
+                }
+            },
 
-                this.dispatchEvent(evt);
-            });
+            lockChanged: (evt) => {
+                this.roomLocked = evt.locked;
+                this.dispatchEvent(Object.assign(
+                    new Event("roomLockChanged"), {
+                    locked: evt.locked
+                }));
+            },
 
-            this.conference.addEventListener(DISPLAY_NAME_CHANGED, (id, displayName) => {
-                const evt = Object.assign(
+            displayNameChanged: (evt) => {
+                this.dispatchEvent(Object.assign(
                     new Event("displayNameChange"), {
-                    id,
-                    displayName
-                });
-
-                this.dispatchEvent(evt);
-            });
+                    id: evt.id,
+                    displayName: evt.displayName
+                }));
+            },
 
-            this.conference.addEventListener(TRACK_ADDED, (track) => {
-                const userID = track.getParticipantId() || this.localUserID,
+            trackAdded: (evt) => {
+                const track = evt.track,
+                    userID = track.getParticipantId() || this.localUserID,
                     isLocal = track.isLocal(),
-                    trackKind = track.getType(),
-                    trackAddedEvt = Object.assign(new Event(trackKind + "Added"), {
-                        id: userID,
-                        stream: track.stream
-                    }),
+                    trackKind = trackKindOf(track),
+                    trackAddedEvt = trackKind === "screen"
+                        ? Object.assign(new Event("screenShareAdded"), {
+                            id: userID,
+                            stream: track.stream,
+                            anchor: this.getScreenAnchor(userID)
+                        })
+                        : Object.assign(new Event(trackKind + "Added"), {
+                            id: userID,
+                            stream: track.stream
+                        }),
                     user = this.audio.getUser(userID);
 
-                setLoggers(track, JitsiMeetJS.events.track);
-
-                track.addEventListener(JitsiMeetJS.events.track.TRACK_MUTE_CHANGED, onTrackChanged);
-
                 if (user.tracks.has(trackKind)) {
                     user.tracks.get(trackKind).dispose();
                     user.tracks.delete(trackKind);
@@ -437,18 +1001,22 @@ export class CallaClient extends EventBase {
 
                 this.dispatchEvent(trackAddedEvt);
 
-                onTrackMuteChanged(track, false);
-            });
-
-            this.conference.addEventListener(TRACK_REMOVED, (track) => {
+                onTrackMuteChanged(track, track.isMuted());
+            },
 
-                const userID = track.getParticipantId() || this.localUserID,
+            trackRemoved: (evt) => {
+                const track = evt.track,
+                    userID = track.getParticipantId() || this.localUserID,
                     isLocal = track.isLocal(),
-                    trackKind = track.getType(),
-                    trackRemovedEvt = Object.assign(new Event(trackKind + "Removed"), {
-                        id: userID,
-                        stream: null
-                    }),
+                    trackKind = trackKindOf(track),
+                    trackRemovedEvt = trackKind === "screen"
+                        ? Object.assign(new Event("screenShareRemoved"), {
+                            id: userID
+                        })
+                        : Object.assign(new Event(trackKind + "Removed"), {
+                            id: userID,
+                            stream: null
+                        }),
                     user = this.audio.getUser(userID);
 
                 if (user && user.tracks.has(trackKind)) {
@@ -464,56 +1032,191 @@ export class CallaClient extends EventBase {
 
                 onTrackMuteChanged(track, true);
                 this.dispatchEvent(trackRemovedEvt);
-            });
+            },
 
-            this.conference.addEventListener(ENDPOINT_MESSAGE_RECEIVED, (user, data) => {
-                this.rxGameData({ user, data });
-            });
+            trackMuteChanged: (evt) => {
+                onTrackMuteChanged(evt.track, evt.track.isMuted());
+            },
 
-            this.conference.addEventListener(CONNECTION_INTERRUPTED, (...rest) => {
-                console.log("CONNECTION_INTERRUPTED");
-                onFailed(rest);
-            });
+            messageReceived: (evt) => {
+                this.rxGameData(evt);
+            }
+        });
 
-            this.conference.join();
-        };
+        if (isBrowser) {
+            const dispose = () => this.dispose();
+            window.addEventListener("beforeunload", dispose);
+            window.addEventListener("unload", dispose);
+            window.addEventListener("pagehide", dispose);
+        }
+
+        Object.seal(this);
+    }
 
-        this.connection.addEventListener(CONNECTION_ESTABLISHED, onConnect);
-        this.connection.addEventListener(CONNECTION_FAILED, onFailed);
-        this.connection.addEventListener(CONNECTION_DISCONNECTED, onDisconnect);
+    get appFingerPrint() {
+        return "Calla";
+    }
 
-        setLoggers(JitsiMeetJS.mediaDevices, JitsiMeetJS.events.mediaDevices);
+    userIDs() {
+        return this.transport.userIDs();
+    }
 
-        this.connection.connect();
+    userExists(id) {
+        return this.userIDs().indexOf(id) > -1;
     }
 
-    dispatchEvent(evt) {
-        if (evt.id === null
-            || evt.id === undefined
-            || evt.id === "local") {
-            if (this.localUserID === null) {
-                console.warn("I DON'T KNOW THE LOCAL USER ID YET!");
-            }
-            evt.id = this.localUserID;
+    users() {
+        return this.userIDs()
+            .map(k => [k, this.transport.getDisplayName(k)]);
+    }
+
+    update() {
+        this.audio.update();
+        if (this._transmitMode === TransmitMode.voiceActivated) {
+            this.voice.update();
         }
 
-        super.dispatchEvent(evt);
+        this.updateVideoReceivePolicy();
     }
 
-    async setPreferredDevicesAsync() {
-        await this.setPreferredAudioInputAsync(true);
-        await this.setPreferredVideoInputAsync(false);
-        await this.setPreferredAudioOutputAsync(true);
+    /**
+     * Asks the service for the video that the users' distances call for.
+     * @private
+     **/
+    updateVideoReceivePolicy() {
+        if (this.joined
+            && this.localUserID !== null) {
+            const sharerIDs = this.userIDs()
+                .filter((id) => {
+                    const user = this.audio.getUser(id);
+                    return user && user.tracks.has("screen");
+                }),
+                constraints = this.videoPolicy.update(
+                    performance.now(),
+                    this.audio.getUserDistances(this.localUserID),
+                    this.audio.maxDistance,
+                    sharerIDs);
+            if (constraints !== null) {
+                this.transport.setReceiverConstraints(constraints);
+            }
+        }
     }
 
     /**
-     * @param {boolean} allowAny
+     * Changes how far away users have to be before their video is shrunk or turned off.
+     * Anything left out keeps its current value.
+     * @param {number} [nearDistance] - users within this distance get full-size video.
+     * @param {number} [maxDistance] - users further away than this don't get any video. Null follows the audio's maximum distance.
+     * @param {number} [highHeight] - the frame height, in pixels, of video from nearby users.
+     * @param {number} [lowHeight] - the frame height, in pixels, of video from users further away.
+     * @param {number} [maxVideos] - the most video streams to receive at once.
      */
-    async getPreferredAudioOutputAsync(allowAny) {
-        const devices = await this.getAudioOutputDevicesAsync();
-        const device = arrayScan(
-            devices,
-            (d) => d.deviceId === this.preferredAudioOutputID,
+    setVideoReceiveThresholds(nearDistance, maxDistance, highHeight, lowHeight, maxVideos) {
+        this.videoPolicy.setThresholds(nearDistance, maxDistance, highHeight, lowHeight, maxVideos);
+    }
+
+    /**
+     * @param {string} roomName
+     * @param {string} userName
+     * @param {JoinOptions} [options]
+     * @fires CallaClient#authFailed
+     */
+    async join(roomName, userName, options) {
+        await this.leaveAsync();
+
+        const auth = options && options.auth || null;
+        this.auth = auth;
+        this.tokens = auth && auth.token
+            ? new TokenSource(auth.token)
+            : null;
+        this.authRetried = false;
+
+        this.roomName = roomName.toLocaleLowerCase();
+        this.userName = userName;
+
+        try {
+            await this._connectAsync();
+        }
+        catch (exp) {
+            if (exp instanceof AuthError) {
+                this._onAuthFailed(exp.code, exp.message);
+            }
+            else {
+                throw exp;
+            }
+        }
+    }
+
+    /**
+     * Gets a token, if the service needs one, and joins the current room.
+     * @private
+     * @throws {AuthError}
+     **/
+    async _connectAsync() {
+        let auth = null;
+        if (this.auth !== null) {
+            auth = {
+                token: this.tokens === null
+                    ? null
+                    : await this.tokens.getTokenAsync(),
+                appID: this.auth.appID || null,
+                guestDomain: this.auth.guestDomain || null
+            };
+        }
+
+        await this.transport.joinAsync(this.roomName, this.userName, auth);
+    }
+
+    /**
+     * The current time, in seconds, by a clock that everyone in the room shares,
+     * or null if it hasn't been estimated yet.
+     * @type {number}
+     **/
+    get sharedTime() {
+        return this.clock.time;
+    }
+
+    /**
+     * The most number of seconds by which `sharedTime` could be wrong.
+     * @type {number}
+     **/
+    get sharedTimeError() {
+        return this.clock.error;
+    }
+
+    dispatchEvent(evt) {
+        if (evt.id === null
+            || evt.id === undefined
+            || evt.id === "local") {
+            if (this.localUserID === null) {
+                console.warn("I DON'T KNOW THE LOCAL USER ID YET!");
+            }
+            evt.id = this.localUserID;
+        }
+
+        super.dispatchEvent(evt);
+    }
+
+    async setPreferredDevicesAsync() {
+        // there's no need to ask for devices when the audio comes from elsewhere.
+        if (this.audioInputStream !== null) {
+            await this.setAudioInputStreamAsync(this.audioInputStream);
+        }
+        else {
+            await this.setPreferredAudioInputAsync(true);
+            await this.setPreferredVideoInputAsync(false);
+            await this.setPreferredAudioOutputAsync(true);
+        }
+    }
+
+    /**
+     * @param {boolean} allowAny
+     */
+    async getPreferredAudioOutputAsync(allowAny) {
+        const devices = await this.getAudioOutputDevicesAsync();
+        const device = arrayScan(
+            devices,
+            (d) => d.deviceId === this.preferredAudioOutputID,
             (d) => d.deviceId === "communications",
             (d) => d.deviceId === "default",
             (d) => allowAny && d && d.deviceId);
@@ -576,6 +1279,243 @@ export class CallaClient extends EventBase {
         }
     }
 
+    /**
+     * Tears down the session after the conference has been left for good.
+     * @private
+     **/
+    _onConferenceLeft() {
+        this.dispatchEvent(Object.assign(
+            new Event("videoConferenceLeft"), {
+            roomName: this.roomName
+        }));
+        this.localUserID = null;
+        this.joined = false;
+        this.poseReplicator.reset();
+        this.clock.stop();
+        this.stats.stop();
+        this.rpc.cancelAll();
+        this.state.reset();
+        this.store.reset();
+        this.chat.reset();
+        this.roomLocked = false;
+        this.screenAnchor = null;
+        this.videoPolicy.reset();
+        this.idle.stop();
+        this.voice.setStream(null);
+        this.isMicLive = false;
+        this.whisperToUserID = null;
+        this.stateSyncedUserIDs.clear();
+        this.peerVersions.clear();
+        this.mutedForAway = false;
+        if (this.idleAway) {
+            this.idleAway = false;
+            this._presenceStatus = PresenceStatus.available;
+        }
+    }
+
+    /**
+     * @private
+     * @param {any} error
+     **/
+    _onFailed(error) {
+        console.error("Connection failed", error);
+        this.dispose();
+        this._onConferenceLeft();
+    }
+
+    /**
+     * @private
+     * @param {import("./auth/AuthError").AuthErrorCode} reason
+     * @param {string} message
+     */
+    _onAuthFailed(reason, message) {
+        console.error("Authentication failed", reason, message);
+        this.dispatchEvent(Object.assign(
+            new Event("authFailed"), {
+            reason,
+            message
+        }));
+        this.dispose();
+        this._onConferenceLeft();
+    }
+
+    /**
+     * Tries to get back into the current conference after the connection drops,
+     * waiting exponentially longer between each attempt. Once back in, the local
+     * user's pose, avatar, and mute state are sent back out to the room.
+     * @fires CallaClient#reconnecting
+     * @fires CallaClient#reconnected
+     * @fires CallaClient#reconnectFailed
+     * @returns {Promise<boolean>} - true, if the conference was rejoined.
+     **/
+    async reconnectAsync() {
+        if (this.reconnecting) {
+            return false;
+        }
+
+        this.reconnecting = true;
+
+        const generation = this.reconnectGeneration,
+            isCancelled = () => generation !== this.reconnectGeneration;
+
+        const previousUserID = this.localUserID,
+            previousUserIDs = this.userIDs(),
+            user = this.audio.getUser(previousUserID),
+            { p, f, u } = user.pose.end,
+            pose = [p.x, p.y, p.z, f.x, f.y, f.z, u.x, u.y, u.z],
+            audioMuted = this.isAudioMuted,
+            videoMuted = this.isVideoMuted;
+
+        let restored = false,
+            rejoined = false;
+
+        for (let attempt = 1; attempt <= this.reconnectAttempts && !restored; ++attempt) {
+            if (isCancelled()) {
+                return false;
+            }
+
+            const delay = Math.min(
+                this.reconnectDelayMax,
+                this.reconnectDelayMin * Math.pow(2, attempt - 1));
+
+            this.dispatchEvent(Object.assign(
+                new Event("reconnecting"), {
+                id: previousUserID,
+                attempt,
+                delay
+            }));
+
+            try {
+                // the service might recover the connection on its own.
+                await once(this.transport, "connectionRestored", delay);
+                restored = true;
+            }
+            catch (timeout) {
+                if (isCancelled()) {
+                    return false;
+                }
+
+                try {
+                    await this._rejoinAsync(isCancelled);
+                    restored = rejoined = true;
+                }
+                catch (exp) {
+                    console.warn("Reconnection attempt failed", attempt, exp);
+                }
+            }
+        }
+
+        if (isCancelled()) {
+            return false;
+        }
+
+        if (!restored) {
+            this.reconnecting = false;
+            this.dispatchEvent(Object.assign(
+                new Event("reconnectFailed"), {
+                id: previousUserID
+            }));
+            this._onFailed("Could not reconnect");
+            return false;
+        }
+
+        if (rejoined) {
+            await this.setPreferredDevicesAsync();
+            if (isCancelled()) {
+                return false;
+            }
+        }
+
+        this.setLocalPose(...pose);
+
+        if (this._avatarEmoji) {
+            this.avatarEmoji = this._avatarEmoji;
+        }
+
+        if (this._avatarURL) {
+            this.avatarURL = this._avatarURL;
+        }
+
+        await this.setAudioMutedAsync(audioMuted);
+        await this.setVideoMutedAsync(videoMuted);
+
+        for (let id of previousUserIDs) {
+            if (!this.userExists(id)) {
+                this.dispatchEvent(Object.assign(
+                    new Event("participantLeft"), {
+                    id
+                }));
+            }
+        }
+
+        this.reconnecting = false;
+        this.dispatchEvent(Object.assign(
+            new Event("reconnected"), {
+            id: this.localUserID,
+            previousID: previousUserID
+        }));
+
+        return true;
+    }
+
+    /**
+     * Reconnects in the background. If reconnecting itself goes wrong, the session is over.
+     * @private
+     **/
+    beginReconnect() {
+        this.reconnectAsync().catch((exp) => {
+            if (this.reconnecting) {
+                this.reconnecting = false;
+                this._onFailed(exp);
+            }
+        });
+    }
+
+    /**
+     * Stops any attempts to reconnect that are in progress.
+     * @private
+     * @returns {boolean} - whether the client was reconnecting.
+     **/
+    cancelReconnect() {
+        const wasReconnecting = this.reconnecting;
+        ++this.reconnectGeneration;
+        this.reconnecting = false;
+        return wasReconnecting;
+    }
+
+    /**
+     * Drops the old connection and joins the current room again.
+     * @private
+     * @param {function(): boolean} isCancelled - whether reconnecting has been called off since it started.
+     **/
+    async _rejoinAsync(isCancelled) {
+        this.joined = false;
+
+        const user = this.audio.getUser(this.localUserID);
+        if (user) {
+            for (let track of user.tracks.values()) {
+                track.dispose();
+            }
+            user.tracks.clear();
+        }
+
+        try {
+            await this.transport.leaveAsync();
+        }
+        catch (exp) {
+            console.warn("Couldn't leave the old connection cleanly", exp);
+        }
+
+        if (isCancelled()) {
+            throw new Error("Reconnecting was cancelled.");
+        }
+
+        await Promise.all([
+            once(this.transport, "conferenceJoined", "connectionFailed", this.reconnectTimeout),
+            this._connectAsync()
+        ]);
+    }
+
     dispose() {
         if (this.localUserID) {
             const user = this.audio.getUser(this.localUserID);
@@ -592,35 +1532,57 @@ export class CallaClient extends EventBase {
      * @param {string} userName
      */
     setDisplayName(userName) {
-        this.conference.setDisplayName(userName);
+        this.userName = userName;
+        this.transport.setDisplayName(userName);
     }
 
     async leaveAsync() {
-        if (this.conference) {
-            if (this.localUserID !== null) {
+        const wasReconnecting = this.cancelReconnect();
+
+        // a connection that is still being set up, or one that was kicked out of
+        // the conference, needs taking down as much as one that is in a room.
+        if (this.transport.isConnected) {
+            // tracks can only be taken down cleanly in a conference we're in.
+            if (this.joined
+                && this.localUserID !== null) {
                 const user = this.audio.getUser(this.localUserID);
                 if (user) {
+                    if (user.tracks.has("screen")) {
+                        const removeTrackTask = once(this, "screenShareRemoved");
+                        this.transport.removeTrack(user.tracks.get("screen"));
+                        await removeTrackTask;
+                    }
+
                     if (user.tracks.has("video")) {
                         const removeTrackTask = once(this, "videoRemoved");
-                        this.conference.removeTrack(user.tracks.get("video"));
+                        this.transport.removeTrack(user.tracks.get("video"));
                         await removeTrackTask;
                     }
 
                     if (user.tracks.has("audio")) {
                         const removeTrackTask = once(this, "audioRemoved");
-                        this.conference.removeTrack(user.tracks.get("audio"));
+                        this.transport.removeTrack(user.tracks.get("audio"));
                         await removeTrackTask;
                     }
                 }
             }
 
-            await this.conference.leave();
-            await this.connection.disconnect();
+            await this.transport.leaveAsync();
+        }
+
+        // a reconnection in progress had already dropped the conference, so nothing else will say it's been left.
+        if (wasReconnecting
+            && this.localUserID !== null) {
+            this._onConferenceLeft();
         }
     }
 
     async _getDevicesAsync() {
-        await this._prepareAsync();
+        if (this.headless) {
+            return [];
+        }
+
+        await this.transport.prepareAsync();
         const devices = await navigator.mediaDevices.enumerateDevices();
         for (let device of devices) {
             if (device.deviceId.length > 0) {
@@ -635,7 +1597,7 @@ export class CallaClient extends EventBase {
     async getAvailableDevicesAsync() {
         let devices = await this._getDevicesAsync();
 
-        for (let i = 0; i < 3 && !this.hasAudioPermission; ++i) {
+        for (let i = 0; i < 3 && !this.headless && !this.hasAudioPermission; ++i) {
             devices = null;
             try {
                 const _ = await navigator.mediaDevices.getUserMedia({ audio: !this.hasAudioPermission, video: !this.hasVideoPermission });
@@ -681,7 +1643,7 @@ export class CallaClient extends EventBase {
             return;
         }
         this.preferredAudioOutputID = device && device.deviceId || null;
-        await JitsiMeetJS.mediaDevices.setAudioOutputDevice(this.preferredAudioOutputID);
+        await this.transport.setAudioOutputDeviceAsync(this.preferredAudioOutputID);
     }
 
     taskOf(evt) {
@@ -715,22 +1677,49 @@ export class CallaClient extends EventBase {
         const cur = this.getCurrentMediaTrack("audio");
         if (cur) {
             const removeTask = this.taskOf("audioRemoved");
-            this.conference.removeTrack(cur);
+            this.transport.removeTrack(cur);
             await removeTask;
         }
 
         if (this.joined && this.preferredAudioInputID) {
             const addTask = this.taskOf("audioAdded");
-            const tracks = await JitsiMeetJS.createLocalTracks({
-                devices: ["audio"],
-                micDeviceId: this.preferredAudioInputID
-            });
+            const tracks = await this.transport.createLocalTracksAsync(["audio"], this.preferredAudioInputID, null);
 
-            for (let track of tracks) {
-                this.conference.addTrack(track);
-            }
+            await Promise.all([
+                addTask,
+                ...tracks.map((track) => this.transport.addTrack(track))
+            ]);
+        }
+    }
+
+    /**
+     * Sends audio that doesn't come from a microphone, e.g. a bot's synthetic
+     * audio, in place of the microphone. The stream is sent again whenever the
+     * room is rejoined.
+     * @param {MediaStream} stream - a stream with a single audio track, or null to go back to the microphone.
+     */
+    async setAudioInputStreamAsync(stream) {
+        this.audioInputStream = stream;
+
+        const cur = this.getCurrentMediaTrack("audio");
+        if (cur) {
+            const removeTask = this.taskOf("audioRemoved");
+            this.transport.removeTrack(cur);
+            await removeTask;
+        }
 
-            await addTask;
+        if (this.joined) {
+            if (stream === null) {
+                await this.setPreferredAudioInputAsync(true);
+            }
+            else {
+                const addTask = this.taskOf("audioAdded");
+                const track = await this.transport.createStreamTrackAsync(stream);
+                await Promise.all([
+                    addTask,
+                    this.transport.addTrack(track)
+                ]);
+            }
         }
     }
 
@@ -744,22 +1733,18 @@ export class CallaClient extends EventBase {
         const cur = this.getCurrentMediaTrack("video");
         if (cur) {
             const removeTask = this.taskOf("videoRemoved");
-            this.conference.removeTrack(cur);
+            this.transport.removeTrack(cur);
             await removeTask;
         }
 
         if (this.joined && this.preferredVideoInputID) {
             const addTask = this.taskOf("videoAdded");
-            const tracks = await JitsiMeetJS.createLocalTracks({
-                devices: ["video"],
-                cameraDeviceId: this.preferredVideoInputID
-            });
-
-            for (let track of tracks) {
-                this.conference.addTrack(track);
-            }
+            const tracks = await this.transport.createLocalTracksAsync(["video"], null, this.preferredVideoInputID);
 
-            await addTask;
+            await Promise.all([
+                addTask,
+                ...tracks.map((track) => this.transport.addTrack(track))
+            ]);
         }
     }
 
@@ -781,7 +1766,7 @@ export class CallaClient extends EventBase {
         if (!canChangeAudioOutput) {
             return null;
         }
-        const deviceId = JitsiMeetJS.mediaDevices.getAudioOutputDevice(),
+        const deviceId = this.transport.getAudioOutputDevice(),
             devices = await this.getAudioOutputDevicesAsync(),
             device = devices.filter((d) => d.deviceId === deviceId);
         if (device.length === 0) {
@@ -852,174 +1837,1420 @@ export class CallaClient extends EventBase {
         return this.isMediaMuted("video");
     }
 
-    txGameData(toUserID, data) {
-        this.conference.sendMessage(data, toUserID);
+    /**
+     * When the local user's microphone sends audio to the room.
+     * @type {TransmitMode}
+     **/
+    get transmitMode() {
+        return this._transmitMode;
     }
 
-    /// A listener to add to JitsiExternalAPI::endpointTextMessageReceived event
-    /// to receive Calla messages from the Jitsi Meet data channel.
-    rxGameData(evt) {
-        if (evt.data.hax === this.appFingerPrint) {
-            this.receiveMessageFrom(evt.user.getId(), evt.data.command, evt.data.value);
+    /**
+     * Changes when the local user's microphone sends audio to the room.
+     * Muting the microphone still silences it in every mode.
+     * @param {TransmitMode} mode
+     */
+    setTransmitMode(mode) {
+        if (!isTransmitMode(mode)) {
+            throw new Error(`Invalid transmit mode: ${mode}`);
         }
-    }
 
-    /// Send a Calla message through the Jitsi Meet data channel.
-    sendMessageTo(toUserID, command, value) {
-        this.txGameData(toUserID, {
-            hax: this.appFingerPrint,
-            command,
-            value
-        });
-    }
-
-    receiveMessageFrom(fromUserID, command, value) {
-        const evt = new CallaClientEvent(command, fromUserID, value);
-        this.dispatchEvent(evt);
+        this._transmitMode = mode;
+        this.updateMicGate();
     }
 
     /**
-     * Sets parameters that alter spatialization.
-     * @param {number} minDistance
-     * @param {number} maxDistance
-     * @param {number} rolloff
-     * @param {number} transitionTime
+     * Tells the client whether the push-to-talk button is held down.
+     * @param {boolean} pressed
      */
-    setAudioProperties(minDistance, maxDistance, rolloff, transitionTime) {
-        this.audio.setAudioProperties(minDistance, maxDistance, rolloff, transitionTime);
+    setPushToTalk(pressed) {
+        this.pushToTalkPressed = pressed;
+        if (this._transmitMode === TransmitMode.pushToTalk) {
+            this.updateMicGate();
+        }
     }
 
     /**
-     * Set the position of the listener.
-     * @param {number} x - the horizontal component of the position.
-     * @param {number} y - the vertical component of the position.
-     * @param {number} z - the lateral component of the position.
-     */
-    setLocalPosition(x, y, z) {
-        this.audio.setUserPosition(this.localUserID, x, y, z);
-        for (let toUserID of this.userIDs()) {
-            this.sendMessageTo(toUserID, "userMoved", { x, y, z });
+     * Opens or closes the microphone for the transmit mode. The microphone track is
+     * disabled rather than muted while it's closed, so it opens again without delay,
+     * and other users don't see it flicker between muted and unmuted.
+     * @private
+     * @fires CallaClient#micLiveChanged
+     **/
+    updateMicGate() {
+        const track = this.getCurrentMediaTrack("audio"),
+            stream = track && track.stream || null;
+
+        if (this._transmitMode === TransmitMode.voiceActivated) {
+            if (this.voice.stream !== stream) {
+                this.voice.setStream(stream, this.audio.audioContext);
+            }
+        }
+        else if (this.voice.stream !== null) {
+            this.voice.setStream(null);
         }
-    }
 
-    /**
-     * Set the position of the listener.
-     * @param {number} fx - the horizontal component of the forward vector.
-     * @param {number} fy - the vertical component of the forward vector.
-     * @param {number} fz - the lateral component of the forward vector.
-     * @param {number} ux - the horizontal component of the up vector.
-     * @param {number} uy - the vertical component of the up vector.
-     * @param {number} uz - the lateral component of the up vector.
-     */
-    setLocalOrientation(fx, fy, fz, ux, uy, uz) {
-        this.audio.setUserOrientation(this.localUserID, fx, fy, fz, ux, uy, uz);
-        for (let toUserID of this.userIDs()) {
-            this.sendMessageTo(toUserID, "userTurned", { x, y, z });
+        const isOpen = this.whisperToUserID !== null
+            ? this.canWhisperPrivately()
+            : this._transmitMode === TransmitMode.openMic
+            || this._transmitMode === TransmitMode.pushToTalk
+            && this.pushToTalkPressed
+            // without a way to measure the microphone, fail open, so the user can still be heard.
+            || this._transmitMode === TransmitMode.voiceActivated
+            && (!this.voice.isListening || this.voice.isActive),
+            isLive = track !== null
+                && !track.isMuted()
+                && isOpen;
+
+        if (stream !== null
+            && isFunction(stream.getAudioTracks)) {
+            for (let audioTrack of stream.getAudioTracks()) {
+                audioTrack.enabled = isLive;
+            }
+        }
+
+        if (isLive !== this.isMicLive) {
+            this.isMicLive = isLive;
+            this.dispatchEvent(Object.assign(
+                new Event("micLiveChanged"), {
+                id: this.localUserID,
+                live: isLive
+            }));
         }
     }
 
     /**
-     * Set the position of the listener.
-     * @param {number} px - the horizontal component of the position.
-     * @param {number} py - the vertical component of the position.
-     * @param {number} pz - the lateral component of the position.
-     * @param {number} fx - the horizontal component of the forward vector.
-     * @param {number} fy - the vertical component of the forward vector.
-     * @param {number} fz - the lateral component of the forward vector.
-     * @param {number} ux - the horizontal component of the up vector.
-     * @param {number} uy - the vertical component of the up vector.
-     * @param {number} uz - the lateral component of the up vector.
-     */
-    setLocalPose(px, py, pz, fx, fy, fz, ux, uy, uz) {
-        this.audio.setUserPose(this.localUserID, px, py, pz, fx, fy, fz, ux, uy, uz);
-        for (let toUserID of this.userIDs()) {
-            this.sendMessageTo(toUserID, "userPosed", { px, py, pz, fx, fy, fz, ux, uy, uz });
-        }
+     * Whether the local user is whispering to someone.
+     * @type {boolean}
+     **/
+    get isWhispering() {
+        return this.whisperToUserID !== null;
     }
 
-    removeUser(id) {
-        this.audio.removeUser(id);
+    /**
+     * Whether everyone else in the room will keep a whisper to themselves: their
+     * builds of Calla understand state updates, and they have caught up on the
+     * local user's state, so the whisper's update isn't held back.
+     * @private
+     * @returns {boolean}
+     **/
+    canWhisperPrivately() {
+        return this.userIDs().every((id) => this.canRead(id, "userStateUpdate")
+            && this.stateSyncedUserIDs.has(id));
     }
 
     /**
+     * Sends the local user's voice to one other user, who hears it at full volume
+     * and without spatialization, however far away they are. Everyone else's
+     * client silences the local user until the whisper stops. The microphone is
+     * open for the whisper in every transmit mode, but muting it still silences it.
+     * It stays closed while anyone in the room hasn't caught up on the local user's
+     * state yet, such as right after they join.
      *
-     * @param {boolean} muted
+     * The audio goes through the conference like any other audio. It's the other
+     * users' clients that keep it to themselves.
+     * @fires CallaClient#whisperChanged
+     * @param {string} toUserID
      */
-    async setAudioMutedAsync(muted) {
+    startWhisper(toUserID) {
+        if (!this.joined) {
+            throw new Error("Join a room before whispering.");
+        }
+
+        if (toUserID === this.localUserID
+            || this.userIDs().indexOf(toUserID) === -1) {
+            throw new Error(`Can't whisper to user: ${toUserID}`);
+        }
+
+        if (!this.userIDs().every((id) => this.canRead(id, "userStateUpdate"))) {
+            throw new Error("Someone in the room uses a version of Calla that would hear the whisper.");
+        }
+
+        this.changeWhisper(toUserID);
+    }
+
+    /**
+     * Goes back to talking to the room.
+     * @fires CallaClient#whisperChanged
+     **/
+    stopWhisper() {
+        this.changeWhisper(null);
+    }
+
+    /**
+     * Finds who a user is whispering to.
+     * @param {string} id - a remote user, or the local user.
+     * @returns {string} - the user being whispered to, or null if the user isn't whispering.
+     */
+    getWhisperTarget(id) {
+        if (id === this.localUserID) {
+            return this.whisperToUserID;
+        }
+
+        return this.state.get(id, "whisper") || null;
+    }
+
+    /**
+     * @private
+     * @param {string} toUserID
+     */
+    changeWhisper(toUserID) {
+        if (toUserID === this.whisperToUserID) {
+            return;
+        }
+
+        this.whisperToUserID = toUserID;
+
+        if (this.joined) {
+            this.state.update("whisper");
+            this.dispatchEvent(Object.assign(
+                new Event("whisperChanged"), {
+                id: this.localUserID,
+                toUserID
+            }));
+        }
+
+        this.updateMicGate();
+    }
+
+    /**
+     * Sends a remote user's audio straight to the speakers if they are whispering
+     * to the local user, or nowhere if they are whispering to someone else.
+     * @private
+     * @param {string} id
+     * @param {string} toUserID
+     */
+    routeWhisper(id, toUserID) {
+        if (toUserID === null) {
+            this.audio.setUserRoute(id, AudioRoute.spatialized);
+        }
+        else if (toUserID === this.localUserID) {
+            this.audio.setUserRoute(id, AudioRoute.direct);
+        }
+        else {
+            this.audio.setUserRoute(id, AudioRoute.silenced);
+        }
+    }
+
+    /**
+     * Whether the local user is sharing their screen.
+     * @type {boolean}
+     **/
+    get isScreenSharing() {
+        return this.getCurrentMediaTrack("screen") !== null;
+    }
+
+    /**
+     * Shares a screen or window with the room, next to the camera. Everyone
+     * gets a screenShareAdded event with the stream and where to show it.
+     * @param {{x: number, y: number, z: number}} [anchor] - a spot on the map to show the screen. Leave it out to show it over the local user, wherever they go.
+     */
+    async startScreenShareAsync(anchor) {
+        if (!this.joined) {
+            throw new Error("Join a room before sharing a screen.");
+        }
+
+        if (anchor === undefined) {
+            anchor = null;
+        }
+
+        if (!isAnchorOrNull(anchor)) {
+            throw new Error("A screen anchor needs x, y, and z coordinates.");
+        }
+
+        if (this.isScreenSharing) {
+            this.moveScreenShare(anchor);
+            return;
+        }
+
+        const track = await this.transport.createScreenTrackAsync();
+        this.setScreenAnchor(anchor);
+
+        // the browser has its own button for ending the share.
+        const stream = track.stream,
+            videoTrack = stream && stream.getVideoTracks()[0];
+        if (videoTrack) {
+            videoTrack.addEventListener("ended", () => {
+                if (this.getCurrentMediaTrack("screen") === track) {
+                    this.stopScreenShareAsync()
+                        .catch((exp) => console.warn("Could not stop sharing the screen", exp));
+                }
+            });
+        }
+
+        const addTask = this.taskOf("screenShareAdded");
+        try {
+            await Promise.all([
+                addTask,
+                this.transport.addTrack(track)
+            ]);
+        }
+        catch (exp) {
+            // older versions of lib-jitsi-meet won't send a second video track next to the camera.
+            track.dispose();
+            this.setScreenAnchor(null);
+            throw exp;
+        }
+    }
+
+    /**
+     * Stops sharing the local user's screen.
+     **/
+    async stopScreenShareAsync() {
+        const cur = this.getCurrentMediaTrack("screen");
+        if (cur) {
+            const removeTask = this.taskOf("screenShareRemoved");
+            this.transport.removeTrack(cur);
+            await removeTask;
+        }
+
+        if (this.joined) {
+            this.setScreenAnchor(null);
+        }
+    }
+
+    /**
+     * Moves the local user's shared screen to a different spot on the map.
+     * @param {{x: number, y: number, z: number}} anchor - the new spot, or null to keep the screen over the local user.
+     */
+    moveScreenShare(anchor) {
+        if (!isAnchorOrNull(anchor)) {
+            throw new Error("A screen anchor needs x, y, and z coordinates.");
+        }
+
+        this.setScreenAnchor(anchor);
+        if (this.isScreenSharing) {
+            this.dispatchEvent(Object.assign(
+                new Event("screenShareMoved"), {
+                id: this.localUserID,
+                anchor: this.screenAnchor
+            }));
+        }
+    }
+
+    /**
+     * @private
+     * @param {{x: number, y: number, z: number}} anchor
+     */
+    setScreenAnchor(anchor) {
+        this.screenAnchor = anchor && {
+            x: anchor.x,
+            y: anchor.y,
+            z: anchor.z
+        };
+        this.state.update("screenAnchor");
+    }
+
+    /**
+     * Where a user's shared screen goes on the map, or null if it goes over the user.
+     * @param {string} id
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getScreenAnchor(id) {
+        if (id === this.localUserID) {
+            return this.screenAnchor;
+        }
+
+        const anchor = this.state.get(id, "screenAnchor");
+        return anchor === undefined
+            ? null
+            : anchor;
+    }
+
+    txGameData(toUserID, data) {
+        this.transport.sendMessage(toUserID, data);
+    }
+
+    /// A listener for the transport's messageReceived event
+    /// to receive Calla messages from the data channel.
+    rxGameData(evt) {
+        if (evt.data.hax === this.appFingerPrint) {
+            // builds from before messages were stamped with their command's version only send the one number.
+            const peerVersion = isGoodNumber(evt.data.pv)
+                ? evt.data.pv
+                : isGoodNumber(evt.data.v)
+                    ? evt.data.v
+                    : 1;
+            this.peerVersions.set(evt.id, peerVersion);
+            if (!this.canRead(evt.id, "rpcRequest")) {
+                this.rpc.refuseUser(evt.id);
+            }
+
+            if (isString(evt.data.ns)) {
+                this.receiveCommandFrom(evt.id, evt.data.ns, evt.data.command, evt.data.value);
+            }
+            else {
+                // messages from before the protocol was versioned don't carry a version number.
+                const version = evt.data.v === undefined ? 1 : evt.data.v;
+                let value = null;
+                try {
+                    value = readCommand(version, evt.data.command, evt.data.value);
+                }
+                catch (exp) {
+                    this.dispatchEvent(Object.assign(
+                        new Event("protocolError"), {
+                        id: evt.id,
+                        command: evt.data.command,
+                        version,
+                        reason: exp.message
+                    }));
+                    return;
+                }
+
+                this.receiveMessageFrom(evt.id, evt.data.command, value);
+            }
+        }
+    }
+
+    /// Send a Calla message through the data channel.
+    sendMessageTo(toUserID, command, value) {
+        if (this.canRead(toUserID, command)) {
+            this.txGameData(toUserID, this.makeMessage(command, value));
+        }
+    }
+
+    /**
+     * Send a Calla message through the data channel to everyone in the room
+     * whose build of Calla understands it.
+     * @param {string} command
+     * @param {any} value
+     */
+    broadcastMessage(command, value) {
+        const message = this.makeMessage(command, value),
+            userIDs = this.userIDs();
+        if (userIDs.every((id) => this.canRead(id, command))) {
+            this.transport.broadcastMessage(message);
+        }
+        else {
+            for (let id of userIDs) {
+                if (this.canRead(id, command)) {
+                    this.txGameData(id, message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Checks whether or not another user's build of Calla understands a built-in command.
+     * Users we haven't heard from yet are assumed to speak the same version we do.
+     * @param {string} userID
+     * @param {string} command
+     * @returns {boolean}
+     */
+    canRead(userID, command) {
+        const version = this.peerVersions.get(userID);
+        return version === undefined
+            || version >= commandVersions[command];
+    }
+
+    /**
+     * @private
+     * @param {string} command
+     * @param {any} value
+     */
+    makeMessage(command, value) {
+        return {
+            hax: this.appFingerPrint,
+            v: commandVersions[command],
+            pv: protocolVersion,
+            command,
+            value
+        };
+    }
+
+    receiveMessageFrom(fromUserID, command, value) {
+        if (command === "userInitRequest") {
+            // peers from before userInit went through RPC still ask this way.
+            this.userInitResponse(fromUserID, this.makeUserInitResponse(fromUserID));
+            return;
+        }
+
+        if (command === "userInitResponse") {
+            // the userInitResponse event goes out once the user is initialized.
+            this.legacyUserInit.dispatchEvent(Object.assign(
+                new Event("userInitResponse"), {
+                id: fromUserID,
+                response: value
+            }));
+            return;
+        }
+
+        const evt = new CallaClientEvent(command, fromUserID, value);
+        this.dispatchEvent(evt);
+    }
+
+    /**
+     * Registers an application-defined command that can be sent through the data channel.
+     * Once registered, listen for the command with `addEventListener("namespace:command", ...)`.
+     * @param {string} namespace - a name that keeps the application's commands apart from those of Calla and other applications.
+     * @param {string} command - the name of the command.
+     * @param {commandValidator} [validator] - an optional function that checks the payload of received commands. Commands that fail the check are dropped.
+     */
+    registerCommand(namespace, command, validator) {
+        const name = customCommandName(namespace, command);
+        if (eventNames.indexOf(name) >= 0) {
+            throw new Error(`Command name is reserved: ${name}`);
+        }
+
+        if (validator !== undefined
+            && validator !== null
+            && !isFunction(validator)) {
+            throw new Error("Command validator must be a function.");
+        }
+
+        this.customCommands.set(name, validator || null);
+    }
+
+    /**
+     * Stops accepting an application-defined command.
+     * @param {string} namespace
+     * @param {string} command
+     */
+    unregisterCommand(namespace, command) {
+        this.customCommands.delete(customCommandName(namespace, command));
+    }
+
+    /**
+     * Checks whether or not an application-defined command has been registered.
+     * @param {string} namespace
+     * @param {string} command
+     * @returns {boolean}
+     */
+    hasCommand(namespace, command) {
+        return this.customCommands.has(customCommandName(namespace, command));
+    }
+
+    /**
+     * Sends an application-defined command to a single user.
+     * @param {string} toUserID
+     * @param {string} namespace
+     * @param {string} command
+     * @param {any} value
+     */
+    sendCommandTo(toUserID, namespace, command, value) {
+        this.transport.sendMessage(toUserID, this.makeCommand(namespace, command, value));
+    }
+
+    /**
+     * Sends an application-defined command to every user in the room.
+     * @param {string} namespace
+     * @param {string} command
+     * @param {any} value
+     */
+    broadcastCommand(namespace, command, value) {
+        this.transport.broadcastMessage(this.makeCommand(namespace, command, value));
+    }
+
+    /**
+     * @private
+     * @param {string} namespace
+     * @param {string} command
+     * @param {any} value
+     */
+    makeCommand(namespace, command, value) {
+        const name = customCommandName(namespace, command);
+        if (!this.customCommands.has(name)) {
+            throw new Error(`Unregistered command: ${name}`);
+        }
+
+        return {
+            hax: this.appFingerPrint,
+            v: protocolVersion,
+            ns: namespace,
+            command,
+            value
+        };
+    }
+
+    /**
+     * Dispatches an application-defined command that came through the data channel,
+     * if it has been registered and its payload passes validation.
+     * @param {string} fromUserID
+     * @param {string} namespace
+     * @param {string} command
+     * @param {any} value
+     */
+    receiveCommandFrom(fromUserID, namespace, command, value) {
+        let name = null;
+        try {
+            name = customCommandName(namespace, command);
+        }
+        catch (exp) {
+            console.warn("Malformed command from", fromUserID, exp);
+            return;
+        }
+
+        if (this.customCommands.has(name)) {
+            const validator = this.customCommands.get(name);
+            let isValid = true;
+            if (validator !== null) {
+                try {
+                    isValid = validator(value) === true;
+                }
+                catch (exp) {
+                    isValid = false;
+                }
+            }
+
+            if (!isValid) {
+                console.warn("Invalid payload for command", name, "from", fromUserID, value);
+            }
+            else {
+                this.dispatchEvent(Object.assign(
+                    new Event(name), {
+                    id: fromUserID,
+                    namespace,
+                    command,
+                    value
+                }));
+            }
+        }
+    }
+
+    /**
+     * Sets parameters that alter spatialization.
+     * @param {number} minDistance
+     * @param {number} maxDistance
+     * @param {number} rolloff
+     * @param {number} transitionTime
+     */
+    setAudioProperties(minDistance, maxDistance, rolloff, transitionTime) {
+        this.audio.setAudioProperties(minDistance, maxDistance, rolloff, transitionTime);
+    }
+
+    /**
+     * Set the position of the listener.
+     * @param {number} x - the horizontal component of the position.
+     * @param {number} y - the vertical component of the position.
+     * @param {number} z - the lateral component of the position.
+     */
+    setLocalPosition(x, y, z) {
+        this.audio.setUserPosition(this.localUserID, x, y, z);
+        this.replicateLocalPose();
+    }
+
+    /**
+     * Set the position of the listener.
+     * @param {number} fx - the horizontal component of the forward vector.
+     * @param {number} fy - the vertical component of the forward vector.
+     * @param {number} fz - the lateral component of the forward vector.
+     * @param {number} ux - the horizontal component of the up vector.
+     * @param {number} uy - the vertical component of the up vector.
+     * @param {number} uz - the lateral component of the up vector.
+     */
+    setLocalOrientation(fx, fy, fz, ux, uy, uz) {
+        this.audio.setUserOrientation(this.localUserID, fx, fy, fz, ux, uy, uz);
+        this.replicateLocalPose();
+    }
+
+    /**
+     * Set the position of the listener.
+     * @param {number} px - the horizontal component of the position.
+     * @param {number} py - the vertical component of the position.
+     * @param {number} pz - the lateral component of the position.
+     * @param {number} fx - the horizontal component of the forward vector.
+     * @param {number} fy - the vertical component of the forward vector.
+     * @param {number} fz - the lateral component of the forward vector.
+     * @param {number} ux - the horizontal component of the up vector.
+     * @param {number} uy - the vertical component of the up vector.
+     * @param {number} uz - the lateral component of the up vector.
+     */
+    setLocalPose(px, py, pz, fx, fy, fz, ux, uy, uz) {
+        this.audio.setUserPose(this.localUserID, px, py, pz, fx, fy, fz, ux, uy, uz);
+        this.replicateLocalPose();
+    }
+
+    /**
+     * Queues the local user's current pose to be sent to the room.
+     * @private
+     **/
+    replicateLocalPose() {
+        const user = this.audio.getUser(this.localUserID);
+        if (user) {
+            const { p, f, u } = user.pose.end;
+            this.poseReplicator.setPose(p.x, p.y, p.z, f.x, f.y, f.z, u.x, u.y, u.z);
+            this.recorder.recordLocalPose([p.x, p.y, p.z, f.x, f.y, f.z, u.x, u.y, u.z]);
+        }
+    }
+
+    /**
+     * Sends the full local pose to the users whose builds of Calla predate
+     * userPoseChanged, at the same rate the pose replicator sends its updates.
+     * @private
+     **/
+    sendLegacyPose() {
+        const legacyUserIDs = this.userIDs()
+            .filter((id) => !this.canRead(id, "userPoseChanged"));
+        if (legacyUserIDs.length > 0) {
+            const [px, py, pz, fx, fy, fz, ux, uy, uz] = this.poseReplicator.pose;
+            for (let id of legacyUserIDs) {
+                this.sendMessageTo(id, "userPosed", { px, py, pz, fx, fy, fz, ux, uy, uz });
+            }
+        }
+    }
+
+    removeUser(id) {
+        this.audio.removeUser(id);
+    }
+
+    /**
+     *
+     * @param {boolean} muted
+     */
+    async setAudioMutedAsync(muted) {
+        if (!this.mutingForAway) {
+            this.mutedForAway = false;
+        }
+
         let isMuted = this.isAudioMuted;
         if (muted !== isMuted) {
             isMuted = await this.toggleAudioMutedAsync();
         }
-        return isMuted;
+        return isMuted;
+    }
+
+    /**
+     *
+     * @param {boolean} muted
+     */
+    async setVideoMutedAsync(muted) {
+        let isMuted = this.isVideoMuted;
+        if (muted !== isMuted) {
+            isMuted = await this.toggleVideoMutedAsync();
+        }
+        return isMuted;
+    }
+
+    /// Add a listener for Calla events that come through the data channel.
+    /**
+     * 
+     * @param {string} evtName
+     * @param {function} callback
+     * @param {AddEventListenerOptions} opts
+     */
+    addEventListener(evtName, callback, opts) {
+        if (eventNames.indexOf(evtName) === -1
+            && !this.customCommands.has(evtName)) {
+            throw new Error(`Unsupported event type: ${evtName}`);
+        }
+
+        super.addEventListener(evtName, callback, opts);
+    }
+
+    /**
+     * Calls a method on another user, through the data channel.
+     * @param {string} toUserID
+     * @param {string} method
+     * @param {any} args - the arguments to send. Must survive being serialized to JSON.
+     * @param {import("./rpc/RpcChannel").RpcRequestOptions} [options]
+     * @returns {Promise<any>} - the value the remote handler returned.
+     * @throws {import("./rpc/RpcError").RpcError}
+     */
+    async request(toUserID, method, args, options) {
+        if (!this.userExists(toUserID)) {
+            throw new RpcError(`${toUserID} is not in the room.`, "peerLeft", method, toUserID);
+        }
+
+        return await this.rpc.request(toUserID, method, args, options);
+    }
+
+    /**
+     * Sets the function that answers other users' calls to a method. Pass null to stop answering it.
+     * @param {string} method
+     * @param {import("./rpc/RpcChannel").rpcHandler} handler
+     */
+    handle(method, handler) {
+        this.rpc.handle(method, handler);
+    }
+
+    /**
+     * Asks another user for their current state, falling back to the old
+     * userInitRequest command for users whose builds of Calla can't answer it through RPC.
+     * @param {string} toUserID
+     * @returns {Promise<object>} - the user's pose and whatever the userInitRequest listeners added to it.
+     */
+    async userInitRequestAsync(toUserID) {
+        if (this.canRead(toUserID, "rpcRequest")) {
+            try {
+                const response = await this.request(toUserID, "userInit", null, {
+                    timeout: 1000,
+                    retries: 9
+                });
+                return readCommand(protocolVersion, "userInitResponse", response);
+            }
+            catch (exp) {
+                if (!(exp instanceof RpcError)
+                    || exp.code !== "timeout"
+                    && exp.code !== "noHandler") {
+                    throw exp;
+                }
+            }
+        }
+
+        // peers from before userInit went through RPC only answer the old request.
+        const evt = await until(this.legacyUserInit, "userInitResponse",
+            () => this.sendMessageTo(toUserID, "userInitRequest"),
+            (evt) => evt.id === toUserID,
+            1000, 10000);
+        return evt.response;
     }
 
     /**
-     *
-     * @param {boolean} muted
+     * Builds the local user's answer to a userInit request. Listeners of the
+     * userInitRequest event can add their own fields to `evt.response`.
+     * @private
+     * @param {string} fromUserID
      */
-    async setVideoMutedAsync(muted) {
-        let isMuted = this.isVideoMuted;
-        if (muted !== isMuted) {
-            isMuted = await this.toggleVideoMutedAsync();
+    makeUserInitResponse(fromUserID) {
+        const response = {
+            id: this.localUserID
+        };
+
+        const user = this.audio.getUser(this.localUserID);
+        if (user) {
+            const { p, f, u } = user.pose.end;
+            Object.assign(response, {
+                px: p.x,
+                py: p.y,
+                pz: p.z,
+                fx: f.x,
+                fy: f.y,
+                fz: f.z,
+                ux: u.x,
+                uy: u.y,
+                uz: u.z
+            });
         }
-        return isMuted;
+
+        this.dispatchEvent(Object.assign(
+            new Event("userInitRequest"), {
+            id: fromUserID,
+            response
+        }));
+
+        return response;
     }
 
-    /// Add a listener for Calla events that come through the Jitsi Meet data channel.
     /**
-     * 
-     * @param {string} evtName
-     * @param {function} callback
-     * @param {AddEventListenerOptions} opts
+     * Adds a slice of the local user's state to share with the room. Newcomers
+     * get every slice when they join; call `updateStateSlice` to send changes.
+     * Slices from other users are dispatched as userStateChanged events, but only
+     * for names that are also registered locally.
+     * @param {string} name
+     * @param {import("./replication/StateReplicator").stateSliceGetter} get
+     * @param {import("./replication/StateReplicator").stateSliceValidator} [validate]
      */
-    addEventListener(evtName, callback, opts) {
-        if (eventNames.indexOf(evtName) === -1) {
-            throw new Error(`Unsupported event type: ${evtName}`);
+    registerStateSlice(name, get, validate) {
+        if (!isString(name)
+            || name.length === 0) {
+            throw new Error(`Invalid state slice name: ${name}`);
         }
 
-        super.addEventListener(evtName, callback, opts);
+        if (!isFunction(get)) {
+            throw new Error(`Getter for state slice ${name} must be a function.`);
+        }
+
+        this.state.register(name, get, validate);
     }
 
     /**
-     * 
-     * @param {string} toUserID
+     * @param {string} name
      */
-    async userInitRequestAsync(toUserID) {
-        return await until(this, "userInitResponse",
-            () => this.sendMessageTo(toUserID, "userInitRequest"),
-            (evt) => evt.id === toUserID
-                && isGoodNumber(evt.px)
-                && isGoodNumber(evt.py)
-                && isGoodNumber(evt.pz),
-            1000);
+    unregisterStateSlice(name) {
+        this.state.unregister(name);
+    }
+
+    /**
+     * Sends the current value of a state slice to everyone in the room.
+     * @param {string} name
+     */
+    updateStateSlice(name) {
+        this.state.update(name);
+    }
+
+    /**
+     * The last value of a state slice received from another user.
+     * @param {string} id
+     * @param {string} name
+     */
+    getUserState(id, name) {
+        return this.state.get(id, name);
+    }
+
+    /**
+     * Asks a newcomer for a snapshot of their state and applies it.
+     * @private
+     * @param {string} id
+     */
+    async syncUserStateAsync(id) {
+        // without a snapshot, start from nothing, so the updates held back for it still get applied.
+        const emptySnapshot = { seq: 0, slices: {} };
+
+        let snapshot = null;
+        try {
+            snapshot = await this.request(id, "userState", null, {
+                timeout: 1000,
+                retries: 9
+            });
+        }
+        catch (exp) {
+            // peers from before state snapshots only send updates.
+            if (exp.code !== "noHandler") {
+                console.warn("Could not get state of user", id, exp);
+            }
+
+            snapshot = emptySnapshot;
+        }
+
+        if (snapshot === null
+            || typeof snapshot !== "object"
+            || !Number.isInteger(snapshot.seq)
+            || snapshot.slices === null
+            || typeof snapshot.slices !== "object") {
+            console.warn("Invalid state snapshot from", id, snapshot);
+            snapshot = emptySnapshot;
+        }
+
+        if (this.userExists(id)) {
+            this.applyUserState(id, this.state.receiveSnapshot(id, snapshot));
+        }
+    }
+
+    /**
+     * Merges the shared store of a user who has just come into view. Merging is
+     * idempotent, so it doesn't matter which of the two is the newcomer.
+     * @private
+     * @param {string} id
+     */
+    async syncStoreAsync(id) {
+        try {
+            this.store.merge(await this.request(id, "storeSnapshot", null, {
+                timeout: 1000,
+                retries: 9
+            }));
+        }
+        catch (exp) {
+            if (exp.code !== "noHandler") {
+                console.warn("Could not get shared store from", id, exp);
+            }
+        }
+    }
+
+    /**
+     * Gets the recent room-wide chat messages from the first user seen after joining.
+     * @private
+     * @param {string} id
+     */
+    async syncChatHistoryAsync(id) {
+        this.chat.needsHistory = false;
+        try {
+            this.chat.mergeHistory(id, await this.request(id, "chatHistory", null, {
+                timeout: 1000,
+                retries: 4
+            }));
+        }
+        catch (exp) {
+            if (exp.code !== "noHandler") {
+                console.warn("Could not get chat history from", id, exp);
+                this.chat.needsHistory = true;
+            }
+        }
+    }
+
+    /**
+     * Tells the rest of the application about slices of another user's state.
+     * @private
+     * @param {string} id
+     * @param {[string, any][]} changes
+     */
+    applyUserState(id, changes) {
+        for (let [name, value] of changes) {
+            switch (name) {
+                case "audioMuted":
+                case "videoMuted":
+                    this.dispatchEvent(Object.assign(
+                        new Event(name.replace("Muted", "MuteStatusChanged")), {
+                        id,
+                        muted: value
+                    }));
+                    break;
+                case "avatarEmoji":
+                    if (value !== null) {
+                        this.dispatchEvent(new CallaClientEvent("setAvatarEmoji", id, value));
+                    }
+                    break;
+                case "avatarURL":
+                    if (value !== null) {
+                        this.dispatchEvent(Object.assign(
+                            new Event("avatarChanged"), {
+                            id,
+                            url: value
+                        }));
+                    }
+                    break;
+                case "screenAnchor":
+                    this.dispatchEvent(Object.assign(
+                        new Event("screenShareMoved"), {
+                        id,
+                        anchor: value
+                    }));
+                    break;
+                case "presence":
+                    this.dispatchEvent(Object.assign(
+                        new Event("presenceChanged"), {
+                        id,
+                        status: value.status,
+                        text: value.text
+                    }));
+                    break;
+                case "whisper":
+                    this.routeWhisper(id, value);
+                    this.dispatchEvent(Object.assign(
+                        new Event("whisperChanged"), {
+                        id,
+                        toUserID: value
+                    }));
+                    break;
+                default:
+                    break;
+            }
+
+            this.dispatchEvent(Object.assign(
+                new Event("userStateChanged"), {
+                id,
+                name,
+                value
+            }));
+        }
     }
 
     /**
+     * Sends the local user's state in the way peers from before userInit went through RPC expect it.
      * @param {string} toUserID
-     * @param {import("../game/User").User} fromUserState
+     * @param {object} fromUserState
      */
     userInitResponse(toUserID, fromUserState) {
         this.sendMessageTo(toUserID, "userInitResponse", fromUserState);
     }
 
+    /**
+     * @type {import("../emoji/Emoji").Emoji}
+     **/
+    get avatarEmoji() {
+        return this._avatarEmoji;
+    }
+
     /**
      * @param {import("../emoji/Emoji").Emoji} emoji
      **/
     set avatarEmoji(emoji) {
+        this._avatarEmoji = emoji;
         for (let toUserID of this.userIDs()) {
             this.sendMessageTo(toUserID, "setAvatarEmoji", emoji);
         }
     }
 
+    /**
+     * @type {string}
+     **/
+    get avatarURL() {
+        return this._avatarURL;
+    }
+
     /**
      * @param {string} url
      **/
     set avatarURL(url) {
+        this._avatarURL = url;
         for (let toUserID of this.userIDs()) {
             this.sendMessageTo(toUserID, "avatarChanged", { url });
         }
     }
 
+    /**
+     * What the local user is up to.
+     * @type {PresenceStatus}
+     **/
+    get presenceStatus() {
+        return this._presenceStatus;
+    }
+
+    /**
+     * The local user's custom status text, or null if they haven't set one.
+     * @type {string}
+     **/
+    get presenceText() {
+        return this._presenceText;
+    }
+
+    /**
+     * Tells the room what the local user is up to. Choosing a status stops
+     * going idle from changing it, until the user is available again.
+     * @fires CallaClient#presenceChanged
+     * @param {PresenceStatus} status
+     * @param {string} [text] - a custom status, e.g. "back at 2". Leave it out to clear it.
+     */
+    async setPresenceAsync(status, text) {
+        if (text === undefined
+            || text === "") {
+            text = null;
+        }
+
+        if (!isPresence({ status, text })) {
+            throw new Error(`Invalid presence: ${status}, ${text}`);
+        }
+
+        this.idleAway = false;
+        await this.changePresenceAsync(status, text);
+    }
+
+    /**
+     * What a user is up to. Users who haven't said are available.
+     * @param {string} id - a remote user, or the local user.
+     * @returns {{status: PresenceStatus, text: string}}
+     */
+    getPresence(id) {
+        if (id === this.localUserID) {
+            return {
+                status: this._presenceStatus,
+                text: this._presenceText
+            };
+        }
+
+        return this.state.get(id, "presence") || {
+            status: PresenceStatus.available,
+            text: null
+        };
+    }
+
+    /**
+     * @private
+     * @param {PresenceStatus} status
+     * @param {string} text
+     */
+    async changePresenceAsync(status, text) {
+        if (status === this._presenceStatus
+            && text === this._presenceText) {
+            return;
+        }
+
+        this._presenceStatus = status;
+        this._presenceText = text;
+
+        if (this.joined) {
+            this.state.update("presence");
+            this.dispatchEvent(Object.assign(
+                new Event("presenceChanged"), {
+                id: this.localUserID,
+                status,
+                text
+            }));
+        }
+
+        try {
+            if (status === PresenceStatus.away) {
+                if (this.muteWhenAway
+                    && !this.mutedForAway
+                    && this.getCurrentMediaTrack("audio") !== null
+                    && !this.isAudioMuted) {
+                    this.mutedForAway = true;
+                    this.mutingForAway = true;
+                    try {
+                        await this.setAudioMutedAsync(true);
+                    }
+                    finally {
+                        this.mutingForAway = false;
+                    }
+                }
+            }
+            else if (this.mutedForAway) {
+                this.mutedForAway = false;
+                await this.setAudioMutedAsync(false);
+            }
+        }
+        catch (exp) {
+            console.warn("Could not change the microphone for the presence status", status, exp);
+        }
+    }
+
+    /**
+     * Gets the role of a user in the conference, e.g. "moderator" or "participant".
+     * @param {string} id - a remote user, or the local user.
+     * @returns {string}
+     */
+    getRole(id) {
+        return this.transport.getRole(id);
+    }
+
+    /**
+     * Whether the local user may kick, mute, and move other users, and lock the room.
+     * @type {boolean}
+     **/
+    get isModerator() {
+        return this.localUserID !== null
+            && this.getRole(this.localUserID) === "moderator";
+    }
+
+    /**
+     * Removes a user from the conference.
+     * @param {string} userID
+     */
+    kick(userID) {
+        this.checkModeration("kick participants", userID);
+        this.moderate({
+            action: "kick",
+            targetID: userID
+        });
+        this.transport.kickParticipant(userID);
+    }
+
+    /**
+     * Mutes a user's microphone or camera. They can unmute it again themselves.
+     * @param {string} userID
+     * @param {string} [kind="audio"] - "audio" or "video".
+     */
+    forceMute(userID, kind = "audio") {
+        this.checkModeration("mute participants", userID);
+        if (kind !== "audio"
+            && kind !== "video") {
+            throw new Error(`Invalid track kind: ${kind}`);
+        }
+
+        this.transport.muteParticipant(userID, kind);
+        this.moderate({
+            action: "mute",
+            targetID: userID,
+            kind
+        });
+    }
+
+    /**
+     * Stops anyone else from joining the conference.
+     * @param {string} [password] - the password the service should ask newcomers for, if it supports one.
+     */
+    async lockRoomAsync(password) {
+        this.checkModeration("lock the room");
+        await this.transport.lockAsync(password || Math.random().toString(36).substring(2));
+        this.moderate({
+            action: "lock"
+        });
+    }
+
+    /**
+     * Lets people join the conference again.
+     **/
+    async unlockRoomAsync() {
+        this.checkModeration("unlock the room");
+        await this.transport.unlockAsync();
+        this.moderate({
+            action: "unlock"
+        });
+    }
+
+    /**
+     * Moves a user to a new position.
+     * @param {string} userID
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     */
+    moveUser(userID, x, y, z) {
+        this.checkModeration("move participants", userID);
+        if (!isGoodNumber(x)
+            || !isGoodNumber(y)
+            || !isGoodNumber(z)) {
+            throw new Error(`Invalid position: ${x}, ${y}, ${z}`);
+        }
+
+        this.moderate({
+            action: "move",
+            targetID: userID,
+            x,
+            y,
+            z
+        });
+    }
+
+    /**
+     * Throws if the local user isn't allowed to carry out a moderator action.
+     * @private
+     * @param {string} action - a description of the action, for the error message.
+     * @param {string} [targetID] - the user the action is carried out on.
+     */
+    checkModeration(action, targetID) {
+        if (!this.isModerator) {
+            throw new Error(`Only moderators can ${action}.`);
+        }
+
+        if (targetID !== undefined
+            && !this.userExists(targetID)) {
+            throw new Error(`${targetID} is not in the room.`);
+        }
+    }
+
+    /**
+     * Tells the room about a moderator action, so everyone can audit it,
+     * and so the user it targets can carry it out.
+     * @private
+     * @param {{action: string, targetID?: string, kind?: string, x?: number, y?: number, z?: number}} value
+     */
+    moderate(value) {
+        this.broadcastMessage("moderate", value);
+        this.dispatchEvent(Object.assign(
+            new Event("moderatorAction"), {
+            id: this.localUserID
+        }, value));
+    }
+
+    /**
+     * Checks a moderator action from another user, and carries it out if it targets the local user.
+     * @private
+     * @param {{id: string, action: string, targetID?: string, kind?: string, x?: number, y?: number, z?: number}} evt
+     */
+    async receiveModeration(evt) {
+        const { id, action, targetID, kind, x, y, z } = evt;
+
+        let reason = null;
+        if (this.getRole(id) !== "moderator") {
+            reason = "Sender is not a moderator.";
+        }
+        else if (moderatorActions.indexOf(action) === -1) {
+            reason = `Unknown action: ${action}`;
+        }
+
+        if (reason !== null) {
+            console.warn("Rejected moderator action from", id, action, reason);
+            this.dispatchEvent(Object.assign(
+                new Event("moderatorActionRejected"), {
+                id,
+                action,
+                targetID,
+                reason
+            }));
+            return;
+        }
+
+        this.dispatchEvent(Object.assign(
+            new Event("moderatorAction"), {
+            id,
+            action,
+            targetID,
+            kind,
+            x,
+            y,
+            z
+        }));
+
+        if (targetID === this.localUserID) {
+            if (action === "mute") {
+                try {
+                    if (kind === "video") {
+                        await this.setVideoMutedAsync(true);
+                    }
+                    else {
+                        await this.setAudioMutedAsync(true);
+                    }
+                }
+                catch (exp) {
+                    console.warn("Could not mute for moderator", id, kind, exp);
+                }
+            }
+            else if (action === "move"
+                && isGoodNumber(x)
+                && isGoodNumber(y)
+                && isGoodNumber(z)) {
+                this.setLocalPosition(x, y, z);
+            }
+        }
+    }
+
+    /**
+     * The latest connection measurements for the local user and everyone in the room.
+     * @returns {import("./stats/StatsCollector").ConnectionStats[]}
+     **/
+    getConnectionStats() {
+        return this.stats.snapshot();
+    }
+
+    /**
+     * Whether the session is being recorded.
+     * @type {boolean}
+     **/
+    get isRecording() {
+        return this.recorder.isRecording;
+    }
+
+    /**
+     * Starts recording everything that happens in the room, to play back later
+     * with a SessionPlayer. Start before joining to catch the room's users'
+     * state as it is synced, rather than only the changes that follow.
+     **/
+    startRecording() {
+        const tracks = [];
+        if (this.localUserID !== null) {
+            for (let id of [this.localUserID, ...this.userIDs()]) {
+                const user = this.audio.getUser(id);
+                if (user) {
+                    tracks.push(...user.tracks.values());
+                }
+            }
+        }
+
+        this.recorder.start(this.transport, tracks);
+        this.replicateLocalPose();
+    }
+
+    /**
+     * Stops recording.
+     * @returns {import("./recording/SessionRecorder").SessionLog} - the recording, or null if nothing was being recorded.
+     **/
+    stopRecording() {
+        return this.recorder.stop();
+    }
+
+    /**
+     * Sends a text chat message. Everyone, including the local user, receives it as a chatMessage event.
+     * @param {string} text
+     * @param {string} [toUserID] - the only user to send the message to. Leave out to send it to the whole room.
+     * @returns {string} - the ID of the message.
+     * @throws {Error} - if the recipient isn't in the room, or their build of Calla can't read chat messages.
+     */
+    sendChatMessage(text, toUserID) {
+        if (toUserID && !this.userExists(toUserID)) {
+            throw new Error(`${toUserID} is not in the room.`);
+        }
+
+        // the message would be dropped on the way, but still show as sent.
+        if (toUserID && !this.canRead(toUserID, "chatText")) {
+            throw new Error(`${toUserID}'s build of Calla can't read chat messages.`);
+        }
+
+        return this.chat.sendMessage(this.localUserID, this.userName, text, toUserID);
+    }
+
+    /**
+     * Sends a text chat message to only the users within a distance of the local user,
+     * going by the positions the audio manager knows. Users further away, and users
+     * whose builds of Calla can't read chat messages, receive nothing.
+     * @param {string} text
+     * @param {number} [radius] - how far the message reaches. Defaults to `chat.localRadius`.
+     * @returns {{messageID: string, recipientCount: number}}
+     */
+    sendLocalChatMessage(text, radius) {
+        if (!isGoodNumber(radius)) {
+            radius = this.chat.localRadius;
+        }
+
+        const recipientIDs = this.audio.getUserIDsWithin(this.localUserID, radius)
+            .filter((id) => this.userExists(id)
+                && this.canRead(id, "chatText"));
+
+        return {
+            messageID: this.chat.sendLocalMessage(this.localUserID, this.userName, text, recipientIDs),
+            recipientCount: recipientIDs.length
+        };
+    }
+
     /**
      * @param {import("../emoji/Emoji").Emoji} emoji
      **/
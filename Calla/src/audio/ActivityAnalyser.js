@@ -67,12 +67,27 @@ export class ActivityAnalyser extends EventBase {
         /** @type {AnalyserNode} */
         this.analyser = null;
 
+        /**
+         * The node the analyser listens to.
+         * @type {AudioNode}
+         **/
+        this.input = null;
+
+        /**
+         * Whether the analyser is listening to its source.
+         * @type {boolean}
+         **/
+        this.attached = true;
+
         const checkSource = () => {
             if (source.spatializer.source) {
                 this.analyser = audioContext.createAnalyser();
                 this.analyser.fftSize = 2 * this.bufferSize;
                 this.analyser.smoothingTimeConstant = 0.2;
-                source.spatializer.source.connect(this.analyser);
+                this.input = source.spatializer.source;
+                if (this.attached) {
+                    this.input.connect(this.analyser);
+                }
             }
             else {
                 setTimeout(checkSource, 0);
@@ -82,6 +97,38 @@ export class ActivityAnalyser extends EventBase {
         checkSource();
     }
 
+    /**
+     * Stops listening to the source. A source nobody can hear isn't speaking.
+     **/
+    detach() {
+        if (this.attached) {
+            this.attached = false;
+            if (this.analyser) {
+                this.input.disconnect(this.analyser);
+            }
+
+            this.activityCounter = 0;
+            if (this.wasActive) {
+                this.wasActive = false;
+                audioActivityEvt.id = this.id;
+                audioActivityEvt.isActive = false;
+                this.dispatchEvent(audioActivityEvt);
+            }
+        }
+    }
+
+    /**
+     * Starts listening to the source again.
+     **/
+    attach() {
+        if (!this.attached) {
+            this.attached = true;
+            if (this.analyser) {
+                this.input.connect(this.analyser);
+            }
+        }
+    }
+
     dispose() {
         if (this.analyser) {
             this.analyser.disconnect();
@@ -91,7 +138,8 @@ export class ActivityAnalyser extends EventBase {
     }
 
     update() {
-        if (this.analyser) {
+        if (this.analyser
+            && this.attached) {
             this.analyser.getFloatFrequencyData(this.buffer);
 
             const average = 1.1 + analyserFrequencyAverage(this.analyser, this.buffer, 85, 255, this.bufferSize) / 100;
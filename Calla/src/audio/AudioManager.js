@@ -1,8 +1,10 @@
 import { EventBase } from "../events/EventBase";
 import { onUserGesture } from "../events/onUserGesture";
 import { getFile } from "../fetching";
+import { isBrowser } from "../isBrowser";
 import { ActivityAnalyser } from "./ActivityAnalyser";
 import { AudioActivityEvent } from "./AudioActivityEvent";
+import { AudioRoute, isAudioRoute } from "./AudioRoute";
 import { AudioSource } from "./AudioSource";
 import { MockAudioContext } from "./MockAudioContext";
 import { AudioListenerNew } from "./spatializers/listeners/AudioListenerNew";
@@ -14,12 +16,26 @@ const BUFFER_SIZE = 1024,
     audioActivityEvt = new AudioActivityEvent(),
     audioReadyEvt = new Event("audioready");
 
-let hasAudioContext = Object.prototype.hasOwnProperty.call(window, "AudioContext"),
+let hasAudioContext = isBrowser && Object.prototype.hasOwnProperty.call(window, "AudioContext"),
     hasAudioListener = hasAudioContext && Object.prototype.hasOwnProperty.call(window, "AudioListener"),
     hasOldAudioListener = hasAudioListener && Object.prototype.hasOwnProperty.call(AudioListener.prototype, "setPosition"),
     hasNewAudioListener = hasAudioListener && Object.prototype.hasOwnProperty.call(AudioListener.prototype, "positionX"),
     attemptResonanceAPI = hasAudioListener;
 
+/**
+ * Counts of how much audio processing culling has saved.
+ * @typedef {object} CullingStats
+ * @property {number} audible - the number of users whose audio is being processed.
+ * @property {number} fading - the number of users whose audio is fading out before being detached.
+ * @property {number} culled - the number of users whose audio is detached.
+ * @property {number} spatializerUpdates - the number of times a user's spatializer has been updated.
+ * @property {number} skippedSpatializerUpdates - the number of spatializer updates skipped because the user was culled.
+ * @property {number} analyserUpdates - the number of times a user's activity analyser has been updated.
+ * @property {number} skippedAnalyserUpdates - the number of analyser updates skipped because the user was culled.
+ * @property {number} detaches - the number of times a user's audio has been detached.
+ * @property {number} reattaches - the number of times a user's audio has been reattached.
+ **/
+
 /**
  * A manager of audio sources, destinations, and their spatialization.
  **/
@@ -27,10 +43,19 @@ export class AudioManager extends EventBase {
 
     /**
      * Creates a new manager of audio sources, destinations, and their spatialization.
+     * @param {boolean} [headless=false] - whether to run without WebAudio, e.g. for bots in Node.
      **/
-    constructor() {
+    constructor(headless = false) {
         super();
 
+        /**
+         * Whether the manager is running without WebAudio. Users' audio is never
+         * played or spatialized, and a mock audio context keeps the time for
+         * playing back their poses.
+         * @type {boolean}
+         **/
+        this.headless = headless;
+
         this.minDistance = 1;
         this.minDistanceSq = 1;
         this.maxDistance = 10;
@@ -38,6 +63,72 @@ export class AudioManager extends EventBase {
         this.rolloff = 1;
         this.transitionTime = 0.5;
 
+        /**
+         * The number of seconds by which timestamped user poses are played back
+         * after they were sent, to smooth over network jitter.
+         * @type {number}
+         **/
+        this.playoutDelay = 0.15;
+
+        /**
+         * The most number of seconds to keep a user moving when their next pose is late.
+         * @type {number}
+         **/
+        this.maxExtrapolation = 0.1;
+
+        /**
+         * Whether to stop processing the audio of users who are too far away to hear.
+         * @type {boolean}
+         **/
+        this.cullingEnabled = true;
+
+        /**
+         * Users further away than this are culled. Null means `maxDistance`.
+         * @type {number}
+         **/
+        this.cullDistance = null;
+
+        /**
+         * How much further than the cull distance a user has to go before being culled,
+         * so users walking along the edge don't flip back and forth.
+         * @type {number}
+         **/
+        this.cullHysteresis = 1;
+
+        /**
+         * The number of seconds over which culled users fade out and back in.
+         * @type {number}
+         **/
+        this.cullFadeTime = 0.5;
+
+        /**
+         * The users whose audio is fading out, and the time at which to detach them.
+         * @type {Map<string, number>}
+         **/
+        this.fadingUsers = new Map();
+
+        /**
+         * The users whose audio is detached.
+         * @type {Set<string>}
+         **/
+        this.culledUsers = new Set();
+
+        /**
+         * The users whose audio doesn't go through their spatializer, and where it goes instead.
+         * @type {Map<string, AudioRoute>}
+         **/
+        this.routes = new Map();
+
+        /** @type {CullingStats} */
+        this.cullingStats = null;
+        this.resetCullingStats();
+
+        /**
+         * The user who is doing the listening.
+         * @type {string}
+         **/
+        this.localUserID = null;
+
         /** @type {Map<string, AudioSource>} */
         this.users = new Map();
 
@@ -99,25 +190,154 @@ export class AudioManager extends EventBase {
                 clip.update(t);
             }
 
-            for (let user of this.users.values()) {
-                user.update(t);
+            this.updateCulling(t);
+
+            const stats = this.cullingStats;
+            for (let [id, user] of this.users) {
+                if (this.culledUsers.has(id)) {
+                    user.pose.update(t);
+                    ++stats.skippedSpatializerUpdates;
+                }
+                else {
+                    user.update(t);
+                    if (user.spatializer
+                        && id !== this.localUserID) {
+                        ++stats.spatializerUpdates;
+                    }
+                }
+            }
+
+            for (let [id, analyser] of this.analysers) {
+                if (this.culledUsers.has(id)) {
+                    ++stats.skippedAnalyserUpdates;
+                }
+                else {
+                    analyser.update(t);
+                    ++stats.analyserUpdates;
+                }
+            }
+
+            stats.fading = this.fadingUsers.size;
+            stats.culled = this.culledUsers.size;
+            stats.audible = Array.from(this.users.entries())
+                .filter(([id, user]) => user.spatializer
+                    && id !== this.localUserID
+                    && !this.culledUsers.has(id))
+                .length;
+        }
+    }
+
+    /**
+     * Detaches the audio of users who have gone out of range, after fading
+     * them out, and fades the audio of users who have come back into range
+     * back in.
+     * @private
+     * @param {number} t - the current time.
+     */
+    updateCulling(t) {
+        const listener = this.getUser(this.localUserID),
+            near = this.cullDistance === null
+                ? this.maxDistance
+                : this.cullDistance,
+            far = near + this.cullHysteresis;
+
+        for (let [id, user] of this.users) {
+            if (id === this.localUserID
+                || !user.spatializer) {
+                continue;
             }
 
-            for (let analyser of this.analysers.values()) {
-                analyser.update(t);
+            // directly routed users can be heard from anywhere.
+            const isDirect = this.getUserRoute(id) === AudioRoute.direct,
+                distance = listener
+                    ? user.pose.current.p.distanceTo(listener.pose.current.p)
+                    : 0,
+                isNear = !this.cullingEnabled || isDirect || distance <= near,
+                isFar = this.cullingEnabled && !isDirect && distance > far;
+
+            if (this.culledUsers.has(id)) {
+                if (isNear) {
+                    this.culledUsers.delete(id);
+                    user.spatializer.attach();
+                    user.spatializer.fadeTo(1, t, this.cullFadeTime);
+                    if (this.analysers.has(id)
+                        && this.getUserRoute(id) !== AudioRoute.silenced) {
+                        this.analysers.get(id).attach();
+                    }
+                    ++this.cullingStats.reattaches;
+                }
+            }
+            else if (this.fadingUsers.has(id)) {
+                if (isNear) {
+                    this.fadingUsers.delete(id);
+                    user.spatializer.fadeTo(1, t, this.cullFadeTime);
+                }
+                else if (t >= this.fadingUsers.get(id)) {
+                    this.fadingUsers.delete(id);
+                    this.culledUsers.add(id);
+                    user.spatializer.detach();
+                    if (this.analysers.has(id)) {
+                        this.analysers.get(id).detach();
+                    }
+                    ++this.cullingStats.detaches;
+                }
+            }
+            else if (isFar) {
+                this.fadingUsers.set(id, t + this.cullFadeTime);
+                user.spatializer.fadeTo(0, t, this.cullFadeTime);
             }
         }
     }
 
+    /**
+     * Counts of how much audio processing culling has saved.
+     * @returns {CullingStats}
+     **/
+    getCullingStats() {
+        return Object.assign({}, this.cullingStats);
+    }
+
+    /**
+     * Sets the culling counters back to zero.
+     **/
+    resetCullingStats() {
+        this.cullingStats = {
+            audible: 0,
+            fading: 0,
+            culled: 0,
+            spatializerUpdates: 0,
+            skippedSpatializerUpdates: 0,
+            analyserUpdates: 0,
+            skippedAnalyserUpdates: 0,
+            detaches: 0,
+            reattaches: 0
+        };
+    }
+
+    /**
+     * Forgets whether a user's audio was culled, e.g. when it gets a new spatializer.
+     * @private
+     * @param {string} id
+     */
+    clearCulling(id) {
+        this.fadingUsers.delete(id);
+        this.culledUsers.delete(id);
+    }
+
     /**
      * If no audio context is currently available, creates one, and initializes the
      * spatialization of its listener.
      * 
-     * If WebAudio isn't available, a mock audio context is created that provides
-     * ersatz playback timing.
+     * If WebAudio isn't available, or the manager is headless, a mock audio context
+     * is created that provides ersatz playback timing.
      **/
     createContext() {
-        if (!this.audioContext) {
+        if (!this.audioContext
+            && this.headless) {
+            this.audioContext = new MockAudioContext();
+            this.listener = new BaseListener();
+        }
+        else if (!this.audioContext) {
             if (hasAudioContext) {
                 try {
                     this.audioContext = new AudioContext();
@@ -228,6 +448,7 @@ export class AudioManager extends EventBase {
      * @returns {AudioSource}
      */
     createLocalUser(id) {
+        this.localUserID = id;
         const user = this.createUser(id);
         user.spatializer = this.listener;
         return user;
@@ -244,6 +465,10 @@ export class AudioManager extends EventBase {
      * @param {...string} paths - a series of fallback paths for loading the media of the sound effect.
      */
     async createClip(name, loop, autoPlay, spatialize, onProgress, ...paths) {
+        if (this.headless) {
+            throw new Error("Sound effects can't be played in headless mode.");
+        }
+
         const clip = new AudioSource();
 
         const sources = [];
@@ -308,6 +533,48 @@ export class AudioManager extends EventBase {
         return this.getSource(this.users, id);
     }
 
+    /**
+     * Finds the other users whose last known position is within a distance of a user.
+     * @param {string} id - the user at the center of the search.
+     * @param {number} radius
+     * @returns {string[]}
+     */
+    getUserIDsWithin(id, radius) {
+        const center = this.getUser(id),
+            ids = [];
+        if (center) {
+            const p = center.pose.end.p;
+            for (let [otherID, user] of this.users) {
+                if (otherID !== id
+                    && user.pose.end.p.distanceTo(p) <= radius) {
+                    ids.push(otherID);
+                }
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Finds how far each of the other users' last known position is from a user.
+     * @param {string} id - the user to measure from.
+     * @returns {Map<string, number>}
+     */
+    getUserDistances(id) {
+        const center = this.getUser(id),
+            distances = new Map();
+        if (center) {
+            const p = center.pose.end.p;
+            for (let [otherID, user] of this.users) {
+                if (otherID !== id) {
+                    distances.set(otherID, user.pose.end.p.distanceTo(p));
+                }
+            }
+        }
+
+        return distances;
+    }
+
     /**
      * Get an existing audio clip.
      * @param {string} id
@@ -336,6 +603,48 @@ export class AudioManager extends EventBase {
      **/
     removeUser(id) {
         this.removeSource(this.users, id);
+        this.clearCulling(id);
+        this.routes.delete(id);
+        if (id === this.localUserID) {
+            this.localUserID = null;
+        }
+    }
+
+    /**
+     * Move a user to a new id, keeping its pose and audio processing intact.
+     * @param {string} fromID - the id the user currently has
+     * @param {string} toID - the id the user should have
+     **/
+    renameUser(fromID, toID) {
+        if (this.users.has(fromID)
+            && !this.users.has(toID)) {
+            this.users.set(toID, this.users.get(fromID));
+            this.users.delete(fromID);
+
+            if (this.analysers.has(fromID)) {
+                this.analysers.set(toID, this.analysers.get(fromID));
+                this.analysers.delete(fromID);
+            }
+
+            if (this.fadingUsers.has(fromID)) {
+                this.fadingUsers.set(toID, this.fadingUsers.get(fromID));
+            }
+
+            if (this.culledUsers.has(fromID)) {
+                this.culledUsers.add(toID);
+            }
+
+            this.clearCulling(fromID);
+
+            if (this.routes.has(fromID)) {
+                this.routes.set(toID, this.routes.get(fromID));
+                this.routes.delete(fromID);
+            }
+
+            if (fromID === this.localUserID) {
+                this.localUserID = toID;
+            }
+        }
     }
 
     /**
@@ -361,10 +670,13 @@ export class AudioManager extends EventBase {
 
             const user = this.users.get(id);
             user.spatializer = null;
+            this.clearCulling(id);
 
-            if (stream) {
+            // headless managers have nowhere to play the audio.
+            if (stream && !this.headless) {
                 user.spatializer = this.createSpatializer(id, stream, true);
                 user.spatializer.setAudioProperties(this.minDistance, this.maxDistance, this.rolloff, this.transitionTime);
+                user.spatializer.setRoute(this.getUserRoute(id));
                 user.spatializer.audio.autoPlay = true;
                 user.spatializer.audio.muted = true;
                 user.spatializer.audio.addEventListener("onloadedmetadata", () =>
@@ -373,11 +685,60 @@ export class AudioManager extends EventBase {
 
                 const analyser = new ActivityAnalyser(user, this.audioContext, BUFFER_SIZE);
                 analyser.addEventListener("audioActivity", this.onAudioActivity);
+                if (this.getUserRoute(id) === AudioRoute.silenced) {
+                    analyser.detach();
+                }
                 this.analysers.set(id, analyser);
             }
         }
     }
 
+    /**
+     * Finds where a user's audio goes.
+     * @param {string} id
+     * @returns {AudioRoute}
+     */
+    getUserRoute(id) {
+        return this.routes.get(id) || AudioRoute.spatialized;
+    }
+
+    /**
+     * Changes where a user's audio goes. Directly routed users are heard at
+     * full volume wherever they are, and silenced users aren't heard at all,
+     * nor do they show as speaking. The route sticks when the user's stream changes.
+     * @param {string} id
+     * @param {AudioRoute} route
+     */
+    setUserRoute(id, route) {
+        if (!isAudioRoute(route)) {
+            throw new Error(`Not an audio route: ${route}`);
+        }
+
+        if (route === AudioRoute.spatialized) {
+            this.routes.delete(id);
+        }
+        else {
+            this.routes.set(id, route);
+        }
+
+        const user = this.getUser(id);
+        if (user
+            && user.spatializer
+            && id !== this.localUserID) {
+            user.spatializer.setRoute(route);
+        }
+
+        if (this.analysers.has(id)) {
+            const analyser = this.analysers.get(id);
+            if (route === AudioRoute.silenced) {
+                analyser.detach();
+            }
+            else if (!this.culledUsers.has(id)) {
+                analyser.attach();
+            }
+        }
+    }
+
     /**
      * Sets parameters that alter spatialization.
      * @param {number} minDistance
@@ -491,6 +852,28 @@ export class AudioManager extends EventBase {
         });
     }
 
+    /**
+     * Add a timestamped position and orientation to a user's playout buffer.
+     * @param {string} id - the id of the user for which to add the pose.
+     * @param {number} px - the horizontal component of the position.
+     * @param {number} py - the vertical component of the position.
+     * @param {number} pz - the lateral component of the position.
+     * @param {number} fx - the horizontal component of the forward vector.
+     * @param {number} fy - the vertical component of the forward vector.
+     * @param {number} fz - the lateral component of the forward vector.
+     * @param {number} ux - the horizontal component of the up vector.
+     * @param {number} uy - the vertical component of the up vector.
+     * @param {number} uz - the lateral component of the up vector.
+     * @param {number} t - the time, by this AudioManager's `currentTime`, at which the pose was true.
+     **/
+    addUserPoseSample(id, px, py, pz, fx, fy, fz, ux, uy, uz, t) {
+        this.withUser(id, 0, (pose) => {
+            pose.playoutDelay = this.playoutDelay;
+            pose.maxExtrapolation = this.maxExtrapolation;
+            pose.addSample(px, py, pz, fx, fy, fz, ux, uy, uz, t);
+        });
+    }
+
     /**
      * Get an audio clip pose, normalize the transition time, and perform on operation on it, if it exists.
      * @param {string} id - the id of the audio clip for which to perform the operation.
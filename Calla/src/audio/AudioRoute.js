@@ -0,0 +1,29 @@
+/**
+ * How a user's audio gets from their stream to the speakers.
+ * @enum {string}
+ **/
+export const AudioRoute = Object.freeze({
+    /**
+     * Through the spatializer, so it gets quieter with distance.
+     **/
+    spatialized: "spatialized",
+
+    /**
+     * Straight to the speakers at full volume, however far away the user is.
+     **/
+    direct: "direct",
+
+    /**
+     * Nowhere. The user can't be heard at all.
+     **/
+    silenced: "silenced"
+});
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isAudioRoute(value) {
+    return Object.prototype.hasOwnProperty.call(AudioRoute, value)
+        && AudioRoute[value] === value;
+}
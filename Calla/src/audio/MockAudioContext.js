@@ -19,6 +19,20 @@ export class MockAudioContext {
         return performance.now() / 1000 - this._t;
     }
 
+    /**
+     * The mock context is always running.
+     * @type {AudioContextState}
+     **/
+    get state() {
+        return "running";
+    }
+
+    /**
+     * Does nothing, as the mock context is always running.
+     **/
+    async resume() {
+    }
+
     /**
      * Returns nothing.
      * @type {AudioDestinationNode} */
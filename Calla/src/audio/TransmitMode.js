@@ -0,0 +1,29 @@
+/**
+ * When the local user's microphone sends audio to the room.
+ * @enum {string}
+ **/
+export const TransmitMode = Object.freeze({
+    /**
+     * Whenever it isn't muted.
+     **/
+    openMic: "openMic",
+
+    /**
+     * Only while the push-to-talk button is held down.
+     **/
+    pushToTalk: "pushToTalk",
+
+    /**
+     * Only while the user is speaking louder than a threshold.
+     **/
+    voiceActivated: "voiceActivated"
+});
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isTransmitMode(value) {
+    return Object.prototype.hasOwnProperty.call(TransmitMode, value)
+        && TransmitMode[value] === value;
+}
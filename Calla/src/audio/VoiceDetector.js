@@ -0,0 +1,170 @@
+import { EventBase } from "../events/EventBase";
+import { isFunction } from "../typeChecks";
+
+const voiceActivityEvt = Object.assign(new Event("voiceActivity"), {
+    isActive: false
+});
+
+/**
+ * Listens to the local microphone for the user speaking, to open the
+ * microphone in voice-activated mode. It listens to a copy of the microphone
+ * track, so it can still hear the user while the microphone isn't sending.
+ * @fires VoiceDetector#voiceActivity
+ **/
+export class VoiceDetector extends EventBase {
+
+    /**
+     * Creates a new voice detector. It doesn't listen to anything until it is given a stream.
+     **/
+    constructor() {
+        super();
+
+        /**
+         * How loud the microphone has to be to count as speaking, from 0 to 1.
+         * @type {number}
+         **/
+        this.threshold = 0.05;
+
+        /**
+         * The number of milliseconds to keep the microphone open after the
+         * user stops speaking, so it doesn't cut out between words.
+         * @type {number}
+         **/
+        this.holdTime = 500;
+
+        /**
+         * How loud the microphone was on the last update, from 0 to 1.
+         * @type {number}
+         **/
+        this.level = 0;
+
+        /**
+         * Whether the user is speaking.
+         * @type {boolean}
+         **/
+        this.isActive = false;
+
+        this.lastVoiceTime = 0;
+
+        /**
+         * The microphone being listened to, or null if the detector isn't listening.
+         * @type {MediaStream}
+         **/
+        this.stream = null;
+
+        /** @type {MediaStreamTrack} */
+        this.track = null;
+
+        /** @type {MediaStreamAudioSourceNode} */
+        this.source = null;
+
+        /** @type {AnalyserNode} */
+        this.analyser = null;
+
+        /** @type {Float32Array} */
+        this.buffer = null;
+
+        Object.seal(this);
+    }
+
+    /**
+     * Whether the detector is listening to a microphone.
+     * @type {boolean}
+     **/
+    get isListening() {
+        return this.analyser !== null;
+    }
+
+    /**
+     * Starts listening to a microphone, or stops listening if the stream is null.
+     * Changing streams doesn't fire a voiceActivity event, even if the user was speaking.
+     * @param {MediaStream} stream
+     * @param {AudioContext} [audioContext]
+     * @returns {boolean} - false, if there is no microphone track to listen to, or no way to measure it.
+     */
+    setStream(stream, audioContext) {
+        this.disconnect();
+
+        const track = stream
+            && isFunction(stream.getAudioTracks)
+            && stream.getAudioTracks()[0];
+
+        if (!track
+            || !audioContext
+            || !isFunction(audioContext.createMediaStreamSource)
+            || !isFunction(audioContext.createAnalyser)) {
+            return false;
+        }
+
+        this.stream = stream;
+        this.track = track.clone();
+        // the clone copies a closed gate or a mute, and would only hear silence.
+        this.track.enabled = true;
+        this.source = audioContext.createMediaStreamSource(new MediaStream([this.track]));
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.buffer = new Float32Array(this.analyser.fftSize);
+        this.source.connect(this.analyser);
+        return true;
+    }
+
+    /**
+     * Measures the microphone, and fires a voiceActivity event if the user started or stopped speaking.
+     **/
+    update() {
+        if (this.isListening) {
+            this.analyser.getFloatTimeDomainData(this.buffer);
+
+            let sum = 0;
+            for (let sample of this.buffer) {
+                sum += sample * sample;
+            }
+
+            const now = performance.now();
+            this.level = Math.sqrt(sum / this.buffer.length);
+            if (this.level >= this.threshold) {
+                this.lastVoiceTime = now;
+            }
+
+            this.setActive(this.level >= this.threshold
+                || this.isActive && now - this.lastVoiceTime < this.holdTime);
+        }
+    }
+
+    /**
+     * @private
+     * @param {boolean} isActive
+     */
+    setActive(isActive) {
+        if (isActive !== this.isActive) {
+            this.isActive = isActive;
+            voiceActivityEvt.isActive = isActive;
+            this.dispatchEvent(voiceActivityEvt);
+        }
+    }
+
+    /**
+     * @private
+     **/
+    disconnect() {
+        if (this.isListening) {
+            this.source.disconnect();
+            this.track.stop();
+            this.source = null;
+            this.analyser = null;
+            this.buffer = null;
+            this.track = null;
+        }
+
+        this.stream = null;
+        this.level = 0;
+        this.isActive = false;
+    }
+
+    /**
+     * Stops listening.
+     **/
+    dispose() {
+        this.disconnect();
+    }
+}
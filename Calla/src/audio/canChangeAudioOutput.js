@@ -1,6 +1,10 @@
-﻿/**
+﻿import { isBrowser } from "../isBrowser";
+
+/**
  * Indicates whether or not the current browser can change the destination device for audio output.
  * @constant
  * @type {boolean}
  **/
-export const canChangeAudioOutput = HTMLAudioElement.prototype["setSinkId"] instanceof Function;
\ No newline at end of file
+export const canChangeAudioOutput = isBrowser
+    && typeof HTMLAudioElement !== "undefined"
+    && HTMLAudioElement.prototype["setSinkId"] instanceof Function;
\ No newline at end of file
@@ -1,6 +1,9 @@
 export * from "./AudioActivityEvent";
 export * from "./AudioManager";
+export * from "./AudioRoute";
 export * from "./canChangeAudioOutput";
 export * from "./MockAudioContext";
 export * from "./positions";
 export * from "./spatializers";
+export * from "./TransmitMode";
+export * from "./VoiceDetector";
\ No newline at end of file
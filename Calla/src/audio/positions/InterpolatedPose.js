@@ -1,5 +1,11 @@
+import { Vector3 } from "../../math/Vector3";
 import { Pose } from "./Pose";
 
+/**
+ * The most timestamped poses to hold in the playout buffer.
+ **/
+const MAX_SAMPLES = 16;
+
 /**
  * A position value that is blended from the current position to
  * a target position over time.
@@ -15,6 +21,28 @@ export class InterpolatedPose {
         this.current = new Pose();
         this.end = new Pose();
 
+        /**
+         * Timestamped poses received from the network, in time order.
+         * @type {Pose[]}
+         **/
+        this.samples = [];
+
+        /**
+         * The number of seconds by which playback of timestamped poses lags
+         * behind their timestamps, to smooth over network jitter.
+         * @type {number}
+         **/
+        this.playoutDelay = 0.15;
+
+        /**
+         * The most number of seconds to keep moving past the newest timestamped pose,
+         * when the next one is late.
+         * @type {number}
+         **/
+        this.maxExtrapolation = 0.1;
+
+        this._velocity = new Vector3();
+
         Object.seal(this);
     }
 
@@ -33,6 +61,7 @@ export class InterpolatedPose {
      * @param {number} dt - the amount of time to take making the transition.
      */
     setTarget(px, py, pz, fx, fy, fz, ux, uy, uz, t, dt) {
+        this.samples.length = 0;
         this.end.set(px, py, pz, fx, fy, fz, ux, uy, uz);
         this.end.t = t + dt;
         if (dt <= 0) {
@@ -82,13 +111,110 @@ export class InterpolatedPose {
             t, dt);
     }
 
+    /**
+     * Adds a pose that was true at time `t` to the playout buffer. Poses in the buffer
+     * are played back `playoutDelay` seconds after their timestamps.
+     * @param {number} px - the horizontal component of the position.
+     * @param {number} py - the vertical component of the position.
+     * @param {number} pz - the lateral component of the position.
+     * @param {number} fx - the horizontal component of the forward vector.
+     * @param {number} fy - the vertical component of the forward vector.
+     * @param {number} fz - the lateral component of the forward vector.
+     * @param {number} ux - the horizontal component of the up vector.
+     * @param {number} uy - the vertical component of the up vector.
+     * @param {number} uz - the lateral component of the up vector.
+     * @param {number} t - the time at which the pose was true.
+     */
+    addSample(px, py, pz, fx, fy, fz, ux, uy, uz, t) {
+        if (this.samples.length === 0) {
+            // glide from wherever we are now to the first sample.
+            const from = new Pose();
+            from.copy(this.current);
+            from.t = t - this.playoutDelay;
+            this.samples.push(from);
+        }
+
+        let i = this.samples.length;
+        while (i > 0 && this.samples[i - 1].t > t) {
+            --i;
+        }
+
+        // too late to be of any use
+        if (i === 0) {
+            return;
+        }
+
+        const sample = new Pose();
+        sample.set(px, py, pz, fx, fy, fz, ux, uy, uz);
+        sample.t = t;
+        if (this.samples[i - 1].t === t) {
+            // two poses can't both be true at the same time, so the newer one wins.
+            this.samples[i - 1] = sample;
+        }
+        else {
+            this.samples.splice(i, 0, sample);
+        }
+
+        while (this.samples.length > MAX_SAMPLES) {
+            this.samples.shift();
+        }
+
+        const last = this.samples[this.samples.length - 1];
+        this.end.copy(last);
+        this.end.t = last.t + this.playoutDelay;
+    }
+
     /**
      * Calculates the new position for the given time.
      * @protected
      * @param {number} t
      */
     update(t) {
-        this.current.interpolate(this.start, this.end, t);
+        if (this.samples.length === 0) {
+            this.current.interpolate(this.start, this.end, t);
+        }
+        else {
+            const renderTime = t - this.playoutDelay;
+            while (this.samples.length > 2
+                && this.samples[1].t <= renderTime) {
+                this.samples.shift();
+            }
+
+            const a = this.samples[0],
+                b = this.samples[this.samples.length > 1 ? 1 : 0];
+
+            if (a === b
+                || renderTime <= a.t) {
+                this.current.copy(a);
+            }
+            else if (renderTime < b.t) {
+                this.current.interpolate(a, b, renderTime);
+            }
+            else if (b.t <= a.t) {
+                // there's no telling which way to go without time between the poses.
+                this.current.copy(b);
+            }
+            else {
+                // The next pose is late, so keep going in the same direction for a bit,
+                // then ease back to the last known pose if nothing else arrives.
+                const late = renderTime - b.t,
+                    k = late < this.maxExtrapolation
+                        ? late
+                        : Math.max(0, 2 * this.maxExtrapolation - late),
+                    s = k / (b.t - a.t);
+                this._velocity.set(
+                    b.p.x - a.p.x,
+                    b.p.y - a.p.y,
+                    b.p.z - a.p.z);
+                this.current.copy(b);
+                this.current.p.set(
+                    b.p.x + this._velocity.x * s,
+                    b.p.y + this._velocity.y * s,
+                    b.p.z + this._velocity.z * s);
+            }
+
+            this.current.t = t;
+        }
     }
 }
 
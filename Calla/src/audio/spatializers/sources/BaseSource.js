@@ -1,3 +1,4 @@
+import { AudioRoute } from "../../AudioRoute";
 import { canChangeAudioOutput } from "../../canChangeAudioOutput";
 import { BaseSpatializer } from "../BaseSpatializer";
 
@@ -27,10 +28,42 @@ export class BaseSource extends BaseSpatializer {
 
         this.volume = 1;
 
+        /**
+         * Sits between the source and the spatializer, so the source can be faded in and out.
+         * @type {GainNode}
+         **/
+        this.fader = audioContext.createGain();
+        this.fader.connect(destination);
+
+        /**
+         * Skips the spatializer, for sources that are routed directly to the speakers.
+         * @type {GainNode}
+         **/
+        this.bypass = audioContext.createGain();
+        this.bypass.connect(audioContext.destination);
+
+        /**
+         * Where the source's audio goes.
+         * @type {AudioRoute}
+         **/
+        this.route = AudioRoute.spatialized;
+
+        /**
+         * The node the source is connected to, if any.
+         * @type {AudioNode}
+         **/
+        this.output = null;
+
+        /**
+         * Whether the source is feeding the spatializer.
+         * @type {boolean}
+         **/
+        this.attached = true;
+
         if (stream instanceof HTMLAudioElement) {
             this.audio = stream;
             this.source = audioContext.createMediaElementSource(this.audio);
-            this.source.connect(destination);
+            this.reconnect();
         }
         else if (stream instanceof MediaStream) {
             this.stream = stream;
@@ -40,7 +73,7 @@ export class BaseSource extends BaseSpatializer {
             const checkSource = () => {
                 if (this.stream.active) {
                     this.source = audioContext.createMediaStreamSource(this.stream);
-                    this.source.connect(destination);
+                    this.reconnect();
                 }
                 else {
                     setTimeout(checkSource, 0);
@@ -68,6 +101,80 @@ export class BaseSource extends BaseSpatializer {
         }
     }
 
+    /**
+     * Ramps the volume of the source to a new level.
+     * @param {number} level - 0 for silent, 1 for full volume.
+     * @param {number} t - the current time of the audio context.
+     * @param {number} fadeTime - the number of seconds the ramp takes.
+     */
+    fadeTo(level, t, fadeTime) {
+        const gain = this.fader.gain;
+        gain.cancelScheduledValues(t);
+        gain.setValueAtTime(gain.value, t);
+        gain.linearRampToValueAtTime(level, t + fadeTime);
+    }
+
+    /**
+     * Stops feeding the source to the spatializer, so it doesn't cost any processing.
+     **/
+    detach() {
+        if (this.attached) {
+            this.attached = false;
+            this.reconnect();
+        }
+    }
+
+    /**
+     * Starts feeding the source to the spatializer again.
+     **/
+    attach() {
+        if (!this.attached) {
+            this.attached = true;
+            this.reconnect();
+        }
+    }
+
+    /**
+     * Changes where the source's audio goes. Directly routed sources skip the
+     * spatializer and the fader, and play at full volume.
+     * @param {AudioRoute} route
+     */
+    setRoute(route) {
+        if (route !== this.route) {
+            this.route = route;
+            this.reconnect();
+        }
+    }
+
+    /**
+     * Connects the source to the node its route and attachment call for.
+     * @private
+     **/
+    reconnect() {
+        let output = null;
+        if (this.source
+            && this.attached) {
+            if (this.route === AudioRoute.spatialized) {
+                output = this.fader;
+            }
+            else if (this.route === AudioRoute.direct) {
+                output = this.bypass;
+            }
+        }
+
+        if (output !== this.output) {
+            if (this.output) {
+                this.source.disconnect(this.output);
+            }
+
+            this.output = output;
+
+            if (this.output) {
+                this.source.connect(this.output);
+            }
+        }
+    }
+
     /**
      * Discard values and make this instance useless.
      */
@@ -77,6 +184,18 @@ export class BaseSource extends BaseSpatializer {
             this.source = null;
         }
 
+        if (this.fader) {
+            this.fader.disconnect();
+            this.fader = null;
+        }
+
+        if (this.bypass) {
+            this.bypass.disconnect();
+            this.bypass = null;
+        }
+
+        this.output = null;
+
         if (this.audio) {
             this.audio.pause();
             this.audio = null;
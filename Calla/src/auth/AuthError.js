@@ -0,0 +1,24 @@
+/**
+ * The reason the local user could not be let into a conference.
+ * - "tokenUnavailable": the token provider failed.
+ * - "tokenExpired": the token has expired, and there is no provider to get a new one.
+ * - "tokenRejected": the service did not accept the token.
+ * - "authenticationRequired": the service only lets in users with a token.
+ * @typedef {"tokenUnavailable"|"tokenExpired"|"tokenRejected"|"authenticationRequired"} AuthErrorCode
+ **/
+
+/**
+ * The error thrown when a token for a secured service can't be had.
+ **/
+export class AuthError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {AuthErrorCode} code
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = "AuthError";
+        this.code = code;
+    }
+}
@@ -0,0 +1,143 @@
+import { isFunction, isGoodNumber, isString } from "../typeChecks";
+import { AuthError } from "./AuthError";
+
+/**
+ * Gets a fresh token for a secured service. May return a promise.
+ * @callback tokenProvider
+ * @returns {string|Promise<string>}
+ */
+
+/**
+ * Reads the expiry time out of a JSON Web Token, without checking its signature.
+ * @param {string} token
+ * @returns {number} - milliseconds since the epoch, or null if the token doesn't say or isn't a JWT.
+ */
+function getExpiry(token) {
+    const parts = token.split(".");
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    try {
+        const base64 = parts[1]
+            .replace(/-/g, "+")
+            .replace(/_/g, "/"),
+            payload = JSON.parse(atob(base64));
+        return isGoodNumber(payload.exp)
+            ? payload.exp * 1000
+            : null;
+    }
+    catch (exp) {
+        return null;
+    }
+}
+
+/**
+ * Hands out the token the local user presents to a secured service. The token
+ * is either fixed, or comes from a provider that is asked for a new one
+ * whenever the last one has expired, or has been turned down.
+ **/
+export class TokenSource {
+
+    /**
+     * Creates a new source of tokens.
+     * @param {string|tokenProvider} tokenOrProvider - a JWT, or a function that gets one.
+     */
+    constructor(tokenOrProvider) {
+        if (!isString(tokenOrProvider)
+            && !isFunction(tokenOrProvider)) {
+            throw new Error("A token must be a string or a function that returns one.");
+        }
+
+        this.provider = isFunction(tokenOrProvider)
+            ? tokenOrProvider
+            : null;
+
+        /**
+         * The number of milliseconds before a token's expiry at which to stop using it.
+         * @type {number}
+         **/
+        this.refreshMargin = 30000;
+
+        /**
+         * The last token handed out.
+         * @type {string}
+         **/
+        this.token = this.provider === null
+            ? tokenOrProvider
+            : null;
+
+        Object.seal(this);
+    }
+
+    /**
+     * Whether a new token can be had after the current one stops working.
+     * @type {boolean}
+     **/
+    get canRefresh() {
+        return this.provider !== null;
+    }
+
+    /**
+     * When the current token expires, in milliseconds since the epoch, or null if it doesn't say.
+     * @type {number}
+     **/
+    get expiresAt() {
+        return this.token === null
+            ? null
+            : getExpiry(this.token);
+    }
+
+    /**
+     * Whether the current token has expired, or is about to.
+     * @param {number} [now] - the current time, in milliseconds since the epoch.
+     * @returns {boolean}
+     */
+    isExpired(now) {
+        const expiresAt = this.expiresAt;
+        return expiresAt !== null
+            && expiresAt - this.refreshMargin <= (now || Date.now());
+    }
+
+    /**
+     * Forgets the current token, so the provider is asked for a new one next time.
+     * Fixed tokens are kept.
+     **/
+    invalidate() {
+        if (this.canRefresh) {
+            this.token = null;
+        }
+    }
+
+    /**
+     * Gets a token that hasn't expired.
+     * @returns {Promise<string>}
+     * @throws {AuthError}
+     */
+    async getTokenAsync() {
+        if (this.canRefresh
+            && (this.token === null
+                || this.isExpired())) {
+            let token = null;
+            try {
+                token = await this.provider();
+            }
+            catch (exp) {
+                throw new AuthError(`The token provider failed: ${exp && exp.message || exp}`, "tokenUnavailable");
+            }
+
+            if (!isString(token)
+                || token.length === 0) {
+                throw new AuthError("The token provider did not return a token.", "tokenUnavailable");
+            }
+
+            this.token = token;
+        }
+
+        if (this.isExpired()) {
+            throw new AuthError("The token has expired.", this.canRefresh ? "tokenUnavailable" : "tokenExpired");
+        }
+
+        return this.token;
+    }
+}
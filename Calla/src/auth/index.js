@@ -0,0 +1,2 @@
+export * from "./AuthError";
+export * from "./TokenSource";
\ No newline at end of file
@@ -0,0 +1,348 @@
+import { isFunction, isGoodNumber } from "../typeChecks";
+import { PoseTimeline } from "./PoseTimeline";
+
+// the namespace of the data channel commands that bots answer.
+const BOT_NAMESPACE = "bot";
+
+/**
+ * Answers a command that another user sent to a bot.
+ * @callback botCommandHandler
+ * @param {string} fromUserID
+ * @param {any} value - the payload that was sent with the command.
+ */
+
+/**
+ * @param {any} value
+ */
+function isPoint(value) {
+    return value !== null
+        && typeof value === "object"
+        && isGoodNumber(value.x)
+        && isGoodNumber(value.y)
+        && isGoodNumber(value.z);
+}
+
+/**
+ * A participant that isn't a person: a radio in the lounge, a greeter at the
+ * spawn point, a guide that walks a path. Its audio comes from an oscillator,
+ * an audio buffer, or a sound effect instead of a microphone, it walks a
+ * scripted path, and other users can control it through the data channel.
+ *
+ * Every bot answers these commands in the "bot" namespace:
+ *  - pause: stops walking the path.
+ *  - resume: carries on walking the path.
+ *  - goTo {x, y, z}: stops walking the path and stands at a spot.
+ **/
+export class CallaBot {
+
+    /**
+     * Creates a new bot.
+     * @param {import("../CallaClient").CallaClient} client - the client through which the bot joins rooms, e.g. one with a LoopbackTransport for tests. Bots that don't play sounds can use a headless client.
+     */
+    constructor(client) {
+        this.client = client;
+
+        /**
+         * The path the bot is walking, or null if it's standing still.
+         * @type {PoseTimeline}
+         **/
+        this.timeline = null;
+
+        /**
+         * When the bot started walking the path, in seconds by the audio clock.
+         * @type {number}
+         **/
+        this.startTime = 0;
+
+        /**
+         * How far along the path, in seconds, the bot was when it was paused,
+         * or null if it isn't paused.
+         * @type {number}
+         **/
+        this.pausedAt = null;
+
+        /**
+         * The number of milliseconds between updates of the bot's pose.
+         * @type {number}
+         **/
+        this.updateInterval = 50;
+
+        this.timer = null;
+
+        /**
+         * Everything the bot plays goes to this node, whose stream is sent in
+         * place of a microphone.
+         * @type {MediaStreamAudioDestinationNode}
+         **/
+        this.destination = null;
+
+        /**
+         * Stops the sound that is playing, or null if nothing is.
+         * @type {Function}
+         **/
+        this.stopCurrentSound = null;
+
+        /** @type {Map<string, Function>} */
+        this.commandListeners = new Map();
+
+        Object.seal(this);
+
+        this.onCommand("pause", () => this.pause());
+        this.onCommand("resume", () => this.resume());
+        this.onCommand("goTo", (_, value) => this.goTo(value.x, value.y, value.z), isPoint);
+    }
+
+    /**
+     * The current time, in seconds, by the audio clock.
+     * @type {number}
+     **/
+    get now() {
+        return this.client.audio.currentTime;
+    }
+
+    /**
+     * Whether the bot has stopped partway along its path.
+     * @type {boolean}
+     **/
+    get isPaused() {
+        return this.pausedAt !== null;
+    }
+
+    /**
+     * Joins a room and starts updating the bot's pose.
+     * @param {string} roomName
+     * @param {string} userName
+     * @param {import("../CallaClient").JoinOptions} [options]
+     */
+    async joinAsync(roomName, userName, options) {
+        await this.client.join(roomName, userName, options);
+        this.start();
+    }
+
+    /**
+     * Stops updating the bot's pose and leaves the room.
+     **/
+    async leaveAsync() {
+        this.stop();
+        await this.client.leaveAsync();
+    }
+
+    /**
+     * Starts updating the bot's pose on the interval.
+     **/
+    start() {
+        if (this.timer === null) {
+            this.timer = setInterval(() => this.update(), this.updateInterval);
+        }
+    }
+
+    /**
+     * Stops updating the bot's pose.
+     **/
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Moves the bot to where it should be on its path, and updates the client.
+     * @param {number} [t] - the current time, in seconds by the audio clock.
+     */
+    update(t) {
+        if (t === undefined) {
+            t = this.now;
+        }
+
+        if (this.client.joined
+            && this.timeline !== null) {
+            const elapsed = this.isPaused
+                ? this.pausedAt
+                : t - this.startTime,
+                pose = this.timeline.getPose(elapsed);
+            this.client.setLocalPose(
+                pose.x, pose.y, pose.z,
+                pose.fx, pose.fy, pose.fz,
+                0, 1, 0);
+        }
+
+        this.client.update();
+    }
+
+    /**
+     * Starts walking a path from its beginning.
+     * @param {PoseTimeline} timeline
+     */
+    followPath(timeline) {
+        this.timeline = timeline;
+        this.startTime = this.now;
+        this.pausedAt = null;
+    }
+
+    /**
+     * Stops partway along the path.
+     **/
+    pause() {
+        if (!this.isPaused) {
+            this.pausedAt = this.now - this.startTime;
+        }
+    }
+
+    /**
+     * Carries on along the path from where the bot was paused.
+     **/
+    resume() {
+        if (this.isPaused) {
+            this.startTime = this.now - this.pausedAt;
+            this.pausedAt = null;
+        }
+    }
+
+    /**
+     * Stops walking the path and stands at a spot.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     */
+    goTo(x, y, z) {
+        this.followPath(new PoseTimeline([{ time: 0, x, y, z }]));
+    }
+
+    /**
+     * Answers an application-defined command in the "bot" namespace.
+     * @param {string} command
+     * @param {botCommandHandler} handler
+     * @param {import("../CallaClient").commandValidator} [validator] - checks the payload of the command. Commands that fail the check are dropped.
+     */
+    onCommand(command, handler, validator) {
+        this.offCommand(command);
+        this.client.registerCommand(BOT_NAMESPACE, command, validator);
+
+        const listener = (evt) => handler(evt.id, evt.value);
+        this.client.addEventListener(`${BOT_NAMESPACE}:${command}`, listener);
+        this.commandListeners.set(command, listener);
+    }
+
+    /**
+     * Stops answering a command.
+     * @param {string} command
+     */
+    offCommand(command) {
+        if (this.commandListeners.has(command)) {
+            this.client.removeEventListener(`${BOT_NAMESPACE}:${command}`, this.commandListeners.get(command));
+            this.client.unregisterCommand(BOT_NAMESPACE, command);
+            this.commandListeners.delete(command);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {AudioContext}
+     */
+    getAudioContext() {
+        const audioContext = this.client.audio.audioContext;
+        if (!audioContext
+            || !isFunction(audioContext.createMediaStreamDestination)) {
+            throw new Error("Bots need WebAudio to play sounds.");
+        }
+
+        return audioContext;
+    }
+
+    /**
+     * Sends a node's output to the room in place of a microphone.
+     * @private
+     * @param {AudioNode} node
+     * @param {Function} start - starts the node playing. May return a promise.
+     * @param {Function} stop - stops the node playing.
+     */
+    async playAsync(node, start, stop) {
+        const audioContext = this.getAudioContext();
+        this.stopSound();
+
+        if (this.destination === null) {
+            this.destination = audioContext.createMediaStreamDestination();
+        }
+
+        const destination = this.destination;
+        node.connect(destination);
+        // nodes can't be stopped before they start, so start this one before
+        // another sound can stop it while the stream is being published.
+        const startTask = start();
+        this.stopCurrentSound = () => {
+            stop();
+            node.disconnect(destination);
+        };
+
+        if (this.client.audioInputStream !== destination.stream) {
+            await this.client.setAudioInputStreamAsync(destination.stream);
+        }
+
+        await startTask;
+    }
+
+    /**
+     * Plays a steady tone.
+     * @param {number} [frequency=440] - the pitch of the tone, in hertz.
+     * @param {OscillatorType} [type="sine"] - the shape of the wave.
+     */
+    async playToneAsync(frequency = 440, type = "sine") {
+        const oscillator = this.getAudioContext().createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        await this.playAsync(oscillator,
+            () => oscillator.start(),
+            () => oscillator.stop());
+    }
+
+    /**
+     * Plays decoded audio.
+     * @param {AudioBuffer} buffer
+     * @param {boolean} [loop=true] - whether to play the audio over and over.
+     */
+    async playBufferAsync(buffer, loop = true) {
+        const source = this.getAudioContext().createBufferSource();
+        source.buffer = buffer;
+        source.loop = loop;
+        await this.playAsync(source,
+            () => source.start(),
+            () => source.stop());
+    }
+
+    /**
+     * Plays a sound effect that was loaded with `client.audio.createClip()`.
+     * Whether it loops is up to the clip.
+     * @param {string} name - the name of the sound effect.
+     */
+    async playClipAsync(name) {
+        const clip = this.client.audio.getClip(name);
+        if (clip === null) {
+            throw new Error(`No such sound effect: ${name}`);
+        }
+
+        const spatializer = clip.spatializer;
+        await this.playAsync(spatializer.source,
+            () => spatializer.play(),
+            () => spatializer.stop());
+    }
+
+    /**
+     * Stops the sound that is playing. The room hears silence until the next sound.
+     **/
+    stopSound() {
+        if (this.stopCurrentSound !== null) {
+            this.stopCurrentSound();
+            this.stopCurrentSound = null;
+        }
+    }
+
+    /**
+     * Stops everything the bot is doing and forgets its commands. It stays in the room.
+     **/
+    dispose() {
+        this.stop();
+        this.stopSound();
+        for (let command of Array.from(this.commandListeners.keys())) {
+            this.offCommand(command);
+        }
+    }
+}
@@ -0,0 +1,160 @@
+import { lerp } from "../math/lerp";
+import { isGoodNumber } from "../typeChecks";
+
+/**
+ * A point on a bot's path, and when to be there.
+ * @typedef {object} PoseKeyframe
+ * @property {number} time - the number of seconds from the start of the path.
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ * @property {number} [fx] - the horizontal component of the direction to face from this keyframe until the next one.
+ * @property {number} [fy] - the vertical component of the direction to face from this keyframe until the next one.
+ * @property {number} [fz] - the lateral component of the direction to face from this keyframe until the next one.
+ **/
+
+/**
+ * A bot's position and facing at a moment on its path.
+ * @typedef {object} TimelinePose
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ * @property {number} fx
+ * @property {number} fy
+ * @property {number} fz
+ **/
+
+/**
+ * @param {PoseKeyframe} k
+ */
+function hasFacing(k) {
+    return isGoodNumber(k.fx)
+        && isGoodNumber(k.fy)
+        && isGoodNumber(k.fz);
+}
+
+/**
+ * A path for a bot to walk, as a list of keyframes. Between keyframes, the bot
+ * moves in a straight line and faces the way it's going, unless the keyframe
+ * says which way to face.
+ **/
+export class PoseTimeline {
+
+    /**
+     * Creates a new path.
+     * @param {PoseKeyframe[]} keyframes - at least one keyframe, in order of time.
+     * @param {boolean} [loop=false] - whether to start over after the last keyframe. End on the first keyframe's position to walk in a circuit.
+     */
+    constructor(keyframes, loop = false) {
+        if (!Array.isArray(keyframes)
+            || keyframes.length === 0) {
+            throw new Error("A timeline needs at least one keyframe.");
+        }
+
+        for (let i = 0; i < keyframes.length; ++i) {
+            const k = keyframes[i];
+            if (!isGoodNumber(k.time)
+                || !isGoodNumber(k.x)
+                || !isGoodNumber(k.y)
+                || !isGoodNumber(k.z)) {
+                throw new Error(`Keyframe ${i} needs a time and x, y, and z coordinates.`);
+            }
+
+            if (i > 0 && k.time < keyframes[i - 1].time) {
+                throw new Error(`Keyframe ${i} comes before the keyframe ahead of it.`);
+            }
+        }
+
+        /** @type {PoseKeyframe[]} */
+        this.keyframes = keyframes.slice();
+
+        /** @type {boolean} */
+        this.loop = loop;
+
+        Object.seal(this);
+    }
+
+    /**
+     * The number of seconds from the first keyframe to the last.
+     * @type {number}
+     **/
+    get duration() {
+        return this.keyframes[this.keyframes.length - 1].time - this.keyframes[0].time;
+    }
+
+    /**
+     * Finds where the bot should be at a moment on the path.
+     * @param {number} t - the number of seconds since the path started.
+     * @returns {TimelinePose}
+     */
+    getPose(t) {
+        const first = this.keyframes[0],
+            last = this.keyframes[this.keyframes.length - 1];
+
+        t += first.time;
+        if (this.loop && this.duration > 0) {
+            t = first.time + (((t - first.time) % this.duration) + this.duration) % this.duration;
+        }
+
+        t = Math.max(first.time, Math.min(last.time, t));
+
+        let i = 0;
+        while (i < this.keyframes.length - 2
+            && this.keyframes[i + 1].time <= t) {
+            ++i;
+        }
+
+        const a = this.keyframes[i],
+            b = this.keyframes[Math.min(i + 1, this.keyframes.length - 1)],
+            span = b.time - a.time,
+            p = span > 0
+                ? (t - a.time) / span
+                : 1,
+            pose = {
+                x: lerp(a.x, b.x, p),
+                y: lerp(a.y, b.y, p),
+                z: lerp(a.z, b.z, p),
+                fx: 0,
+                fy: 0,
+                fz: -1
+            };
+
+        // standing on the last keyframe faces the way the last step went.
+        const facingFrame = p === 1 && b !== a && b === last
+            ? i + 1
+            : i;
+        this.setFacing(pose, facingFrame);
+        return pose;
+    }
+
+    /**
+     * Faces the pose the way the keyframe says, or the way the bot last
+     * moved on the way to it.
+     * @private
+     * @param {TimelinePose} pose
+     * @param {number} index
+     */
+    setFacing(pose, index) {
+        const k = this.keyframes[index];
+        if (hasFacing(k)) {
+            pose.fx = k.fx;
+            pose.fy = k.fy;
+            pose.fz = k.fz;
+            return;
+        }
+
+        for (let i = Math.min(index, this.keyframes.length - 2); i >= 0; --i) {
+            const a = this.keyframes[i],
+                b = this.keyframes[i + 1],
+                dx = b.x - a.x,
+                dz = b.z - a.z,
+                len = Math.sqrt(dx * dx + dz * dz);
+            if (len > 0) {
+                pose.fx = dx / len;
+                pose.fy = 0;
+                pose.fz = dz / len;
+                return;
+            }
+        }
+    }
+}
@@ -0,0 +1,2 @@
+export * from "./CallaBot";
+export * from "./PoseTimeline";
\ No newline at end of file
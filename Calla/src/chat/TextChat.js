@@ -0,0 +1,297 @@
+import { EventBase } from "../events/EventBase";
+import { isGoodNumber, isString } from "../typeChecks";
+
+/**
+ * A callback that sends a chat message to a single user.
+ * @callback chatMessageSender
+ * @param {string} toUserID
+ * @param {string} command - always "chatText".
+ * @param {object} value
+ */
+
+/**
+ * A callback that sends a chat message to everyone in the room.
+ * @callback chatMessageBroadcaster
+ * @param {string} command - always "chatText".
+ * @param {object} value
+ */
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {string} messageID
+ * @property {string} id - the ID of the user who sent the message. For a message from another user's history, the user who handed it off, as there's no telling who really sent it.
+ * @property {string} displayName - the name of the user who sent the message, at the time they sent it. For a message from another user's history, only that user's word for it.
+ * @property {string} text
+ * @property {number} time - milliseconds since the epoch, on the shared clock when it is available.
+ * @property {string} toUserID - the recipient of a direct message, or null for a room-wide or local message.
+ * @property {boolean} isLocal - whether the message only went to users near the sender.
+ * @property {number} recipientCount - for local messages the local user sent, the number of users who received it. Otherwise, null.
+ **/
+
+function makeMessageID() {
+    return Date.now().toString(36)
+        + Math.random().toString(16).substring(2, 10);
+}
+
+/**
+ * Text chat over the data channel. Messages go to the whole room, to a
+ * single user, or to the users near the sender. Every message has an ID, so
+ * a message that arrives twice, e.g. once live and once in a history handoff,
+ * is only shown once.
+ * Newcomers ask the first user they see for the recent room-wide messages,
+ * which are attributed to that user rather than to whoever they say sent them.
+ * @fires TextChat#chatMessage
+ **/
+export class TextChat extends EventBase {
+
+    /**
+     * Creates a new text chat.
+     * @param {chatMessageSender} send
+     * @param {chatMessageBroadcaster} broadcast
+     * @param {function(): number} getTime - gets the current time, in milliseconds since the epoch.
+     */
+    constructor(send, broadcast, getTime) {
+        super();
+
+        this.send = send;
+        this.broadcast = broadcast;
+        this.getTime = getTime;
+
+        /**
+         * The number of room-wide messages to keep for newcomers.
+         * @type {number}
+         **/
+        this.historySize = 50;
+
+        /**
+         * How far away, in the same units as user positions, local messages reach.
+         * @type {number}
+         **/
+        this.localRadius = 5;
+
+        /**
+         * The most characters a message may have.
+         * @type {number}
+         **/
+        this.maxLength = 1000;
+
+        /**
+         * Recent room-wide messages, oldest first.
+         * @type {ChatMessage[]}
+         **/
+        this.history = [];
+
+        /**
+         * The IDs of messages that have already been shown.
+         * @type {Set<string>}
+         **/
+        this.seen = new Set();
+
+        /**
+         * Whether the recent history still needs to be fetched from someone.
+         * @type {boolean}
+         **/
+        this.needsHistory = true;
+
+        Object.seal(this);
+    }
+
+    /**
+     * Sends a message and shows it locally.
+     * @param {string} localUserID
+     * @param {string} displayName
+     * @param {string} text
+     * @param {string} [toUserID] - the recipient, or null to send it to the whole room.
+     * @returns {string} - the ID of the message.
+     */
+    sendMessage(localUserID, displayName, text, toUserID) {
+        toUserID = toUserID || null;
+
+        const value = this.makeMessage(displayName, text);
+
+        if (toUserID === null) {
+            this.broadcast("chatText", value);
+        }
+        else {
+            this.send(toUserID, "chatText", Object.assign({
+                direct: true
+            }, value));
+        }
+
+        this.receive(localUserID, value, toUserID);
+        return value.mid;
+    }
+
+    /**
+     * Sends a message to only the users near the local user, and shows it locally.
+     * @param {string} localUserID
+     * @param {string} displayName
+     * @param {string} text
+     * @param {string[]} recipientIDs - the users within `localRadius` of the local user.
+     * @returns {string} - the ID of the message.
+     */
+    sendLocalMessage(localUserID, displayName, text, recipientIDs) {
+        const value = this.makeMessage(displayName, text);
+        value.local = true;
+
+        for (let toUserID of recipientIDs) {
+            this.send(toUserID, "chatText", value);
+        }
+
+        const message = this.read(localUserID, value, null);
+        message.recipientCount = recipientIDs.length;
+        this.show(message, false);
+        return value.mid;
+    }
+
+    /**
+     * @private
+     * @param {string} displayName
+     * @param {string} text
+     */
+    makeMessage(displayName, text) {
+        if (!this.isValidText(text)) {
+            throw new Error(`Chat messages must be between 1 and ${this.maxLength} characters long.`);
+        }
+
+        return {
+            mid: makeMessageID(),
+            name: displayName,
+            text,
+            time: this.getTime()
+        };
+    }
+
+    /**
+     * Shows a message that was sent live.
+     * @param {string} fromUserID
+     * @param {{mid: string, name: string, text: string, time: number, local: boolean}} value
+     * @param {string} toUserID - the recipient of a direct message, or null for a room-wide or local message.
+     */
+    receive(fromUserID, value, toUserID) {
+        const message = this.read(fromUserID, value, toUserID);
+        if (message !== null) {
+            this.show(message, false);
+        }
+    }
+
+    /**
+     * The recent room-wide messages, to send to a newcomer.
+     **/
+    snapshot() {
+        return this.history.map((message) => ({
+            mid: message.messageID,
+            name: message.displayName,
+            text: message.text,
+            time: message.time
+        }));
+    }
+
+    /**
+     * Shows the messages from another user's history that haven't been seen yet, oldest first.
+     * Malformed messages are skipped.
+     * @param {string} fromUserID - the user whose history it is.
+     * @param {any} messages
+     */
+    mergeHistory(fromUserID, messages) {
+        if (Array.isArray(messages)) {
+            const unseen = [];
+            for (let value of messages) {
+                if (value !== null
+                    && typeof value === "object"
+                    && value.local !== true) {
+                    const message = this.read(fromUserID, value, null);
+                    if (message !== null) {
+                        unseen.push(message);
+                    }
+                }
+            }
+
+            unseen.sort((a, b) => a.time - b.time);
+            for (let message of unseen) {
+                this.show(message, true);
+            }
+        }
+    }
+
+    /**
+     * Forgets all messages, e.g. after leaving the room.
+     **/
+    reset() {
+        this.history.length = 0;
+        this.seen.clear();
+        this.needsHistory = true;
+    }
+
+    /**
+     * @private
+     * @param {any} text
+     */
+    isValidText(text) {
+        return isString(text)
+            && text.length > 0
+            && text.length <= this.maxLength;
+    }
+
+    /**
+     * Checks a message and turns it into its local form, or returns null
+     * if it is malformed or has already been seen.
+     * @private
+     * @param {string} fromUserID
+     * @param {any} value
+     * @param {string} toUserID
+     * @returns {ChatMessage}
+     */
+    read(fromUserID, value, toUserID) {
+        if (!isString(value.mid)
+            || this.seen.has(value.mid)
+            || !this.isValidText(value.text)
+            || !isGoodNumber(value.time)) {
+            return null;
+        }
+
+        const isLocal = value.local === true;
+        return {
+            messageID: value.mid,
+            id: fromUserID,
+            displayName: isString(value.name) ? value.name : null,
+            text: value.text,
+            time: value.time,
+            toUserID: isLocal ? null : toUserID,
+            isLocal,
+            recipientCount: null
+        };
+    }
+
+    /**
+     * @private
+     * @param {ChatMessage} message
+     * @param {boolean} isHistory
+     */
+    show(message, isHistory) {
+        this.seen.add(message.messageID);
+        if (this.seen.size > 10 * this.historySize) {
+            this.seen.delete(this.seen.values().next().value);
+        }
+
+        if (message.toUserID === null
+            && !message.isLocal) {
+            let index = this.history.length;
+            while (index > 0
+                && this.history[index - 1].time > message.time) {
+                --index;
+            }
+
+            this.history.splice(index, 0, message);
+            if (this.history.length > this.historySize) {
+                this.history.shift();
+            }
+        }
+
+        this.dispatchEvent(Object.assign(
+            new Event("chatMessage"),
+            message, {
+            isHistory
+        }));
+    }
+}
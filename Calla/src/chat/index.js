@@ -0,0 +1 @@
+export * from "./TextChat";
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Everything that runs without a browser, e.g. for bots in Node.
+export * from "./arrays";
+export * from "./audio";
+export * from "./auth";
+export * from "./bots";
+export * from "./CallaClient";
+export * from "./chat";
+export * from "./events";
+export * from "./fetching";
+export * from "./isBrowser";
+export * from "./LRUCache";
+export * from "./math";
+export * from "./presence";
+export * from "./progress";
+export * from "./protocol";
+export * from "./recording";
+export * from "./replication";
+export * from "./rpc";
+export * from "./stats";
+export * from "./transports";
+export * from "./typeChecks";
+export * from "./version";
+export * from "./video";
@@ -3,7 +3,7 @@ import { isFunction } from "../typeChecks";
 
 export const EventBase = (function () {
     try {
-        new window.EventTarget();
+        new EventTarget();
         return class EventBase extends EventTarget {
             constructor() {
                 super();
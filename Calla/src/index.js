@@ -1,10 +1,3 @@
-export * from "./arrays";
-export * from "./audio";
-export * from "./CallaClient";
-export * from "./events";
-export * from "./fetching";
-export * from "./LRUCache";
-export * from "./math";
-export * from "./progress";
-export * from "./typeChecks";
-export * from "./version";
+// lib-jitsi-meet expects jQuery to be on the window when it loads.
+import "../lib/jquery";
+export * from "./core";
\ No newline at end of file
@@ -0,0 +1,8 @@
+/**
+ * Indicates whether or not the code is running in a web browser, as opposed to a
+ * headless environment like Node, where there is no window or document.
+ * @constant
+ * @type {boolean}
+ **/
+export const isBrowser = typeof window !== "undefined"
+    && typeof document !== "undefined";
@@ -1,3 +1,5 @@
+import { lerp } from "./lerp";
+
 export class Vector3 {
     constructor() {
         /** @type {number} */
@@ -31,4 +33,36 @@ export class Vector3 {
         this.y = v.y;
         this.z = v.z;
     }
+
+    /**
+     * Moves this vector proportionally towards another vector.
+     * @param {Vector3} v
+     * @param {number} p
+     */
+    lerp(v, p) {
+        this.x = lerp(this.x, v.x, p);
+        this.y = lerp(this.y, v.y, p);
+        this.z = lerp(this.z, v.z, p);
+    }
+
+    /**
+     * @param {Vector3} v
+     * @returns {number}
+     */
+    dot(v) {
+        return this.x * v.x
+            + this.y * v.y
+            + this.z * v.z;
+    }
+
+    /**
+     * @param {Vector3} v
+     * @returns {number}
+     */
+    distanceTo(v) {
+        const dx = this.x - v.x,
+            dy = this.y - v.y,
+            dz = this.z - v.z;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
 }
\ No newline at end of file
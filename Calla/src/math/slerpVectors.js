@@ -6,7 +6,7 @@
  */
 
 export function slerpVectors(m, a, b, p) {
-    const dot = a.dot(b);
+    const dot = Math.max(-1, Math.min(1, a.dot(b)));
     const angle = Math.acos(dot);
     if (angle !== 0) {
         const c = Math.sin(angle);
@@ -14,6 +14,9 @@ export function slerpVectors(m, a, b, p) {
         const pB = Math.sin(p * angle) / c;
         m.x = pA * a.x + pB * b.x;
         m.y = pA * a.y + pB * b.y;
-        m.x = pA * a.z + pB * b.z;
+        m.z = pA * a.z + pB * b.z;
+    }
+    else {
+        m.copy(a);
     }
 }
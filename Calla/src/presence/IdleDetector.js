@@ -0,0 +1,147 @@
+import { EventBase } from "../events/EventBase";
+import { isBrowser } from "../isBrowser";
+
+const idleEvt = new Event("idle"),
+    activeEvt = new Event("active");
+
+/**
+ * The window events that count as the user doing something.
+ * @constant
+ * @type {string[]}
+ **/
+const inputEventNames = [
+    "keydown",
+    "pointerdown",
+    "pointermove",
+    "touchstart",
+    "wheel"
+];
+
+/**
+ * Watches for the user walking away from the page. The user goes idle when
+ * there has been no input for `timeout` milliseconds, or for `hiddenTimeout`
+ * milliseconds while the page is hidden, and becomes active again on the next
+ * input or when the page is shown. Input that the page doesn't see as events,
+ * such as gamepads, can be reported through `markActive()`.
+ * @fires IdleDetector#idle
+ * @fires IdleDetector#active
+ **/
+export class IdleDetector extends EventBase {
+
+    /**
+     * Creates a new idle detector. It doesn't watch anything until it is started.
+     **/
+    constructor() {
+        super();
+
+        /**
+         * The number of milliseconds without input after which the user is idle.
+         * @type {number}
+         **/
+        this.timeout = 5 * 60 * 1000;
+
+        /**
+         * The number of milliseconds without input after which the user is idle,
+         * while the page is hidden.
+         * @type {number}
+         **/
+        this.hiddenTimeout = 60 * 1000;
+
+        /**
+         * The number of milliseconds between checks for idleness.
+         * @type {number}
+         **/
+        this.checkInterval = 1000;
+
+        /**
+         * Whether the user has gone idle.
+         * @type {boolean}
+         **/
+        this.isIdle = false;
+
+        this.lastActiveTime = 0;
+        this.timer = null;
+
+        this.onInput = () => this.markActive();
+        this.onVisibilityChange = () => {
+            if (!document.hidden) {
+                this.markActive();
+            }
+        };
+
+        Object.seal(this);
+    }
+
+    /**
+     * Whether the detector is watching for idleness.
+     * @type {boolean}
+     **/
+    get isRunning() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Starts watching for idleness, with the user active.
+     **/
+    start() {
+        if (!this.isRunning) {
+            this.lastActiveTime = performance.now();
+            this.isIdle = false;
+
+            if (isBrowser) {
+                for (let type of inputEventNames) {
+                    window.addEventListener(type, this.onInput, { passive: true });
+                }
+
+                document.addEventListener("visibilitychange", this.onVisibilityChange);
+            }
+
+            this.timer = setInterval(() => this.check(), this.checkInterval);
+        }
+    }
+
+    /**
+     * Stops watching for idleness.
+     **/
+    stop() {
+        if (this.isRunning) {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.isIdle = false;
+
+            if (isBrowser) {
+                for (let type of inputEventNames) {
+                    window.removeEventListener(type, this.onInput);
+                }
+
+                document.removeEventListener("visibilitychange", this.onVisibilityChange);
+            }
+        }
+    }
+
+    /**
+     * Tells the detector the user did something.
+     **/
+    markActive() {
+        this.lastActiveTime = performance.now();
+        if (this.isIdle) {
+            this.isIdle = false;
+            this.dispatchEvent(activeEvt);
+        }
+    }
+
+    /**
+     * @private
+     **/
+    check() {
+        const timeout = isBrowser && document.hidden
+            ? Math.min(this.timeout, this.hiddenTimeout)
+            : this.timeout;
+
+        if (!this.isIdle
+            && performance.now() - this.lastActiveTime >= timeout) {
+            this.isIdle = true;
+            this.dispatchEvent(idleEvt);
+        }
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * What a user is up to, as far as the rest of the room is concerned.
+ * @enum {string}
+ **/
+export const PresenceStatus = Object.freeze({
+    available: "available",
+    away: "away",
+    busy: "busy",
+    presenting: "presenting"
+});
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isPresenceStatus(value) {
+    return Object.prototype.hasOwnProperty.call(PresenceStatus, value)
+        && PresenceStatus[value] === value;
+}
@@ -0,0 +1,2 @@
+export * from "./IdleDetector";
+export * from "./PresenceStatus";
\ No newline at end of file
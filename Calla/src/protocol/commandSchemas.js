@@ -0,0 +1,176 @@
+import { isBoolean, isGoodNumber, isString } from "../typeChecks";
+
+/**
+ * A test for a single field of a command's payload.
+ * @callback fieldCheck
+ * @param {any} v - the value of the field.
+ * @returns {boolean} - true, if the value is acceptable.
+ */
+
+function finite(v) {
+    return isGoodNumber(v)
+        && Number.isFinite(v);
+}
+
+function integer(v) {
+    return Number.isInteger(v);
+}
+
+function text(v) {
+    return isString(v);
+}
+
+function flag(v) {
+    return isBoolean(v);
+}
+
+function anything() {
+    return true;
+}
+
+function textArray(v) {
+    return Array.isArray(v)
+        && v.every(text);
+}
+
+/**
+ * @param {fieldCheck} check
+ * @returns {fieldCheck}
+ */
+function optional(check) {
+    return (v) => v === undefined
+        || v === null
+        || check(v);
+}
+
+const position = Object.freeze({
+    x: finite,
+    y: finite,
+    z: finite
+});
+
+const orientation = Object.freeze({
+    fx: finite,
+    fy: finite,
+    fz: finite,
+    ux: finite,
+    uy: finite,
+    uz: finite
+});
+
+const pose = Object.freeze({
+    px: finite,
+    py: finite,
+    pz: finite,
+    ...orientation
+});
+
+const quantizedPoseChange = Object.freeze({
+    px: optional(integer),
+    py: optional(integer),
+    pz: optional(integer),
+    fx: optional(integer),
+    fy: optional(integer),
+    fz: optional(integer),
+    ux: optional(integer),
+    uy: optional(integer),
+    uz: optional(integer),
+    t: optional(integer)
+});
+
+const emojiFields = Object.freeze({
+    value: text,
+    desc: optional(text)
+});
+
+/**
+ * The built-in commands that also carry fields the application adds, such as
+ * the ones userInitRequest listeners add to the response. Those fields are
+ * passed through unchecked; it's up to the application to validate them.
+ * @constant
+ * @type {string[]}
+ **/
+export const openCommands = Object.freeze(["userInitResponse"]);
+
+/**
+ * The fields each of the built-in data channel commands may carry.
+ * Any field not listed here is dropped from received commands, other than openCommands.
+ * @constant
+ * @type {Object<string, Object<string, fieldCheck>>}
+ **/
+export const commandSchemas = Object.freeze({
+    userMoved: position,
+    userTurned: orientation,
+    userPosed: pose,
+    userPoseChanged: quantizedPoseChange,
+    userInitRequest: Object.freeze({}),
+    userInitResponse: Object.freeze({
+        id: optional(text),
+        x: optional(finite),
+        y: optional(finite),
+        z: optional(finite),
+        px: optional(finite),
+        py: optional(finite),
+        pz: optional(finite),
+        fx: optional(finite),
+        fy: optional(finite),
+        fz: optional(finite),
+        ux: optional(finite),
+        uy: optional(finite),
+        uz: optional(finite)
+    }),
+    emote: emojiFields,
+    setAvatarEmoji: emojiFields,
+    avatarChanged: Object.freeze({
+        url: optional(text)
+    }),
+    clockPing: Object.freeze({
+        t0: finite
+    }),
+    clockPong: Object.freeze({
+        t0: finite,
+        t1: finite,
+        t2: finite
+    }),
+    userStateUpdate: Object.freeze({
+        seq: integer,
+        name: text,
+        value: anything
+    }),
+    storeOp: Object.freeze({
+        op: text,
+        key: text,
+        value: anything,
+        clock: optional(integer),
+        replica: optional(text),
+        tag: optional(text),
+        tags: optional(textArray)
+    }),
+    chatText: Object.freeze({
+        mid: text,
+        name: optional(text),
+        text,
+        time: finite,
+        direct: optional(flag),
+        local: optional(flag)
+    }),
+    moderate: Object.freeze({
+        action: text,
+        targetID: optional(text),
+        kind: optional(text),
+        x: optional(finite),
+        y: optional(finite),
+        z: optional(finite)
+    }),
+    rpcRequest: Object.freeze({
+        rid: text,
+        method: text,
+        args: anything
+    }),
+    rpcResponse: Object.freeze({
+        rid: text,
+        result: anything,
+        error: optional(text),
+        code: optional(text)
+    })
+});
@@ -0,0 +1,37 @@
+/**
+ * The protocol version that introduced each of the built-in data channel commands.
+ * Messages are stamped with the version of their command, rather than the version
+ * the sender speaks, so that peers running older versions of Calla keep accepting
+ * the commands they already understand.
+ *
+ *  - 1: userMoved, userTurned, userPosed, userInitRequest, userInitResponse, emote, setAvatarEmoji, avatarChanged
+ *  - 2: no new commands, only the version marker
+ *  - 3: userPoseChanged
+ *  - 4: clockPing, clockPong
+ *  - 5: rpcRequest, rpcResponse
+ *  - 6: userStateUpdate
+ *  - 7: storeOp
+ *  - 8: chatText
+ *  - 9: moderate
+ * @constant
+ * @type {Object<string, number>}
+ **/
+export const commandVersions = Object.freeze({
+    userMoved: 1,
+    userTurned: 1,
+    userPosed: 1,
+    userInitRequest: 1,
+    userInitResponse: 1,
+    emote: 1,
+    setAvatarEmoji: 1,
+    avatarChanged: 1,
+    userPoseChanged: 3,
+    clockPing: 4,
+    clockPong: 4,
+    rpcRequest: 5,
+    rpcResponse: 5,
+    userStateUpdate: 6,
+    storeOp: 7,
+    chatText: 8,
+    moderate: 9
+});
@@ -0,0 +1,4 @@
+export * from "./commandSchemas";
+export * from "./commandVersions";
+export * from "./protocolVersion";
+export * from "./readCommand";
\ No newline at end of file
@@ -0,0 +1,15 @@
+/**
+ * The version of the data channel protocol that this build of Calla speaks.
+ * @constant
+ * @type {number}
+ **/
+export const protocolVersion = 9;
+
+/**
+ * The oldest version of the data channel protocol that this build of Calla
+ * still understands. Version 1 messages predate the version marker, so
+ * messages without one are treated as version 1.
+ * @constant
+ * @type {number}
+ **/
+export const minProtocolVersion = 1;
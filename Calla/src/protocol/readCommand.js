@@ -0,0 +1,89 @@
+import { isGoodNumber } from "../typeChecks";
+import { commandSchemas, openCommands } from "./commandSchemas";
+import { commandVersions } from "./commandVersions";
+import { minProtocolVersion, protocolVersion } from "./protocolVersion";
+
+function unchanged(command, value) {
+    return value;
+}
+
+/**
+ * Converts the payloads of each protocol version to the next version.
+ * Every version so far has only added commands (see commandVersions),
+ * so the payloads of older versions are already valid.
+ * @type {Object<number, Function>}
+ **/
+const upgrades = {
+    1: unchanged,
+    2: unchanged,
+    3: unchanged,
+    4: unchanged,
+    5: unchanged,
+    6: unchanged,
+    7: unchanged,
+    8: unchanged
+};
+
+/**
+ * Checks a built-in command received over the data channel against its schema,
+ * upgrading it from an older protocol version first, if necessary.
+ * @param {number} version - the protocol version the sender used.
+ * @param {string} command - the name of the command.
+ * @param {any} value - the payload of the command.
+ * @returns {object} - a copy of the payload that contains only the fields the schema declares, plus the application's fields for openCommands.
+ * @throws {Error} when the version is unsupported, the command is unknown to that version, or the payload is invalid.
+ */
+export function readCommand(version, command, value) {
+    if (!isGoodNumber(version)
+        || version < minProtocolVersion
+        || version > protocolVersion) {
+        throw new Error(`Unsupported protocol version: ${version}`);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commandSchemas, command)) {
+        throw new Error(`Unknown command: ${command}`);
+    }
+
+    if (commandVersions[command] > version) {
+        throw new Error(`${command} was added in protocol version ${commandVersions[command]}, not ${version}.`);
+    }
+
+    for (let v = version; v < protocolVersion; ++v) {
+        value = upgrades[v](command, value);
+    }
+
+    if (value === undefined
+        || value === null) {
+        value = {};
+    }
+
+    if (typeof value !== "object"
+        || Array.isArray(value)) {
+        throw new Error(`Payload of ${command} must be an object.`);
+    }
+
+    const schema = commandSchemas[command],
+        output = {};
+    for (let key of Object.keys(schema)) {
+        const check = schema[key],
+            field = value[key];
+        if (!check(field)) {
+            throw new Error(`Invalid ${command}.${key}: ${JSON.stringify(field)}`);
+        }
+
+        if (field !== undefined) {
+            output[key] = field;
+        }
+    }
+
+    if (openCommands.indexOf(command) > -1) {
+        for (let key of Object.keys(value)) {
+            if (!Object.prototype.hasOwnProperty.call(schema, key)
+                && key !== "__proto__") {
+                output[key] = value[key];
+            }
+        }
+    }
+
+    return output;
+}
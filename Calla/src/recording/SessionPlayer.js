@@ -0,0 +1,197 @@
+import { EventBase } from "../events/EventBase";
+import { ReplayTransport } from "../transports/ReplayTransport";
+import { sessionLogVersion } from "./SessionRecorder";
+
+const endedEvt = new Event("ended");
+
+/**
+ * Plays a recorded session back into a CallaClient, and everything listening
+ * to it, without any network. The client must have been created with a
+ * ReplayTransport, and should be headless, so it doesn't ask for a microphone
+ * when the recorded conference is joined.
+ *
+ * Playback can be paused, stepped one event at a time, and sought. Seeking
+ * backwards empties the room and replays the log from the start, so the
+ * client always ends up in the state it was in at that point in the recording.
+ * @fires SessionPlayer#ended
+ **/
+export class SessionPlayer extends EventBase {
+
+    /**
+     * Creates a new player.
+     * @param {import("../CallaClient").CallaClient} client - a client created with a ReplayTransport.
+     * @param {import("./SessionRecorder").SessionLog} log
+     */
+    constructor(client, log) {
+        super();
+
+        if (!(client.transport instanceof ReplayTransport)) {
+            throw new Error("Replays need a client that was created with a ReplayTransport.");
+        }
+
+        if (log === null
+            || typeof log !== "object"
+            || log.version !== sessionLogVersion
+            || !Array.isArray(log.entries)) {
+            throw new Error(`Expected a version ${sessionLogVersion} session log.`);
+        }
+
+        this.client = client;
+        this.log = log;
+
+        /**
+         * How far into the recording playback has got, in milliseconds.
+         * @type {number}
+         **/
+        this.time = 0;
+
+        /**
+         * The index of the next entry to play.
+         * @type {number}
+         **/
+        this.index = 0;
+
+        /**
+         * How much faster than real time to play.
+         * @type {number}
+         **/
+        this.speed = 1;
+
+        /**
+         * The number of milliseconds between playback steps while playing.
+         * @type {number}
+         **/
+        this.interval = 16;
+
+        this.timer = null;
+        this.lastTick = 0;
+
+        Object.seal(this);
+    }
+
+    /**
+     * The length of the recording, in milliseconds.
+     * @type {number}
+     **/
+    get duration() {
+        return this.log.duration;
+    }
+
+    /**
+     * Whether the recording is playing.
+     * @type {boolean}
+     **/
+    get isPlaying() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Whether every entry in the recording has been played.
+     * @type {boolean}
+     **/
+    get isEnded() {
+        return this.index >= this.log.entries.length;
+    }
+
+    /**
+     * Plays from the current time, in real time scaled by `speed`.
+     **/
+    play() {
+        if (!this.isPlaying) {
+            this.lastTick = performance.now();
+            this.timer = setInterval(() => this.tick(), this.interval);
+        }
+    }
+
+    /**
+     * Stops playing at the current time.
+     **/
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Moves to a point in the recording.
+     * @param {number} time - milliseconds since the start of the recording.
+     */
+    seek(time) {
+        time = Math.max(0, Math.min(this.duration, time));
+        if (time < this.time) {
+            this.client.transport.reset();
+            this.index = 0;
+            this.time = 0;
+        }
+
+        this.advanceTo(time);
+    }
+
+    /**
+     * Plays the next entry in the recording, and moves the time up to it.
+     * @returns {boolean} - false, if there was nothing left to play.
+     **/
+    step() {
+        if (this.isEnded) {
+            return false;
+        }
+
+        this.advanceTo(this.log.entries[this.index][0]);
+        return true;
+    }
+
+    /**
+     * @private
+     **/
+    tick() {
+        const now = performance.now(),
+            dt = (now - this.lastTick) * this.speed;
+        this.lastTick = now;
+        this.advanceTo(Math.min(this.duration, this.time + dt));
+
+        if (this.isEnded
+            && this.time >= this.duration) {
+            this.pause();
+            this.dispatchEvent(endedEvt);
+        }
+    }
+
+    /**
+     * Plays every entry up to a point in the recording.
+     * @private
+     * @param {number} time - milliseconds since the start of the recording.
+     */
+    advanceTo(time) {
+        const entries = this.log.entries;
+        while (this.index < entries.length
+            && entries[this.index][0] <= time) {
+            const [t, type, data] = entries[this.index++];
+            this.time = t;
+            this.apply(type, data);
+        }
+
+        this.time = Math.max(this.time, time);
+    }
+
+    /**
+     * @private
+     * @param {string} type
+     * @param {object} data
+     */
+    apply(type, data) {
+        if (type === "localPose") {
+            if (this.client.localUserID !== null) {
+                this.client.setLocalPose(...data.pose);
+            }
+        }
+        else {
+            this.client.transport.replay(type, data);
+        }
+    }
+
+    /**
+     * Stops playing.
+     **/
+    dispose() {
+        this.pause();
+    }
+}
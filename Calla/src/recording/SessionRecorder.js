@@ -0,0 +1,266 @@
+/**
+ * A recorded session: everything the service sent the client, and where the
+ * local user went, in order.
+ * @typedef {object} SessionLog
+ * @property {number} version - the version of the log format.
+ * @property {number} startedAt - when the recording started, in milliseconds since the epoch.
+ * @property {number} duration - the length of the recording, in milliseconds.
+ * @property {Array<[number, string, object]>} entries - the milliseconds since the start of the recording, the name of the event, and the event's fields.
+ **/
+
+/**
+ * The version of the log format that SessionRecorder writes and SessionPlayer reads.
+ * @constant
+ * @type {number}
+ **/
+export const sessionLogVersion = 1;
+
+/**
+ * The transport events that make up a session.
+ * @constant
+ * @type {string[]}
+ **/
+const transportEventNames = [
+    "conferenceJoined",
+    "conferenceLeft",
+    "connectionFailed",
+    "authFailed",
+    "connectionInterrupted",
+    "connectionRestored",
+    "participantJoined",
+    "participantLeft",
+    "displayNameChanged",
+    "trackAdded",
+    "trackRemoved",
+    "trackMuteChanged",
+    "messageReceived",
+    "participantRoleChanged",
+    "kicked",
+    "lockChanged",
+    "statsUpdated"
+];
+
+/**
+ * @param {import("../transports/BaseTransport").TransportTrack} track
+ * @returns {import("../transports/ReplayTrack").TrackDescription}
+ */
+function describeTrack(track) {
+    const type = track.getType();
+    return {
+        participantId: track.getParticipantId(),
+        type,
+        videoType: type === "video"
+            ? track.getVideoType()
+            : null,
+        local: track.isLocal(),
+        muted: track.isMuted()
+    };
+}
+
+/**
+ * Copies the fields of a transport event that can be written to a log.
+ * Tracks are described, errors become their messages, and media streams are dropped.
+ * @param {Event} evt
+ * @returns {object}
+ */
+function readEvent(evt) {
+    const data = {};
+    for (let key of Object.keys(evt)) {
+        const value = evt[key];
+        if (key === "isTrusted") {
+            continue;
+        }
+        else if (key === "track") {
+            data.track = describeTrack(value);
+        }
+        else if (value instanceof Error) {
+            data[key] = value.message;
+        }
+        else if (typeof MediaStream === "undefined"
+            || !(value instanceof MediaStream)) {
+            data[key] = value === undefined
+                ? null
+                : JSON.parse(JSON.stringify(value));
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Records what happens in a room, for replaying later with a SessionPlayer.
+ *
+ * The recorder listens to the transport, so it gets everything the service
+ * sends the client: users coming and going, their tracks, and every data
+ * channel message, including the pose updates and commands that CallaClient
+ * turns into its own events. The client adds the local user's pose, as the
+ * service never sends it back.
+ **/
+export class SessionRecorder {
+
+    /**
+     * Creates a new recorder.
+     **/
+    constructor() {
+        /**
+         * The transport being recorded, or null if the recorder isn't recording.
+         * @type {import("../transports/BaseTransport").BaseTransport}
+         **/
+        this.transport = null;
+
+        /**
+         * When the recording started, in milliseconds by `performance.now()`.
+         * @type {number}
+         **/
+        this.startTime = 0;
+
+        /**
+         * When the recording started, in milliseconds since the epoch.
+         * @type {number}
+         **/
+        this.startedAt = 0;
+
+        /** @type {Array<[number, string, object]>} */
+        this.entries = [];
+
+        /**
+         * The fewest milliseconds between recorded poses of the local user. Poses in
+         * between are dropped, except for the last one before anything else happens.
+         * @type {number}
+         **/
+        this.localPoseInterval = 50;
+
+        this.lastLocalPoseTime = -Number.MAX_VALUE;
+
+        /** @type {[number, string, object]} */
+        this.pendingLocalPose = null;
+
+        /** @type {Map<string, Function>} */
+        this.listeners = new Map();
+
+        Object.seal(this);
+    }
+
+    /**
+     * Whether the recorder is recording.
+     * @type {boolean}
+     **/
+    get isRecording() {
+        return this.transport !== null;
+    }
+
+    /**
+     * Starts a new recording of a transport. If the conference has already been
+     * joined, the recording starts with who is in it and what tracks they have.
+     * @param {import("../transports/BaseTransport").BaseTransport} transport
+     * @param {import("../transports/BaseTransport").TransportTrack[]} [tracks] - the tracks that are already in the conference.
+     */
+    start(transport, tracks) {
+        this.stop();
+
+        this.transport = transport;
+        this.startTime = performance.now();
+        this.startedAt = Date.now();
+        this.entries = [];
+        this.lastLocalPoseTime = -Number.MAX_VALUE;
+        this.pendingLocalPose = null;
+
+        if (transport.localUserID !== null) {
+            this.record("conferenceJoined", { id: transport.localUserID });
+            for (let id of transport.userIDs()) {
+                this.record("participantJoined", {
+                    id,
+                    displayName: transport.getDisplayName(id)
+                });
+            }
+
+            for (let track of tracks || []) {
+                this.record("trackAdded", { track: describeTrack(track) });
+            }
+        }
+
+        for (let type of transportEventNames) {
+            const listener = (evt) => this.record(type, readEvent(evt));
+            this.listeners.set(type, listener);
+            transport.addEventListener(type, listener);
+        }
+    }
+
+    /**
+     * Stops recording.
+     * @returns {SessionLog} - the recording, or null if the recorder wasn't recording.
+     **/
+    stop() {
+        if (!this.isRecording) {
+            return null;
+        }
+
+        this.flushLocalPose();
+
+        for (let [type, listener] of this.listeners) {
+            this.transport.removeEventListener(type, listener);
+        }
+
+        this.listeners.clear();
+        this.transport = null;
+
+        return {
+            version: sessionLogVersion,
+            startedAt: this.startedAt,
+            duration: Math.round(performance.now() - this.startTime),
+            entries: this.entries
+        };
+    }
+
+    /**
+     * Adds an event to the recording.
+     * @param {string} type - the name of the event.
+     * @param {object} data - the event's fields. They must survive being written out as JSON.
+     */
+    record(type, data) {
+        if (this.isRecording) {
+            this.flushLocalPose();
+            this.entries.push([this.now(), type, data]);
+        }
+    }
+
+    /**
+     * Adds the local user's pose to the recording, if enough time has passed since the last one.
+     * @param {number[]} pose - the position, forward, and up vectors, one component after another.
+     */
+    recordLocalPose(pose) {
+        if (this.isRecording) {
+            const t = this.now(),
+                entry = [t, "localPose", {
+                    pose: pose.map((v) => Math.round(v * 1000) / 1000)
+                }];
+
+            if (t - this.lastLocalPoseTime >= this.localPoseInterval) {
+                this.pendingLocalPose = null;
+                this.lastLocalPoseTime = t;
+                this.entries.push(entry);
+            }
+            else {
+                this.pendingLocalPose = entry;
+            }
+        }
+    }
+
+    /**
+     * @private
+     **/
+    flushLocalPose() {
+        if (this.pendingLocalPose !== null) {
+            this.lastLocalPoseTime = this.pendingLocalPose[0];
+            this.entries.push(this.pendingLocalPose);
+            this.pendingLocalPose = null;
+        }
+    }
+
+    /**
+     * @private
+     **/
+    now() {
+        return Math.round(performance.now() - this.startTime);
+    }
+}
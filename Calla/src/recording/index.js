@@ -0,0 +1,2 @@
+export * from "./SessionPlayer";
+export * from "./SessionRecorder";
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * Estimates the difference between a remote peer's clock and the local clock
+ * from the timestamps on the messages the peer sends.
+ *
+ * Each message's arrival time, minus its send time, is the clock difference plus
+ * however long the message took to arrive. The smallest such value over a recent
+ * window of messages is used, as it contains the least network delay.
+ **/
+export class ClockOffset {
+
+    /**
+     * Creates a new clock offset estimator.
+     * @param {number} [windowSize=32] - the number of recent messages to consider.
+     */
+    constructor(windowSize = 32) {
+        this.windowSize = windowSize;
+
+        /** @type {number[]} */
+        this.samples = [];
+
+        /**
+         * The number of milliseconds to add to a remote timestamp to get a local timestamp,
+         * or null if no messages have been seen yet.
+         * @type {number}
+         **/
+        this.offset = null;
+
+        Object.seal(this);
+    }
+
+    /**
+     * Records the timestamps of a message.
+     * @param {number} remoteTime - the time at which the peer sent the message, by the peer's clock.
+     * @param {number} localTime - the time at which the message arrived, by the local clock.
+     */
+    addSample(remoteTime, localTime) {
+        this.samples.push(localTime - remoteTime);
+        while (this.samples.length > this.windowSize) {
+            this.samples.shift();
+        }
+
+        this.offset = Math.min(...this.samples);
+    }
+
+    /**
+     * Converts a remote timestamp to the local clock.
+     * @param {number} remoteTime
+     * @returns {number}
+     */
+    toLocal(remoteTime) {
+        return remoteTime + this.offset;
+    }
+}
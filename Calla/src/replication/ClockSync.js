@@ -0,0 +1,213 @@
+import { EventBase } from "../events/EventBase";
+
+/**
+ * A callback that sends a clock synchronization message to a single user.
+ * @callback clockMessageSender
+ * @param {string} toUserID
+ * @param {string} command - "clockPing" or "clockPong".
+ * @param {object} value
+ */
+
+/**
+ * Keeps an estimate of a clock that all users in a room share, by exchanging
+ * NTP-style ping/pong messages with a reference user. The reference is the user
+ * with the lowest ID, so every user picks the same one without negotiation.
+ * Shared time is the reference user's wall clock.
+ **/
+export class ClockSync extends EventBase {
+
+    /**
+     * Creates a new clock synchronizer.
+     * @param {clockMessageSender} send
+     */
+    constructor(send) {
+        super();
+
+        this.send = send;
+
+        /**
+         * The number of milliseconds between pings to the reference user.
+         * @type {number}
+         **/
+        this.interval = 2000;
+
+        /**
+         * The number of recent pings from which to pick the best estimate.
+         * @type {number}
+         **/
+        this.sampleCount = 8;
+
+        /**
+         * The number of seconds by which the estimate must move for a sharedTimeChanged event to fire.
+         * @type {number}
+         **/
+        this.threshold = 0.01;
+
+        /** @type {string} */
+        this.referenceID = null;
+
+        /** @type {{offset: number, delay: number}[]} */
+        this.samples = [];
+
+        /**
+         * The number of milliseconds to add to `performance.now()` to get the shared time,
+         * or null if there isn't an estimate yet.
+         * @type {number}
+         **/
+        this.offset = null;
+
+        /**
+         * The number of milliseconds by which the estimate could be wrong.
+         * @type {number}
+         **/
+        this.delay = null;
+
+        this.timer = null;
+
+        Object.seal(this);
+    }
+
+    /**
+     * The current shared time, in seconds, or null if there isn't an estimate yet.
+     * @type {number}
+     **/
+    get time() {
+        if (this.offset === null) {
+            return null;
+        }
+
+        return (performance.now() + this.offset) / 1000;
+    }
+
+    /**
+     * The most number of seconds by which the shared time estimate could be wrong,
+     * or null if there isn't an estimate yet.
+     * @type {number}
+     **/
+    get error() {
+        if (this.delay === null) {
+            return null;
+        }
+
+        return this.delay / 2000;
+    }
+
+    /**
+     * Picks the reference user from the users in the room and starts pinging it.
+     * @param {string} localUserID
+     * @param {string[]} userIDs - the remote users in the room.
+     */
+    setUsers(localUserID, userIDs) {
+        if (localUserID === null) {
+            return;
+        }
+
+        const referenceID = [localUserID, ...userIDs].sort()[0];
+        if (referenceID !== this.referenceID) {
+            this.referenceID = referenceID;
+            this.samples.length = 0;
+
+            if (referenceID === localUserID) {
+                clearInterval(this.timer);
+                this.timer = null;
+                this.setEstimate(Date.now() - performance.now(), 0);
+            }
+            else {
+                this.ping();
+                if (this.timer === null) {
+                    this.timer = setInterval(() => this.ping(), this.interval);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stops pinging and forgets the current estimate.
+     **/
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.referenceID = null;
+        this.samples.length = 0;
+        this.offset = null;
+        this.delay = null;
+    }
+
+    /**
+     * @private
+     **/
+    ping() {
+        this.send(this.referenceID, "clockPing", {
+            t0: performance.now()
+        });
+    }
+
+    /**
+     * Answers another user's ping with the local wall clock.
+     * @param {string} fromUserID
+     * @param {number} t0 - the time at which the other user sent the ping, by their clock.
+     */
+    receivePing(fromUserID, t0) {
+        const t1 = Date.now();
+        this.send(fromUserID, "clockPong", {
+            t0,
+            t1,
+            t2: Date.now()
+        });
+    }
+
+    /**
+     * Updates the estimate from the reference user's answer to a ping.
+     * @param {string} fromUserID
+     * @param {number} t0 - the time at which the ping was sent, by the local clock.
+     * @param {number} t1 - the time at which the ping arrived, by the reference clock.
+     * @param {number} t2 - the time at which the pong was sent, by the reference clock.
+     */
+    receivePong(fromUserID, t0, t1, t2) {
+        if (fromUserID === this.referenceID) {
+            const t3 = performance.now(),
+                delay = (t3 - t0) - (t2 - t1),
+                offset = ((t1 - t0) + (t2 - t3)) / 2;
+
+            this.samples.push({ offset, delay });
+            while (this.samples.length > this.sampleCount) {
+                this.samples.shift();
+            }
+
+            // the round trip with the least delay has the least room for error.
+            let best = this.samples[0];
+            for (let sample of this.samples) {
+                if (sample.delay < best.delay) {
+                    best = sample;
+                }
+            }
+
+            this.setEstimate(best.offset, best.delay);
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} offset
+     * @param {number} delay
+     * @fires ClockSync#sharedTimeChanged
+     */
+    setEstimate(offset, delay) {
+        const delta = this.offset === null
+            ? null
+            : (offset - this.offset) / 1000;
+
+        this.offset = offset;
+        this.delay = delay;
+
+        if (delta === null
+            || Math.abs(delta) >= this.threshold) {
+            this.dispatchEvent(Object.assign(
+                new Event("sharedTimeChanged"), {
+                time: this.time,
+                error: this.error,
+                delta
+            }));
+        }
+    }
+}
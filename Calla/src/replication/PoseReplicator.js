@@ -0,0 +1,228 @@
+import { isNumber } from "../typeChecks";
+import { ClockOffset } from "./ClockOffset";
+
+/**
+ * The names of the pose components, in the order they are stored.
+ **/
+const poseKeys = ["px", "py", "pz", "fx", "fy", "fz", "ux", "uy", "uz"];
+
+/**
+ * Positions are sent as integer hundredths of a unit.
+ **/
+const positionScale = 100;
+
+/**
+ * Orientation vectors are sent as integer thousandths.
+ **/
+const orientationScale = 1000;
+
+function scaleOf(i) {
+    return i < 3
+        ? positionScale
+        : orientationScale;
+}
+
+/**
+ * A callback that sends a pose update to everyone in the room.
+ * @callback poseSender
+ * @param {object} value - the pose components that changed, quantized.
+ */
+
+/**
+ * Coalesces changes to the local user's pose into a steady stream of broadcasts,
+ * sending only the components that changed since the last update, and reassembles
+ * the poses of remote users from the updates they send.
+ *
+ * Every update is stamped with the time it was sent, so receivers can work out
+ * when each pose was true, relative to their own clocks.
+ **/
+export class PoseReplicator {
+
+    /**
+     * Creates a new pose replicator.
+     * @param {poseSender} send
+     */
+    constructor(send) {
+        this.send = send;
+
+        /**
+         * The most number of pose updates to send per second.
+         * @type {number}
+         **/
+        this.tickRate = 10;
+
+        /**
+         * The number of milliseconds after which every component of the pose
+         * is sent again, whether it changed or not.
+         * @type {number}
+         **/
+        this.keyframeInterval = 5000;
+
+        /** @type {number[]} */
+        this.pose = null;
+
+        /** @type {number[]} */
+        this.lastSent = null;
+
+        this.lastSendTime = 0;
+        this.lastKeyframeTime = 0;
+        this.needsKeyframe = true;
+        this.timer = null;
+
+        /** @type {Map<string, number[]>} */
+        this.remotePoses = new Map();
+
+        /** @type {Map<string, ClockOffset>} */
+        this.remoteClocks = new Map();
+
+        Object.seal(this);
+    }
+
+    /**
+     * Queues the local user's latest pose for broadcast.
+     * @param {number} px - the horizontal component of the position.
+     * @param {number} py - the vertical component of the position.
+     * @param {number} pz - the lateral component of the position.
+     * @param {number} fx - the horizontal component of the forward vector.
+     * @param {number} fy - the vertical component of the forward vector.
+     * @param {number} fz - the lateral component of the forward vector.
+     * @param {number} ux - the horizontal component of the up vector.
+     * @param {number} uy - the vertical component of the up vector.
+     * @param {number} uz - the lateral component of the up vector.
+     */
+    setPose(px, py, pz, fx, fy, fz, ux, uy, uz) {
+        this.pose = [px, py, pz, fx, fy, fz, ux, uy, uz];
+        this.schedule();
+    }
+
+    /**
+     * Makes the next update carry the full pose, such as when a new user joins the room.
+     **/
+    invalidate() {
+        this.needsKeyframe = true;
+        this.schedule();
+    }
+
+    /**
+     * @private
+     **/
+    schedule() {
+        if (this.timer === null
+            && this.pose !== null) {
+            const interval = 1000 / this.tickRate,
+                delay = Math.max(0, this.lastSendTime + interval - performance.now());
+            this.timer = setTimeout(() => this.flush(), delay);
+        }
+    }
+
+    /**
+     * Sends whatever has changed in the local pose since the last update.
+     **/
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.pose === null) {
+            return;
+        }
+
+        const now = performance.now(),
+            quantized = this.pose.map((v, i) => Math.round(v * scaleOf(i))),
+            isKeyframe = this.needsKeyframe
+                || this.lastSent === null
+                || now - this.lastKeyframeTime >= this.keyframeInterval,
+            value = {};
+
+        let changed = false;
+        for (let i = 0; i < poseKeys.length; ++i) {
+            if (isKeyframe
+                || quantized[i] !== this.lastSent[i]) {
+                value[poseKeys[i]] = quantized[i];
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            value.t = Math.round(now);
+            this.send(value);
+            this.lastSent = quantized;
+            this.lastSendTime = now;
+            if (isKeyframe) {
+                this.lastKeyframeTime = now;
+                this.needsKeyframe = false;
+            }
+        }
+    }
+
+    /**
+     * Applies a pose update from a remote user on top of the last one they sent.
+     * @param {string} id - the remote user.
+     * @param {object} value - the quantized pose components the remote user sent.
+     * @returns {number[]} - the remote user's full pose, or null if a full pose hasn't been received yet.
+     */
+    receive(id, value) {
+        if (isNumber(value.t)) {
+            if (!this.remoteClocks.has(id)) {
+                this.remoteClocks.set(id, new ClockOffset());
+            }
+
+            this.remoteClocks.get(id).addSample(value.t, performance.now());
+        }
+
+        const pose = this.remotePoses.has(id)
+            ? Array.from(this.remotePoses.get(id))
+            : new Array(poseKeys.length).fill(null);
+
+        for (let i = 0; i < poseKeys.length; ++i) {
+            const v = value[poseKeys[i]];
+            if (isNumber(v)) {
+                pose[i] = v / scaleOf(i);
+            }
+        }
+
+        if (pose.some((v) => v === null)) {
+            return null;
+        }
+
+        this.remotePoses.set(id, pose);
+        return Array.from(pose);
+    }
+
+    /**
+     * Converts the timestamp on a remote user's update to the local `performance.now()` clock.
+     * @param {string} id - the remote user.
+     * @param {number} t - the timestamp the remote user put on the update.
+     * @returns {number} - the local time, or null if no timestamps have been seen from the user.
+     */
+    localTimeOf(id, t) {
+        if (!this.remoteClocks.has(id)) {
+            return null;
+        }
+
+        return this.remoteClocks.get(id).toLocal(t);
+    }
+
+    /**
+     * Forgets the pose of a remote user.
+     * @param {string} id
+     */
+    removeUser(id) {
+        this.remotePoses.delete(id);
+        this.remoteClocks.delete(id);
+    }
+
+    /**
+     * Stops any pending update and forgets all local and remote pose state.
+     **/
+    reset() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pose = null;
+        this.lastSent = null;
+        this.lastSendTime = 0;
+        this.lastKeyframeTime = 0;
+        this.needsKeyframe = true;
+        this.remotePoses.clear();
+        this.remoteClocks.clear();
+    }
+}
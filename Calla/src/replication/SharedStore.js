@@ -0,0 +1,490 @@
+import { EventBase } from "../events/EventBase";
+import { isString } from "../typeChecks";
+
+/**
+ * A callback that sends a store operation to everyone in the room.
+ * @callback storeMessageBroadcaster
+ * @param {string} command - always "storeOp".
+ * @param {StoreOperation} value
+ */
+
+/**
+ * @typedef {object} StoreOperation
+ * @property {"set"|"delete"|"add"|"remove"} op
+ * @property {string} key
+ * @property {any} [value] - the new register value, or the set element.
+ * @property {number} [clock] - the Lamport time of a register write.
+ * @property {string} [replica] - the replica that made a register write.
+ * @property {string} [tag] - the unique tag of an added set element.
+ * @property {string[]} [tags] - the tags of a removed set element.
+ **/
+
+/**
+ * @typedef {object} StoreSnapshot
+ * @property {[string, any, boolean, number, string][]} registers - key, value, deleted, clock, replica.
+ * @property {[string, [any, string][], string[]][]} sets - key, added elements with their tags, removed tags.
+ **/
+
+/**
+ * A last-writer-wins register.
+ * @typedef {object} Register
+ * @property {any} value
+ * @property {boolean} deleted
+ * @property {number} clock
+ * @property {string} replica
+ **/
+
+/**
+ * An observed-remove set.
+ * @typedef {object} ORSet
+ * @property {Map<string, {value: any, tags: Set<string>}>} elements - keyed by the element's JSON.
+ * @property {Set<string>} removed - the tags of every element that has been removed.
+ **/
+
+function makeReplicaID() {
+    return Math.random().toString(16).substring(2, 10);
+}
+
+/**
+ * Reads the Lamport time out of a set element's tag.
+ * @param {string} tag
+ * @returns {number} - the time, or NaN if the tag isn't one of ours.
+ */
+function clockOf(tag) {
+    return parseInt(tag.substring(tag.lastIndexOf(":") + 1), 10);
+}
+
+/**
+ * Orders register writes by Lamport time, breaking ties by replica ID.
+ * @param {number} clockA
+ * @param {string} replicaA
+ * @param {number} clockB
+ * @param {string} replicaB
+ */
+function isNewer(clockA, replicaA, clockB, replicaB) {
+    return clockA > clockB
+        || clockA === clockB && replicaA > replicaB;
+}
+
+/**
+ * State that belongs to the room rather than to any one user. Keys hold either
+ * last-writer-wins registers (`set`/`get`/`delete`) or observed-remove sets
+ * (`add`/`remove`/`values`). Operations are broadcast as they happen and merged
+ * in any order, so concurrent edits converge without a server. Whole snapshots
+ * merge the same way, which is how newcomers catch up.
+ * @fires SharedStore#changed
+ **/
+export class SharedStore extends EventBase {
+
+    /**
+     * Creates a new shared store.
+     * @param {storeMessageBroadcaster} broadcast
+     */
+    constructor(broadcast) {
+        super();
+
+        this.broadcast = broadcast;
+
+        /**
+         * Identifies the writes this store makes. Unlike user IDs, it survives reconnecting.
+         * @type {string}
+         **/
+        this.replicaID = makeReplicaID();
+
+        /**
+         * The Lamport time of the last operation seen.
+         * @type {number}
+         **/
+        this.clock = 0;
+
+        /** @type {Map<string, Register>} */
+        this.registers = new Map();
+
+        /** @type {Map<string, ORSet>} */
+        this.sets = new Map();
+
+        Object.seal(this);
+    }
+
+    /**
+     * The keys that currently hold a value or a non-empty set.
+     * @returns {string[]}
+     **/
+    keys() {
+        const keys = [];
+        for (let [key, register] of this.registers) {
+            if (!register.deleted) {
+                keys.push(key);
+            }
+        }
+
+        for (let [key, set] of this.sets) {
+            if (set.elements.size > 0) {
+                keys.push(key);
+            }
+        }
+
+        return keys;
+    }
+
+    /**
+     * Reads a register.
+     * @param {string} key
+     * @returns {any} - the value, or undefined if the key has never been set or was deleted.
+     */
+    get(key) {
+        const register = this.registers.get(key);
+        if (!register || register.deleted) {
+            return undefined;
+        }
+
+        return register.value;
+    }
+
+    /**
+     * Writes a register. The value must survive being serialized to JSON.
+     * @param {string} key
+     * @param {any} value
+     */
+    set(key, value) {
+        this.checkKey(key, this.sets);
+        this.writeRegister("set", key, value);
+    }
+
+    /**
+     * Clears a register.
+     * @param {string} key
+     */
+    delete(key) {
+        this.checkKey(key, this.sets);
+        this.writeRegister("delete", key, null);
+    }
+
+    /**
+     * Reads a set.
+     * @param {string} key
+     * @returns {any[]}
+     */
+    values(key) {
+        const set = this.sets.get(key);
+        if (!set) {
+            return [];
+        }
+
+        return Array.from(set.elements.values())
+            .map((element) => element.value);
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} value
+     */
+    has(key, value) {
+        const set = this.sets.get(key);
+        return !!set
+            && set.elements.has(JSON.stringify(value));
+    }
+
+    /**
+     * Adds an element to a set. The element must survive being serialized to JSON.
+     * @param {string} key
+     * @param {any} value
+     */
+    add(key, value) {
+        this.checkKey(key, this.registers);
+        const op = {
+            op: "add",
+            key,
+            value,
+            tag: `${this.replicaID}:${++this.clock}`
+        };
+        this.receive(op);
+        this.broadcast("storeOp", op);
+    }
+
+    /**
+     * Removes an element from a set. Only the additions this store has seen are
+     * removed, so an addition made concurrently elsewhere wins.
+     * @param {string} key
+     * @param {any} value
+     */
+    remove(key, value) {
+        this.checkKey(key, this.registers);
+        const set = this.sets.get(key),
+            element = set && set.elements.get(JSON.stringify(value));
+        if (element) {
+            const op = {
+                op: "remove",
+                key,
+                value,
+                tags: Array.from(element.tags)
+            };
+            this.receive(op);
+            this.broadcast("storeOp", op);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     * @param {Map<string, any>} otherKind - the keys of the other kind of value.
+     */
+    checkKey(key, otherKind) {
+        if (!isString(key)
+            || key.length === 0) {
+            throw new Error(`Invalid key: ${key}`);
+        }
+
+        if (otherKind.has(key)) {
+            throw new Error(`Key is already used for a different kind of value: ${key}`);
+        }
+    }
+
+    /**
+     * @private
+     * @param {"set"|"delete"} opName
+     * @param {string} key
+     * @param {any} value
+     */
+    writeRegister(opName, key, value) {
+        const op = {
+            op: opName,
+            key,
+            value,
+            clock: ++this.clock,
+            replica: this.replicaID
+        };
+        this.receive(op);
+        this.broadcast("storeOp", op);
+    }
+
+    /**
+     * Merges an operation made by this or another store.
+     * @param {StoreOperation} op
+     */
+    receive(op) {
+        if (op.op === "set" || op.op === "delete") {
+            if (Number.isInteger(op.clock)
+                && isString(op.replica)
+                && this.mergeRegister(op.key, op.value, op.op === "delete", op.clock, op.replica)) {
+                this.onChanged(op.key);
+            }
+        }
+        else if (op.op === "add") {
+            if (isString(op.tag)
+                && this.mergeSet(op.key, [[op.value, op.tag]], [])) {
+                this.onChanged(op.key);
+            }
+        }
+        else if (op.op === "remove") {
+            if (Array.isArray(op.tags)
+                && op.tags.every(isString)
+                && this.mergeSet(op.key, [], op.tags)) {
+                this.onChanged(op.key);
+            }
+        }
+    }
+
+    /**
+     * Reads the whole store, to send to a newcomer.
+     * @returns {StoreSnapshot}
+     */
+    snapshot() {
+        const registers = [];
+        for (let [key, register] of this.registers) {
+            registers.push([key, register.value, register.deleted, register.clock, register.replica]);
+        }
+
+        const sets = [];
+        for (let [key, set] of this.sets) {
+            const added = [];
+            for (let element of set.elements.values()) {
+                for (let tag of element.tags) {
+                    added.push([element.value, tag]);
+                }
+            }
+            sets.push([key, added, Array.from(set.removed)]);
+        }
+
+        return {
+            registers,
+            sets
+        };
+    }
+
+    /**
+     * Merges a snapshot from another store. Malformed entries are skipped.
+     * @param {StoreSnapshot} snapshot
+     */
+    merge(snapshot) {
+        const changed = new Set();
+
+        if (snapshot !== null
+            && typeof snapshot === "object") {
+            if (Array.isArray(snapshot.registers)) {
+                for (let entry of snapshot.registers) {
+                    if (Array.isArray(entry)) {
+                        const [key, value, deleted, clock, replica] = entry;
+                        if (isString(key)
+                            && Number.isInteger(clock)
+                            && isString(replica)
+                            && this.mergeRegister(key, value, deleted === true, clock, replica)) {
+                            changed.add(key);
+                        }
+                    }
+                }
+            }
+
+            if (Array.isArray(snapshot.sets)) {
+                for (let entry of snapshot.sets) {
+                    if (Array.isArray(entry)) {
+                        const [key, added, removed] = entry;
+                        if (isString(key)
+                            && Array.isArray(added)
+                            && added.every((a) => Array.isArray(a) && isString(a[1]))
+                            && Array.isArray(removed)
+                            && removed.every(isString)
+                            && this.mergeSet(key, added, removed)) {
+                            changed.add(key);
+                        }
+                    }
+                }
+            }
+        }
+
+        for (let key of changed) {
+            this.onChanged(key);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     * @param {any} value
+     * @param {boolean} deleted
+     * @param {number} clock
+     * @param {string} replica
+     * @returns {boolean} - true, if the register changed.
+     */
+    mergeRegister(key, value, deleted, clock, replica) {
+        if (!isString(key)
+            || this.sets.has(key)) {
+            return false;
+        }
+
+        this.clock = Math.max(this.clock, clock);
+
+        const register = this.registers.get(key);
+        if (register
+            && !isNewer(clock, replica, register.clock, register.replica)) {
+            return false;
+        }
+
+        this.registers.set(key, {
+            value: deleted ? null : value,
+            deleted,
+            clock,
+            replica
+        });
+
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     * @param {[any, string][]} added - elements with their tags.
+     * @param {string[]} removed - tags.
+     * @returns {boolean} - true, if the set changed.
+     */
+    mergeSet(key, added, removed) {
+        if (!isString(key)
+            || this.registers.has(key)) {
+            return false;
+        }
+
+        if (!this.sets.has(key)) {
+            this.sets.set(key, {
+                elements: new Map(),
+                removed: new Set()
+            });
+        }
+
+        const set = this.sets.get(key);
+        let changed = false;
+
+        for (let tag of removed) {
+            set.removed.add(tag);
+            this.observeTag(tag);
+        }
+
+        for (let [name, element] of Array.from(set.elements)) {
+            for (let tag of removed) {
+                element.tags.delete(tag);
+            }
+
+            if (element.tags.size === 0) {
+                set.elements.delete(name);
+                changed = true;
+            }
+        }
+
+        for (let [value, tag] of added) {
+            this.observeTag(tag);
+            if (!set.removed.has(tag)) {
+                const name = JSON.stringify(value);
+                if (!set.elements.has(name)) {
+                    set.elements.set(name, {
+                        value,
+                        tags: new Set()
+                    });
+                }
+
+                const element = set.elements.get(name);
+                if (!element.tags.has(tag)) {
+                    const wasPresent = element.tags.size > 0;
+                    element.tags.add(tag);
+                    changed = changed || !wasPresent;
+                }
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Keeps the clock ahead of every tag seen, so this store never makes
+     * a tag that was already used, even one that has been removed.
+     * @private
+     * @param {string} tag
+     */
+    observeTag(tag) {
+        const clock = clockOf(tag);
+        if (Number.isInteger(clock)) {
+            this.clock = Math.max(this.clock, clock);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     */
+    onChanged(key) {
+        this.dispatchEvent(Object.assign(
+            new Event("changed"), {
+            key,
+            value: this.sets.has(key)
+                ? this.values(key)
+                : this.get(key)
+        }));
+    }
+
+    /**
+     * Forgets everything, e.g. after leaving the room. The clock keeps going,
+     * so tags made before the reset aren't made again after it.
+     **/
+    reset() {
+        this.registers.clear();
+        this.sets.clear();
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Reads the current value of a slice of the local user's state.
+ * The value must survive being serialized to JSON.
+ * @callback stateSliceGetter
+ * @returns {any}
+ */
+
+/**
+ * Checks a value of a state slice received from another user.
+ * @callback stateSliceValidator
+ * @param {any} value
+ * @returns {boolean} - true, if the value is acceptable.
+ */
+
+/**
+ * A callback that sends a state update to everyone in the room.
+ * @callback stateMessageBroadcaster
+ * @param {string} command - always "userStateUpdate".
+ * @param {{seq: number, name: string, value: any}} value
+ */
+
+/**
+ * @typedef {object} StateSnapshot
+ * @property {number} seq - the sequence number of the last update the snapshot includes.
+ * @property {Object<string, any>} slices - the value of every slice, keyed by name.
+ **/
+
+/**
+ * @typedef {object} RemoteUserState
+ * @property {number} seq - the sequence number of the last update applied, or null until the snapshot arrives.
+ * @property {Map<string, any>} values
+ * @property {{seq: number, name: string, value: any}[]} buffer - updates that arrived before the snapshot.
+ **/
+
+/**
+ * Keeps named slices of per-user state in sync between users. The local user's
+ * slices are read through getters; a full snapshot answers newcomers, and
+ * `update()` sends changes to everyone else. Every update is numbered, so
+ * updates that cross paths with a snapshot are either applied after it or
+ * dropped as already included.
+ **/
+export class StateReplicator {
+
+    /**
+     * Creates a new state replicator.
+     * @param {stateMessageBroadcaster} broadcast
+     */
+    constructor(broadcast) {
+        this.broadcast = broadcast;
+
+        /** @type {Map<string, {get: stateSliceGetter, validate: stateSliceValidator}>} */
+        this.slices = new Map();
+
+        /**
+         * The sequence number of the last local update.
+         * @type {number}
+         **/
+        this.seq = 0;
+
+        /** @type {Map<string, RemoteUserState>} */
+        this.remotes = new Map();
+
+        Object.seal(this);
+    }
+
+    /**
+     * Adds a slice of state to share. Slices received from other users
+     * are only accepted if a slice of the same name is registered locally.
+     * @param {string} name
+     * @param {stateSliceGetter} get
+     * @param {stateSliceValidator} [validate]
+     */
+    register(name, get, validate) {
+        if (this.slices.has(name)) {
+            throw new Error(`State slice is already registered: ${name}`);
+        }
+
+        this.slices.set(name, {
+            get,
+            validate: validate || null
+        });
+    }
+
+    /**
+     * @param {string} name
+     */
+    unregister(name) {
+        this.slices.delete(name);
+    }
+
+    /**
+     * @param {string} name
+     */
+    has(name) {
+        return this.slices.has(name);
+    }
+
+    /**
+     * Sends the current value of a local slice to everyone in the room.
+     * @param {string} name
+     */
+    update(name) {
+        if (!this.slices.has(name)) {
+            throw new Error(`Unregistered state slice: ${name}`);
+        }
+
+        this.broadcast("userStateUpdate", {
+            seq: ++this.seq,
+            name,
+            value: this.slices.get(name).get()
+        });
+    }
+
+    /**
+     * Reads every local slice at once.
+     * @returns {StateSnapshot}
+     */
+    snapshot() {
+        const slices = {};
+        for (let [name, slice] of this.slices) {
+            slices[name] = slice.get();
+        }
+
+        return {
+            seq: this.seq,
+            slices
+        };
+    }
+
+    /**
+     * Starts holding back updates from a user until their snapshot arrives.
+     * @param {string} id
+     */
+    beginSync(id) {
+        if (!this.remotes.has(id)) {
+            this.remotes.set(id, {
+                seq: null,
+                values: new Map(),
+                buffer: []
+            });
+        }
+    }
+
+    /**
+     * Applies a user's snapshot, followed by any updates that arrived ahead of it.
+     * @param {string} id
+     * @param {StateSnapshot} snapshot
+     * @returns {[string, any][]} - the slices that were applied, in order.
+     */
+    receiveSnapshot(id, snapshot) {
+        this.beginSync(id);
+
+        const remote = this.remotes.get(id),
+            changes = [];
+
+        remote.seq = snapshot.seq;
+        for (let name of Object.keys(snapshot.slices)) {
+            this.apply(remote, name, snapshot.slices[name], changes);
+        }
+
+        const buffer = remote.buffer;
+        remote.buffer = [];
+        for (let update of buffer) {
+            changes.push(...this.receiveUpdate(id, update.seq, update.name, update.value));
+        }
+
+        return changes;
+    }
+
+    /**
+     * Applies an update from a user, unless it is older than what has already been applied.
+     * @param {string} id
+     * @param {number} seq
+     * @param {string} name
+     * @param {any} value
+     * @returns {[string, any][]} - the slices that were applied.
+     */
+    receiveUpdate(id, seq, name, value) {
+        this.beginSync(id);
+
+        const remote = this.remotes.get(id),
+            changes = [];
+
+        if (remote.seq === null) {
+            remote.buffer.push({ seq, name, value });
+        }
+        else if (seq > remote.seq) {
+            remote.seq = seq;
+            this.apply(remote, name, value, changes);
+        }
+
+        return changes;
+    }
+
+    /**
+     * @private
+     * @param {RemoteUserState} remote
+     * @param {string} name
+     * @param {any} value
+     * @param {[string, any][]} changes
+     */
+    apply(remote, name, value, changes) {
+        if (this.slices.has(name)) {
+            const { validate } = this.slices.get(name);
+            let isValid = true;
+            if (validate !== null) {
+                try {
+                    isValid = validate(value) === true;
+                }
+                catch (exp) {
+                    isValid = false;
+                }
+            }
+
+            if (isValid) {
+                remote.values.set(name, value);
+                changes.push([name, value]);
+            }
+        }
+    }
+
+    /**
+     * The last value of a slice received from a user, or undefined if there isn't one.
+     * @param {string} id
+     * @param {string} name
+     */
+    get(id, name) {
+        const remote = this.remotes.get(id);
+        return remote && remote.values.get(name);
+    }
+
+    /**
+     * @param {string} id
+     */
+    removeUser(id) {
+        this.remotes.delete(id);
+    }
+
+    /**
+     * Forgets every other user's state, e.g. after leaving the room.
+     **/
+    reset() {
+        this.remotes.clear();
+    }
+}
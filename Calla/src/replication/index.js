@@ -0,0 +1,5 @@
+export * from "./ClockOffset";
+export * from "./ClockSync";
+export * from "./PoseReplicator";
+export * from "./SharedStore";
+export * from "./StateReplicator";
\ No newline at end of file
@@ -0,0 +1,341 @@
+import { isFunction, isGoodNumber, isString } from "../typeChecks";
+import { RpcError } from "./RpcError";
+
+/**
+ * A callback that sends an RPC message to a single user.
+ * @callback rpcMessageSender
+ * @param {string} toUserID
+ * @param {string} command - "rpcRequest" or "rpcResponse".
+ * @param {object} value
+ */
+
+/**
+ * Answers a remote procedure call. May return a promise.
+ * The result must survive being serialized to JSON.
+ * @callback rpcHandler
+ * @param {any} args - the arguments the caller sent.
+ * @param {string} fromUserID - the user who made the call.
+ * @returns {any|Promise<any>}
+ */
+
+/**
+ * @typedef {object} RpcRequestOptions
+ * @property {number} [timeout] - the number of milliseconds to wait for each attempt to be answered.
+ * @property {number} [retries] - the number of times to send the request again after an attempt times out.
+ **/
+
+/**
+ * @typedef {object} PendingRequest
+ * @property {string} toUserID
+ * @property {string} method
+ * @property {Function} resolve
+ * @property {Function} reject
+ * @property {any} timer
+ **/
+
+/**
+ * @typedef {object} Answer
+ * @property {string} fromUserID
+ * @property {Promise<object>} response - the rpcResponse value that answers the request.
+ * @property {any} timer
+ **/
+
+let requestCounter = 0;
+
+function makeRequestID() {
+    return (++requestCounter).toString(36)
+        + Math.random().toString(16).substring(2, 10);
+}
+
+/**
+ * Matches requests sent to other users with the responses they send back,
+ * and answers requests that other users send with locally registered handlers.
+ * Requests that time out are sent again with the same ID, so a response to any
+ * of the attempts settles the call. Every attempt gets the answer the handler
+ * gave the first one, so handlers run once per call, no matter how many
+ * attempts reach them.
+ **/
+export class RpcChannel {
+
+    /**
+     * Creates a new RPC channel.
+     * @param {rpcMessageSender} send
+     */
+    constructor(send) {
+        this.send = send;
+
+        /**
+         * The number of milliseconds to wait for each attempt, when the caller doesn't say.
+         * @type {number}
+         **/
+        this.defaultTimeout = 5000;
+
+        /**
+         * The number of times to retry a request, when the caller doesn't say.
+         * @type {number}
+         **/
+        this.defaultRetries = 0;
+
+        /**
+         * The number of milliseconds to keep answering retries of a request
+         * after its handler has finished.
+         * @type {number}
+         **/
+        this.answerLifetime = 30000;
+
+        /** @type {Map<string, rpcHandler>} */
+        this.handlers = new Map();
+
+        /** @type {Map<string, PendingRequest>} */
+        this.pending = new Map();
+
+        /**
+         * The answers to other users' recent requests, keyed by the caller's ID and the request ID.
+         * @type {Map<string, Answer>}
+         **/
+        this.answers = new Map();
+
+        Object.seal(this);
+    }
+
+    /**
+     * Sets the function that answers calls to a method. Pass null to stop answering it.
+     * @param {string} method
+     * @param {rpcHandler} handler
+     */
+    handle(method, handler) {
+        if (!isString(method)
+            || method.length === 0) {
+            throw new Error(`Invalid method name: ${method}`);
+        }
+
+        if (handler === null) {
+            this.handlers.delete(method);
+        }
+        else if (!isFunction(handler)) {
+            throw new Error(`Handler for ${method} must be a function.`);
+        }
+        else if (this.handlers.has(method)) {
+            throw new Error(`Method is already handled: ${method}`);
+        }
+        else {
+            this.handlers.set(method, handler);
+        }
+    }
+
+    /**
+     * Calls a method on another user.
+     * @param {string} toUserID
+     * @param {string} method
+     * @param {any} args - the arguments to send. Must survive being serialized to JSON.
+     * @param {RpcRequestOptions} [options]
+     * @returns {Promise<any>} - the value the remote handler returned.
+     * @throws {RpcError}
+     */
+    request(toUserID, method, args, options) {
+        options = options || {};
+        const timeout = isGoodNumber(options.timeout)
+            ? options.timeout
+            : this.defaultTimeout,
+            retries = isGoodNumber(options.retries)
+                ? options.retries
+                : this.defaultRetries,
+            rid = makeRequestID(),
+            value = { rid, method, args };
+
+        return new Promise((resolve, reject) => {
+            let attemptsLeft = retries;
+
+            const attempt = () => {
+                const request = this.pending.get(rid);
+                if (request) {
+                    this.send(toUserID, "rpcRequest", value);
+                    request.timer = setTimeout(() => {
+                        if (attemptsLeft-- > 0) {
+                            attempt();
+                        }
+                        else {
+                            this.settle(rid, new RpcError(
+                                `${method} timed out after ${retries + 1} attempt(s).`,
+                                "timeout", method, toUserID));
+                        }
+                    }, timeout);
+                }
+            };
+
+            this.pending.set(rid, {
+                toUserID,
+                method,
+                resolve,
+                reject,
+                timer: null
+            });
+
+            attempt();
+        });
+    }
+
+    /**
+     * Answers a request from another user. Retries of a request that has
+     * already been answered, or is still being answered, get the same answer.
+     * @param {string} fromUserID
+     * @param {string} rid - the ID of the request.
+     * @param {string} method
+     * @param {any} args
+     */
+    async receiveRequest(fromUserID, rid, method, args) {
+        const key = `${fromUserID}:${rid}`;
+        let answer = this.answers.get(key);
+        if (!answer) {
+            answer = {
+                fromUserID,
+                response: this.answer(fromUserID, rid, method, args),
+                timer: null
+            };
+
+            this.answers.set(key, answer);
+            answer.response.then(() => {
+                if (this.answers.get(key) === answer) {
+                    answer.timer = setTimeout(() =>
+                        this.answers.delete(key), this.answerLifetime);
+                }
+            });
+        }
+
+        this.send(fromUserID, "rpcResponse", await answer.response);
+    }
+
+    /**
+     * Runs the handler for a request.
+     * @private
+     * @param {string} fromUserID
+     * @param {string} rid
+     * @param {string} method
+     * @param {any} args
+     * @returns {Promise<object>} - the rpcResponse value.
+     */
+    async answer(fromUserID, rid, method, args) {
+        if (!this.handlers.has(method)) {
+            return {
+                rid,
+                error: `No handler for method: ${method}`,
+                code: "noHandler"
+            };
+        }
+
+        const handler = this.handlers.get(method);
+        try {
+            const result = await handler(args, fromUserID);
+            return {
+                rid,
+                result
+            };
+        }
+        catch (exp) {
+            return {
+                rid,
+                error: exp && exp.message || String(exp),
+                code: "remote"
+            };
+        }
+    }
+
+    /**
+     * Settles the request a response from another user answers.
+     * Responses from anyone other than the user the request went to are ignored.
+     * @param {string} fromUserID
+     * @param {string} rid - the ID of the request.
+     * @param {any} result
+     * @param {string} [error] - the error message, if the call failed.
+     * @param {string} [code] - the reason the call failed.
+     */
+    receiveResponse(fromUserID, rid, result, error, code) {
+        const request = this.pending.get(rid);
+        if (request
+            && request.toUserID === fromUserID) {
+            if (isString(error)) {
+                this.settle(rid, new RpcError(
+                    error,
+                    code === "noHandler" ? "noHandler" : "remote",
+                    request.method,
+                    fromUserID));
+            }
+            else {
+                this.settle(rid, null, result);
+            }
+        }
+    }
+
+    /**
+     * Fails all of the calls that are waiting on a user who has left,
+     * and forgets the answers to their requests.
+     * @param {string} id
+     */
+    removeUser(id) {
+        for (let [rid, request] of Array.from(this.pending.entries())) {
+            if (request.toUserID === id) {
+                this.settle(rid, new RpcError(
+                    `${id} left before answering ${request.method}.`,
+                    "peerLeft", request.method, id));
+            }
+        }
+
+        for (let [key, answer] of Array.from(this.answers.entries())) {
+            if (answer.fromUserID === id) {
+                clearTimeout(answer.timer);
+                this.answers.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Fails all of the calls that are waiting on a user whose build of Calla
+     * predates RPC, and so will never answer them.
+     * @param {string} id
+     */
+    refuseUser(id) {
+        for (let [rid, request] of Array.from(this.pending.entries())) {
+            if (request.toUserID === id) {
+                this.settle(rid, new RpcError(
+                    `${id} can't answer ${request.method}.`,
+                    "noHandler", request.method, id));
+            }
+        }
+    }
+
+    /**
+     * Fails all of the calls that are still waiting, and forgets the answers
+     * to other users' requests, e.g. after leaving the room.
+     **/
+    cancelAll() {
+        for (let [rid, request] of Array.from(this.pending.entries())) {
+            this.settle(rid, new RpcError(
+                `Disconnected before ${request.toUserID} answered ${request.method}.`,
+                "disconnected", request.method, request.toUserID));
+        }
+
+        for (let answer of this.answers.values()) {
+            clearTimeout(answer.timer);
+        }
+
+        this.answers.clear();
+    }
+
+    /**
+     * @private
+     * @param {string} rid
+     * @param {RpcError} error
+     * @param {any} [result]
+     */
+    settle(rid, error, result) {
+        const request = this.pending.get(rid);
+        this.pending.delete(rid);
+        clearTimeout(request.timer);
+        if (error !== null) {
+            request.reject(error);
+        }
+        else {
+            request.resolve(result);
+        }
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * The reason a remote procedure call failed.
+ * - "timeout": the callee never answered, even after all retries.
+ * - "peerLeft": the callee left the room, or was never in it.
+ * - "disconnected": the caller left the room.
+ * - "noHandler": the callee has no handler for the method.
+ * - "remote": the callee's handler threw an error.
+ * @typedef {"timeout"|"peerLeft"|"disconnected"|"noHandler"|"remote"} RpcErrorCode
+ **/
+
+/**
+ * The error with which a remote procedure call's promise is rejected.
+ **/
+export class RpcError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {RpcErrorCode} code
+     * @param {string} method - the name of the method that was called.
+     * @param {string} userID - the user on whom the method was called.
+     */
+    constructor(message, code, method, userID) {
+        super(message);
+        this.name = "RpcError";
+        this.code = code;
+        this.method = method;
+        this.userID = userID;
+    }
+}
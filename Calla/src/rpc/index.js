@@ -0,0 +1,2 @@
+export * from "./RpcChannel";
+export * from "./RpcError";
\ No newline at end of file
@@ -0,0 +1,153 @@
+import { isGoodNumber } from "../typeChecks";
+
+/**
+ * @typedef {object} RTPCounters
+ * @property {number} bytes
+ * @property {number} packetsLost
+ * @property {number} packetsReceived
+ * @property {number} timestamp
+ **/
+
+/**
+ * Turns the cumulative counters in WebRTC stats reports into per-user
+ * rates, by remembering the counters from the last report it read.
+ **/
+export class RTCStatsReader {
+
+    /**
+     * Creates a new WebRTC stats reader.
+     **/
+    constructor() {
+        /** @type {Map<string, RTPCounters>} */
+        this.counters = new Map();
+
+        Object.seal(this);
+    }
+
+    /**
+     * Reads a stats report from one peer connection. Streams coming in are
+     * matched to the users sending them by their SSRCs. Stats on the streams
+     * going out, and on the connection itself, belong to the local user.
+     * @param {RTCStatsReport} report
+     * @param {Map<number, string>} owners - the user that sends each remote stream, keyed by SSRC.
+     * @param {string} localUserID
+     * @returns {import("./StatsCollector").StatsSample[]}
+     */
+    read(report, owners, localUserID) {
+        /** @type {Map<string, {sample: import("./StatsCollector").StatsSample, lost: number, received: number}>} */
+        const users = new Map();
+        const getUser = (id) => {
+            if (!users.has(id)) {
+                users.set(id, {
+                    sample: { id },
+                    lost: 0,
+                    received: 0
+                });
+            }
+
+            return users.get(id);
+        };
+
+        const addRate = (sample, field, entry, bytes) => {
+            const last = this.counters.get(entry.id),
+                rate = last && entry.timestamp > last.timestamp
+                    ? 8 * (bytes - last.bytes) / (entry.timestamp - last.timestamp)
+                    : null;
+
+            if (isGoodNumber(rate)) {
+                sample[field] = (sample[field] || 0) + rate;
+            }
+        };
+
+        let pairRTT = null;
+
+        report.forEach((entry) => {
+            if (entry.type === "candidate-pair"
+                && entry.state === "succeeded"
+                && (entry.nominated || entry.selected)
+                && isGoodNumber(entry.currentRoundTripTime)) {
+                pairRTT = 1000 * entry.currentRoundTripTime;
+            }
+            else if (entry.type === "inbound-rtp"
+                && owners.has(entry.ssrc)) {
+                const user = getUser(owners.get(entry.ssrc)),
+                    last = this.counters.get(entry.id);
+
+                addRate(user.sample, "bitrateDown", entry, entry.bytesReceived);
+
+                if (last) {
+                    user.lost += Math.max(0, entry.packetsLost - last.packetsLost);
+                    user.received += Math.max(0, entry.packetsReceived - last.packetsReceived);
+                }
+
+                if (entry.kind === "audio"
+                    && isGoodNumber(entry.audioLevel)) {
+                    user.sample.audioLevel = entry.audioLevel;
+                }
+
+                this.counters.set(entry.id, {
+                    bytes: entry.bytesReceived,
+                    packetsLost: entry.packetsLost,
+                    packetsReceived: entry.packetsReceived,
+                    timestamp: entry.timestamp
+                });
+            }
+            else if (entry.type === "remote-outbound-rtp"
+                && owners.has(entry.ssrc)
+                && isGoodNumber(entry.roundTripTime)) {
+                // the sender's own reports on a stream we receive are the only RTT measured to that user.
+                getUser(owners.get(entry.ssrc)).sample.rtt = 1000 * entry.roundTripTime;
+            }
+            else if (entry.type === "outbound-rtp") {
+                const user = getUser(localUserID);
+                addRate(user.sample, "bitrateUp", entry, entry.bytesSent);
+                this.counters.set(entry.id, {
+                    bytes: entry.bytesSent,
+                    packetsLost: 0,
+                    packetsReceived: 0,
+                    timestamp: entry.timestamp
+                });
+            }
+            else if (entry.type === "remote-inbound-rtp") {
+                // how much of what we send the other end is missing, and how long it takes to hear back.
+                const user = getUser(localUserID);
+                if (isGoodNumber(entry.fractionLost)) {
+                    user.sample.packetLoss = 100 * entry.fractionLost;
+                }
+
+                if (isGoodNumber(entry.roundTripTime)) {
+                    user.sample.rtt = 1000 * entry.roundTripTime;
+                }
+            }
+            else if (entry.type === "media-source"
+                && entry.kind === "audio"
+                && isGoodNumber(entry.audioLevel)) {
+                getUser(localUserID).sample.audioLevel = entry.audioLevel;
+            }
+        });
+
+        if (pairRTT !== null) {
+            const local = getUser(localUserID).sample;
+            if (!isGoodNumber(local.rtt)) {
+                local.rtt = pairRTT;
+            }
+        }
+
+        for (let user of users.values()) {
+            const total = user.lost + user.received;
+            if (total > 0) {
+                user.sample.packetLoss = 100 * user.lost / total;
+            }
+        }
+
+        return Array.from(users.values())
+            .map((user) => user.sample);
+    }
+
+    /**
+     * Forgets the last counters, e.g. after leaving the room.
+     **/
+    reset() {
+        this.counters.clear();
+    }
+}
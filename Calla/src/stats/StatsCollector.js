@@ -0,0 +1,225 @@
+import { EventBase } from "../events/EventBase";
+import { isGoodNumber } from "../typeChecks";
+
+/**
+ * A partial measurement of a user's connection. Fields the source
+ * couldn't measure are left out.
+ * @typedef {object} StatsSample
+ * @property {string} id - the user the measurement is for.
+ * @property {number} [rtt] - round trip time to the media server or peer, in milliseconds.
+ * @property {number} [packetLoss] - the percentage of packets lost, 0 to 100.
+ * @property {number} [bitrateUp] - kilobits per second sent.
+ * @property {number} [bitrateDown] - kilobits per second received.
+ * @property {number} [audioLevel] - the loudness of the user's audio, 0 to 1.
+ * @property {number} [quality] - the service's own rating of the connection, 0 to 100.
+ **/
+
+/**
+ * The latest known measurements of a user's connection. Anything that
+ * has never been measured is null.
+ * @typedef {object} ConnectionStats
+ * @property {string} id
+ * @property {number} rtt
+ * @property {number} packetLoss
+ * @property {number} bitrateUp
+ * @property {number} bitrateDown
+ * @property {number} audioLevel
+ * @property {number} quality
+ * @property {number} signalStrength - 0 to 3 bars, or null if nothing is known yet.
+ * @property {number} time - when the stats were last updated, in milliseconds since the epoch.
+ **/
+
+/**
+ * Gets the measurements of a user's connection.
+ * @callback statsSampler
+ * @returns {Promise<StatsSample[]>}
+ */
+
+const fields = [
+    "rtt",
+    "packetLoss",
+    "bitrateUp",
+    "bitrateDown",
+    "audioLevel",
+    "quality"
+];
+
+/**
+ * Boils a connection's stats down to a number of signal-strength bars.
+ * The service's own quality rating wins, when there is one.
+ * @param {ConnectionStats} stats
+ * @returns {number} - 0 to 3, or null if nothing is known.
+ */
+export function getSignalStrength(stats) {
+    if (stats.quality !== null) {
+        return stats.quality >= 70
+            ? 3
+            : stats.quality >= 40
+                ? 2
+                : stats.quality >= 10
+                    ? 1
+                    : 0;
+    }
+
+    if (stats.rtt === null
+        && stats.packetLoss === null) {
+        return null;
+    }
+
+    const rtt = stats.rtt || 0,
+        loss = stats.packetLoss || 0;
+
+    return loss > 10 || rtt > 800
+        ? 1
+        : loss > 2 || rtt > 300
+            ? 2
+            : 3;
+}
+
+/**
+ * Keeps the latest connection measurements for every user in the room.
+ * Measurements are pushed in as the service reports them, and pulled
+ * from a sampler on an interval, after which a connectionStats event fires.
+ * @fires StatsCollector#connectionStats
+ **/
+export class StatsCollector extends EventBase {
+
+    /**
+     * Creates a new stats collector.
+     * @param {statsSampler} sample
+     */
+    constructor(sample) {
+        super();
+
+        this.sample = sample;
+
+        /**
+         * The number of milliseconds between samples.
+         * @type {number}
+         **/
+        this.interval = 2000;
+
+        /** @type {Map<string, ConnectionStats>} */
+        this.users = new Map();
+
+        this.timer = null;
+
+        /**
+         * Counts the times the collector has been stopped, so that samples
+         * that were still being taken at the time can be thrown away.
+         * @type {number}
+         **/
+        this.stops = 0;
+
+        Object.seal(this);
+    }
+
+    /**
+     * Starts sampling on the interval.
+     **/
+    start() {
+        if (this.timer === null) {
+            this.timer = setInterval(() => this.updateAsync(), this.interval);
+        }
+    }
+
+    /**
+     * Stops sampling and forgets every user's stats.
+     **/
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        ++this.stops;
+        this.users.clear();
+    }
+
+    /**
+     * Takes a sample now, rather than waiting for the interval.
+     * @returns {Promise<ConnectionStats[]>} - the stats, or an empty array if the collector was stopped while sampling.
+     **/
+    async updateAsync() {
+        const stops = this.stops;
+        let samples = [];
+        try {
+            samples = await this.sample();
+        }
+        catch (exp) {
+            console.warn("Could not sample connection stats", exp);
+        }
+
+        // the users in a sample taken before stopping have most likely left with us.
+        if (stops !== this.stops) {
+            return [];
+        }
+
+        for (let sample of samples) {
+            this.merge(sample);
+        }
+
+        const stats = this.snapshot();
+        this.dispatchEvent(Object.assign(
+            new Event("connectionStats"), {
+            stats
+        }));
+
+        return stats;
+    }
+
+    /**
+     * Folds a measurement into a user's stats.
+     * @param {StatsSample} sample
+     */
+    merge(sample) {
+        if (!this.users.has(sample.id)) {
+            this.users.set(sample.id, {
+                id: sample.id,
+                rtt: null,
+                packetLoss: null,
+                bitrateUp: null,
+                bitrateDown: null,
+                audioLevel: null,
+                quality: null,
+                signalStrength: null,
+                time: null
+            });
+        }
+
+        const stats = this.users.get(sample.id);
+        for (let field of fields) {
+            if (isGoodNumber(sample[field])) {
+                stats[field] = sample[field];
+            }
+        }
+
+        stats.signalStrength = getSignalStrength(stats);
+        stats.time = Date.now();
+    }
+
+    /**
+     * The latest stats for one user, or null if there aren't any.
+     * @param {string} id
+     * @returns {ConnectionStats}
+     */
+    get(id) {
+        const stats = this.users.get(id);
+        return stats
+            ? Object.assign({}, stats)
+            : null;
+    }
+
+    /**
+     * The latest stats for every user.
+     * @returns {ConnectionStats[]}
+     **/
+    snapshot() {
+        return Array.from(this.users.values())
+            .map((stats) => Object.assign({}, stats));
+    }
+
+    /**
+     * @param {string} id
+     */
+    removeUser(id) {
+        this.users.delete(id);
+    }
+}
@@ -0,0 +1,2 @@
+export * from "./RTCStatsReader";
+export * from "./StatsCollector";
\ No newline at end of file
@@ -0,0 +1,262 @@
+import { EventBase } from "../events/EventBase";
+
+/**
+ * @typedef {object} TransportTrack
+ * @property {Function} getParticipantId
+ * @property {Function} getType
+ * @property {Function} getVideoType - for video tracks, "camera" or "desktop".
+ * @property {Function} isMuted
+ * @property {Function} isLocal
+ * @property {Function} mute
+ * @property {Function} unmute
+ * @property {Function} dispose
+ * @property {string} deviceId
+ * @property {MediaStream} stream
+ **/
+
+/**
+ * The credentials with which to join a secured conference.
+ * @typedef {object} TransportAuth
+ * @property {string} token - a JWT, or null to join as a guest.
+ * @property {string} appID - the application the token was issued for, or null.
+ * @property {string} guestDomain - the domain that lets in users without a token, or null if the service doesn't have one.
+ **/
+
+/**
+ * The set of operations CallaClient needs from a teleconferencing service.
+ *
+ * Implementations are expected to dispatch the following events:
+ *  - conferenceJoined { id }
+ *  - conferenceLeft
+ *  - connectionFailed { error }
+ *  - authFailed { reason } - the service did not let the local user in. See `AuthErrorCode`.
+ *  - connectionInterrupted
+ *  - connectionRestored
+ *  - participantJoined { id, displayName }
+ *  - participantLeft { id }
+ *  - displayNameChanged { id, displayName }
+ *  - trackAdded { track }
+ *  - trackRemoved { track }
+ *  - trackMuteChanged { track }
+ *  - messageReceived { id, data }
+ *  - participantRoleChanged { id, role }
+ *  - kicked { id, reason } - the local user was removed from the conference by the user with the given id.
+ *  - lockChanged { locked }
+ *  - statsUpdated { stats } - the service measured a user's connection. See `StatsSample`.
+ **/
+export class BaseTransport extends EventBase {
+
+    /**
+     * Creates a new connection to a teleconferencing service.
+     **/
+    constructor() {
+        super();
+    }
+
+    /**
+     * The ID the service assigned to the local user, or null if we aren't in a conference.
+     * @type {string}
+     **/
+    get localUserID() {
+        return null;
+    }
+
+    /**
+     * Whether the transport has a connection or a conference, even one that is
+     * still being set up, that `leaveAsync()` needs to take down.
+     * @type {boolean}
+     **/
+    get isConnected() {
+        return false;
+    }
+
+    /**
+     * Performs any setup that needs to happen before devices can be enumerated or a conference joined.
+     * @returns {Promise}
+     **/
+    async prepareAsync() {
+    }
+
+    /**
+     * Connects to the service and joins a conference room.
+     * @param {string} roomName
+     * @param {string} userName
+     * @param {TransportAuth} [auth] - the credentials to join with, if the service is secured.
+     * @returns {Promise}
+     */
+    async joinAsync(roomName, userName, auth) {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Leaves the current conference room and disconnects from the service.
+     * @returns {Promise}
+     **/
+    async leaveAsync() {
+    }
+
+    /**
+     * Gets the IDs of all of the remote users in the conference.
+     * @returns {string[]}
+     **/
+    userIDs() {
+        return [];
+    }
+
+    /**
+     * Gets the display name of a remote user.
+     * @param {string} id
+     * @returns {string}
+     */
+    getDisplayName(id) {
+        return null;
+    }
+
+    /**
+     * Changes the display name of the local user.
+     * @param {string} userName
+     */
+    setDisplayName(userName) {
+    }
+
+    /**
+     * Sends a data message to a single remote user.
+     * @param {string} toUserID
+     * @param {any} data
+     */
+    sendMessage(toUserID, data) {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Sends a data message to every remote user.
+     * @param {any} data
+     */
+    broadcastMessage(data) {
+        for (let toUserID of this.userIDs()) {
+            this.sendMessage(toUserID, data);
+        }
+    }
+
+    /**
+     * Creates local media tracks.
+     * @param {string[]} devices - the kinds of tracks to create, "audio" and/or "video".
+     * @param {string} micDeviceId
+     * @param {string} cameraDeviceId
+     * @returns {Promise<TransportTrack[]>}
+     */
+    async createLocalTracksAsync(devices, micDeviceId, cameraDeviceId) {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Asks the user to pick a screen or window to share, and captures it.
+     * The new track is a video track whose video type is "desktop".
+     * @returns {Promise<TransportTrack>}
+     */
+    async createScreenTrackAsync() {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Wraps audio that doesn't come from a microphone, e.g. a bot's synthetic
+     * audio, in a local audio track.
+     * @param {MediaStream} stream - a stream with a single audio track.
+     * @returns {Promise<TransportTrack>}
+     */
+    async createStreamTrackAsync(stream) {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Publishes a local media track to the conference.
+     * @param {TransportTrack} track
+     * @returns {Promise|void} - transports that publish asynchronously reject the promise when the service won't take the track.
+     */
+    addTrack(track) {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Stops publishing a local media track to the conference.
+     * @param {TransportTrack} track
+     */
+    removeTrack(track) {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Limits the video the service sends to the local user. Transports
+     * that can't save any bandwidth this way ignore it.
+     * @param {import("../video/VideoReceivePolicy").ReceiverConstraints} constraints
+     */
+    setReceiverConstraints(constraints) {
+    }
+
+    /**
+     * Gets the role of a user in the conference, e.g. "moderator" or "participant".
+     * @param {string} id - a remote user, or the local user.
+     * @returns {string} - the role, or null if the user isn't known.
+     */
+    getRole(id) {
+        return null;
+    }
+
+    /**
+     * Removes a remote user from the conference. Requires the moderator role.
+     * @param {string} id
+     */
+    kickParticipant(id) {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Asks the service to mute one of a remote user's tracks. Services that can't
+     * enforce this do nothing; CallaClient also asks the user's client to do it.
+     * @param {string} id
+     * @param {string} kind - "audio" or "video".
+     */
+    muteParticipant(id, kind) {
+    }
+
+    /**
+     * Stops anyone else from joining the conference. Requires the moderator role.
+     * @param {string} password
+     * @returns {Promise}
+     */
+    async lockAsync(password) {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Lets people join the conference again. Requires the moderator role.
+     * @returns {Promise}
+     */
+    async unlockAsync() {
+        throw new Error("Not implemented in base class");
+    }
+
+    /**
+     * Measures the connections of the local user and everyone in the conference.
+     * @returns {Promise<import("../stats/StatsCollector").StatsSample[]>}
+     */
+    async getStatsAsync() {
+        return [];
+    }
+
+    /**
+     * Changes the device to which remote audio is output.
+     * @param {string} deviceID
+     * @returns {Promise}
+     */
+    async setAudioOutputDeviceAsync(deviceID) {
+    }
+
+    /**
+     * Gets the ID of the device to which remote audio is output.
+     * @returns {string}
+     */
+    getAudioOutputDevice() {
+        return null;
+    }
+}
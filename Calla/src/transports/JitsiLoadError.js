@@ -0,0 +1,27 @@
+/**
+ * The reason lib-jitsi-meet could not be loaded.
+ * - "timeout": the library took too long to load.
+ * - "loadFailed": the script or module could not be fetched or run.
+ * - "notFound": the script loaded, but it didn't provide JitsiMeetJS.
+ * @typedef {"timeout"|"loadFailed"|"notFound"} JitsiLoadErrorCode
+ **/
+
+/**
+ * The error thrown when lib-jitsi-meet can't be loaded.
+ **/
+export class JitsiLoadError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {JitsiLoadErrorCode} code
+     * @param {string} source - the URL, or a description of where else the library was being loaded from.
+     * @param {any} [cause] - the error that caused the failure, if there was one.
+     */
+    constructor(message, code, source, cause) {
+        super(message);
+        this.name = "JitsiLoadError";
+        this.code = code;
+        this.source = source;
+        this.cause = cause || null;
+    }
+}
@@ -0,0 +1,671 @@
+import { isBrowser } from "../isBrowser";
+import { RTCStatsReader } from "../stats/RTCStatsReader";
+import { isFunction } from "../typeChecks";
+import { BaseTransport } from "./BaseTransport";
+import { loadJitsiMeetJS } from "./loadJitsiMeetJS";
+
+function logger(source, evtName) {
+    if (isBrowser
+        && window.location.hostname === "localhost") {
+        const handler = (...rest) => {
+            if (evtName === "conference.endpoint_message_received"
+                && rest.length >= 2
+                && (rest[1].type === "e2e-ping-request"
+                    || rest[1].type === "e2e-ping-response"
+                    || rest[1].type === "stats")) {
+                return;
+            }
+            console.log(evtName, ...rest);
+        };
+
+        source.addEventListener(evtName, handler);
+    }
+}
+
+/**
+ * Converts the stats Jitsi's connection quality events carry.
+ * @param {string} id
+ * @param {any} stats
+ * @returns {import("../stats/StatsCollector").StatsSample}
+ */
+function readQualityStats(id, stats) {
+    const sample = {
+        id,
+        quality: stats.connectionQuality,
+        rtt: stats.jvbRTT
+    };
+
+    if (stats.packetLoss) {
+        sample.packetLoss = stats.packetLoss.total;
+    }
+
+    if (stats.bitrate) {
+        sample.bitrateUp = stats.bitrate.upload;
+        sample.bitrateDown = stats.bitrate.download;
+    }
+
+    return sample;
+}
+
+function setLoggers(source, evtObj) {
+    for (let evtName of Object.values(evtObj)) {
+        if (evtName.indexOf("audioLevelsChanged") === -1) {
+            logger(source, evtName);
+        }
+    }
+}
+
+/**
+ * @typedef {object} JitsiTransportOptions
+ * @property {import("./loadJitsiMeetJS").JitsiLoaderOptions} [loader] - where to get lib-jitsi-meet from.
+ * @property {string} [logLevel="error"] - how much lib-jitsi-meet should log: "trace", "debug", "info", "log", "warn", or "error".
+ * @property {object} [initOptions] - the options with which to initialize lib-jitsi-meet, e.g. `{ disableAudioLevels: true, analytics: { disabled: true } }`.
+ **/
+
+/**
+ * A transport that runs through a Jitsi Meet server, using lib-jitsi-meet.
+ **/
+export class JitsiTransport extends BaseTransport {
+
+    /**
+     * Creates a new transport that runs through a Jitsi Meet server.
+     * @param {string} JITSI_HOST
+     * @param {string} JVB_HOST
+     * @param {string} JVB_MUC
+     * @param {JitsiTransportOptions} [options]
+     */
+    constructor(JITSI_HOST, JVB_HOST, JVB_MUC, options) {
+        super();
+
+        options = options || {};
+
+        this.host = JITSI_HOST;
+        this.bridgeHost = JVB_HOST;
+        this.bridgeMUC = JVB_MUC;
+
+        /** @type {import("./loadJitsiMeetJS").JitsiLoaderOptions} */
+        this.loaderOptions = options.loader || {};
+
+        /** @type {string} */
+        this.logLevel = options.logLevel || "error";
+
+        /** @type {object} */
+        this.initOptions = options.initOptions || {};
+
+        /**
+         * The lib-jitsi-meet API, once it has loaded.
+         **/
+        this.JitsiMeetJS = null;
+
+        this._prepTask = null;
+        this.connection = null;
+        this.conference = null;
+
+        /**
+         * The loudness of each user's audio, as lib-jitsi-meet last measured it.
+         * @type {Map<string, number>}
+         **/
+        this.audioLevels = new Map();
+
+        /**
+         * Reads the WebRTC stats of the conference's peer connection.
+         * @type {RTCStatsReader}
+         **/
+        this.statsReader = new RTCStatsReader();
+
+        Object.seal(this);
+    }
+
+    get localUserID() {
+        return this.conference
+            && this.conference.myUserId()
+            || null;
+    }
+
+    get isConnected() {
+        return this.connection !== null
+            || this.conference !== null;
+    }
+
+    /**
+     * Loads and initializes lib-jitsi-meet, if it hasn't been already.
+     * @throws {import("./JitsiLoadError").JitsiLoadError}
+     **/
+    prepareAsync() {
+        if (!this._prepTask) {
+            console.info("Connecting to:", this.host);
+            this._prepTask = this._loadAsync();
+
+            // let the next attempt try again.
+            this._prepTask.catch(() => {
+                this._prepTask = null;
+            });
+        }
+        return this._prepTask;
+    }
+
+    /**
+     * @private
+     **/
+    async _loadAsync() {
+        const lib = await loadJitsiMeetJS(this.host, this.loaderOptions);
+        lib.setLogLevel(this.logLevel);
+        lib.init(this.initOptions);
+        this.JitsiMeetJS = lib;
+    }
+
+    /**
+     * @param {string} roomName
+     * @param {string} userName
+     * @param {import("./BaseTransport").TransportAuth} [auth]
+     */
+    async joinAsync(roomName, userName, auth) {
+        await this.prepareAsync();
+
+        const token = auth && auth.token || null,
+            appID = auth && auth.appID || null,
+            hosts = {
+                domain: this.bridgeHost,
+                muc: this.bridgeMUC
+            };
+
+        // users with a token sign in to the main domain. Everyone else
+        // goes through the guest domain, on services that have one.
+        if (token === null
+            && auth
+            && auth.guestDomain) {
+            hosts.anonymousdomain = auth.guestDomain;
+        }
+
+        this.connection = new this.JitsiMeetJS.JitsiConnection(appID, token, {
+            hosts,
+            serviceUrl: `https://${this.host}/http-bind`,
+            enableLipSync: true
+        });
+
+        const {
+            CONNECTION_ESTABLISHED,
+            CONNECTION_FAILED,
+            CONNECTION_DISCONNECTED
+        } = this.JitsiMeetJS.events.connection;
+
+        setLoggers(this.connection, this.JitsiMeetJS.events.connection);
+
+        const onAuthFailed = () => {
+            this.dispatchEvent(Object.assign(
+                new Event("authFailed"), {
+                reason: token === null
+                    ? "authenticationRequired"
+                    : "tokenRejected"
+            }));
+        };
+
+        const onFailed = (error) => {
+            this.conference = null;
+            if (error === this.JitsiMeetJS.errors.connection.PASSWORD_REQUIRED) {
+                onAuthFailed();
+            }
+            else {
+                this.dispatchEvent(Object.assign(
+                    new Event("connectionFailed"), {
+                    error
+                }));
+            }
+            onDisconnect();
+        };
+
+        const onDisconnect = () => {
+            this.connection.removeEventListener(CONNECTION_ESTABLISHED, onConnect);
+            this.connection.removeEventListener(CONNECTION_FAILED, onFailed);
+            this.connection.removeEventListener(CONNECTION_DISCONNECTED, onDisconnect);
+            this.connection = null;
+        };
+
+        const onConnect = () => {
+            this.conference = this.connection.initJitsiConference(roomName, {
+                openBridgeChannel: true
+            });
+
+            const {
+                TRACK_ADDED,
+                TRACK_REMOVED,
+                CONFERENCE_JOINED,
+                CONFERENCE_LEFT,
+                CONFERENCE_FAILED,
+                USER_JOINED,
+                USER_LEFT,
+                DISPLAY_NAME_CHANGED,
+                ENDPOINT_MESSAGE_RECEIVED,
+                CONNECTION_INTERRUPTED,
+                CONNECTION_RESTORED,
+                USER_ROLE_CHANGED,
+                KICKED,
+                LOCK_STATE_CHANGED,
+                TRACK_AUDIO_LEVEL_CHANGED
+            } = this.JitsiMeetJS.events.conference;
+
+            setLoggers(this.conference, this.JitsiMeetJS.events.conference);
+
+            this.conference.addEventListener(CONFERENCE_JOINED, () => {
+                this.conference.setDisplayName(userName);
+                this.dispatchEvent(Object.assign(
+                    new Event("conferenceJoined"), {
+                    id: this.localUserID
+                }));
+            });
+
+            this.conference.addEventListener(CONFERENCE_LEFT, () => {
+                this.conference = null;
+                this.dispatchEvent(new Event("conferenceLeft"));
+            });
+
+            this.conference.addEventListener(CONFERENCE_FAILED, (error) => {
+                const {
+                    AUTHENTICATION_REQUIRED,
+                    NOT_ALLOWED_ERROR,
+                    PASSWORD_REQUIRED
+                } = this.JitsiMeetJS.errors.conference;
+
+                if (error === AUTHENTICATION_REQUIRED
+                    || error === NOT_ALLOWED_ERROR) {
+                    onAuthFailed();
+                }
+                else {
+                    this.dispatchEvent(Object.assign(
+                        new Event("connectionFailed"), {
+                        error: error === PASSWORD_REQUIRED
+                            ? "roomLocked"
+                            : error
+                    }));
+                }
+            });
+
+            const onTrackMuteChanged = (track) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("trackMuteChanged"), {
+                    track
+                }));
+            };
+
+            this.conference.addEventListener(USER_JOINED, (id, jitsiUser) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("participantJoined"), {
+                    id,
+                    displayName: jitsiUser.getDisplayName()
+                }));
+            });
+
+            this.conference.addEventListener(USER_LEFT, (id) => {
+                this.audioLevels.delete(id);
+                this.dispatchEvent(Object.assign(
+                    new Event("participantLeft"), {
+                    id
+                }));
+            });
+
+            this.conference.addEventListener(DISPLAY_NAME_CHANGED, (id, displayName) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("displayNameChanged"), {
+                    id,
+                    displayName
+                }));
+            });
+
+            this.conference.addEventListener(TRACK_ADDED, (track) => {
+                setLoggers(track, this.JitsiMeetJS.events.track);
+                track.addEventListener(this.JitsiMeetJS.events.track.TRACK_MUTE_CHANGED, onTrackMuteChanged);
+                this.dispatchEvent(Object.assign(
+                    new Event("trackAdded"), {
+                    track
+                }));
+            });
+
+            this.conference.addEventListener(TRACK_REMOVED, (track) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("trackRemoved"), {
+                    track
+                }));
+            });
+
+            this.conference.addEventListener(ENDPOINT_MESSAGE_RECEIVED, (user, data) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("messageReceived"), {
+                    id: user.getId(),
+                    data
+                }));
+            });
+
+            this.conference.addEventListener(CONNECTION_INTERRUPTED, () => {
+                this.dispatchEvent(new Event("connectionInterrupted"));
+            });
+
+            this.conference.addEventListener(CONNECTION_RESTORED, () => {
+                this.dispatchEvent(new Event("connectionRestored"));
+            });
+
+            this.conference.addEventListener(USER_ROLE_CHANGED, (id, role) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("participantRoleChanged"), {
+                    id,
+                    role
+                }));
+            });
+
+            this.conference.addEventListener(KICKED, (actor, reason) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("kicked"), {
+                    id: actor && actor.getId() || null,
+                    reason: reason || null
+                }));
+            });
+
+            this.conference.addEventListener(LOCK_STATE_CHANGED, (locked) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("lockChanged"), {
+                    locked
+                }));
+            });
+
+            this.conference.addEventListener(TRACK_AUDIO_LEVEL_CHANGED, (id, audioLevel) => {
+                this.audioLevels.set(id, audioLevel);
+            });
+
+            const {
+                LOCAL_STATS_UPDATED,
+                REMOTE_STATS_UPDATED
+            } = this.JitsiMeetJS.events.connectionQuality;
+
+            this.conference.addEventListener(LOCAL_STATS_UPDATED, (stats) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("statsUpdated"), {
+                    stats: readQualityStats(this.localUserID, stats)
+                }));
+            });
+
+            this.conference.addEventListener(REMOTE_STATS_UPDATED, (id, stats) => {
+                this.dispatchEvent(Object.assign(
+                    new Event("statsUpdated"), {
+                    stats: readQualityStats(id, stats)
+                }));
+            });
+
+            this.conference.join();
+        };
+
+        this.connection.addEventListener(CONNECTION_ESTABLISHED, onConnect);
+        this.connection.addEventListener(CONNECTION_FAILED, onFailed);
+        this.connection.addEventListener(CONNECTION_DISCONNECTED, onDisconnect);
+
+        setLoggers(this.JitsiMeetJS.mediaDevices, this.JitsiMeetJS.events.mediaDevices);
+
+        this.connection.connect();
+    }
+
+    async leaveAsync() {
+        if (this.conference) {
+            await this.conference.leave();
+        }
+
+        if (this.connection) {
+            await this.connection.disconnect();
+        }
+
+        this.audioLevels.clear();
+        this.statsReader.reset();
+    }
+
+    userIDs() {
+        if (!this.conference) {
+            return [];
+        }
+
+        return Object.keys(this.conference.participants);
+    }
+
+    /**
+     * @param {string} id
+     */
+    getDisplayName(id) {
+        if (!this.conference
+            || !this.conference.participants[id]) {
+            return null;
+        }
+
+        return this.conference.participants[id].getDisplayName();
+    }
+
+    /**
+     * @param {string} userName
+     */
+    setDisplayName(userName) {
+        if (this.conference) {
+            this.conference.setDisplayName(userName);
+        }
+    }
+
+    /**
+     * @param {string} id
+     */
+    getRole(id) {
+        if (!this.conference) {
+            return null;
+        }
+
+        if (id === this.localUserID) {
+            return this.conference.getRole();
+        }
+
+        const participant = this.conference.participants[id];
+        return participant
+            && participant.getRole()
+            || null;
+    }
+
+    /**
+     * @param {string} id
+     */
+    kickParticipant(id) {
+        this.conference.kickParticipant(id);
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} kind
+     */
+    muteParticipant(id, kind) {
+        if (this.conference) {
+            this.conference.muteParticipant(id, kind);
+        }
+    }
+
+    /**
+     * @param {string} password
+     */
+    async lockAsync(password) {
+        await this.conference.lock(password);
+    }
+
+    async unlockAsync() {
+        await this.conference.unlock();
+    }
+
+    /**
+     * @param {string} toUserID
+     * @param {any} data
+     */
+    sendMessage(toUserID, data) {
+        if (this.conference) {
+            this.conference.sendMessage(data, toUserID);
+        }
+    }
+
+    /**
+     * @param {any} data
+     */
+    broadcastMessage(data) {
+        if (this.conference) {
+            this.conference.sendMessage(data);
+        }
+    }
+
+    /**
+     * @param {string[]} devices
+     * @param {string} micDeviceId
+     * @param {string} cameraDeviceId
+     */
+    async createLocalTracksAsync(devices, micDeviceId, cameraDeviceId) {
+        return await this.JitsiMeetJS.createLocalTracks({
+            devices,
+            micDeviceId,
+            cameraDeviceId
+        });
+    }
+
+    async createScreenTrackAsync() {
+        const tracks = await this.JitsiMeetJS.createLocalTracks({
+            devices: ["desktop"]
+        });
+
+        // some browsers share the system audio along with the screen,
+        // but the screen's spot on the map has no voice of its own.
+        let screen = null;
+        for (let track of tracks) {
+            if (screen === null
+                && track.getType() === "video") {
+                screen = track;
+            }
+            else {
+                track.dispose();
+            }
+        }
+
+        if (screen === null) {
+            throw new Error("No screen was shared.");
+        }
+
+        return screen;
+    }
+
+    async createStreamTrackAsync(stream) {
+        if (!isFunction(this.JitsiMeetJS.createLocalTracksFromMediaStreams)) {
+            throw new Error("This version of lib-jitsi-meet can't send audio that doesn't come from a microphone.");
+        }
+
+        const tracks = await this.JitsiMeetJS.createLocalTracksFromMediaStreams([{
+            stream,
+            sourceType: "bot",
+            mediaType: "audio"
+        }]);
+
+        return tracks[0];
+    }
+
+    addTrack(track) {
+        return this.conference.addTrack(track);
+    }
+
+    removeTrack(track) {
+        this.conference.removeTrack(track);
+    }
+
+    setReceiverConstraints(constraints) {
+        if (!this.conference) {
+            return;
+        }
+
+        if (isFunction(this.conference.setReceiverConstraints)) {
+            this.conference.setReceiverConstraints(constraints);
+        }
+        else {
+            // older versions of lib-jitsi-meet only have one frame height for everyone.
+            const heights = Object.values(constraints.constraints)
+                .map((c) => c.maxHeight);
+            this.conference.setLastN(constraints.lastN);
+            this.conference.selectParticipants(constraints.selectedEndpoints);
+            this.conference.setReceiverVideoConstraint(Math.max(0, ...heights));
+        }
+    }
+
+    /**
+     * The WebRTC peer connection that is carrying the conference's media right now,
+     * either straight to the other user or to the video bridge.
+     * @private
+     * @returns {RTCPeerConnection}
+     **/
+    getPeerConnection() {
+        const session = this.conference.isP2PActive()
+            ? this.conference.p2pJingleSession
+            : this.conference.jvbJingleSession;
+
+        return session
+            && session.peerconnection
+            && session.peerconnection.peerconnection
+            || null;
+    }
+
+    /**
+     * The user that sends each remote stream, keyed by SSRC.
+     * @private
+     * @returns {Map<number, string>}
+     **/
+    getStreamOwners() {
+        /** @type {Map<number, string>} */
+        const owners = new Map();
+        for (let user of this.conference.getParticipants()) {
+            for (let track of user.getTracks()) {
+                const ssrc = track.getSSRC();
+                if (ssrc) {
+                    owners.set(ssrc, user.getId());
+                }
+            }
+        }
+
+        return owners;
+    }
+
+    /**
+     * Reads the RTT, packet loss and bitrates of everyone's streams from the
+     * peer connection's WebRTC stats, along with the loudness of everyone's audio.
+     * lib-jitsi-meet's connection quality ratings come separately, as statsUpdated events.
+     **/
+    async getStatsAsync() {
+        if (!this.conference) {
+            return [];
+        }
+
+        const samples = [],
+            peerConnection = this.getPeerConnection();
+        if (peerConnection) {
+            // the conference may be gone by the time the stats are ready.
+            const owners = this.getStreamOwners(),
+                localUserID = this.localUserID,
+                report = await peerConnection.getStats();
+            samples.push(...this.statsReader.read(report, owners, localUserID));
+        }
+
+        // lib-jitsi-meet's own audio levels are more current than the stats report's.
+        for (let [id, audioLevel] of this.audioLevels) {
+            samples.push({
+                id,
+                audioLevel
+            });
+        }
+
+        return samples;
+    }
+
+    /**
+     * @param {string} deviceID
+     */
+    async setAudioOutputDeviceAsync(deviceID) {
+        await this.JitsiMeetJS.mediaDevices.setAudioOutputDevice(deviceID);
+    }
+
+    getAudioOutputDevice() {
+        if (!this.JitsiMeetJS) {
+            return null;
+        }
+
+        return this.JitsiMeetJS.mediaDevices.getAudioOutputDevice();
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * An in-memory stand-in for a teleconferencing server, through which
+ * LoopbackTransports in the same page can find each other.
+ **/
+export class LoopbackHub {
+
+    /**
+     * Creates a new in-memory stand-in for a teleconferencing server.
+     * @param {number} [latency=0] - the number of milliseconds to delay the delivery of events between transports.
+     */
+    constructor(latency = 0) {
+        this.latency = latency;
+
+        /** @type {Map<string, Set<import("./LoopbackTransport").LoopbackTransport>>} */
+        this.rooms = new Map();
+
+        /**
+         * The names of the rooms no one else may join.
+         * @type {Set<string>}
+         **/
+        this.locked = new Set();
+
+        /**
+         * Checks the token a transport presents, for testing secured services.
+         * When null, everyone is let in.
+         * @type {function(string): boolean}
+         **/
+        this.verifyToken = null;
+
+        /**
+         * Whether users without a token are let in through a guest domain, when tokens are checked.
+         * @type {boolean}
+         **/
+        this.allowGuests = false;
+
+        Object.seal(this);
+    }
+
+    /**
+     * Decides whether a transport may connect at all.
+     * @param {import("./BaseTransport").TransportAuth} auth
+     * @returns {string} - the reason the transport is turned away, or null if it may connect.
+     */
+    authenticate(auth) {
+        if (this.verifyToken === null) {
+            return null;
+        }
+
+        const token = auth && auth.token || null;
+        if (token === null) {
+            return this.allowGuests
+                && auth
+                && auth.guestDomain
+                ? null
+                : "authenticationRequired";
+        }
+
+        return this.verifyToken(token)
+            ? null
+            : "tokenRejected";
+    }
+
+    /**
+     * Adds a transport to a room.
+     * @param {string} roomName
+     * @param {import("./LoopbackTransport").LoopbackTransport} transport
+     * @returns {import("./LoopbackTransport").LoopbackTransport[]} - the transports that were already in the room, or null if the room is locked.
+     */
+    join(roomName, transport) {
+        if (this.locked.has(roomName)) {
+            return null;
+        }
+
+        if (!this.rooms.has(roomName)) {
+            this.rooms.set(roomName, new Set());
+        }
+
+        const room = this.rooms.get(roomName),
+            others = Array.from(room);
+        room.add(transport);
+        return others;
+    }
+
+    /**
+     * Removes a transport from a room.
+     * @param {string} roomName
+     * @param {import("./LoopbackTransport").LoopbackTransport} transport
+     * @returns {import("./LoopbackTransport").LoopbackTransport[]} - the transports that remain in the room.
+     */
+    leave(roomName, transport) {
+        if (!this.rooms.has(roomName)) {
+            return [];
+        }
+
+        const room = this.rooms.get(roomName);
+        room.delete(transport);
+        if (room.size === 0) {
+            this.rooms.delete(roomName);
+            this.locked.delete(roomName);
+        }
+
+        return Array.from(room);
+    }
+
+    /**
+     * Gets the role of a transport in a room. Like Jitsi Meet's default setup,
+     * whoever has been in the room the longest is the moderator.
+     * @param {string} roomName
+     * @param {import("./LoopbackTransport").LoopbackTransport} transport
+     * @returns {string}
+     */
+    getRole(roomName, transport) {
+        const room = this.rooms.get(roomName);
+        if (!room || !room.has(transport)) {
+            return null;
+        }
+
+        return room.values().next().value === transport
+            ? "moderator"
+            : "participant";
+    }
+
+    /**
+     * Runs a callback after the hub's latency, to simulate the asynchrony of a network.
+     * @param {Function} callback
+     */
+    deliver(callback) {
+        setTimeout(callback, this.latency);
+    }
+}
+
+/**
+ * The hub that LoopbackTransports use when none is specified.
+ * @constant
+ * @type {LoopbackHub}
+ **/
+export const defaultLoopbackHub = new LoopbackHub();
@@ -0,0 +1,106 @@
+import { EventBase } from "../events/EventBase";
+
+const muteChangedEvt = new Event("muteChanged");
+
+/**
+ * A media track that mimics the parts of JitsiTrack that Calla uses,
+ * for use with the LoopbackTransport.
+ **/
+export class LoopbackTrack extends EventBase {
+
+    /**
+     * Creates a new media track.
+     * @param {string} participantId - the ID of the user that owns the track.
+     * @param {string} type - "audio" or "video".
+     * @param {MediaStream} stream
+     * @param {string} deviceId
+     * @param {LoopbackTrack} [source=null] - for remote tracks, the local track this track mirrors.
+     */
+    constructor(participantId, type, stream, deviceId, source = null) {
+        super();
+
+        this.participantId = participantId;
+        this.type = type;
+        this.stream = stream;
+        this.deviceId = deviceId;
+        this.source = source;
+        this.muted = false;
+
+        /**
+         * For video tracks, "camera" or "desktop". Null for audio tracks.
+         * @type {string}
+         **/
+        this.videoType = type === "video" ? "camera" : null;
+
+        Object.seal(this);
+    }
+
+    getParticipantId() {
+        return this.participantId;
+    }
+
+    getType() {
+        return this.type;
+    }
+
+    getVideoType() {
+        if (this.isLocal()) {
+            return this.videoType;
+        }
+        else {
+            return this.source.getVideoType();
+        }
+    }
+
+    isLocal() {
+        return this.source === null;
+    }
+
+    isMuted() {
+        if (this.isLocal()) {
+            return this.muted;
+        }
+        else {
+            return this.source.isMuted();
+        }
+    }
+
+    /**
+     * @param {boolean} muted
+     */
+    async setMuted(muted) {
+        if (!this.isLocal()) {
+            throw new Error("Remote tracks can't be muted.");
+        }
+
+        if (muted !== this.muted) {
+            this.muted = muted;
+            if (this.stream) {
+                for (let track of this.stream.getTracks()) {
+                    track.enabled = !muted;
+                }
+            }
+
+            this.dispatchEvent(muteChangedEvt);
+        }
+    }
+
+    async mute() {
+        await this.setMuted(true);
+    }
+
+    async unmute() {
+        await this.setMuted(false);
+    }
+
+    dispose() {
+        if (this.isLocal()
+            && this.stream) {
+            for (let track of this.stream.getTracks()) {
+                track.stop();
+            }
+        }
+
+        this.stream = null;
+    }
+}
@@ -0,0 +1,561 @@
+import { arrayRemove } from "../arrays/arrayRemove";
+import { BaseTransport } from "./BaseTransport";
+import { defaultLoopbackHub } from "./LoopbackHub";
+import { LoopbackTrack } from "./LoopbackTrack";
+
+function makeUserID() {
+    return Math.random().toString(16).substring(2, 10);
+}
+
+/**
+ * A transport that connects CallaClients running in the same page to each other,
+ * without any server. Useful for testing and for running Calla offline.
+ **/
+export class LoopbackTransport extends BaseTransport {
+
+    /**
+     * Creates a new transport that connects to other LoopbackTransports through a shared hub.
+     * @param {import("./LoopbackHub").LoopbackHub} [hub] - the hub through which to find other transports. Defaults to a hub shared by the whole page.
+     */
+    constructor(hub = defaultLoopbackHub) {
+        super();
+
+        this.hub = hub;
+
+        /** @type {string} */
+        this.roomName = null;
+
+        /** @type {string} */
+        this.displayName = null;
+
+        /** @type {string} */
+        this._localUserID = null;
+
+        /** @type {string} */
+        this.audioOutputDeviceID = null;
+
+        /** @type {Map<string, LoopbackTransport>} */
+        this.peers = new Map();
+
+        /** @type {LoopbackTrack[]} */
+        this.tracks = [];
+
+        /** @type {Map<string, LoopbackTrack[]>} */
+        this.remoteTracks = new Map();
+
+        /** @type {Map<LoopbackTrack, Function>} */
+        this.muteHandlers = new Map();
+
+        /**
+         * The last role reported for each user, including the local user.
+         * @type {Map<string, string>}
+         **/
+        this.roles = new Map();
+
+        /**
+         * The last receiver constraints the client asked for. Everything
+         * is local, so there's no bandwidth to save, but tests can check them.
+         * @type {import("../video/VideoReceivePolicy").ReceiverConstraints}
+         **/
+        this.receiverConstraints = null;
+
+        Object.seal(this);
+    }
+
+    get localUserID() {
+        return this._localUserID;
+    }
+
+    get isConnected() {
+        return this.roomName !== null;
+    }
+
+    /**
+     * @param {string} roomName
+     * @param {string} userName
+     * @param {import("./BaseTransport").TransportAuth} [auth]
+     */
+    async joinAsync(roomName, userName, auth) {
+        const reason = this.hub.authenticate(auth);
+        if (reason !== null) {
+            this.hub.deliver(() =>
+                this.dispatchEvent(Object.assign(
+                    new Event("authFailed"), {
+                    reason
+                })));
+            return;
+        }
+
+        const others = this.hub.join(roomName, this);
+        if (others === null) {
+            this.hub.deliver(() =>
+                this.dispatchEvent(Object.assign(
+                    new Event("connectionFailed"), {
+                    error: "roomLocked"
+                })));
+            return;
+        }
+
+        this._localUserID = makeUserID();
+        this.roomName = roomName;
+        this.displayName = userName;
+
+        this.hub.deliver(() => {
+            this.dispatchEvent(Object.assign(
+                new Event("conferenceJoined"), {
+                id: this.localUserID
+            }));
+
+            for (let other of others) {
+                this.addPeer(other);
+            }
+
+            this.updateRoles();
+        });
+
+        for (let other of others) {
+            this.hub.deliver(() => other.addPeer(this));
+        }
+    }
+
+    async leaveAsync() {
+        if (this.roomName !== null) {
+            for (let track of Array.from(this.tracks)) {
+                this.removeTrack(track);
+            }
+
+            const others = this.hub.leave(this.roomName, this),
+                localUserID = this.localUserID;
+
+            for (let other of others) {
+                this.hub.deliver(() => other.removePeer(localUserID));
+            }
+
+            for (let tracks of this.remoteTracks.values()) {
+                for (let track of tracks) {
+                    track.source.removeEventListener("muteChanged", this.muteHandlers.get(track));
+                    this.muteHandlers.delete(track);
+                }
+            }
+
+            this.peers.clear();
+            this.remoteTracks.clear();
+            this.roles.clear();
+            this.roomName = null;
+            this._localUserID = null;
+
+            this.hub.deliver(() =>
+                this.dispatchEvent(new Event("conferenceLeft")));
+        }
+    }
+
+    /**
+     * Simulates a dropped network connection, for testing reconnection.
+     * The transport stays in the room; it's up to the client to leave and rejoin.
+     **/
+    interrupt() {
+        if (this.roomName !== null) {
+            this.hub.deliver(() =>
+                this.dispatchEvent(new Event("connectionInterrupted")));
+        }
+    }
+
+    /**
+     * Simulates the service recovering a dropped network connection on its own.
+     **/
+    restore() {
+        if (this.roomName !== null) {
+            this.hub.deliver(() =>
+                this.dispatchEvent(new Event("connectionRestored")));
+        }
+    }
+
+    /**
+     * Starts tracking another transport in the same room.
+     * @private
+     * @param {LoopbackTransport} peer
+     */
+    addPeer(peer) {
+        if (peer.localUserID !== null
+            && !this.peers.has(peer.localUserID)) {
+            this.peers.set(peer.localUserID, peer);
+            this.remoteTracks.set(peer.localUserID, []);
+
+            this.dispatchEvent(Object.assign(
+                new Event("participantJoined"), {
+                id: peer.localUserID,
+                displayName: peer.displayName
+            }));
+
+            for (let track of peer.tracks) {
+                this.addRemoteTrack(peer.localUserID, track);
+            }
+
+            this.updateRoles();
+        }
+    }
+
+    /**
+     * Stops tracking another transport in the same room.
+     * @private
+     * @param {string} id
+     */
+    removePeer(id) {
+        if (this.peers.has(id)) {
+            for (let track of Array.from(this.remoteTracks.get(id))) {
+                this.removeRemoteTrack(id, track.source);
+            }
+
+            this.peers.delete(id);
+            this.remoteTracks.delete(id);
+            this.roles.delete(id);
+
+            this.dispatchEvent(Object.assign(
+                new Event("participantLeft"), {
+                id
+            }));
+
+            this.updateRoles();
+        }
+    }
+
+    /**
+     * Reports the users whose role has changed since the last time we looked.
+     * @private
+     **/
+    updateRoles() {
+        if (this.roomName !== null) {
+            for (let id of [this.localUserID, ...this.peers.keys()]) {
+                const role = this.getRole(id);
+                if (role !== null
+                    && role !== this.roles.get(id)) {
+                    this.roles.set(id, role);
+                    this.dispatchEvent(Object.assign(
+                        new Event("participantRoleChanged"), {
+                        id,
+                        role
+                    }));
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {string} id
+     */
+    getRole(id) {
+        if (this.roomName === null) {
+            return null;
+        }
+
+        const transport = id === this.localUserID
+            ? this
+            : this.peers.get(id);
+
+        return transport
+            && this.hub.getRole(this.roomName, transport)
+            || null;
+    }
+
+    /**
+     * Reports the hub's simulated latency as everyone's round trip time, with nothing lost.
+     **/
+    async getStatsAsync() {
+        if (this.roomName === null) {
+            return [];
+        }
+
+        return [this.localUserID, ...this.peers.keys()]
+            .map((id) => ({
+                id,
+                rtt: 2 * this.hub.latency,
+                packetLoss: 0,
+                quality: 100
+            }));
+    }
+
+    /**
+     * @private
+     * @param {string} action
+     */
+    checkModerator(action) {
+        if (this.getRole(this.localUserID) !== "moderator") {
+            throw new Error(`Only moderators can ${action}.`);
+        }
+    }
+
+    /**
+     * @param {string} id
+     */
+    kickParticipant(id) {
+        this.checkModerator("kick participants");
+        if (this.peers.has(id)) {
+            const peer = this.peers.get(id),
+                localUserID = this.localUserID;
+            this.hub.deliver(() => peer.onKicked(localUserID));
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} actorID
+     */
+    onKicked(actorID) {
+        if (this.roomName !== null) {
+            this.dispatchEvent(Object.assign(
+                new Event("kicked"), {
+                id: actorID,
+                reason: null
+            }));
+        }
+    }
+
+    /**
+     * @param {string} password - ignored; nobody can join a locked loopback room.
+     */
+    async lockAsync(password) {
+        this.checkModerator("lock the room");
+        this.hub.locked.add(this.roomName);
+        this.deliverLockChanged(true);
+    }
+
+    async unlockAsync() {
+        this.checkModerator("unlock the room");
+        this.hub.locked.delete(this.roomName);
+        this.deliverLockChanged(false);
+    }
+
+    /**
+     * @private
+     * @param {boolean} locked
+     */
+    deliverLockChanged(locked) {
+        for (let transport of [this, ...this.peers.values()]) {
+            this.hub.deliver(() =>
+                transport.dispatchEvent(Object.assign(
+                    new Event("lockChanged"), {
+                    locked
+                })));
+        }
+    }
+
+    userIDs() {
+        return Array.from(this.peers.keys());
+    }
+
+    /**
+     * @param {string} id
+     */
+    getDisplayName(id) {
+        if (!this.peers.has(id)) {
+            return null;
+        }
+
+        return this.peers.get(id).displayName;
+    }
+
+    /**
+     * @param {string} userName
+     */
+    setDisplayName(userName) {
+        this.displayName = userName;
+        const localUserID = this.localUserID;
+        for (let peer of this.peers.values()) {
+            this.hub.deliver(() => {
+                if (peer.peers.has(localUserID)) {
+                    peer.dispatchEvent(Object.assign(
+                        new Event("displayNameChanged"), {
+                        id: localUserID,
+                        displayName: userName
+                    }));
+                }
+            });
+        }
+    }
+
+    /**
+     * @param {string} toUserID
+     * @param {any} data
+     */
+    sendMessage(toUserID, data) {
+        if (this.peers.has(toUserID)) {
+            const peer = this.peers.get(toUserID),
+                localUserID = this.localUserID,
+                json = JSON.stringify(data);
+
+            this.hub.deliver(() => {
+                if (peer.peers.has(localUserID)) {
+                    peer.dispatchEvent(Object.assign(
+                        new Event("messageReceived"), {
+                        id: localUserID,
+                        data: JSON.parse(json)
+                    }));
+                }
+            });
+        }
+    }
+
+    /**
+     * @param {string[]} devices
+     * @param {string} micDeviceId
+     * @param {string} cameraDeviceId
+     */
+    async createLocalTracksAsync(devices, micDeviceId, cameraDeviceId) {
+        const wantsAudio = devices.indexOf("audio") >= 0,
+            wantsVideo = devices.indexOf("video") >= 0,
+            stream = await navigator.mediaDevices.getUserMedia({
+                audio: wantsAudio && (micDeviceId ? { deviceId: micDeviceId } : true),
+                video: wantsVideo && (cameraDeviceId ? { deviceId: cameraDeviceId } : true)
+            }),
+            tracks = [];
+
+        for (let track of stream.getTracks()) {
+            const deviceId = track.kind === "audio"
+                ? micDeviceId
+                : cameraDeviceId;
+            tracks.push(new LoopbackTrack(
+                this.localUserID,
+                track.kind,
+                new MediaStream([track]),
+                deviceId));
+        }
+
+        return tracks;
+    }
+
+    async createScreenTrackAsync() {
+        const stream = await navigator.mediaDevices.getDisplayMedia({
+            video: true
+        }),
+            track = new LoopbackTrack(
+                this.localUserID,
+                "video",
+                new MediaStream(stream.getVideoTracks()),
+                null);
+
+        track.videoType = "desktop";
+        return track;
+    }
+
+    /**
+     * @param {MediaStream} stream
+     */
+    async createStreamTrackAsync(stream) {
+        return new LoopbackTrack(
+            this.localUserID,
+            "audio",
+            stream,
+            null);
+    }
+
+    /**
+     * @param {LoopbackTrack} track
+     */
+    addTrack(track) {
+        if (this.tracks.indexOf(track) === -1) {
+            this.tracks.push(track);
+
+            const onMuteChanged = () => this.dispatchEvent(Object.assign(
+                new Event("trackMuteChanged"), {
+                track
+            }));
+            track.addEventListener("muteChanged", onMuteChanged);
+            this.muteHandlers.set(track, onMuteChanged);
+
+            this.hub.deliver(() =>
+                this.dispatchEvent(Object.assign(
+                    new Event("trackAdded"), {
+                    track
+                })));
+
+            const localUserID = this.localUserID;
+            for (let peer of this.peers.values()) {
+                this.hub.deliver(() => peer.addRemoteTrack(localUserID, track));
+            }
+        }
+    }
+
+    setReceiverConstraints(constraints) {
+        this.receiverConstraints = constraints;
+    }
+
+    /**
+     * @param {LoopbackTrack} track
+     */
+    removeTrack(track) {
+        if (arrayRemove(this.tracks, track)) {
+            track.removeEventListener("muteChanged", this.muteHandlers.get(track));
+            this.muteHandlers.delete(track);
+
+            this.hub.deliver(() =>
+                this.dispatchEvent(Object.assign(
+                    new Event("trackRemoved"), {
+                    track
+                })));
+
+            const localUserID = this.localUserID;
+            for (let peer of this.peers.values()) {
+                this.hub.deliver(() => peer.removeRemoteTrack(localUserID, track));
+            }
+        }
+    }
+
+    /**
+     * Mirrors a peer's local track as a remote track.
+     * @private
+     * @param {string} id
+     * @param {LoopbackTrack} source
+     */
+    addRemoteTrack(id, source) {
+        if (this.remoteTracks.has(id)) {
+            const track = new LoopbackTrack(id, source.type, source.stream, source.deviceId, source),
+                onMuteChanged = () => this.dispatchEvent(Object.assign(
+                    new Event("trackMuteChanged"), {
+                    track
+                }));
+
+            source.addEventListener("muteChanged", onMuteChanged);
+            this.muteHandlers.set(track, onMuteChanged);
+            this.remoteTracks.get(id).push(track);
+
+            this.dispatchEvent(Object.assign(
+                new Event("trackAdded"), {
+                track
+            }));
+        }
+    }
+
+    /**
+     * Removes the mirror of a peer's local track.
+     * @private
+     * @param {string} id
+     * @param {LoopbackTrack} source
+     */
+    removeRemoteTrack(id, source) {
+        if (this.remoteTracks.has(id)) {
+            const tracks = this.remoteTracks.get(id),
+                track = tracks.find(t => t.source === source);
+            if (track) {
+                arrayRemove(tracks, track);
+                source.removeEventListener("muteChanged", this.muteHandlers.get(track));
+                this.muteHandlers.delete(track);
+
+                this.dispatchEvent(Object.assign(
+                    new Event("trackRemoved"), {
+                    track
+                }));
+            }
+        }
+    }
+
+    /**
+     * @param {string} deviceID
+     */
+    async setAudioOutputDeviceAsync(deviceID) {
+        this.audioOutputDeviceID = deviceID;
+    }
+
+    getAudioOutputDevice() {
+        return this.audioOutputDeviceID;
+    }
+}
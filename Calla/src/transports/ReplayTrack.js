@@ -0,0 +1,68 @@
+/**
+ * What a session log keeps of a media track. The media itself isn't recorded.
+ * @typedef {object} TrackDescription
+ * @property {string} participantId - the ID of the user that owns the track.
+ * @property {string} type - "audio" or "video".
+ * @property {string} videoType - for video tracks, "camera" or "desktop". Null for audio tracks.
+ * @property {boolean} local - whether the track belonged to the user who made the recording.
+ * @property {boolean} muted
+ **/
+
+/**
+ * A stand-in for a media track that was recorded in a session log.
+ * It has no stream, but otherwise acts like the track did.
+ **/
+export class ReplayTrack {
+
+    /**
+     * Creates a stand-in for a recorded track.
+     * @param {TrackDescription} description
+     */
+    constructor(description) {
+        this.participantId = description.participantId;
+        this.type = description.type;
+        this.videoType = description.videoType || null;
+        this.local = description.local === true;
+        this.muted = description.muted === true;
+
+        /** @type {MediaStream} */
+        this.stream = null;
+
+        /** @type {string} */
+        this.deviceId = null;
+
+        Object.seal(this);
+    }
+
+    getParticipantId() {
+        return this.participantId;
+    }
+
+    getType() {
+        return this.type;
+    }
+
+    getVideoType() {
+        return this.videoType;
+    }
+
+    isLocal() {
+        return this.local;
+    }
+
+    isMuted() {
+        return this.muted;
+    }
+
+    async mute() {
+        this.muted = true;
+    }
+
+    async unmute() {
+        this.muted = false;
+    }
+
+    dispose() {
+    }
+}
+
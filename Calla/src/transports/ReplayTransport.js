@@ -0,0 +1,193 @@
+import { BaseTransport } from "./BaseTransport";
+import { ReplayTrack } from "./ReplayTrack";
+
+/**
+ * @param {string} userID
+ * @param {string} method
+ */
+function requestKey(userID, method) {
+    return `${userID}:${method}`;
+}
+
+/**
+ * A transport that plays back a recorded session instead of connecting to a
+ * service. Nothing is sent anywhere: messages the client sends during the
+ * replay are dropped. Drive it with a SessionPlayer.
+ **/
+export class ReplayTransport extends BaseTransport {
+
+    /**
+     * Creates a new transport for playing back a recorded session.
+     **/
+    constructor() {
+        super();
+
+        /** @type {string} */
+        this._localUserID = null;
+
+        /**
+         * The display names of the remote users in the replayed conference.
+         * @type {Map<string, string>}
+         **/
+        this.users = new Map();
+
+        /**
+         * The user and method of each request the recorded client sent, keyed by the request's ID.
+         * @type {Map<string, string>}
+         **/
+        this.recordedRequests = new Map();
+
+        /**
+         * The IDs of the requests the replaying client has sent, oldest first, keyed by user and method.
+         * @type {Map<string, string[]>}
+         **/
+        this.requests = new Map();
+
+        Object.seal(this);
+    }
+
+    get localUserID() {
+        return this._localUserID;
+    }
+
+    get isConnected() {
+        return this._localUserID !== null;
+    }
+
+    /**
+     * Replays don't connect anywhere. The recorded conferenceJoined event does the joining.
+     **/
+    async joinAsync(roomName, userName, auth) {
+    }
+
+    userIDs() {
+        return Array.from(this.users.keys());
+    }
+
+    /**
+     * @param {string} id
+     */
+    getDisplayName(id) {
+        return this.users.get(id) || null;
+    }
+
+    /**
+     * Nothing is sent, but requests are remembered, so the recorded responses can be matched up to them.
+     * @param {string} toUserID
+     * @param {any} data
+     */
+    sendMessage(toUserID, data) {
+        if (data.command === "rpcRequest") {
+            const key = requestKey(toUserID, data.value.method);
+            if (!this.requests.has(key)) {
+                this.requests.set(key, []);
+            }
+
+            // retries send the same request again.
+            const rids = this.requests.get(key);
+            if (rids.indexOf(data.value.rid) === -1) {
+                rids.push(data.value.rid);
+            }
+        }
+    }
+
+    async createLocalTracksAsync(devices, micDeviceId, cameraDeviceId) {
+        return [];
+    }
+
+    async createScreenTrackAsync() {
+        throw new Error("Replays can't share screens.");
+    }
+
+    async createStreamTrackAsync(stream) {
+        throw new Error("Replays can't send audio.");
+    }
+
+    addTrack(track) {
+    }
+
+    removeTrack(track) {
+    }
+
+    /**
+     * Dispatches a recorded event, as if the service had sent it.
+     * @param {string} type - the name of the transport event.
+     * @param {object} data - the event's recorded fields.
+     */
+    replay(type, data) {
+        if (type === "rpcRequestSent") {
+            this.recordedRequests.set(data.rid, requestKey(data.toUserID, data.method));
+            return;
+        }
+
+        if (type === "messageReceived") {
+            data = this.matchResponse(data);
+        }
+
+        const evt = Object.assign(new Event(type), data);
+        if (data.track) {
+            evt.track = new ReplayTrack(data.track);
+        }
+
+        if (type === "conferenceJoined") {
+            this._localUserID = data.id;
+        }
+        else if (type === "conferenceLeft") {
+            this._localUserID = null;
+            this.users.clear();
+        }
+        else if (type === "participantJoined"
+            || type === "displayNameChanged") {
+            this.users.set(data.id, data.displayName);
+        }
+        else if (type === "participantLeft") {
+            this.users.delete(data.id);
+        }
+
+        this.dispatchEvent(evt);
+    }
+
+    /**
+     * Swaps the ID of the recorded request a response answers for the ID of
+     * the replaying client's matching request.
+     * @private
+     * @param {object} data
+     * @returns {object}
+     */
+    matchResponse(data) {
+        const message = data.data;
+        if (message
+            && message.command === "rpcResponse"
+            && message.value
+            && this.recordedRequests.has(message.value.rid)) {
+            const rids = this.requests.get(this.recordedRequests.get(message.value.rid));
+            if (rids && rids.length > 0) {
+                return Object.assign({}, data, {
+                    data: Object.assign({}, message, {
+                        value: Object.assign({}, message.value, {
+                            rid: rids.shift()
+                        })
+                    })
+                });
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Empties the conference, so the replay can start over.
+     **/
+    reset() {
+        for (let id of this.userIDs()) {
+            this.replay("participantLeft", { id });
+        }
+
+        if (this.localUserID !== null) {
+            this.replay("conferenceLeft", {});
+        }
+
+        this.recordedRequests.clear();
+        this.requests.clear();
+    }
+}
@@ -0,0 +1,9 @@
+export * from "./BaseTransport";
+export * from "./JitsiLoadError";
+export * from "./JitsiTransport";
+export * from "./loadJitsiMeetJS";
+export * from "./LoopbackHub";
+export * from "./LoopbackTrack";
+export * from "./LoopbackTransport";
+export * from "./ReplayTrack";
+export * from "./ReplayTransport";
\ No newline at end of file
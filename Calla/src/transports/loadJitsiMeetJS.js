@@ -0,0 +1,108 @@
+import { isFunction, isGoodNumber, isString } from "../typeChecks";
+import { JitsiLoadError } from "./JitsiLoadError";
+
+/**
+ * Where to get lib-jitsi-meet from. The first of `jitsiMeetJS`, `factory` and
+ * `url` that is set wins. With none of them, a JitsiMeetJS that the page has
+ * already loaded is used, if there is one, and otherwise the copy that the
+ * Jitsi Meet server hosts.
+ * @typedef {object} JitsiLoaderOptions
+ * @property {any} [jitsiMeetJS] - an already loaded JitsiMeetJS object.
+ * @property {function(): Promise<any>} [factory] - loads the library some other way, e.g. `() => import("lib-jitsi-meet")`. It may resolve to JitsiMeetJS itself, or to a module that exports it.
+ * @property {string} [url] - a script to import the library from, e.g. a self-hosted copy.
+ * @property {number} [timeout=30000] - the number of milliseconds to wait for the library to load.
+ **/
+
+/**
+ * Checks that something looks like JitsiMeetJS.
+ * @param {any} lib
+ */
+function isJitsiMeetJS(lib) {
+    return !!lib
+        && isFunction(lib.init)
+        && isFunction(lib.JitsiConnection);
+}
+
+/**
+ * Finds JitsiMeetJS in whatever a script or module provided. Scripts
+ * that aren't modules leave it in a global variable instead.
+ * @param {any} mod
+ */
+function findJitsiMeetJS(mod) {
+    const candidates = mod
+        ? [mod, mod.default, mod.JitsiMeetJS]
+        : [];
+    candidates.push(globalThis.JitsiMeetJS);
+    return candidates.find(isJitsiMeetJS) || null;
+}
+
+/**
+ * Loads lib-jitsi-meet.
+ * @param {string} host - the Jitsi Meet server whose copy of the library to use when nothing else is given.
+ * @param {JitsiLoaderOptions} [options]
+ * @returns {Promise<any>} - JitsiMeetJS.
+ * @throws {JitsiLoadError}
+ */
+export async function loadJitsiMeetJS(host, options) {
+    options = options || {};
+
+    if (options.jitsiMeetJS) {
+        if (!isJitsiMeetJS(options.jitsiMeetJS)) {
+            throw new JitsiLoadError("The JitsiMeetJS object that was given is not JitsiMeetJS.", "notFound", "jitsiMeetJS");
+        }
+
+        return options.jitsiMeetJS;
+    }
+
+    let source = null,
+        load = null;
+
+    if (isFunction(options.factory)) {
+        source = "factory";
+        load = options.factory;
+    }
+    else if (isString(options.url)
+        || !isJitsiMeetJS(globalThis.JitsiMeetJS)) {
+        source = options.url || `https://${host}/libs/lib-jitsi-meet.min.js`;
+        load = () => import(source);
+    }
+    else {
+        return globalThis.JitsiMeetJS;
+    }
+
+    const timeout = isGoodNumber(options.timeout)
+        ? options.timeout
+        : 30000;
+
+    let timer = null,
+        mod = null;
+    try {
+        mod = await Promise.race([
+            load(),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new JitsiLoadError(
+                    `lib-jitsi-meet did not load from ${source} within ${timeout}ms.`,
+                    "timeout", source)), timeout);
+            })
+        ]);
+    }
+    catch (exp) {
+        if (exp instanceof JitsiLoadError) {
+            throw exp;
+        }
+
+        throw new JitsiLoadError(
+            `Could not load lib-jitsi-meet from ${source}: ${exp && exp.message || exp}`,
+            "loadFailed", source, exp);
+    }
+    finally {
+        clearTimeout(timer);
+    }
+
+    const lib = findJitsiMeetJS(mod);
+    if (lib === null) {
+        throw new JitsiLoadError(`Loading ${source} did not provide JitsiMeetJS.`, "notFound", source);
+    }
+
+    return lib;
+}
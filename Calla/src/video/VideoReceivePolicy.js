@@ -0,0 +1,187 @@
+import { isGoodNumber } from "../typeChecks";
+
+/**
+ * What video the local user wants to receive from the service.
+ * @typedef {object} ReceiverConstraints
+ * @property {number} lastN - the most video streams to receive.
+ * @property {string[]} selectedEndpoints - the users whose video matters most, nearest first.
+ * @property {{maxHeight: number}} defaultConstraints - the frame height for users without their own constraint. 0 turns their video off.
+ * @property {Object<string, {maxHeight: number}>} constraints - the frame height for each user whose video is received, keyed by user ID.
+ **/
+
+/**
+ * Decides how much video to receive from each user based on how far away
+ * they are. Users close by get full-size video, users further away get
+ * thumbnails, and users too far away to hear get none at all. Users who are
+ * sharing their screen always get full-size video, as a shared screen is
+ * shown at its own spot on the map and can't be read as a thumbnail.
+ **/
+export class VideoReceivePolicy {
+
+    /**
+     * Creates a new video receive policy.
+     */
+    constructor() {
+        /**
+         * Users within this distance get full-size video.
+         * @type {number}
+         **/
+        this.nearDistance = 3;
+
+        /**
+         * Users further away than this don't get any video. Null means the
+         * distance at which users can't be heard any more.
+         * @type {number}
+         **/
+        this.maxDistance = null;
+
+        /**
+         * The frame height, in pixels, of video from nearby users.
+         * @type {number}
+         **/
+        this.highHeight = 720;
+
+        /**
+         * The frame height, in pixels, of video from users further away.
+         * @type {number}
+         **/
+        this.lowHeight = 180;
+
+        /**
+         * The most video streams to receive at once, nearest first.
+         * @type {number}
+         **/
+        this.maxVideos = 20;
+
+        /**
+         * The number of milliseconds to wait between changes to the constraints.
+         * @type {number}
+         **/
+        this.interval = 1000;
+
+        this.lastTime = -Number.MAX_VALUE;
+        this.lastConstraints = null;
+
+        Object.seal(this);
+    }
+
+    /**
+     * Changes the thresholds. Anything left out keeps its current value.
+     * @param {number} [nearDistance]
+     * @param {number} [maxDistance] - null to follow the distance at which users can't be heard any more.
+     * @param {number} [highHeight]
+     * @param {number} [lowHeight]
+     * @param {number} [maxVideos]
+     */
+    setThresholds(nearDistance, maxDistance, highHeight, lowHeight, maxVideos) {
+        if (isGoodNumber(nearDistance)) {
+            this.nearDistance = nearDistance;
+        }
+
+        if (maxDistance === null
+            || isGoodNumber(maxDistance)) {
+            this.maxDistance = maxDistance;
+        }
+
+        if (isGoodNumber(highHeight)) {
+            this.highHeight = highHeight;
+        }
+
+        if (isGoodNumber(lowHeight)) {
+            this.lowHeight = lowHeight;
+        }
+
+        if (isGoodNumber(maxVideos)) {
+            this.maxVideos = maxVideos;
+        }
+
+        // send the new constraints on the next update.
+        this.reset();
+    }
+
+    /**
+     * Works out the constraints for a set of users.
+     * @param {Map<string, number>} distances - how far each remote user is from the local user.
+     * @param {number} hearingDistance - the distance at which users can't be heard any more.
+     * @param {string[]} [sharerIDs] - the users who are sharing their screen.
+     * @returns {ReceiverConstraints}
+     */
+    getConstraints(distances, hearingDistance, sharerIDs) {
+        const maxDistance = this.maxDistance === null
+            ? hearingDistance
+            : this.maxDistance,
+            sharers = Array.from(distances.keys())
+                .filter((id) => sharerIDs && sharerIDs.indexOf(id) >= 0),
+            visible = Array.from(distances.entries())
+                .filter(([id, distance]) => sharers.indexOf(id) === -1
+                    && distance <= maxDistance)
+                .sort((a, b) => a[1] - b[1])
+                .slice(0, this.maxVideos),
+            constraints = {},
+            selectedEndpoints = [];
+
+        // the screen and the camera come from the same user, so the camera gets the screen's height, too.
+        for (let id of sharers) {
+            constraints[id] = {
+                maxHeight: this.highHeight
+            };
+            selectedEndpoints.push(id);
+        }
+
+        for (let [id, distance] of visible) {
+            const isNear = distance <= this.nearDistance;
+            constraints[id] = {
+                maxHeight: isNear
+                    ? this.highHeight
+                    : this.lowHeight
+            };
+
+            if (isNear) {
+                selectedEndpoints.push(id);
+            }
+        }
+
+        return {
+            lastN: sharers.length + visible.length,
+            selectedEndpoints,
+            defaultConstraints: {
+                maxHeight: 0
+            },
+            constraints
+        };
+    }
+
+    /**
+     * Works out the constraints, but only returns them if enough time has
+     * passed since the last change and they are different from the last ones.
+     * @param {number} now - the current time, in milliseconds.
+     * @param {Map<string, number>} distances - how far each remote user is from the local user.
+     * @param {number} hearingDistance - the distance at which users can't be heard any more.
+     * @param {string[]} [sharerIDs] - the users who are sharing their screen.
+     * @returns {ReceiverConstraints} - the new constraints, or null if nothing needs to change.
+     */
+    update(now, distances, hearingDistance, sharerIDs) {
+        if (now - this.lastTime < this.interval) {
+            return null;
+        }
+
+        this.lastTime = now;
+
+        const constraints = this.getConstraints(distances, hearingDistance, sharerIDs),
+            json = JSON.stringify(constraints);
+        if (json === this.lastConstraints) {
+            return null;
+        }
+
+        this.lastConstraints = json;
+        return constraints;
+    }
+
+    /**
+     * Forgets the last constraints, so the next update sends them again.
+     **/
+    reset() {
+        this.lastTime = -Number.MAX_VALUE;
+        this.lastConstraints = null;
+    }
+}
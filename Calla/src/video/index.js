@@ -0,0 +1 @@
+export * from "./VideoReceivePolicy";
\ No newline at end of file